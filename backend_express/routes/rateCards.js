@@ -0,0 +1,81 @@
+import express from 'express';
+import {
+  listRateCards,
+  getRateCard,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard,
+  validateRateCard,
+} from '../services/rateCardStore.js';
+
+/**
+ * Rate-card library (T&M rates by role and seniority).
+ *
+ *  GET    /api/rate-cards       - all cards { ok, rateCards: [...] }
+ *  POST   /api/rate-cards       - create. Body: { name, description?, currency, rates: [{ role, seniority?, rate }] }
+ *  GET    /api/rate-cards/:id   - one card
+ *  PUT    /api/rate-cards/:id   - replace. Body as for create
+ *  DELETE /api/rate-cards/:id   - delete
+ */
+const router = express.Router();
+
+function sendError(res, label, e) {
+  // eslint-disable-next-line no-console
+  console.error(`${label} error:`, e);
+  res.status(500).json({ ok: false, error: e?.message || 'Unexpected error' });
+}
+
+router.get('/', async (_req, res) => {
+  try {
+    res.json({ ok: true, rateCards: await listRateCards() });
+  } catch (e) {
+    sendError(res, 'rate card list', e);
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateRateCard(body);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const rateCard = await createRateCard(body);
+    res.status(201).json({ ok: true, rateCard });
+  } catch (e) {
+    sendError(res, 'rate card create', e);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const rateCard = await getRateCard(req.params.id);
+    if (!rateCard) return res.status(404).json({ ok: false, error: 'Rate card not found.' });
+    res.json({ ok: true, rateCard });
+  } catch (e) {
+    sendError(res, 'rate card get', e);
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateRateCard(body);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const rateCard = await updateRateCard(req.params.id, body);
+    if (!rateCard) return res.status(404).json({ ok: false, error: 'Rate card not found.' });
+    res.json({ ok: true, rateCard });
+  } catch (e) {
+    sendError(res, 'rate card save', e);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await deleteRateCard(req.params.id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'Rate card not found.' });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, 'rate card delete', e);
+  }
+});
+
+export default router;
@@ -0,0 +1,359 @@
+import express from 'express';
+import {
+  listSows,
+  getSow,
+  createSow,
+  updateSow,
+  deleteSow,
+  restoreRevision,
+  signSow,
+  getWorkflow,
+  assignReviewers,
+  transitionSow,
+} from '../services/sowStore.js';
+import { listRevisions, getRevision } from '../services/revisionStore.js';
+import { diffSowData } from '../services/sowDiff.js';
+import { createSeal, listSeals, signatureBlockKeys, signatureFieldKeys, verifySeals } from '../services/sealStore.js';
+import { validateAssignees } from '../services/workflow.js';
+import { THREAD_STATUSES, createThread, listThreads, replyToThread, setThreadStatus } from '../services/commentStore.js';
+
+/**
+ * SOW document CRUD.
+ *
+ *  GET    /api/sows       - list summaries { id, title, templateId, revision, status, createdAt, updatedAt }
+ *  POST   /api/sows       - create. Body: { title?, templateId?, templateSchema?, data: object, author?, note? }
+ *  GET    /api/sows/:id   - full document
+ *  PUT    /api/sows/:id   - update. Body: any of { title, templateId, templateSchema, data } plus { author?, note? }
+ *  DELETE /api/sows/:id   - delete (with its revisions, seals and comments)
+ *  Updates, restores and deletes answer 409 while the SOW is approved or signed (see services/workflow.js).
+ *
+ * Revisions (one per save that carries `data`):
+ *  GET    /api/sows/:id/revisions                 - summaries { id, number, author, note, createdAt }, oldest first
+ *  GET    /api/sows/:id/revisions/:revId          - full revision incl. data snapshot
+ *  POST   /api/sows/:id/revisions/:revId/restore  - make that revision current (new revision). Body: { author? }
+ *  GET    /api/sows/:id/diff?from=<revId>&to=<revId>
+ *         - field-by-field changes; `to` defaults to the latest revision
+ *
+ * Signatures (see services/sealStore.js):
+ *  GET    /api/sows/:id/signatures         - seals, oldest first
+ *  POST   /api/sows/:id/signatures         - sign: writes the image to the field, saves a revision and seals it.
+ *         Body: { fieldKey, signer, method: 'drawn'|'typed'|'uploaded', image: data URL, signatureFields?: [key], data? }
+ *         `data` is the SOW as the signer sees it (saved along with the signature); defaults to the stored data.
+ *         The signature blocks (left out of the seal) come from the SOW's template schema; other keys answer 400
+ *  GET    /api/sows/:id/signatures/verify  - { verified, seals: [{ ...seal, intact, imageIntact, changedIn }] }
+ *  Once approved, signing only changes the signature blocks (other changed values answer 409); a signed SOW takes no
+ *  further signatures.
+ *
+ * Approval workflow (see services/workflow.js):
+ *  GET    /api/sows/:id/workflow?actor=<name>  - { workflow, openComments, actions: [{ id, label, to, needsComment, allowed, reason }] }
+ *  PUT    /api/sows/:id/workflow/assignees     - Body: { assignees: { internal_review?: { reviewer?, approver? },
+ *                                                client_review?: {...} } }; only stages not reached yet
+ *  POST   /api/sows/:id/workflow/transitions   - Body: { action, actor, comment? } -> { sow }
+ *         403 when the actor does not hold the role, 409 when the action is not possible in the current state
+ *         (approving also needs every comment thread resolved)
+ *
+ * Review comments (see services/commentStore.js):
+ *  GET    /api/sows/:id/comments?status=open|resolved  - threads, oldest first
+ *  POST   /api/sows/:id/comments                       - open a thread on the current revision.
+ *         Body: { anchor: { kind: 'field', fieldKey } | { kind: 'line', line, quote? }, author, body }
+ *  POST   /api/sows/:id/comments/:threadId/replies     - Body: { author, body }
+ *  PUT    /api/sows/:id/comments/:threadId             - resolve / reopen. Body: { status: 'open'|'resolved', actor }
+ */
+const router = express.Router();
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+const SIGN_METHODS = new Set(['drawn', 'typed', 'uploaded']);
+const IMAGE_RE = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+const MAX_IMAGE_CHARS = 2 * 1024 * 1024;
+
+function validateSignature(body) {
+  const fieldKey = String(body.fieldKey || '');
+  if (!fieldKey) return 'fieldKey is required.';
+  if (!String(body.signer || '').trim()) return 'signer is required.';
+  if (!SIGN_METHODS.has(body.method)) return 'method must be drawn, typed or uploaded.';
+  if (typeof body.image !== 'string' || body.image.length > MAX_IMAGE_CHARS || !IMAGE_RE.test(body.image)) {
+    return 'image must be a PNG, JPEG, GIF or WebP data URL of at most 2 MB.';
+  }
+  if (body.signatureFields !== undefined && (!Array.isArray(body.signatureFields) || body.signatureFields.some((k) => typeof k !== 'string'))) {
+    return 'signatureFields must be an array of field keys.';
+  }
+  if (body.data !== undefined && !isPlainObject(body.data)) return 'data must be an object.';
+  return null;
+}
+
+// The signature blocks come from the SOW's template schema; the client may only name keys that belong to one.
+function validateSignatureFields(body, templateSchema) {
+  if (!signatureFieldKeys(templateSchema).includes(body.fieldKey)) {
+    return `"${body.fieldKey}" is not a signature field of this SOW's template.`;
+  }
+  const blocks = signatureBlockKeys(templateSchema);
+  const foreign = (body.signatureFields || []).filter((k) => !blocks.includes(k));
+  return foreign.length ? `Not part of a signature block: ${foreign.join(', ')}.` : null;
+}
+
+function validateMessage(body) {
+  if (!String(body.author || '').trim()) return 'author is required.';
+  if (typeof body.body !== 'string' || !body.body.trim()) return 'body (the comment text) is required.';
+  return null;
+}
+
+function validateAnchor(anchor) {
+  if (!isPlainObject(anchor)) return 'anchor is required.';
+  if (anchor.kind === 'field') return typeof anchor.fieldKey === 'string' && anchor.fieldKey ? null : 'anchor.fieldKey is required.';
+  if (anchor.kind === 'line') return Number.isInteger(anchor.line) && anchor.line > 0 ? null : 'anchor.line must be a line number (1-based).';
+  return 'anchor.kind must be "field" or "line".';
+}
+
+function sendError(res, label, e) {
+  // eslint-disable-next-line no-console
+  console.error(`${label} error:`, e);
+  res.status(500).json({ ok: false, error: e?.message || 'Unexpected error' });
+}
+
+router.get('/', async (_req, res) => {
+  try {
+    const sows = await listSows();
+    res.json({ ok: true, sows });
+  } catch (e) {
+    sendError(res, 'sow list', e);
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!isPlainObject(body.data)) {
+      return res.status(400).json({ ok: false, error: 'data object is required.' });
+    }
+    const sow = await createSow(body, { author: body.author, note: body.note });
+    res.status(201).json({ ok: true, sow });
+  } catch (e) {
+    sendError(res, 'sow create', e);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const sow = await getSow(req.params.id);
+    if (!sow) return res.status(404).json({ ok: false, error: 'SOW not found.' });
+    res.json({ ok: true, sow });
+  } catch (e) {
+    sendError(res, 'sow get', e);
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.data !== undefined && !isPlainObject(body.data)) {
+      return res.status(400).json({ ok: false, error: 'data must be an object.' });
+    }
+    const result = await updateSow(req.params.id, body, { author: body.author, note: body.note });
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json({ ok: true, sow: result.sow });
+  } catch (e) {
+    sendError(res, 'sow update', e);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await deleteSow(req.params.id);
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, 'sow delete', e);
+  }
+});
+
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const sow = await getSow(req.params.id);
+    if (!sow) return res.status(404).json({ ok: false, error: 'SOW not found.' });
+    const revisions = await listRevisions(sow.id);
+    res.json({ ok: true, revisions });
+  } catch (e) {
+    sendError(res, 'revision list', e);
+  }
+});
+
+router.get('/:id/revisions/:revId', async (req, res) => {
+  try {
+    const sow = await getSow(req.params.id);
+    const revision = sow ? await getRevision(sow.id, req.params.revId) : null;
+    if (!revision) return res.status(404).json({ ok: false, error: 'Revision not found.' });
+    res.json({ ok: true, revision });
+  } catch (e) {
+    sendError(res, 'revision get', e);
+  }
+});
+
+router.post('/:id/revisions/:revId/restore', async (req, res) => {
+  try {
+    const result = await restoreRevision(req.params.id, req.params.revId, { author: req.body?.author });
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json({ ok: true, sow: result.sow });
+  } catch (e) {
+    sendError(res, 'revision restore', e);
+  }
+});
+
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const sow = await getSow(req.params.id);
+    if (!sow) return res.status(404).json({ ok: false, error: 'SOW not found.' });
+    const fromId = String(req.query.from || '');
+    const toId = String(req.query.to || sow.latestRevisionId || '');
+    if (!fromId) return res.status(400).json({ ok: false, error: 'from revision id is required.' });
+
+    const [from, to] = await Promise.all([getRevision(sow.id, fromId), getRevision(sow.id, toId)]);
+    if (!from || !to) return res.status(404).json({ ok: false, error: 'Revision not found.' });
+
+    const changes = diffSowData(from.data, to.data, sow.templateSchema);
+    const summary = ({ data: _data, ...rest }) => rest;
+    res.json({ ok: true, from: summary(from), to: summary(to), changes });
+  } catch (e) {
+    sendError(res, 'revision diff', e);
+  }
+});
+
+router.get('/:id/signatures', async (req, res) => {
+  try {
+    const sow = await getSow(req.params.id);
+    if (!sow) return res.status(404).json({ ok: false, error: 'SOW not found.' });
+    res.json({ ok: true, seals: await listSeals(sow.id) });
+  } catch (e) {
+    sendError(res, 'signature list', e);
+  }
+});
+
+router.post('/:id/signatures', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateSignature(body);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const current = await getSow(req.params.id);
+    if (!current) return res.status(404).json({ ok: false, error: 'SOW not found.' });
+    const foreign = validateSignatureFields(body, current.templateSchema);
+    if (foreign) return res.status(400).json({ ok: false, error: foreign });
+
+    const signer = String(body.signer).trim().slice(0, 200);
+    const result = await signSow(current.id, { fieldKey: body.fieldKey, image: body.image, data: body.data, signer });
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    const { sow } = result;
+    const seal = await createSeal(sow, {
+      fieldKey: body.fieldKey,
+      signer,
+      method: body.method,
+      ip: req.ip || req.socket?.remoteAddress,
+      userAgent: req.get('user-agent'),
+    });
+    res.status(201).json({ ok: true, seal, sow });
+  } catch (e) {
+    sendError(res, 'signature create', e);
+  }
+});
+
+router.get('/:id/signatures/verify', async (req, res) => {
+  try {
+    const sow = await getSow(req.params.id);
+    if (!sow) return res.status(404).json({ ok: false, error: 'SOW not found.' });
+    res.json({ ok: true, ...(await verifySeals(sow)) });
+  } catch (e) {
+    sendError(res, 'signature verify', e);
+  }
+});
+
+router.get('/:id/workflow', async (req, res) => {
+  try {
+    const result = await getWorkflow(req.params.id, String(req.query.actor || ''));
+    if (!result) return res.status(404).json({ ok: false, error: 'SOW not found.' });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    sendError(res, 'workflow get', e);
+  }
+});
+
+router.put('/:id/workflow/assignees', async (req, res) => {
+  try {
+    const assignees = req.body?.assignees;
+    const invalid = validateAssignees(assignees);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const result = await assignReviewers(req.params.id, assignees);
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json({ ok: true, sow: result.sow });
+  } catch (e) {
+    sendError(res, 'workflow assign', e);
+  }
+});
+
+router.post('/:id/workflow/transitions', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.action || typeof body.action !== 'string') return res.status(400).json({ ok: false, error: 'action is required.' });
+    const result = await transitionSow(req.params.id, body.action, { actor: body.actor, comment: body.comment });
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json({ ok: true, sow: result.sow });
+  } catch (e) {
+    sendError(res, 'workflow transition', e);
+  }
+});
+
+router.get('/:id/comments', async (req, res) => {
+  try {
+    const sow = await getSow(req.params.id);
+    if (!sow) return res.status(404).json({ ok: false, error: 'SOW not found.' });
+    const status = req.query.status ? String(req.query.status) : undefined;
+    if (status && !THREAD_STATUSES.includes(status)) return res.status(400).json({ ok: false, error: 'status must be "open" or "resolved".' });
+    res.json({ ok: true, threads: await listThreads(sow, { status }) });
+  } catch (e) {
+    sendError(res, 'comment list', e);
+  }
+});
+
+router.post('/:id/comments', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateAnchor(body.anchor) || validateMessage(body);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const sow = await getSow(req.params.id);
+    if (!sow) return res.status(404).json({ ok: false, error: 'SOW not found.' });
+    const thread = await createThread(sow, { anchor: body.anchor, author: body.author, body: body.body });
+    res.status(201).json({ ok: true, thread });
+  } catch (e) {
+    sendError(res, 'comment create', e);
+  }
+});
+
+router.post('/:id/comments/:threadId/replies', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateMessage(body);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const sow = await getSow(req.params.id);
+    const thread = sow ? await replyToThread(sow, req.params.threadId, { author: body.author, body: body.body }) : null;
+    if (!thread) return res.status(404).json({ ok: false, error: 'Comment thread not found.' });
+    res.status(201).json({ ok: true, thread });
+  } catch (e) {
+    sendError(res, 'comment reply', e);
+  }
+});
+
+router.put('/:id/comments/:threadId', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!THREAD_STATUSES.includes(body.status)) return res.status(400).json({ ok: false, error: 'status must be "open" or "resolved".' });
+    if (!String(body.actor || '').trim()) return res.status(400).json({ ok: false, error: 'actor (your name) is required.' });
+    const sow = await getSow(req.params.id);
+    const thread = sow ? await setThreadStatus(sow.id, req.params.threadId, { status: body.status, actor: body.actor }) : null;
+    if (!thread) return res.status(404).json({ ok: false, error: 'Comment thread not found.' });
+    res.json({ ok: true, thread });
+  } catch (e) {
+    sendError(res, 'comment status', e);
+  }
+});
+
+export default router;
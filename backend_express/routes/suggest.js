@@ -0,0 +1,58 @@
+import express from 'express';
+import { indexStats, loadIndex, rebuildIndex, suggestForField } from '../services/sowIndex.js';
+
+/**
+ * Suggestions from signed SOWs (local BM25 index, see services/sowIndex.js).
+ *
+ *  POST /api/suggest          - passages for one field.
+ *                               Body: { field: { key, label? }, value?, context?: { [fieldKey]: value }, excludeSowId?, limit? }
+ *                               Returns { ok, suggestions: [{ text, field, label, sowId, sowTitle, score }] }
+ *  GET  /api/suggest/status   - { ok, index: { sows, passages, terms } }
+ *  POST /api/suggest/reindex  - rebuild the index from the signed SOWs; returns the new stats
+ */
+const router = express.Router();
+
+const MAX_LIMIT = 20;
+
+function sendError(res, label, e) {
+  // eslint-disable-next-line no-console
+  console.error(`${label} error:`, e);
+  res.status(500).json({ ok: false, error: e?.message || 'Unexpected error' });
+}
+
+router.post('/', async (req, res) => {
+  try {
+    const { field, value, context, excludeSowId, limit } = req.body || {};
+    if (!field?.key) return res.status(400).json({ ok: false, error: 'field.key is required.' });
+    const suggestions = await suggestForField({
+      field,
+      value,
+      context,
+      excludeSowId: excludeSowId ? String(excludeSowId) : undefined,
+      limit: Math.min(MAX_LIMIT, Math.max(1, Number(limit) || 5)),
+    });
+    res.json({ ok: true, suggestions });
+  } catch (e) {
+    sendError(res, 'suggest', e);
+  }
+});
+
+router.get('/status', async (_req, res) => {
+  try {
+    await loadIndex();
+    res.json({ ok: true, index: indexStats() });
+  } catch (e) {
+    sendError(res, 'suggest status', e);
+  }
+});
+
+router.post('/reindex', async (_req, res) => {
+  try {
+    const index = await rebuildIndex();
+    res.json({ ok: true, index });
+  } catch (e) {
+    sendError(res, 'suggest reindex', e);
+  }
+});
+
+export default router;
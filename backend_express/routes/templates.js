@@ -0,0 +1,139 @@
+import express from 'express';
+import {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  addTemplateVersion,
+  updateTemplate,
+  listTemplateVersions,
+  getTemplateVersion,
+  deleteTemplate,
+  isValidStatus,
+  validateUpload,
+} from '../services/templateStore.js';
+
+/**
+ * Template registry.
+ *
+ *  GET    /api/templates?status=active   - summaries { id, title, description, status, builtin, version, fileName, updatedAt }
+ *  POST   /api/templates                 - register an uploaded .docx.
+ *         Body: { title?, description?, fileName, fileBase64, transcript, schema, author?, note? }
+ *  GET    /api/templates/:id             - full template incl. current transcript, schema and sourceUrls
+ *  PUT    /api/templates/:id             - update { title?, description?, status?: 'active'|'retired' }
+ *  DELETE /api/templates/:id             - delete an uploaded template (409 for built-ins)
+ *
+ * Versions (one per uploaded .docx):
+ *  GET    /api/templates/:id/versions            - summaries { id, number, fileName, author, note, createdAt }, oldest first
+ *  POST   /api/templates/:id/versions            - upload a new version. Body: { fileName, fileBase64, transcript, schema, author?, note? }
+ *  GET    /api/templates/:id/versions/:versionId/file - download that version's .docx
+ *
+ * Transcript and schema are produced by the frontend's .docx reader and parser, so the
+ * registry stores exactly what the form will render.
+ */
+const router = express.Router();
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+function sendError(res, label, e) {
+  // eslint-disable-next-line no-console
+  console.error(`${label} error:`, e);
+  res.status(500).json({ ok: false, error: e?.message || 'Unexpected error' });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : undefined;
+    if (status && !isValidStatus(status)) {
+      return res.status(400).json({ ok: false, error: 'status must be "active" or "retired".' });
+    }
+    const templates = await listTemplates({ status });
+    res.json({ ok: true, templates });
+  } catch (e) {
+    sendError(res, 'template list', e);
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateUpload(body);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const template = await createTemplate(body, { author: body.author, note: body.note });
+    res.status(201).json({ ok: true, template });
+  } catch (e) {
+    sendError(res, 'template create', e);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id);
+    if (!template) return res.status(404).json({ ok: false, error: 'Template not found.' });
+    res.json({ ok: true, template });
+  } catch (e) {
+    sendError(res, 'template get', e);
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.status !== undefined && !isValidStatus(body.status)) {
+      return res.status(400).json({ ok: false, error: 'status must be "active" or "retired".' });
+    }
+    const template = await updateTemplate(req.params.id, body);
+    if (!template) return res.status(404).json({ ok: false, error: 'Template not found.' });
+    res.json({ ok: true, template });
+  } catch (e) {
+    sendError(res, 'template update', e);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await deleteTemplate(req.params.id);
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, 'template delete', e);
+  }
+});
+
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id);
+    if (!template) return res.status(404).json({ ok: false, error: 'Template not found.' });
+    const versions = await listTemplateVersions(template.id);
+    res.json({ ok: true, versions });
+  } catch (e) {
+    sendError(res, 'template version list', e);
+  }
+});
+
+router.post('/:id/versions', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateUpload(body);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const template = await addTemplateVersion(req.params.id, body, { author: body.author, note: body.note });
+    if (!template) return res.status(404).json({ ok: false, error: 'Template not found.' });
+    res.status(201).json({ ok: true, template });
+  } catch (e) {
+    sendError(res, 'template version create', e);
+  }
+});
+
+router.get('/:id/versions/:versionId/file', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id);
+    const version = template ? await getTemplateVersion(template.id, req.params.versionId) : null;
+    if (!version) return res.status(404).json({ ok: false, error: 'Template version not found.' });
+    res.setHeader('Content-Type', DOCX_MIME);
+    res.setHeader('Content-Disposition', `attachment; filename="${version.fileName.replace(/["\\\r\n]/g, '_')}"`);
+    res.send(Buffer.from(version.fileBase64, 'base64'));
+  } catch (e) {
+    sendError(res, 'template file', e);
+  }
+});
+
+export default router;
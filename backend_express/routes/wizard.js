@@ -0,0 +1,71 @@
+import express from 'express';
+import {
+  getWizardSession,
+  createWizardSession,
+  saveWizardSession,
+  deleteWizardSession,
+  validateWizardState,
+} from '../services/wizardStore.js';
+
+/**
+ * Chat wizard sessions (resumable conversations).
+ *
+ *  POST   /api/wizard-sessions       - create. Body: { templateId?, state }
+ *  GET    /api/wizard-sessions/:id   - full session { id, templateId, state, createdAt, updatedAt }
+ *  PUT    /api/wizard-sessions/:id   - replace the state. Body: { templateId?, state }
+ *  DELETE /api/wizard-sessions/:id   - delete
+ */
+const router = express.Router();
+
+function sendError(res, label, e) {
+  // eslint-disable-next-line no-console
+  console.error(`${label} error:`, e);
+  res.status(500).json({ ok: false, error: e?.message || 'Unexpected error' });
+}
+
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateWizardState(body.state);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const session = await createWizardSession(body);
+    res.status(201).json({ ok: true, session });
+  } catch (e) {
+    sendError(res, 'wizard session create', e);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await getWizardSession(req.params.id);
+    if (!session) return res.status(404).json({ ok: false, error: 'Wizard session not found.' });
+    res.json({ ok: true, session });
+  } catch (e) {
+    sendError(res, 'wizard session get', e);
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateWizardState(body.state);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const session = await saveWizardSession(req.params.id, body);
+    if (!session) return res.status(404).json({ ok: false, error: 'Wizard session not found.' });
+    res.json({ ok: true, session });
+  } catch (e) {
+    sendError(res, 'wizard session save', e);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await deleteWizardSession(req.params.id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'Wizard session not found.' });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, 'wizard session delete', e);
+  }
+});
+
+export default router;
@@ -1,27 +1,61 @@
 import 'dotenv/config';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
 import cors from 'cors';
 import morgan from 'morgan';
 import { nanoid } from 'nanoid';
 
-// llama-node with llama.cpp backend
-import { LlamaModel, LlamaContext, LlamaChatSession, getLlama } from '@llama-node/core';
-import { LlamaCpp } from '@llama-node/llama-cpp';
+import sowsRouter from './routes/sows.js';
+import templatesRouter from './routes/templates.js';
+import wizardRouter from './routes/wizard.js';
+import suggestRouter from './routes/suggest.js';
+import rateCardsRouter from './routes/rateCards.js';
+import {
+  collectDraftFields,
+  buildDraftPrompt,
+  extractJsonObject,
+  validateDraft,
+  isFieldAction,
+  buildFieldActionPrompt,
+  parseFieldActionReply,
+} from './services/sowDraft.js';
+import { MAX_SOURCE_CHARS, splitSentences, buildExtractPrompt, validateExtraction } from './services/sowExtract.js';
+import { loadIndex, searchPassages } from './services/sowIndex.js';
+import { collectReviewFields, runRiskPatterns, buildRiskPrompt, validateRiskFindings } from './services/sowRisk.js';
+import { getLLM } from './services/llm.js';
 
 /**
  * Simple Express backend that hosts a local LLM for chat and SOW assistance.
  *
  * Env:
- *  - LLM_MODEL_PATH: absolute path to a local GGUF model file (e.g., ./models/llama-3.2-3b-instruct.Q4_K_M.gguf)
- *  - LLM_CTX_SIZE: context tokens (default: 2048)
- *  - LLM_GPU_LAYERS: number of GPU layers if supported by build (default: 0)
+ *  - LLM_PROVIDER: llama (default, in-process llama.cpp) | openai (OpenAI-compatible local server) | mock
+ *  - LLM_MODEL_PATH: absolute path to a local GGUF model file (e.g., ./models/llama-3.2-3b-instruct.Q4_K_M.gguf) [llama]
+ *  - LLM_CTX_SIZE: context tokens (default: 2048) [llama]
+ *  - LLM_GPU_LAYERS: number of GPU layers if supported by build (default: 0) [llama]
+ *  - LLM_BASE_URL: OpenAI-compatible API base (default: http://127.0.0.1:11434/v1) [openai]
+ *  - LLM_MODEL: model name sent to that server (default: local) [openai]
+ *  - LLM_API_KEY: optional bearer token for that server [openai]
+ *  - LLM_CONTEXTS: LLM calls run in parallel, one llama context each (default: 1)
+ *  - LLM_QUEUE_MAX: calls allowed to wait for a free context before new ones get 429 (default: 16)
+ *  - LLM_REQUEST_TIMEOUT_MS: limit for waiting + generating per call, then 504 (default: 120000)
  *  - PORT: server port (default: 8080)
  *  - ALLOW_ORIGIN: CORS origin (default: *)
+ *  - SOW_DATA_DIR: folder for the on-disk SOW store (default: ./data)
  *
  * Endpoints:
- *  GET  /api/health             - health check
+ *  GET  /api/health             - health check with the active LLM provider status and queue depth
  *  POST /api/chat               - chat with streaming (SSE). Body: { messages: [{role, content}], stream?: boolean }
  *  POST /api/ai/sow             - helper to generate SOW-like draft from a prompt (non-stream JSON)
+ *  POST /api/ai/draft           - fill template fields from a brief; JSON keyed by field key, validated against the schema
+ *  POST /api/ai/field           - rewrite/expand/shorten/bullet/draft one field's value
+ *  POST /api/ai/extract         - extract field values from pasted notes/emails/RFP text, each citing its source sentence
+ *  POST /api/ai/risk            - contract-risk review: pattern pre-pass plus model pass, findings anchored to fields
+ *  /api/sows                    - SOW document CRUD (see routes/sows.js)
+ *  /api/templates               - template registry: upload, versions, status (see routes/templates.js)
+ *  /api/wizard-sessions         - resumable chat wizard conversations (see routes/wizard.js)
+ *  /api/suggest                 - passages from signed SOWs for a field, local BM25 index (see routes/suggest.js)
+ *  /api/rate-cards              - T&M rate-card library by role and seniority (see routes/rateCards.js)
  */
 
 const app = express();
@@ -30,51 +64,45 @@ const PORT = process.env.PORT ? Number(process.env.PORT) : 8080;
 app.use(cors({
   origin: process.env.ALLOW_ORIGIN || '*'
 }));
-app.use(express.json({ limit: '1mb' }));
+// SOW documents carry logo/signature images as data URLs and template uploads carry the .docx, so allow larger bodies.
+app.use(express.json({ limit: '10mb' }));
 app.use(morgan('dev'));
 
-let llamaReady = false;
-let llamaError = null;
-let model = null;
-let context = null;
+const llm = getLLM();
 
-async function initLlama() {
-  try {
-    const llama = await getLlama(LlamaCpp);
-    const modelPath = process.env.LLM_MODEL_PATH || './models/model.gguf';
-    const ctxSize = Number(process.env.LLM_CTX_SIZE || 2048);
-    const gpuLayers = Number(process.env.LLM_GPU_LAYERS || 0);
-
-    model = await llama.loadModel(new LlamaModel({
-      modelPath,
-      gpuLayers,
-    }));
-
-    context = await model.createContext(new LlamaContext({
-      contextSize: ctxSize,
-    }));
-
-    llamaReady = true;
-    llamaError = null;
-    // eslint-disable-next-line no-console
-    console.log(`[llama] Model loaded: ${modelPath} (ctx=${ctxSize}, gpuLayers=${gpuLayers})`);
-  } catch (err) {
-    llamaReady = false;
-    llamaError = err;
+// kick off model load / server probe (non-blocking)
+llm.init();
+
+const NOT_READY = 'Model not ready. Check /api/health and the LLM_PROVIDER settings.';
+const RETRY_AFTER_SECONDS = 5;
+
+/**
+ * Send an AI route error. Queue errors carry their status (429 full, 504 timed out); the rest are 500.
+ */
+function sendAIError(res, label, e) {
+  const status = e?.status || 500;
+  if (status === 500) {
     // eslint-disable-next-line no-console
-    console.error('[llama] Failed to initialize model:', err?.message || err);
+    console.error(`${label} error:`, e);
   }
+  if (status === 429) res.setHeader('Retry-After', String(RETRY_AFTER_SECONDS));
+  res.status(status).json({
+    ok: false,
+    error: e?.message || 'Unexpected error',
+    ...(status === 429 ? { queueDepth: e.queueDepth, retryAfter: RETRY_AFTER_SECONDS } : {}),
+  });
 }
 
-// kick off model load (non-blocking)
-initLlama();
+app.use('/api/sows', sowsRouter);
+app.use('/api/templates', templatesRouter);
+app.use('/api/wizard-sessions', wizardRouter);
+app.use('/api/suggest', suggestRouter);
+app.use('/api/rate-cards', rateCardsRouter);
 
 app.get('/api/health', (_req, res) => {
-  res.json({
-    ok: true,
-    llamaReady,
-    error: llamaError ? String(llamaError?.message || llamaError) : null
-  });
+  const { provider, ready, model, error, queue } = llm.status();
+  // llamaReady is kept for existing clients; it reports the active provider's readiness.
+  res.json({ ok: true, provider, ready, llamaReady: ready, model, error, queueDepth: queue.waiting, queue });
 });
 
 /**
@@ -90,33 +118,72 @@ function buildSystemPrompt() {
 }
 
 /**
- * Convert chat messages (role, content) into a LlamaChatSession
+ * Prefix the client's chat messages with the assistant system prompt.
+ */
+function withSystemPrompt(messages = []) {
+  const turns = messages.filter((m) => m && m.role && m.content).map((m) => ({ role: m.role, content: String(m.content) }));
+  return [{ role: 'system', content: buildSystemPrompt() }, ...turns];
+}
+
+/**
+ * Stream an LLM reply as Server-Sent Events.
+ * Events: { queued: position } while waiting for a free context, { token } per token, then { done, content, ...doneExtra } or { error }.
+ * The stream opens with the first event, so a full queue still answers 429 JSON.
  */
-function createSessionFromMessages(messages = []) {
-  const sys = buildSystemPrompt();
-  const session = new LlamaChatSession({ context, systemPrompt: sys });
-  for (const m of messages) {
-    if (!m || !m.role || !m.content) continue;
-    if (m.role === 'system') {
-      // merge additional system content by appending
-      session.appendSystemMessage(m.content);
-    } else if (m.role === 'user') {
-      session.appendUserMessage(m.content);
-    } else if (m.role === 'assistant') {
-      session.appendAssistantMessage(m.content);
+async function streamSSE(res, messages, options, label, doneExtra = {}) {
+  const send = (payload) => {
+    if (!res.headersSent) {
+      res.status(200);
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders?.();
+    }
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  // Closing the connection (e.g. the client's stop button) cancels generation and frees the context.
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const content = await llm.chatStream(messages, {
+      ...options,
+      onQueued: (position) => send({ queued: position }),
+      onToken: (t) => send({ token: t }),
+      signal: controller.signal,
+    });
+    send({ done: true, content, ...doneExtra });
+    res.end();
+  } catch (e) {
+    if (!res.headersSent) {
+      sendAIError(res, label, e);
+    } else if (e?.name === 'AbortError') {
+      res.end();
+    } else {
+      if (!e?.status) {
+        // eslint-disable-next-line no-console
+        console.error(`${label} error:`, e);
+      }
+      try {
+        res.write(`data: ${JSON.stringify({ error: String(e?.message || e) })}\n\n`);
+      } catch (_ignored) {}
+      res.end();
     }
   }
-  return session;
 }
 
 /**
  * Streaming endpoint using Server-Sent Events (SSE).
  * Body: { messages: [{role:'system'|'user'|'assistant', content: string}], stream?: boolean, temperature?: number, top_p?: number, max_tokens?: number }
+ * Events: see streamSSE.
  */
 app.post('/api/chat', async (req, res) => {
   try {
-    if (!llamaReady) {
-      return res.status(503).json({ ok: false, error: 'Model not ready. Check /api/health and LLM_MODEL_PATH.' });
+    if (!(await llm.ensureReady())) {
+      return res.status(503).json({ ok: false, error: NOT_READY });
     }
     const { messages = [], stream = true, temperature = 0.4, top_p = 0.9, max_tokens = 512 } = req.body || {};
 
@@ -126,99 +193,260 @@ app.post('/api/chat', async (req, res) => {
 
     if (!stream) {
       // Non-streaming: return full text at once
-      const session = createSessionFromMessages(messages);
-      const last = messages[messages.length - 1];
-      const prompt = last?.content || '';
-      const out = await session.prompt(prompt, {
+      const out = await llm.chat(withSystemPrompt(messages), {
         temperature,
         topP: top_p,
-        maxTokens: Number(max_tokens),
+        maxTokens: max_tokens,
       });
       return res.json({ ok: true, content: out });
     }
 
-    // Streaming via SSE
-    res.status(200);
-    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
-    res.setHeader('Cache-Control', 'no-cache, no-transform');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders?.();
-
-    const session = createSessionFromMessages(messages);
-    const last = messages[messages.length - 1];
-    const prompt = last?.content || '';
-    let accumulated = '';
-
-    const controller = new AbortController();
-    req.on('close', () => {
-      controller.abort();
-    });
-
-    // llama-node streaming token callback
-    await session.promptStreaming(prompt, {
-      temperature,
-      topP: top_p,
-      maxTokens: Number(max_tokens),
-      onToken: (t) => {
-        accumulated += t;
-        res.write(`data: ${JSON.stringify({ token: t })}\n\n`);
-      },
-      signal: controller.signal
-    });
-
-    res.write(`data: ${JSON.stringify({ done: true, content: accumulated })}\n\n`);
-    res.end();
+    return streamSSE(res, withSystemPrompt(messages), { temperature, topP: top_p, maxTokens: max_tokens }, 'chat');
   } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error('chat error:', e);
-    try {
-      res.write(`data: ${JSON.stringify({ error: String(e?.message || e) })}\n\n`);
-    } catch (_ignored) {}
-    res.end();
+    sendAIError(res, 'chat', e);
   }
 });
 
 /**
  * Helper endpoint for the frontend SOW generation fallback.
- * Body: { prompt: string }
- * Returns JSON: { sow: string }
+ * Body: { prompt: string, stream?: boolean, continueFrom?: string, grounding?: boolean, excludeSowId?: string }
+ * Returns JSON: { sow: string, sources? }, or with stream=true the SSE events of streamSSE (sources in the done event).
+ * continueFrom is the partial draft of an interrupted stream; the model continues after it.
+ * grounding adds the best matching passages of signed SOWs (services/sowIndex.js) to the prompt; they are
+ * returned as sources: [{ text, field, label, sowId, sowTitle, score }].
  */
 app.post('/api/ai/sow', async (req, res) => {
   try {
-    if (!llamaReady) {
-      return res.status(503).json({ ok: false, error: 'Model not ready. Check /api/health and LLM_MODEL_PATH.' });
+    if (!(await llm.ensureReady())) {
+      return res.status(503).json({ ok: false, error: NOT_READY });
     }
-    const { prompt } = req.body || {};
+    const { prompt, stream = false, continueFrom = '', grounding = false, excludeSowId } = req.body || {};
     const content = String(prompt || '').trim();
     if (!content) {
       return res.status(400).json({ ok: false, error: 'prompt is required' });
     }
 
-    const session = new LlamaChatSession({
-      context,
-      systemPrompt: [
-        'You are an expert consultant drafting professional Statements of Work (SOW).',
-        'Generate a concise, structured SOW based on the user prompt.',
-        'Include: Overview, Objectives, Scope, Deliverables, Assumptions, Timeline, Roles & Responsibilities, Acceptance Criteria, and Out of Scope.',
-        'Use crisp, business-appropriate language.',
-      ].join('\n')
-    });
+    let sources = [];
+    if (grounding) {
+      await loadIndex();
+      sources = searchPassages(content, { excludeSowId: excludeSowId ? String(excludeSowId) : undefined, limit: 6 });
+    }
 
-    const sowText = await session.prompt(content, {
-      temperature: 0.4,
-      topP: 0.9,
-      maxTokens: 700,
-    });
+    const systemPrompt = [
+      'You are an expert consultant drafting professional Statements of Work (SOW).',
+      'Generate a concise, structured SOW based on the user prompt.',
+      'Include: Overview, Objectives, Scope, Deliverables, Assumptions, Timeline, Roles & Responsibilities, Acceptance Criteria, and Out of Scope.',
+      'Use crisp, business-appropriate language.',
+      ...(sources.length
+        ? [
+            '',
+            'Passages from earlier SOWs of this organisation follow. Reuse their wording for scope, assumptions and deliverables',
+            'where it fits this project; never copy client names, dates or amounts from them.',
+            ...sources.map((s, i) => `[${i + 1}] (${s.label} — ${s.sowTitle}) ${s.text}`),
+          ]
+        : []),
+    ].join('\n');
+
+    const messages = [{ role: 'system', content: systemPrompt }, { role: 'user', content }];
+    if (String(continueFrom).trim()) {
+      messages.push(
+        { role: 'assistant', content: String(continueFrom) },
+        { role: 'user', content: 'Continue the SOW exactly where it stopped. Do not repeat any text already written.' }
+      );
+    }
+    const options = { temperature: 0.4, topP: 0.9, maxTokens: 700 };
+    const extra = grounding ? { sources } : {};
+    if (stream) return streamSSE(res, messages, options, 'sow', extra);
+
+    const sowText = await llm.chat(messages, options);
 
-    res.json({ ok: true, sow: sowText });
+    return res.json({ ok: true, sow: sowText, ...extra });
   } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error('sow error:', e);
-    res.status(500).json({ ok: false, error: e?.message || 'Unexpected error' });
+    return sendAIError(res, 'sow', e);
   }
 });
 
-app.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`SOW backend running on http://localhost:${PORT}`);
+/**
+ * Ask for a JSON object and parse it; one retry in the same conversation reminds the model of the format.
+ * Resolves the parsed object or null.
+ */
+async function chatForJson(messages, maxTokens) {
+  const text = await llm.chat(messages, { temperature: 0.2, topP: 0.9, maxTokens });
+  const parsed = extractJsonObject(text);
+  if (parsed) return parsed;
+  const retry = await llm.chat(
+    [
+      ...messages,
+      { role: 'assistant', content: text },
+      { role: 'user', content: 'That was not a valid JSON object. Reply with the JSON object only.' },
+    ],
+    { temperature: 0.1, topP: 0.9, maxTokens }
+  );
+  return extractJsonObject(retry);
+}
+
+/**
+ * Schema-aware drafting: fill the template's fields from a project brief.
+ * Body: { schema: { fields? , sections? }, brief: string, existing?: { [fieldKey]: value } }
+ * Returns JSON: { ok, values: { [fieldKey]: value }, issues: [{ key, label, error }] }
+ * Values are validated/coerced against the schema (see services/sowDraft.js) so the client can merge them
+ * into templateData after a per-field review.
+ */
+app.post('/api/ai/draft', async (req, res) => {
+  try {
+    if (!(await llm.ensureReady())) {
+      return res.status(503).json({ ok: false, error: NOT_READY });
+    }
+    const { schema, brief, existing = {} } = req.body || {};
+    if (!String(brief || '').trim()) {
+      return res.status(400).json({ ok: false, error: 'brief is required' });
+    }
+    const fields = collectDraftFields(schema);
+    if (fields.length === 0) {
+      return res.status(400).json({ ok: false, error: 'schema has no fields to draft' });
+    }
+
+    const { systemPrompt, prompt } = buildDraftPrompt(fields, brief, existing);
+    const parsed = await chatForJson(
+      [{ role: 'system', content: systemPrompt }, { role: 'user', content: prompt }],
+      1500
+    );
+    if (!parsed) {
+      return res.status(502).json({ ok: false, error: 'The model did not return valid JSON. Try again or shorten the brief.' });
+    }
+
+    const { values, issues } = validateDraft(parsed, fields);
+    res.json({ ok: true, values, issues });
+  } catch (e) {
+    sendAIError(res, 'draft', e);
+  }
+});
+
+/**
+ * Import from text: extract template field values from pasted call notes, emails or RFP text.
+ * Body: { schema: { fields?, sections? }, text: string }
+ * Returns JSON: { ok, proposals: [{ key, label, value, sources: [{ index, text, start, end }], grounded }], issues }
+ * Each proposal cites the sentences of `text` it comes from (offsets point into `text`); grounded is false when
+ * no sentence holds the value's numbers, dates, names and words. See services/sowExtract.js. Nothing is merged without the user confirming it.
+ */
+app.post('/api/ai/extract', async (req, res) => {
+  try {
+    if (!(await llm.ensureReady())) {
+      return res.status(503).json({ ok: false, error: NOT_READY });
+    }
+    const { schema, text } = req.body || {};
+    const source = String(text || '');
+    if (!source.trim()) {
+      return res.status(400).json({ ok: false, error: 'text is required' });
+    }
+    if (source.length > MAX_SOURCE_CHARS) {
+      return res.status(413).json({ ok: false, error: `text is too long (max ${MAX_SOURCE_CHARS} characters). Paste the relevant part only.` });
+    }
+    const fields = collectDraftFields(schema);
+    if (fields.length === 0) {
+      return res.status(400).json({ ok: false, error: 'schema has no fields to fill' });
+    }
+
+    const sentences = splitSentences(source);
+    const { systemPrompt, prompt } = buildExtractPrompt(fields, sentences);
+    const parsed = await chatForJson(
+      [{ role: 'system', content: systemPrompt }, { role: 'user', content: prompt }],
+      2000
+    );
+    if (!parsed) {
+      return res.status(502).json({ ok: false, error: 'The model did not return valid JSON. Try again with a shorter text.' });
+    }
+
+    const { proposals, issues } = validateExtraction(parsed, fields, sentences);
+    res.json({ ok: true, proposals, issues });
+  } catch (e) {
+    sendAIError(res, 'extract', e);
+  }
+});
+
+/**
+ * Contract-risk review of a filled SOW (see services/sowRisk.js).
+ * Body: { schema: { fields?, sections? }, values: { [fieldKey]: value } }
+ * Returns JSON: { ok, findings: [{ id, source, category, severity, fieldKey, label, issue, quote, replacement, row? }], modelError? }
+ * The pattern pre-pass always runs; when the model is not ready, busy or replies without valid JSON, its findings
+ * are returned alone with `modelError` saying why.
+ */
+app.post('/api/ai/risk', async (req, res) => {
+  try {
+    const { schema, values } = req.body || {};
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return res.status(400).json({ ok: false, error: 'values object is required' });
+    }
+    const fields = collectReviewFields(schema, values);
+    if (!fields.some((f) => f.text)) {
+      return res.status(400).json({ ok: false, error: 'Fill in the SOW before running a risk review.' });
+    }
+
+    const findings = runRiskPatterns(fields);
+    if (!(await llm.ensureReady())) {
+      return res.json({ ok: true, findings, modelError: NOT_READY });
+    }
+    let parsed = null;
+    try {
+      const { systemPrompt, prompt } = buildRiskPrompt(fields);
+      parsed = await chatForJson(
+        [{ role: 'system', content: systemPrompt }, { role: 'user', content: prompt }],
+        1500
+      );
+    } catch (e) {
+      if (!e?.status) throw e;
+      return res.json({ ok: true, findings, modelError: e.message });
+    }
+    if (!parsed) {
+      return res.json({ ok: true, findings, modelError: 'The model did not return valid JSON; only the pattern checks ran.' });
+    }
+    res.json({ ok: true, findings: [...findings, ...validateRiskFindings(parsed, fields, findings)] });
+  } catch (e) {
+    sendAIError(res, 'risk review', e);
+  }
+});
+
+/**
+ * Per-field assistant action.
+ * Body: { action: 'formal'|'expand'|'shorten'|'bullets'|'draft', field: { key, label, type, hint?, itemLabel? },
+ *         section?: string, value?: any, context?: { [fieldKey]: value } }
+ * Returns JSON: { ok, suggestion } — a string, or string[] for list fields.
+ */
+app.post('/api/ai/field', async (req, res) => {
+  try {
+    if (!(await llm.ensureReady())) {
+      return res.status(503).json({ ok: false, error: NOT_READY });
+    }
+    const { action, field, section = '', value = '', context: values = {} } = req.body || {};
+    if (!isFieldAction(action)) {
+      return res.status(400).json({ ok: false, error: 'action must be one of formal, expand, shorten, bullets, draft' });
+    }
+    if (!field || !field.key) {
+      return res.status(400).json({ ok: false, error: 'field with a key is required' });
+    }
+    if (action !== 'draft' && !String(Array.isArray(value) ? value.join('') : value || '').trim()) {
+      return res.status(400).json({ ok: false, error: 'The field is empty; use the draft action instead.' });
+    }
+
+    const { systemPrompt, prompt } = buildFieldActionPrompt({ action, field, section, value, context: values });
+    const text = await llm.chat(
+      [{ role: 'system', content: systemPrompt }, { role: 'user', content: prompt }],
+      { temperature: 0.3, topP: 0.9, maxTokens: 700 }
+    );
+    const parsed = parseFieldActionReply(field, text);
+    if (parsed.error) return res.status(502).json({ ok: false, error: parsed.error });
+    res.json({ ok: true, suggestion: parsed.value });
+  } catch (e) {
+    sendAIError(res, 'field action', e);
+  }
 });
+
+// Listen only when started directly (npm start); the route tests import the app and pick their own port.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    // eslint-disable-next-line no-console
+    console.log(`SOW backend running on http://localhost:${PORT}`);
+  });
+}
+
+export default app;
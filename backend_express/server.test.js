@@ -0,0 +1,119 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The AI routes run against the mock provider with one slot and no waiting room, so a second concurrent call gets a 429.
+// The stores and the provider read their env when they load, so it is set before importing the app.
+process.env.SOW_DATA_DIR = await mkdtemp(path.join(os.tmpdir(), 'sow-server-'));
+Object.assign(process.env, { LLM_PROVIDER: 'mock', LLM_CONTEXTS: '1', LLM_QUEUE_MAX: '0', LLM_MOCK_DELAY_MS: '5' });
+const { default: app } = await import('./server.js');
+
+let server;
+let base;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(process.env.SOW_DATA_DIR, { recursive: true, force: true });
+});
+
+const post = (route, body) =>
+  fetch(`${base}${route}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+// The `data:` payloads of an SSE response, in order.
+async function events(resp) {
+  assert.match(resp.headers.get('content-type'), /^text\/event-stream/);
+  const text = await resp.text();
+  return text
+    .split('\n\n')
+    .filter((chunk) => chunk.startsWith('data: '))
+    .map((chunk) => JSON.parse(chunk.slice('data: '.length)));
+}
+
+test('/api/chat streams the reply token by token and ends with the full content', async () => {
+  const resp = await post('/api/chat', { messages: [{ role: 'user', content: 'Outline the project phases\nand more' }] });
+  assert.equal(resp.status, 200);
+  const sent = await events(resp);
+  const done = sent.at(-1);
+  assert.deepEqual(done, { done: true, content: '[mock] Outline the project phases' });
+  assert.equal(sent.slice(0, -1).map((e) => e.token).join(''), done.content);
+
+  const plain = await post('/api/chat', { messages: [{ role: 'user', content: 'Hi' }], stream: false });
+  assert.deepEqual(await plain.json(), { ok: true, content: '[mock] Hi' });
+  assert.equal((await post('/api/chat', { messages: [] })).status, 400);
+});
+
+test('/api/ai/sow answers with JSON or, with stream, with SSE events', async () => {
+  const resp = await post('/api/ai/sow', { prompt: 'CRM migration for Acme' });
+  assert.equal(resp.status, 200);
+  assert.deepEqual(await resp.json(), { ok: true, sow: '[mock] CRM migration for Acme' });
+
+  const streamed = await events(await post('/api/ai/sow', { prompt: 'CRM migration for Acme', stream: true }));
+  assert.deepEqual(streamed.at(-1), { done: true, content: '[mock] CRM migration for Acme' });
+
+  const grounded = await post('/api/ai/sow', { prompt: 'CRM migration', grounding: true });
+  assert.deepEqual((await grounded.json()).sources, []);
+  assert.equal((await post('/api/ai/sow', { prompt: '  ' })).status, 400);
+});
+
+test('/api/ai/sow with continueFrom sends the partial draft back and asks the model to go on', async () => {
+  const body = { prompt: 'CRM migration for Acme', continueFrom: '## Overview\nAcme moves its CRM' };
+  const continued = await post('/api/ai/sow', body);
+  // The mock echoes the last user message, which is now the request to continue
+  assert.deepEqual(await continued.json(), {
+    ok: true,
+    sow: '[mock] Continue the SOW exactly where it stopped. Do not repeat any text already written.',
+  });
+
+  const streamed = await events(await post('/api/ai/sow', { ...body, stream: true }));
+  assert.match(streamed.at(-1).content, /^\[mock\] Continue the SOW exactly where it stopped/);
+});
+
+test('/api/ai/draft returns schema-checked values keyed by field', async () => {
+  const schema = {
+    sections: [
+      {
+        section: 'Project',
+        fields: [
+          { key: 'project_title', label: 'Project Title', type: 'text' },
+          { key: 'start_date', label: 'Start Date', type: 'date' },
+          { key: 'deliverables', label: 'Deliverables', type: 'list' },
+        ],
+      },
+    ],
+  };
+  const resp = await post('/api/ai/draft', { schema, brief: 'CRM migration for Acme starting in January.' });
+  assert.equal(resp.status, 200);
+  const { ok, values, issues } = await resp.json();
+  assert.equal(ok, true);
+  assert.deepEqual(issues, []);
+  assert.deepEqual(Object.keys(values).sort(), ['deliverables', 'project_title', 'start_date']);
+  assert.equal(values.project_title, 'Mock Project Title');
+  assert.equal(values.start_date, '2025-01-01');
+  assert.ok(Array.isArray(values.deliverables));
+
+  assert.equal((await post('/api/ai/draft', { schema, brief: '' })).status, 400);
+  assert.equal((await post('/api/ai/draft', { schema: {}, brief: 'CRM' })).status, 400);
+});
+
+test('a call that finds the only slot taken and no room to wait gets a 429 with retryAfter', async () => {
+  const long = await post('/api/chat', { messages: [{ role: 'user', content: 'one two three four five six seven eight' }] });
+  assert.equal(long.status, 200);
+
+  const busy = await post('/api/ai/sow', { prompt: 'CRM migration' });
+  assert.equal(busy.status, 429);
+  assert.equal(busy.headers.get('retry-after'), '5');
+  const body = await busy.json();
+  assert.equal(body.ok, false);
+  assert.equal(body.retryAfter, 5);
+  assert.equal(body.queueDepth, 0);
+
+  assert.equal((await events(long)).at(-1).done, true);
+});
@@ -0,0 +1,155 @@
+import { nanoid } from 'nanoid';
+import { createCollection, isValidId } from './jsonStore.js';
+import { getRevision } from './revisionStore.js';
+import { workflowOf } from './workflow.js';
+
+/**
+ * Review comments: threads anchored to a field of a SOW or to a line of its template transcript.
+ *
+ * Each thread is stored in comments/<sowId>/<threadId>.json:
+ *  {
+ *    id, sowId,
+ *    anchor: { kind: 'field', fieldKey } | { kind: 'line', line, quote },   // line: 1-based transcript line
+ *    revision, revisionId,                 // SOW revision the thread was opened on
+ *    status: 'open' | 'resolved', resolvedBy, resolvedAt,
+ *    messages: [{ id, author, body, mentions: [name], revision, createdAt }],
+ *    createdAt, updatedAt
+ *  }
+ *
+ * @mentions are matched against the people the SOW knows (workflow assignees and earlier commenters, names may contain
+ * spaces), otherwise taken as the single word after the @.
+ */
+
+export const THREAD_STATUSES = ['open', 'resolved'];
+
+const MAX_BODY = 5000;
+
+const collections = new Map();
+
+function commentsOf(sowId) {
+  if (!isValidId(sowId)) throw new Error(`Invalid SOW id: ${sowId}`);
+  if (!collections.has(sowId)) collections.set(sowId, createCollection(`comments/${sowId}`));
+  return collections.get(sowId);
+}
+
+const cleanName = (v) => String(v || '').trim().slice(0, 200);
+
+// PUBLIC_INTERFACE
+export function extractMentions(body, knownNames = []) {
+  /** Names mentioned with @ in `body`: known names first (longest match, their own spelling), else the word after @. */
+  const text = String(body || '');
+  const names = Array.from(new Set(knownNames.map(cleanName).filter(Boolean))).sort((a, b) => b.length - a.length);
+  const found = new Map();
+  for (let i = text.indexOf('@'); i !== -1; i = text.indexOf('@', i + 1)) {
+    if (i > 0 && /[\w@]/.test(text[i - 1])) continue;
+    const rest = text.slice(i + 1);
+    const known = names.find((n) => rest.toLowerCase().startsWith(n.toLowerCase()) && !/\w/.test(rest[n.length] || ''));
+    const name = known || (rest.match(/^\w[\w.-]*/)?.[0] || '').replace(/[.-]+$/, '');
+    if (name && !found.has(name.toLowerCase())) found.set(name.toLowerCase(), name);
+  }
+  return Array.from(found.values());
+}
+
+function peopleOf(sow, threads) {
+  const { assignees } = workflowOf(sow);
+  const fromWorkflow = Object.values(assignees).flatMap((p) => [p?.reviewer, p?.approver]);
+  const commenters = threads.flatMap((t) => t.messages.map((m) => m.author));
+  return [...fromWorkflow, ...commenters].filter(Boolean);
+}
+
+function message(sow, { author, body }, names) {
+  return {
+    id: nanoid(),
+    author: cleanName(author),
+    body: String(body).trim().slice(0, MAX_BODY),
+    mentions: extractMentions(body, names),
+    revision: sow.revision || 0,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// Whether the anchored field has a different value now than on the revision the thread was opened on.
+async function fieldChangedSince(sow, thread, revisions) {
+  if (thread.anchor?.kind !== 'field' || !thread.revisionId || thread.revisionId === sow.latestRevisionId) return false;
+  if (!revisions.has(thread.revisionId)) revisions.set(thread.revisionId, await getRevision(sow.id, thread.revisionId));
+  const rev = revisions.get(thread.revisionId);
+  if (!rev) return false;
+  const key = thread.anchor.fieldKey;
+  return JSON.stringify(rev.data?.templateData?.[key] ?? null) !== JSON.stringify(sow.data?.templateData?.[key] ?? null);
+}
+
+// PUBLIC_INTERFACE
+export async function listThreads(sow, { status } = {}) {
+  /**
+   * Threads of a SOW, oldest first, optionally only 'open' or 'resolved' ones. Field threads carry `fieldChanged`:
+   * true when the field was edited after the revision the thread was opened on.
+   */
+  const threads = (await commentsOf(sow.id).list())
+    .filter((t) => !status || t.status === status)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  const revisions = new Map();
+  const out = [];
+  for (const t of threads) out.push({ ...t, fieldChanged: await fieldChangedSince(sow, t, revisions) });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export async function countOpenThreads(sowId) {
+  /** Number of unresolved threads of a SOW. */
+  return (await commentsOf(sowId).list()).filter((t) => t.status === 'open').length;
+}
+
+// PUBLIC_INTERFACE
+export async function createThread(sow, { anchor, author, body }) {
+  /** Open a thread on `anchor` with its first message, recorded against the SOW's current revision. */
+  const threads = await commentsOf(sow.id).list();
+  const now = new Date().toISOString();
+  const thread = {
+    id: nanoid(),
+    sowId: sow.id,
+    anchor:
+      anchor.kind === 'field'
+        ? { kind: 'field', fieldKey: String(anchor.fieldKey) }
+        : { kind: 'line', line: Number(anchor.line), quote: String(anchor.quote || '').slice(0, 300) },
+    revision: sow.revision || 0,
+    revisionId: sow.latestRevisionId || '',
+    status: 'open',
+    resolvedBy: '',
+    resolvedAt: null,
+    messages: [message(sow, { author, body }, peopleOf(sow, threads))],
+    createdAt: now,
+    updatedAt: now,
+  };
+  return commentsOf(sow.id).put(thread.id, thread);
+}
+
+// PUBLIC_INTERFACE
+export async function replyToThread(sow, threadId, { author, body }) {
+  /** Add a message to a thread. Resolves null if the thread does not exist. */
+  const names = peopleOf(sow, await commentsOf(sow.id).list());
+  return commentsOf(sow.id).update(threadId, (thread) => ({
+    ...thread,
+    messages: [...thread.messages, message(sow, { author, body }, names)],
+    updatedAt: new Date().toISOString(),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function setThreadStatus(sowId, threadId, { status, actor }) {
+  /** Resolve or reopen a thread. Resolves null if the thread does not exist. */
+  const now = new Date().toISOString();
+  return commentsOf(sowId).update(threadId, (thread) => ({
+    ...thread,
+    status,
+    resolvedBy: status === 'resolved' ? cleanName(actor) : '',
+    resolvedAt: status === 'resolved' ? now : null,
+    updatedAt: now,
+  }));
+}
+
+// PUBLIC_INTERFACE
+export async function deleteComments(sowId) {
+  /** Remove all threads of a SOW (used when the SOW itself is deleted). */
+  await commentsOf(sowId).drop();
+  collections.delete(sowId);
+}
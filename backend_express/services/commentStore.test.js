@@ -0,0 +1,98 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The stores read SOW_DATA_DIR when they load, so it is set before importing them.
+process.env.SOW_DATA_DIR = await mkdtemp(path.join(os.tmpdir(), 'sow-comments-'));
+const { countOpenThreads, createThread, extractMentions, listThreads, replyToThread, setThreadStatus } = await import(
+  './commentStore.js'
+);
+const { assignReviewers, createSow, deleteSow, getSow, transitionSow, updateSow } = await import('./sowStore.js');
+
+after(() => rm(process.env.SOW_DATA_DIR, { recursive: true, force: true }));
+
+const PEOPLE = {
+  internal_review: { reviewer: 'Rita Moreno', approver: 'Ann' },
+  client_review: { reviewer: 'Carl', approver: 'Cleo' },
+};
+
+test('mentions are the words after @, without trailing punctuation', () => {
+  assert.deepEqual(extractMentions('@sam, can you check this? Thanks @j.doe.'), ['sam', 'j.doe']);
+  assert.deepEqual(extractMentions('(@rita) and @ann-; @bob!'), ['rita', 'ann', 'bob']);
+  assert.deepEqual(extractMentions('Nobody here'), []);
+  assert.deepEqual(extractMentions(null), []);
+});
+
+test('email addresses and a lone @ are not mentions', () => {
+  assert.deepEqual(extractMentions('Write to sam@acme.example or @ me, not @@team'), []);
+  assert.deepEqual(extractMentions('Ping @cleo at cleo@acme.example'), ['cleo']);
+});
+
+test('known names match with their spaces and spelling, and each person is mentioned once', () => {
+  const known = ['Rita Moreno', 'Rita', 'Ann'];
+  assert.deepEqual(extractMentions('@rita moreno please review; @Rita Moreno.', known), ['Rita Moreno']);
+  assert.deepEqual(extractMentions('@Rita and @rita and @RITA', known), ['Rita']);
+  assert.deepEqual(extractMentions('@Annabel and @ann', known), ['Annabel', 'Ann']);
+  assert.deepEqual(extractMentions('@sam @Sam', []), ['sam']);
+});
+
+test('threads record mentions of the SOW people, and resolving and reopening change the open count', async () => {
+  const sow = await createSow({ title: 'Migration', data: { templateData: { scope_of_work: 'Migrate the CRM.' } } });
+  await assignReviewers(sow.id, PEOPLE);
+  const current = await getSow(sow.id);
+
+  const thread = await createThread(current, {
+    anchor: { kind: 'field', fieldKey: 'scope_of_work' },
+    author: 'Sam',
+    body: '@Rita Moreno is the ERP in scope?',
+  });
+  assert.deepEqual(thread.messages[0].mentions, ['Rita Moreno']);
+  assert.equal(thread.status, 'open');
+  // Earlier commenters become known names too
+  const reply = await replyToThread(current, thread.id, { author: 'Rita Moreno', body: 'No. @sam, see the notes.' });
+  assert.deepEqual(reply.messages[1].mentions, ['Sam']);
+  assert.equal(await countOpenThreads(sow.id), 1);
+
+  const resolved = await setThreadStatus(sow.id, thread.id, { status: 'resolved', actor: 'Sam' });
+  assert.equal(resolved.resolvedBy, 'Sam');
+  assert.equal(await countOpenThreads(sow.id), 0);
+  await setThreadStatus(sow.id, thread.id, { status: 'open', actor: 'Sam' });
+  assert.equal(await countOpenThreads(sow.id), 1);
+
+  const edited = await updateSow(sow.id, { data: { templateData: { scope_of_work: 'Migrate the CRM and the ERP.' } } });
+  const [listed] = await listThreads(edited.sow);
+  assert.equal(listed.fieldChanged, true);
+  assert.deepEqual(await listThreads(edited.sow, { status: 'resolved' }), []);
+  assert.equal(await setThreadStatus(sow.id, 'missing', { status: 'resolved' }), null);
+});
+
+test('open threads block approval and resolved ones do not', async () => {
+  const sow = await createSow({ title: 'Rollout', data: { templateData: { scope_of_work: 'Roll out the scanners.' } } });
+  await assignReviewers(sow.id, PEOPLE);
+  await transitionSow(sow.id, 'submit', { actor: 'Sam' });
+  await transitionSow(sow.id, 'review', { actor: 'Rita Moreno' });
+  const current = await getSow(sow.id);
+  const ask = (anchor, body) => createThread(current, { anchor, author: 'Ann', body });
+  const first = await ask({ kind: 'line', line: 3, quote: 'Scope' }, 'Which sites?');
+  const second = await ask({ kind: 'field', fieldKey: 'scope_of_work' }, 'Dates?');
+
+  const blocked = await transitionSow(sow.id, 'approve', { actor: 'Ann' });
+  assert.deepEqual(blocked, { ok: false, status: 409, error: 'Resolve the 2 open comment threads first.' });
+
+  await setThreadStatus(sow.id, first.id, { status: 'resolved', actor: 'Ann' });
+  assert.equal((await transitionSow(sow.id, 'approve', { actor: 'Ann' })).error, 'Resolve the 1 open comment thread first.');
+
+  await setThreadStatus(sow.id, second.id, { status: 'resolved', actor: 'Ann' });
+  const approved = await transitionSow(sow.id, 'approve', { actor: 'Ann' });
+  assert.equal(approved.ok, true);
+  assert.equal(approved.sow.workflow.status, 'client_review');
+  assert.equal((await listThreads(approved.sow, { status: 'resolved' })).length, 2);
+
+  // Deleting the SOW takes its threads with it
+  await transitionSow(sow.id, 'request_changes', { actor: 'Carl', comment: 'Not yet.' });
+  assert.deepEqual(await deleteSow(sow.id), { ok: true });
+  assert.equal(await countOpenThreads(sow.id), 0);
+  assert.deepEqual(await listThreads({ id: sow.id }), []);
+});
@@ -0,0 +1,141 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Minimal on-disk JSON document store.
+ *
+ * Each collection is a folder under SOW_DATA_DIR (default: ./data) holding one
+ * `<id>.json` file per document. Writes go through a temp file + rename so a crash
+ * never leaves a half-written document, and writes to the same id are serialized.
+ *
+ * Env:
+ *  - SOW_DATA_DIR: folder that holds all collections (default: ./data)
+ */
+
+const DATA_DIR = path.resolve(process.env.SOW_DATA_DIR || './data');
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// PUBLIC_INTERFACE
+export function isValidId(id) {
+  /** Ids are nanoid-style tokens; anything else is rejected so it can never escape the collection folder. */
+  return typeof id === 'string' && ID_RE.test(id);
+}
+
+// PUBLIC_INTERFACE
+export function getDataDir() {
+  /** Absolute path of the folder that holds all collections. */
+  return DATA_DIR;
+}
+
+// PUBLIC_INTERFACE
+export function createCollection(name) {
+  /**
+   * Create (lazily) a named collection.
+   * Returns { list, get, put, update, remove, drop } — all async, all resolving plain JSON objects.
+   */
+  const dir = path.join(DATA_DIR, name);
+  const queues = new Map();
+  let ready = null;
+
+  function ensureDir() {
+    if (!ready) ready = fs.mkdir(dir, { recursive: true });
+    return ready;
+  }
+
+  function fileFor(id) {
+    if (!isValidId(id)) throw new Error(`Invalid document id: ${id}`);
+    return path.join(dir, `${id}.json`);
+  }
+
+  // Chain operations per id so concurrent writes cannot interleave.
+  function serialize(id, fn) {
+    const prev = queues.get(id) || Promise.resolve();
+    const next = prev.then(fn, fn);
+    const settled = next.catch(() => {});
+    queues.set(id, settled);
+    settled.then(() => {
+      if (queues.get(id) === settled) queues.delete(id);
+    });
+    return next;
+  }
+
+  async function readFile(id) {
+    try {
+      const raw = await fs.readFile(fileFor(id), 'utf8');
+      return JSON.parse(raw);
+    } catch (e) {
+      if (e?.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function writeFile(id, doc) {
+    await ensureDir();
+    const target = fileFor(id);
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(doc, null, 2), 'utf8');
+    await fs.rename(tmp, target);
+    return doc;
+  }
+
+  async function get(id) {
+    if (!isValidId(id)) return null;
+    return readFile(id);
+  }
+
+  async function list() {
+    await ensureDir();
+    const names = await fs.readdir(dir);
+    const ids = names.filter((n) => n.endsWith('.json')).map((n) => n.slice(0, -'.json'.length));
+    const docs = await Promise.all(ids.map((id) => get(id).catch(() => null)));
+    return docs.filter(Boolean);
+  }
+
+  function put(id, doc) {
+    return serialize(id, () => writeFile(id, doc));
+  }
+
+  /**
+   * Read-modify-write under the per-id lock.
+   * `mutator(current)` returns the next document; resolves null when the document does not exist.
+   */
+  function update(id, mutator) {
+    if (!isValidId(id)) return Promise.resolve(null);
+    return serialize(id, async () => {
+      const current = await readFile(id);
+      if (!current) return null;
+      const next = await mutator(current);
+      return writeFile(id, next);
+    });
+  }
+
+  /**
+   * Delete a document under the per-id lock; resolves true when it was removed.
+   * Optional `allow(current)` is asked first and leaves the document in place when it returns false.
+   */
+  function remove(id, allow) {
+    if (!isValidId(id)) return Promise.resolve(false);
+    return serialize(id, async () => {
+      if (allow) {
+        const current = await readFile(id);
+        if (!current || !(await allow(current))) return false;
+      }
+      try {
+        await fs.unlink(fileFor(id));
+        return true;
+      } catch (e) {
+        if (e?.code === 'ENOENT') return false;
+        throw e;
+      }
+    });
+  }
+
+  /** Delete the whole collection folder. */
+  async function drop() {
+    await Promise.all(Array.from(queues.values()));
+    await fs.rm(dir, { recursive: true, force: true });
+    ready = null;
+  }
+
+  return { list, get, put, update, remove, drop };
+}
@@ -0,0 +1,90 @@
+import { createLlamaCppProvider } from './providers/llamaCpp.js';
+import { createOpenAICompatibleProvider } from './providers/openaiCompatible.js';
+import { createMockProvider } from './providers/mock.js';
+import { createRequestQueue } from './llmQueue.js';
+
+/**
+ * LLM provider layer.
+ *
+ * Every provider implements the same interface, so routes never depend on a specific backend:
+ *
+ *  {
+ *    name: string,
+ *    init(): Promise<void>                       - load the model / probe the server (never throws)
+ *    ensureReady(): Promise<boolean>             - ready for requests (may re-probe a remote server)
+ *    status(): { provider, ready, model, error } - for /api/health
+ *    chat(messages, options): Promise<string>    - messages: [{ role: 'system'|'user'|'assistant', content }]
+ *    chatStream(messages, options): Promise<string>
+ *                                                - like chat, calling options.onToken(text) per token;
+ *                                                  resolves the full text, stops early on options.signal
+ *    complete(prompt, options): Promise<string>  - raw text completion
+ *  }
+ *  options: { temperature?, topP?, maxTokens?, signal?, onToken? }
+ *
+ * Factories receive { slots }: the number of calls that may run at once (llama creates one context per slot).
+ * getLLM() wraps the provider so chat/chatStream/complete go through a bounded queue (services/llmQueue.js);
+ * the wrapped calls also accept options.onQueued(position), and status() adds { queue }.
+ *
+ * Env:
+ *  - LLM_PROVIDER: "llama" (default, in-process llama.cpp), "openai" (OpenAI-compatible HTTP server) or "mock"
+ *  - LLM_CONTEXTS: parallel slots / llama contexts (default 1)
+ *  - LLM_QUEUE_MAX: requests allowed to wait for a slot before new ones get 429 (default 16)
+ *  - LLM_REQUEST_TIMEOUT_MS: per-request limit for waiting + generating, then 504 (default 120000)
+ *  - see providers/*.js for the settings of each provider
+ */
+
+const FACTORIES = {
+  llama: createLlamaCppProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+let instance = null;
+
+// PUBLIC_INTERFACE
+export function createProvider(name = process.env.LLM_PROVIDER || 'llama', { slots = 1 } = {}) {
+  /** Create a provider by name; throws for unknown names so a typo in LLM_PROVIDER fails at startup. */
+  const factory = FACTORIES[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(FACTORIES).join(', ')}.`);
+  }
+  return factory({ slots });
+}
+
+// PUBLIC_INTERFACE
+export function withQueue(provider, queue) {
+  /** Provider whose generation calls run through `queue`; rejects with 429/504 errors from llmQueue.js. */
+  const queued = (call) => (input, options = {}) =>
+    queue.run((signal) => provider[call](input, { ...options, signal }), {
+      signal: options.signal,
+      onPosition: options.onQueued,
+    });
+  return {
+    ...provider,
+    chat: queued('chat'),
+    chatStream: queued('chatStream'),
+    complete: queued('complete'),
+    status: () => ({ ...provider.status(), queue: queue.stats() }),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function getLLM() {
+  /** Process-wide queued provider selected by LLM_PROVIDER (created on first use). */
+  if (!instance) {
+    const slots = Math.max(1, Number(process.env.LLM_CONTEXTS || 1));
+    const queue = createRequestQueue({
+      slots,
+      maxQueue: Math.max(0, Number(process.env.LLM_QUEUE_MAX ?? 16)),
+      timeoutMs: Number(process.env.LLM_REQUEST_TIMEOUT_MS || 120000),
+    });
+    instance = withQueue(createProvider(undefined, { slots }), queue);
+  }
+  return instance;
+}
+
+// PUBLIC_INTERFACE
+export function setLLM(provider) {
+  /** Replace the process-wide provider (e.g. a mock in scripts exercising the AI routes). */
+  instance = provider;
+}
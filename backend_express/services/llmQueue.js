@@ -0,0 +1,130 @@
+/**
+ * Bounded FIFO job queue for LLM calls.
+ *
+ * At most `slots` jobs run at once (one per model context); up to `maxQueue` more wait in line.
+ * A full queue rejects immediately with a 429 error, a job that does not finish within `timeoutMs`
+ * (waiting + running) rejects with a 504 error, and an aborted caller signal removes the job.
+ * Errors carry an HTTP `status` so routes can answer with it directly.
+ */
+
+// PUBLIC_INTERFACE
+export class QueueFullError extends Error {
+  /** The queue already holds maxQueue waiting jobs. */
+  constructor(queueDepth) {
+    super(`The AI is busy (${queueDepth} requests waiting). Try again shortly.`);
+    this.name = 'QueueFullError';
+    this.status = 429;
+    this.queueDepth = queueDepth;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class QueueTimeoutError extends Error {
+  /** The job did not finish within its timeout. */
+  constructor(timeoutMs) {
+    super(`The AI request timed out after ${Math.round(timeoutMs / 1000)} s.`);
+    this.name = 'QueueTimeoutError';
+    this.status = 504;
+  }
+}
+
+function abortError() {
+  const e = new Error('The request was cancelled.');
+  e.name = 'AbortError';
+  return e;
+}
+
+// PUBLIC_INTERFACE
+export function createRequestQueue({ slots = 1, maxQueue = 16, timeoutMs = 120000 } = {}) {
+  /** Return { run(task, options), stats() }; task(signal) returns a promise and should stop when signal aborts. */
+  const waiting = [];
+  let running = 0;
+
+  function notifyPositions() {
+    waiting.forEach((entry, i) => entry.onPosition?.(i + 1));
+  }
+
+  function next() {
+    while (running < slots && waiting.length) waiting.shift().start();
+    notifyPositions();
+  }
+
+  // options: { signal?, onPosition?(position) called while waiting, timeoutMs? }
+  function run(task, options = {}) {
+    const { signal, onPosition } = options;
+    const limit = Number(options.timeoutMs || timeoutMs);
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+      if (running >= slots && waiting.length >= maxQueue) {
+        reject(new QueueFullError(waiting.length));
+        return;
+      }
+
+      const controller = new AbortController();
+      let settled = false;
+      const entry = { start, onPosition };
+      const timer = setTimeout(() => fail(new QueueTimeoutError(limit)), limit);
+      const onAbort = () => fail(abortError());
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      function settle() {
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+
+      // Rejects the caller right away; a running task keeps its slot until it actually stops.
+      function fail(err) {
+        if (settled) return;
+        settle();
+        controller.abort(err);
+        const i = waiting.indexOf(entry);
+        if (i >= 0) {
+          waiting.splice(i, 1);
+          notifyPositions();
+        }
+        reject(err);
+      }
+
+      function start() {
+        running += 1;
+        Promise.resolve()
+          .then(() => task(controller.signal))
+          .then(
+            (value) => {
+              if (settled) return;
+              settle();
+              resolve(value);
+            },
+            (err) => {
+              if (settled) return;
+              settle();
+              reject(err);
+            }
+          )
+          .finally(() => {
+            running -= 1;
+            next();
+          });
+      }
+
+      if (running < slots && waiting.length === 0) {
+        start();
+      } else {
+        waiting.push(entry);
+        onPosition?.(waiting.length);
+      }
+    });
+  }
+
+  return {
+    run,
+    stats() {
+      return { running, waiting: waiting.length, slots, maxQueue, timeoutMs };
+    },
+  };
+}
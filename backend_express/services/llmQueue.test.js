@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueueFullError, QueueTimeoutError, createRequestQueue } from './llmQueue.js';
+
+// A fake provider call that runs until the test finishes it (or its signal aborts, when `stopOnAbort`).
+function job(name, { stopOnAbort = true } = {}) {
+  const j = { name, started: false, signal: null };
+  j.task = (signal) => {
+    j.started = true;
+    j.signal = signal;
+    return new Promise((resolve, reject) => {
+      j.finish = () => resolve(name);
+      if (stopOnAbort) signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+  };
+  return j;
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('at most `slots` jobs run at once and the rest start in arrival order', async () => {
+  const queue = createRequestQueue({ slots: 2, maxQueue: 4, timeoutMs: 1000 });
+  const jobs = ['a', 'b', 'c', 'd'].map((n) => job(n));
+  const results = jobs.map((j) => queue.run(j.task));
+  await tick();
+  assert.deepEqual(jobs.map((j) => j.started), [true, true, false, false]);
+  assert.deepEqual(queue.stats(), { running: 2, waiting: 2, slots: 2, maxQueue: 4, timeoutMs: 1000 });
+
+  jobs[1].finish();
+  assert.equal(await results[1], 'b');
+  await tick();
+  assert.deepEqual(jobs.map((j) => j.started), [true, true, true, false]);
+
+  jobs[0].finish();
+  jobs[2].finish();
+  await tick();
+  jobs[3].finish();
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c', 'd']);
+  assert.equal(queue.stats().running, 0);
+});
+
+test('a full queue rejects at once with a 429 error', async () => {
+  const queue = createRequestQueue({ slots: 1, maxQueue: 1, timeoutMs: 1000 });
+  const running = job('running');
+  const waiting = job('waiting');
+  const first = queue.run(running.task);
+  const second = queue.run(waiting.task);
+
+  await assert.rejects(queue.run(job('rejected').task), (e) => {
+    assert.ok(e instanceof QueueFullError);
+    assert.equal(e.status, 429);
+    assert.equal(e.queueDepth, 1);
+    return true;
+  });
+
+  await tick();
+  running.finish();
+  await first;
+  await tick();
+  waiting.finish();
+  assert.equal(await second, 'waiting');
+});
+
+test('jobs that wait or run past the timeout reject with a 504 error', async () => {
+  const queue = createRequestQueue({ slots: 1, maxQueue: 2, timeoutMs: 30 });
+  const slow = job('slow');
+  const queued = job('queued');
+  const timedOut = (e) => e instanceof QueueTimeoutError && e.status === 504;
+  await Promise.all([assert.rejects(queue.run(slow.task), timedOut), assert.rejects(queue.run(queued.task), timedOut)]);
+
+  // The running job was told to stop; the waiting one too if it got the freed slot before its own timer fired
+  assert.ok(slow.signal.aborted);
+  assert.ok(slow.signal.reason instanceof QueueTimeoutError);
+  assert.ok(!queued.started || queued.signal.aborted);
+  await tick();
+  assert.deepEqual([queue.stats().running, queue.stats().waiting], [0, 0]);
+});
+
+test('a timed-out job that ignores its signal keeps its slot until it stops', async () => {
+  const queue = createRequestQueue({ slots: 1, maxQueue: 1, timeoutMs: 1000 });
+  const stubborn = job('stubborn', { stopOnAbort: false });
+  const next = job('next');
+  await assert.rejects(queue.run(stubborn.task, { timeoutMs: 20 }), QueueTimeoutError);
+  const later = queue.run(next.task);
+  await tick();
+  assert.equal(next.started, false);
+  assert.equal(queue.stats().running, 1);
+
+  stubborn.finish();
+  await tick();
+  await tick();
+  assert.equal(next.started, true);
+  next.finish();
+  assert.equal(await later, 'next');
+});
+
+test('aborting the caller removes a waiting job and moves the others up', async () => {
+  const queue = createRequestQueue({ slots: 1, maxQueue: 4, timeoutMs: 1000 });
+  const running = job('running');
+  const first = queue.run(running.task);
+  const controller = new AbortController();
+  const cancelled = job('cancelled');
+  const cancelledRun = queue.run(cancelled.task, { signal: controller.signal });
+  const positions = [];
+  const last = job('last');
+  const lastRun = queue.run(last.task, { onPosition: (p) => positions.push(p) });
+  assert.deepEqual(positions, [2]);
+
+  controller.abort();
+  await assert.rejects(cancelledRun, { name: 'AbortError' });
+  assert.deepEqual(positions, [2, 1]);
+  assert.equal(queue.stats().waiting, 1);
+
+  running.finish();
+  await first;
+  await tick();
+  assert.equal(cancelled.started, false);
+  assert.equal(last.started, true);
+  last.finish();
+  assert.equal(await lastRun, 'last');
+});
+
+test('an aborted caller signal stops a running job; an already aborted one never queues', async () => {
+  const queue = createRequestQueue({ slots: 1, maxQueue: 1, timeoutMs: 1000 });
+  const controller = new AbortController();
+  const running = job('running');
+  const run = queue.run(running.task, { signal: controller.signal });
+  await tick();
+  controller.abort();
+  await assert.rejects(run, { name: 'AbortError' });
+  assert.ok(running.signal.aborted);
+
+  await assert.rejects(queue.run(job('late').task, { signal: controller.signal }), { name: 'AbortError' });
+  await tick();
+  assert.deepEqual([queue.stats().running, queue.stats().waiting], [0, 0]);
+});
+
+test('waiting jobs hear their position until they start', async () => {
+  const queue = createRequestQueue({ slots: 1, maxQueue: 3, timeoutMs: 1000 });
+  const jobs = ['a', 'b', 'c'].map((n) => job(n));
+  const positions = { a: [], b: [], c: [] };
+  const runs = jobs.map((j) => queue.run(j.task, { onPosition: (p) => positions[j.name].push(p) }));
+  assert.deepEqual(positions, { a: [], b: [1], c: [2] });
+
+  await tick();
+  jobs[0].finish();
+  await runs[0];
+  await tick();
+  assert.deepEqual(positions, { a: [], b: [1], c: [2, 1] });
+  jobs[1].finish();
+  await runs[1];
+  await tick();
+  jobs[2].finish();
+  assert.deepEqual(await Promise.all(runs), ['a', 'b', 'c']);
+});
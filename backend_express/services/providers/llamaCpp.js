@@ -0,0 +1,118 @@
+/**
+ * In-process llama.cpp provider (through @llama-node).
+ *
+ * The binding is imported lazily so a missing or broken native build only makes this
+ * provider report "not ready" instead of crashing the whole server at startup.
+ *
+ * Env:
+ *  - LLM_MODEL_PATH: path to a local GGUF model file (default ./models/model.gguf)
+ *  - LLM_CTX_SIZE: context tokens (default 2048)
+ *  - LLM_GPU_LAYERS: number of GPU layers if supported by build (default 0)
+ *
+ * One context is created per slot; each call borrows a free context for its whole duration, so
+ * concurrent sessions never share state. The queue in llm.js keeps calls <= slots.
+ */
+
+// PUBLIC_INTERFACE
+export function createLlamaCppProvider({ slots = 1 } = {}) {
+  /** Provider backed by a local GGUF model loaded in this process. */
+  const modelPath = process.env.LLM_MODEL_PATH || './models/model.gguf';
+  const ctxSize = Number(process.env.LLM_CTX_SIZE || 2048);
+  const gpuLayers = Number(process.env.LLM_GPU_LAYERS || 0);
+
+  let ready = false;
+  let error = null;
+  const freeContexts = [];
+  let LlamaChatSession = null;
+
+  async function init() {
+    try {
+      const core = await import('@llama-node/core');
+      const { LlamaCpp } = await import('@llama-node/llama-cpp');
+      const api = core.default && !core.getLlama ? core.default : core;
+      LlamaChatSession = api.LlamaChatSession;
+
+      const llama = await api.getLlama(LlamaCpp);
+      const model = await llama.loadModel(new api.LlamaModel({ modelPath, gpuLayers }));
+      for (let i = 0; i < slots; i += 1) {
+        freeContexts.push(await model.createContext(new api.LlamaContext({ contextSize: ctxSize })));
+      }
+
+      ready = true;
+      error = null;
+      // eslint-disable-next-line no-console
+      console.log(`[llama] Model loaded: ${modelPath} (ctx=${ctxSize}, gpuLayers=${gpuLayers}, contexts=${slots})`);
+    } catch (err) {
+      ready = false;
+      error = err;
+      // eslint-disable-next-line no-console
+      console.error('[llama] Failed to initialize model:', err?.message || err);
+    }
+  }
+
+  // Run fn(context) on a free context and hand it back afterwards.
+  async function withContext(fn) {
+    const context = freeContexts.pop();
+    if (!context) throw new Error('No free llama context; calls must go through the request queue.');
+    try {
+      return await fn(context);
+    } finally {
+      freeContexts.push(context);
+    }
+  }
+
+  // System messages form the system prompt; earlier turns are replayed; the last user turn is prompted.
+  function sessionFor(context, messages) {
+    const system = messages.filter((m) => m.role === 'system').map((m) => m.content);
+    const turns = messages.filter((m) => m.role !== 'system');
+    const last = turns[turns.length - 1];
+    const session = new LlamaChatSession({ context, systemPrompt: system.join('\n') });
+    for (const m of turns.slice(0, -1)) {
+      if (m.role === 'user') session.appendUserMessage(m.content);
+      else if (m.role === 'assistant') session.appendAssistantMessage(m.content);
+    }
+    return { session, prompt: last?.content || '' };
+  }
+
+  function toLlamaOptions({ temperature = 0.4, topP = 0.9, maxTokens = 512, signal } = {}) {
+    return { temperature, topP, maxTokens: Number(maxTokens), signal };
+  }
+
+  return {
+    name: 'llama',
+    init,
+    async ensureReady() {
+      return ready;
+    },
+    status() {
+      return { provider: 'llama', ready, model: modelPath, error: error ? String(error?.message || error) : null };
+    },
+    async chat(messages, options = {}) {
+      return withContext((context) => {
+        const { session, prompt } = sessionFor(context, messages);
+        return session.prompt(prompt, toLlamaOptions(options));
+      });
+    },
+    async chatStream(messages, options = {}) {
+      return withContext(async (context) => {
+        const { session, prompt } = sessionFor(context, messages);
+        let text = '';
+        await session.promptStreaming(prompt, {
+          ...toLlamaOptions(options),
+          onToken: (t) => {
+            text += t;
+            options.onToken?.(t);
+          },
+        });
+        return text;
+      });
+    },
+    async complete(prompt, options = {}) {
+      // The binding only exposes chat sessions; a completion is a single turn without system prompt.
+      return withContext((context) => {
+        const session = new LlamaChatSession({ context, systemPrompt: '' });
+        return session.prompt(prompt, toLlamaOptions(options));
+      });
+    },
+  };
+}
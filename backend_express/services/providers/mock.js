@@ -0,0 +1,91 @@
+/**
+ * Deterministic offline provider for development, demos and scripted checks.
+ *
+ * It never loads a model: replies are derived from the prompt text only, so the same request
+ * always yields the same answer. Prompts asking for a JSON object get one built from the
+ * `- "key": type — label` field spec lines; list prompts get "- " items; anything else is echoed.
+ *
+ * Env:
+ *  - LLM_MOCK_DELAY_MS: delay between streamed tokens (default 0)
+ */
+
+const QUOTED = /"((?:[^"\\]|\\.)*)"/g;
+
+function quotedValues(text) {
+  return [...String(text).matchAll(QUOTED)].map((m) => JSON.parse(`"${m[1]}"`));
+}
+
+// Value matching a type description produced by sowDraft's field spec.
+function mockValue(type, label) {
+  if (type.startsWith('array of strings')) return [`Mock ${label} 1`, `Mock ${label} 2`];
+  if (type.startsWith('array of objects with keys')) {
+    return [Object.fromEntries(quotedValues(type).map((k) => [k, `Mock ${k}`]))];
+  }
+  if (type.startsWith('object with keys')) {
+    return Object.fromEntries(quotedValues(type).map((k) => [k, `Mock ${k}`]));
+  }
+  if (type.startsWith('date')) return '2025-01-01';
+  if (type.startsWith('amount')) return 'USD 10,000';
+  if (type.startsWith('one of')) return quotedValues(type)[0] ?? '';
+  if (type.startsWith('true or false')) return true;
+  return `Mock ${label}`;
+}
+
+function jsonReply(prompt) {
+  const out = {};
+  for (const line of String(prompt).split('\n')) {
+    const m = line.match(/^- ("(?:[^"\\]|\\.)*"): (.+?) — (.+?)(?: \[section:.*)?(?: \(guidance:.*)?$/);
+    if (!m) continue;
+    const key = JSON.parse(m[1]);
+    out[key] = mockValue(m[2], m[3].trim());
+  }
+  return JSON.stringify(out);
+}
+
+function reply(messages) {
+  const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n');
+  const last = [...messages].reverse().find((m) => m.role === 'user')?.content || '';
+  if (/JSON object/.test(system)) return jsonReply(messages.map((m) => m.content).join('\n'));
+  if (/one item per line, each starting with "- "/.test(system)) return '- Mock item 1\n- Mock item 2';
+  const firstLine = String(last).trim().split('\n')[0].slice(0, 120);
+  return `[mock] ${firstLine || 'Hello'}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// PUBLIC_INTERFACE
+export function createMockProvider() {
+  /** Always-ready provider returning deterministic replies without a model. */
+  const delayMs = Number(process.env.LLM_MOCK_DELAY_MS || 0);
+
+  return {
+    name: 'mock',
+    async init() {
+      // eslint-disable-next-line no-console
+      console.log('[llm] Using mock provider (deterministic replies, no model loaded)');
+    },
+    async ensureReady() {
+      return true;
+    },
+    status() {
+      return { provider: 'mock', ready: true, model: 'mock', error: null };
+    },
+    async chat(messages) {
+      return reply(messages);
+    },
+    async chatStream(messages, options = {}) {
+      const tokens = reply(messages).match(/\S+\s*|\s+/g) || [];
+      let text = '';
+      for (const t of tokens) {
+        if (options.signal?.aborted) break;
+        if (delayMs) await sleep(delayMs);
+        text += t;
+        options.onToken?.(t);
+      }
+      return text;
+    },
+    async complete(prompt) {
+      return reply([{ role: 'user', content: prompt }]);
+    },
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * Provider for any OpenAI-compatible HTTP server running locally
+ * (llama.cpp `llama-server`, Ollama, vLLM, LM Studio, ...).
+ *
+ * Env:
+ *  - LLM_BASE_URL: API base including /v1 (default http://127.0.0.1:11434/v1, Ollama's default)
+ *  - LLM_MODEL: model name sent with each request (default "local")
+ *  - LLM_API_KEY: optional bearer token
+ *  - LLM_TIMEOUT_MS: per-request timeout (default 120000)
+ *
+ * Only an unreachable server or rejected credentials (401/403) mark the provider not ready; timeouts and other
+ * error responses (5xx included) fail just the request they happened on. Upstream failures carry status 502,
+ * timeouts 504.
+ */
+
+const PROBE_INTERVAL_MS = 5000;
+
+// PUBLIC_INTERFACE
+export function createOpenAICompatibleProvider() {
+  /** Provider that talks to /v1/chat/completions and /v1/completions of a local server. */
+  const baseUrl = (process.env.LLM_BASE_URL || 'http://127.0.0.1:11434/v1').replace(/\/+$/, '');
+  const model = process.env.LLM_MODEL || 'local';
+  const apiKey = process.env.LLM_API_KEY || '';
+  const timeoutMs = Number(process.env.LLM_TIMEOUT_MS || 120000);
+
+  let ready = false;
+  let error = null;
+  let lastProbe = 0;
+
+  function headers() {
+    return {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    };
+  }
+
+  function timeoutError() {
+    const e = new Error(`LLM request timed out after ${timeoutMs} ms`);
+    e.name = 'TimeoutError';
+    e.status = 504;
+    return e;
+  }
+
+  // The LLM server failed or answered with an error: a bad gateway for our callers.
+  function upstreamError(message, cause) {
+    const e = new Error(message, cause ? { cause } : undefined);
+    e.status = 502;
+    return e;
+  }
+
+  // Abort on the caller's signal or on timeout, whichever comes first.
+  function requestSignal(signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(timeoutError()), timeoutMs);
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    return {
+      signal: controller.signal,
+      done: () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      },
+    };
+  }
+
+  async function post(path, body, signal) {
+    let resp;
+    try {
+      resp = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify({ model, ...body }),
+        signal,
+      });
+    } catch (e) {
+      // An aborted request (caller gone or timed out) says nothing about the server; anything else is a connection error.
+      if (signal?.aborted) throw e;
+      const failed = upstreamError(`LLM server unreachable: ${e.message}`, e);
+      markFailed(failed);
+      throw failed;
+    }
+    if (!resp.ok) {
+      const text = await resp.text().catch(() => '');
+      const e = upstreamError(`LLM server error ${resp.status}: ${text.slice(0, 300)}`);
+      if (resp.status === 401 || resp.status === 403) markFailed(e);
+      throw e;
+    }
+    markReady();
+    return resp;
+  }
+
+  // Non-streaming request returning the parsed JSON body.
+  async function postJson(path, body, signal) {
+    const req = requestSignal(signal);
+    try {
+      const resp = await post(path, { ...body, stream: false }, req.signal);
+      return await resp.json();
+    } finally {
+      req.done();
+    }
+  }
+
+  function markReady() {
+    ready = true;
+    error = null;
+  }
+
+  function markFailed(e) {
+    ready = false;
+    error = e;
+  }
+
+  async function probe() {
+    lastProbe = Date.now();
+    try {
+      const resp = await fetch(`${baseUrl}/models`, { headers: headers(), signal: AbortSignal.timeout(5000) });
+      if (!resp.ok) throw new Error(`GET ${baseUrl}/models returned ${resp.status}`);
+      markReady();
+    } catch (e) {
+      markFailed(e);
+    }
+    return ready;
+  }
+
+  function sampling({ temperature = 0.4, topP = 0.9, maxTokens = 512 } = {}) {
+    return { temperature, top_p: topP, max_tokens: Number(maxTokens) };
+  }
+
+  return {
+    name: 'openai',
+    async init() {
+      await probe();
+      // eslint-disable-next-line no-console
+      if (ready) console.log(`[llm] OpenAI-compatible server reachable at ${baseUrl} (model=${model})`);
+      // eslint-disable-next-line no-console
+      else console.error(`[llm] OpenAI-compatible server not reachable at ${baseUrl}:`, error?.message || error);
+    },
+    async ensureReady() {
+      if (!ready && Date.now() - lastProbe > PROBE_INTERVAL_MS) await probe();
+      return ready;
+    },
+    status() {
+      return { provider: 'openai', ready, model: `${model} @ ${baseUrl}`, error: error ? String(error?.message || error) : null };
+    },
+    async chat(messages, options = {}) {
+      const data = await postJson('/chat/completions', { messages, ...sampling(options) }, options.signal);
+      return data?.choices?.[0]?.message?.content || '';
+    },
+    async chatStream(messages, options = {}) {
+      const req = requestSignal(options.signal);
+      let text = '';
+      try {
+        const resp = await post('/chat/completions', { messages, stream: true, ...sampling(options) }, req.signal);
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of resp.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          for (const line of lines) {
+            const data = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+            const token = JSON.parse(data)?.choices?.[0]?.delta?.content;
+            if (token) {
+              text += token;
+              options.onToken?.(token);
+            }
+          }
+        }
+        return text;
+      } catch (e) {
+        // A client disconnect ends the stream early; keep what was generated.
+        if (options.signal?.aborted) return text;
+        throw e;
+      } finally {
+        req.done();
+      }
+    },
+    async complete(prompt, options = {}) {
+      const data = await postJson('/completions', { prompt, ...sampling(options) }, options.signal);
+      return data?.choices?.[0]?.text || '';
+    },
+  };
+}
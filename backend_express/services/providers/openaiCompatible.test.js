@@ -0,0 +1,74 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+// A stand-in LLM server: /models answers, /chat/completions answers with the status the test asks for.
+let server;
+let baseUrl;
+let reply = { status: 200, body: {} };
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    req.resume();
+    const { status, body } = req.url.endsWith('/models') ? { status: 200, body: { data: [] } } : reply;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function provider(url = baseUrl, timeoutMs = 1000) {
+  Object.assign(process.env, { LLM_BASE_URL: url, LLM_TIMEOUT_MS: String(timeoutMs) });
+  return createOpenAICompatibleProvider();
+}
+
+// A provider that has found the stand-in server.
+async function readyProvider() {
+  const llm = provider();
+  assert.equal(await llm.ensureReady(), true);
+  return llm;
+}
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+test('an error answer from the server is a 502 that fails just that request', async () => {
+  const llm = await readyProvider();
+  reply = { status: 500, body: { error: 'out of memory' } };
+  await assert.rejects(llm.chat(messages), (e) => e.status === 502 && /LLM server error 500/.test(e.message));
+  assert.equal(llm.status().ready, true);
+
+  reply = { status: 200, body: { choices: [{ message: { content: 'Hello' } }] } };
+  assert.equal(await llm.chat(messages), 'Hello');
+});
+
+test('rejected credentials are a 502 and mark the provider not ready', async () => {
+  const llm = await readyProvider();
+  reply = { status: 401, body: { error: 'bad key' } };
+  await assert.rejects(llm.chat(messages), { status: 502 });
+  assert.equal(llm.status().ready, false);
+});
+
+test('an unreachable server is a 502 and marks the provider not ready', async () => {
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${closed.address().port}/v1`;
+  await new Promise((resolve) => closed.close(resolve));
+
+  const llm = provider(url);
+  await assert.rejects(llm.chat(messages), (e) => e.status === 502 && /unreachable/.test(e.message));
+  assert.equal(llm.status().ready, false);
+  assert.match(llm.status().error, /unreachable/);
+});
+
+test('a request that outlives the timeout is a 504', async () => {
+  const hanging = http.createServer((req) => req.resume());
+  await new Promise((resolve) => hanging.listen(0, '127.0.0.1', resolve));
+  const llm = provider(`http://127.0.0.1:${hanging.address().port}/v1`, 50);
+  await assert.rejects(llm.chat(messages), { name: 'TimeoutError', status: 504 });
+  hanging.closeAllConnections();
+  await new Promise((resolve) => hanging.close(resolve));
+});
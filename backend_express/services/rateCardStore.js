@@ -0,0 +1,97 @@
+import { nanoid } from 'nanoid';
+import { createCollection } from './jsonStore.js';
+
+/**
+ * Rate-card library for Time & Material SOWs.
+ *
+ * Document shape (rate-cards/<id>.json):
+ *  {
+ *    id, name, description,
+ *    currency,                                       // ISO 4217 code the rates are in
+ *    rates: [{ role, seniority, rate }],             // rate per hour; role + seniority is unique
+ *    createdAt, updatedAt                            // ISO timestamps
+ *  }
+ *
+ * The frontend's estimation table picks rates from a card and stores its own copy in the SOW,
+ * so later edits to a card do not change SOWs that were already estimated.
+ */
+
+const cards = createCollection('rate-cards');
+
+const CURRENCY_RE = /^[A-Z]{3}$/;
+const MAX_RATES = 200;
+
+function text(v, max = 200) {
+  return String(v ?? '').trim().slice(0, max);
+}
+
+function normalizeRates(rates) {
+  return (Array.isArray(rates) ? rates : []).map((r) => ({
+    role: text(r?.role),
+    seniority: text(r?.seniority, 80),
+    rate: Math.round(Number(r?.rate) * 100) / 100,
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function validateRateCard(input = {}) {
+  /**
+   * Check a rate card body: { name, currency, rates: [{ role, seniority?, rate }] }.
+   * Returns an error message, or null when it is usable.
+   */
+  if (!text(input.name)) return 'name is required.';
+  if (!CURRENCY_RE.test(String(input.currency || '').toUpperCase())) return 'currency must be an ISO code such as USD.';
+  if (!Array.isArray(input.rates)) return 'rates must be an array.';
+  if (input.rates.length > MAX_RATES) return `A rate card holds at most ${MAX_RATES} rates.`;
+  const seen = new Set();
+  for (const [i, r] of normalizeRates(input.rates).entries()) {
+    if (!r.role) return `rates[${i}].role is required.`;
+    if (!Number.isFinite(r.rate) || r.rate <= 0) return `rates[${i}].rate must be a positive number.`;
+    const key = `${r.role.toLowerCase()}|${r.seniority.toLowerCase()}`;
+    if (seen.has(key)) return `${r.role}${r.seniority ? ` (${r.seniority})` : ''} is listed twice.`;
+    seen.add(key);
+  }
+  return null;
+}
+
+function toDoc(input) {
+  return {
+    name: text(input.name),
+    description: text(input.description, 500),
+    currency: String(input.currency).toUpperCase(),
+    rates: normalizeRates(input.rates),
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function listRateCards() {
+  /** All rate cards, by name. */
+  const docs = await cards.list();
+  return docs.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+// PUBLIC_INTERFACE
+export function getRateCard(id) {
+  /** Return the rate card or null. */
+  return cards.get(id);
+}
+
+// PUBLIC_INTERFACE
+export function createRateCard(input) {
+  /** Store a new rate card (call validateRateCard first). */
+  const now = new Date().toISOString();
+  const doc = { id: nanoid(), ...toDoc(input), createdAt: now, updatedAt: now };
+  return cards.put(doc.id, doc);
+}
+
+// PUBLIC_INTERFACE
+export function updateRateCard(id, input) {
+  /** Replace name, description, currency and rates of a card. Resolves null if not found. */
+  return cards.update(id, (current) => ({ ...current, ...toDoc(input), updatedAt: new Date().toISOString() }));
+}
+
+// PUBLIC_INTERFACE
+export function deleteRateCard(id) {
+  /** Delete a rate card. Resolves true when it existed. */
+  return cards.remove(id);
+}
@@ -0,0 +1,60 @@
+import { nanoid } from 'nanoid';
+import { createCollection, isValidId } from './jsonStore.js';
+
+/**
+ * Immutable SOW revisions.
+ *
+ * Every save of a SOW snapshots its `data` into revisions/<sowId>/<revisionId>.json:
+ *  { id, sowId, number, author, note, createdAt, data }
+ * Revisions are never rewritten; restoring an old one creates a new revision.
+ */
+
+const collections = new Map();
+
+function revisionsOf(sowId) {
+  if (!isValidId(sowId)) throw new Error(`Invalid SOW id: ${sowId}`);
+  if (!collections.has(sowId)) collections.set(sowId, createCollection(`revisions/${sowId}`));
+  return collections.get(sowId);
+}
+
+function toSummary(rev) {
+  return { id: rev.id, number: rev.number, author: rev.author, note: rev.note, createdAt: rev.createdAt };
+}
+
+// PUBLIC_INTERFACE
+export async function listRevisions(sowId) {
+  /** Revision summaries (no data), oldest first. */
+  const revs = await revisionsOf(sowId).list();
+  return revs.sort((a, b) => a.number - b.number).map(toSummary);
+}
+
+// PUBLIC_INTERFACE
+export function getRevision(sowId, revisionId) {
+  /** Full revision including its data snapshot, or null. */
+  return revisionsOf(sowId).get(revisionId);
+}
+
+// PUBLIC_INTERFACE
+export function createRevision(sowId, { number, author, note, data }) {
+  /**
+   * Persist a new revision. `number` is assigned by the caller (sowStore), which holds
+   * the per-SOW write lock so numbering stays sequential.
+   */
+  const rev = {
+    id: nanoid(),
+    sowId,
+    number,
+    author: String(author || '').trim() || 'Anonymous',
+    note: String(note || '').trim(),
+    createdAt: new Date().toISOString(),
+    data: data || {},
+  };
+  return revisionsOf(sowId).put(rev.id, rev);
+}
+
+// PUBLIC_INTERFACE
+export async function deleteRevisions(sowId) {
+  /** Remove all revisions of a SOW (used when the SOW itself is deleted). */
+  await revisionsOf(sowId).drop();
+  collections.delete(sowId);
+}
@@ -0,0 +1,159 @@
+import { createHash } from 'node:crypto';
+import { nanoid } from 'nanoid';
+import { createCollection, isValidId } from './jsonStore.js';
+import { getRevision, listRevisions } from './revisionStore.js';
+
+/**
+ * Signature seals: tamper-evident records of who signed a SOW and what it said at that moment.
+ *
+ * Each seal is stored in seals/<sowId>/<sealId>.json:
+ *  {
+ *    id, sowId, fieldKey,                 // signature field the image was written to
+ *    signer, method,                      // 'drawn' | 'typed' | 'uploaded'
+ *    signedAt, ip, userAgent,             // capture details, taken from the signing request
+ *    revision, revisionId,                // SOW revision that holds the signed content
+ *    signatureFields,                     // signature block keys left out of the content hash
+ *    contentHash, imageHash               // SHA-256 (hex) of the canonical content and of the signature image
+ *  }
+ *
+ * The content hash covers the SOW `data` in canonical form (object keys sorted, undefined dropped) with the
+ * signature blocks left out, so the signatures of the other parties can be added afterwards without breaking
+ * earlier seals. The blocks come from the SOW's own template schema (signatureBlockKeys), never from the signer, so
+ * no content field can be kept out of a seal. Any other change to the document after signing shows up in verifySeals.
+ */
+
+const collections = new Map();
+
+function sealsOf(sowId) {
+  if (!isValidId(sowId)) throw new Error(`Invalid SOW id: ${sowId}`);
+  if (!collections.has(sowId)) collections.set(sowId, createCollection(`seals/${sowId}`));
+  return collections.get(sowId);
+}
+
+// Name and date fields that belong to a signature field, e.g. supplier_signature_name / supplier_signature_date.
+const COMPANION_SUFFIXES = ['_name', '_date'];
+
+function schemaFields(templateSchema) {
+  return [...(templateSchema?.fields || []), ...(templateSchema?.sections || []).flatMap((s) => s?.fields || [])].filter(
+    (f) => f && typeof f.key === 'string'
+  );
+}
+
+// PUBLIC_INTERFACE
+export function signatureFieldKeys(templateSchema) {
+  /** Keys of the signature-type fields of a template schema (`fields[]` or `sections[].fields[]`). */
+  return Array.from(new Set(schemaFields(templateSchema).filter((f) => f.type === 'signature').map((f) => f.key)));
+}
+
+// PUBLIC_INTERFACE
+export function signatureBlockKeys(templateSchema) {
+  /** The signature fields of a template schema plus the name / date fields the schema has for them. */
+  const keys = new Set(schemaFields(templateSchema).map((f) => f.key));
+  return signatureFieldKeys(templateSchema).flatMap((k) => [k, ...COMPANION_SUFFIXES.map((s) => `${k}${s}`).filter((c) => keys.has(c))]);
+}
+
+function sha256(text) {
+  return createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map((v) => (v === undefined ? 'null' : canonicalJson(v))).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// PUBLIC_INTERFACE
+export function canonicalContent(data, signatureFields = []) {
+  /** The SOW data as canonical JSON, without the values of the given signature fields. */
+  const templateData = { ...(data?.templateData || {}) };
+  signatureFields.forEach((k) => delete templateData[k]);
+  return canonicalJson({ ...(data || {}), templateData });
+}
+
+// PUBLIC_INTERFACE
+export function contentHash(data, signatureFields = []) {
+  /** SHA-256 (hex) of canonicalContent. */
+  return sha256(canonicalContent(data, signatureFields));
+}
+
+function imageHashOf(data, fieldKey) {
+  const image = data?.templateData?.[fieldKey];
+  return image ? sha256(String(image)) : '';
+}
+
+// PUBLIC_INTERFACE
+export async function listSeals(sowId) {
+  /** Seals of a SOW, oldest first. */
+  const seals = await sealsOf(sowId).list();
+  return seals.sort((a, b) => String(a.signedAt).localeCompare(String(b.signedAt)));
+}
+
+// PUBLIC_INTERFACE
+export function createSeal(sow, { fieldKey, signer, method, ip, userAgent }) {
+  /**
+   * Seal the SOW as stored now (its latest revision) for the signature in `fieldKey`. The content hash leaves out the
+   * signature blocks of the SOW's template schema.
+   */
+  const fields = Array.from(new Set([...signatureBlockKeys(sow.templateSchema), fieldKey]));
+  const seal = {
+    id: nanoid(),
+    sowId: sow.id,
+    fieldKey,
+    signer,
+    method,
+    signedAt: new Date().toISOString(),
+    ip: ip || '',
+    userAgent: String(userAgent || '').slice(0, 300),
+    revision: sow.revision || 0,
+    revisionId: sow.latestRevisionId || '',
+    signatureFields: fields,
+    contentHash: contentHash(sow.data, fields),
+    imageHash: imageHashOf(sow.data, fieldKey),
+  };
+  return sealsOf(sow.id).put(seal.id, seal);
+}
+
+// The first revision after the sealed one whose content no longer matches the seal.
+async function firstChange(sow, seal) {
+  const later = (await listRevisions(sow.id)).filter((r) => r.number > seal.revision);
+  for (const summary of later) {
+    const rev = await getRevision(sow.id, summary.id);
+    if (rev && contentHash(rev.data, seal.signatureFields) !== seal.contentHash) {
+      return { revision: rev.number, author: rev.author, note: rev.note, createdAt: rev.createdAt };
+    }
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export async function verifySeals(sow) {
+  /**
+   * Check every seal against the SOW as stored now.
+   * Returns { verified, seals: [{ ...seal, intact, imageIntact, changedIn }], missing }: `intact` is false when the
+   * content changed after signing (`changedIn` names the first revision that changed it), `imageIntact` when the
+   * signature image was replaced or removed, and `missing` lists the signature fields of the template schema that have
+   * no seal yet. `verified` is true when every signature field is sealed (at least one seal without a schema) and all
+   * seals hold, so a SOW signed by one party only does not verify.
+   */
+  const seals = await listSeals(sow.id);
+  const checked = [];
+  for (const seal of seals) {
+    const intact = contentHash(sow.data, seal.signatureFields) === seal.contentHash;
+    const imageIntact = imageHashOf(sow.data, seal.fieldKey) === seal.imageHash;
+    checked.push({ ...seal, intact, imageIntact, changedIn: intact ? null : await firstChange(sow, seal) });
+  }
+  const sealed = new Set(checked.map((s) => s.fieldKey));
+  const missing = signatureFieldKeys(sow.templateSchema).filter((k) => !sealed.has(k));
+  const verified = checked.length > 0 && !missing.length && checked.every((s) => s.intact && s.imageIntact);
+  return { verified, seals: checked, missing };
+}
+
+// PUBLIC_INTERFACE
+export async function deleteSeals(sowId) {
+  /** Remove all seals of a SOW (used when the SOW itself is deleted). */
+  await sealsOf(sowId).drop();
+  collections.delete(sowId);
+}
@@ -0,0 +1,120 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The stores read SOW_DATA_DIR when they load, so it is set before importing them.
+process.env.SOW_DATA_DIR = await mkdtemp(path.join(os.tmpdir(), 'sow-seals-'));
+const { canonicalContent, contentHash, createSeal, signatureBlockKeys, signatureFieldKeys, verifySeals } = await import(
+  './sealStore.js'
+);
+const { createSow, getSow, signSow, updateSow } = await import('./sowStore.js');
+
+after(() => rm(process.env.SOW_DATA_DIR, { recursive: true, force: true }));
+
+const schema = {
+  sections: [
+    { section: 'Scope', fields: [{ key: 'scope_of_work', label: 'Scope of Work', type: 'textarea' }] },
+    {
+      section: 'Authorization',
+      fields: [
+        { key: 'supplier_signature', label: 'Supplier Signature', type: 'signature' },
+        { key: 'supplier_signature_name', label: 'Name', type: 'text' },
+        { key: 'client_signature', label: 'Client Signature', type: 'signature' },
+        { key: 'client_signature_date', label: 'Date', type: 'date' },
+      ],
+    },
+  ],
+};
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+// Seals are listed by signing time, which can tie within a test
+const byField = (seals) => [...seals].sort((a, b) => a.fieldKey.localeCompare(b.fieldKey));
+
+test('signature blocks are the signature fields with their name and date fields', () => {
+  assert.deepEqual(signatureFieldKeys(schema), ['supplier_signature', 'client_signature']);
+  assert.deepEqual(signatureBlockKeys(schema), [
+    'supplier_signature',
+    'supplier_signature_name',
+    'client_signature',
+    'client_signature_date',
+  ]);
+  assert.deepEqual(signatureBlockKeys({ fields: [{ key: 'sig', type: 'signature' }, { key: 'sig_date' }] }), ['sig', 'sig_date']);
+  assert.deepEqual(signatureBlockKeys(null), []);
+});
+
+test('the content hash is canonical and leaves the signature blocks out', () => {
+  const blocks = signatureBlockKeys(schema);
+  const data = { meta: { client: 'Acme', title: 'CRM' }, templateData: { scope_of_work: 'Migrate the CRM.' } };
+  const signed = {
+    templateData: { supplier_signature: IMAGE, supplier_signature_name: 'Sam', scope_of_work: 'Migrate the CRM.' },
+    meta: { title: 'CRM', client: 'Acme' },
+  };
+  assert.equal(contentHash(signed, blocks), contentHash(data, blocks));
+  assert.match(contentHash(data, blocks), /^[0-9a-f]{64}$/);
+  assert.equal(canonicalContent({ b: 1, a: undefined, templateData: {} }), '{"b":1,"templateData":{}}');
+
+  assert.notEqual(contentHash({ ...data, templateData: { scope_of_work: 'Migrate the ERP.' } }, blocks), contentHash(data, blocks));
+  assert.notEqual(contentHash(signed), contentHash(data));
+});
+
+async function signedSow() {
+  const sow = await createSow({ title: 'CRM', templateSchema: schema, data: { templateData: { scope_of_work: 'Migrate the CRM.' } } });
+  const sign = async (fieldKey, signer) => {
+    const res = await signSow(sow.id, { fieldKey, image: IMAGE, signer });
+    assert.equal(res.ok, true, res.error);
+    return createSeal(res.sow, { fieldKey, signer, method: 'drawn' });
+  };
+  return { id: sow.id, sign };
+}
+
+test('every signature field needs an intact seal before the SOW verifies', async () => {
+  const { id, sign } = await signedSow();
+  assert.deepEqual(await verifySeals(await getSow(id)), { verified: false, seals: [], missing: ['supplier_signature', 'client_signature'] });
+
+  await sign('supplier_signature', 'Sam');
+  const one = await verifySeals(await getSow(id));
+  assert.equal(one.verified, false);
+  assert.deepEqual(one.missing, ['client_signature']);
+  assert.equal(one.seals[0].intact, true);
+
+  // The second signature changes a signature block only, so the first seal still holds
+  await sign('client_signature', 'Cleo');
+  const both = await verifySeals(await getSow(id));
+  assert.equal(both.verified, true);
+  assert.deepEqual(both.missing, []);
+});
+
+test('content edited or a signature image replaced after signing is detected', async () => {
+  const { id, sign } = await signedSow();
+  await sign('supplier_signature', 'Sam');
+  await sign('client_signature', 'Cleo');
+
+  const current = (await getSow(id)).data.templateData;
+  const edited = await updateSow(id, { data: { templateData: { ...current, scope_of_work: 'Migrate the ERP.' } } }, { author: 'Mallory' });
+  assert.equal(edited.ok, true);
+  const changed = await verifySeals(edited.sow);
+  assert.equal(changed.verified, false);
+  assert.deepEqual(
+    byField(changed.seals).map((s) => [s.fieldKey, s.intact, s.changedIn?.revision, s.changedIn?.author]),
+    [
+      ['client_signature', false, 4, 'Mallory'],
+      ['supplier_signature', false, 4, 'Mallory'],
+    ]
+  );
+
+  const { sow } = await updateSow(id, {
+    data: { templateData: { ...edited.sow.data.templateData, scope_of_work: 'Migrate the CRM.', client_signature: `${IMAGE}AA` } },
+  });
+  const swapped = await verifySeals(sow);
+  assert.equal(swapped.verified, false);
+  assert.deepEqual(
+    byField(swapped.seals).map((s) => [s.fieldKey, s.intact, s.imageIntact]),
+    [
+      ['client_signature', true, false],
+      ['supplier_signature', true, true],
+    ]
+  );
+});
@@ -0,0 +1,136 @@
+/**
+ * Field-by-field diff between two SOW data snapshots.
+ *
+ * Only `meta` and `templateData` are compared. Nested objects are walked down to their
+ * leaf properties; arrays (lists, tables, uploads) are compared as whole values and also
+ * report which items were added or removed. Labels come from the SOW's template schema
+ * (either `fields[]` or the parsed `sections[].fields[]` form).
+ */
+
+const DIFF_ROOTS = ['meta', 'templateData'];
+
+const META_LABELS = {
+  title: 'Title',
+  client: 'Client',
+  date: 'Date',
+  version: 'Version',
+  prepared_by: 'Prepared By',
+  stakeholders: 'Stakeholders',
+  logoUrl: 'Logo',
+  logoName: 'Logo File Name',
+  signatureUrl: 'Signature',
+};
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isEmptyValue(v) {
+  if (v === undefined || v === null || v === '') return true;
+  if (Array.isArray(v)) return v.length === 0;
+  if (isPlainObject(v)) return Object.keys(v).length === 0;
+  return false;
+}
+
+// Embedded images are large and meaningless in a diff; show a marker instead.
+function displayValue(v) {
+  if (typeof v === 'string' && v.startsWith('data:')) return '[embedded file]';
+  if (Array.isArray(v)) return v.map(displayValue);
+  if (isPlainObject(v)) {
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, displayValue(x)]));
+  }
+  return v;
+}
+
+function flatten(value, prefix, out) {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    Object.keys(value).forEach((k) => flatten(value[k], prefix ? `${prefix}.${k}` : k, out));
+  } else {
+    out.set(prefix, value);
+  }
+  return out;
+}
+
+function humanize(key) {
+  return String(key || '')
+    .replace(/_/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+// PUBLIC_INTERFACE
+export function collectFieldLabels(templateSchema) {
+  /** Map of "templateData.<key>[.<prop>]" → human label from a template schema. */
+  const labels = new Map();
+  const fields = Array.isArray(templateSchema?.fields)
+    ? templateSchema.fields
+    : (templateSchema?.sections || []).flatMap((s) => s.fields || []);
+  fields.forEach((f) => {
+    if (!f?.key) return;
+    const label = f.label || f.key;
+    labels.set(`templateData.${f.key}`, label);
+    (f.properties || []).forEach((p) => {
+      labels.set(`templateData.${f.key}.${p.key}`, `${label} › ${p.label || p.key}`);
+    });
+  });
+  return labels;
+}
+
+function labelFor(path, labels) {
+  if (labels.has(path)) return labels.get(path);
+  const [root, ...rest] = path.split('.');
+  if (root === 'meta') return `Meta › ${META_LABELS[rest[0]] || humanize(rest.join(' '))}`;
+  const parent = rest.length > 1 ? labels.get(`${root}.${rest[0]}`) : null;
+  const leaf = humanize(rest[rest.length - 1]);
+  return parent ? `${parent} › ${leaf}` : leaf;
+}
+
+function listDelta(before, after) {
+  const a = Array.isArray(before) ? before : [];
+  const b = Array.isArray(after) ? after : [];
+  const aKeys = a.map((x) => JSON.stringify(x));
+  const bKeys = b.map((x) => JSON.stringify(x));
+  return {
+    added: b.filter((_, i) => !aKeys.includes(bKeys[i])).map(displayValue),
+    removed: a.filter((_, i) => !bKeys.includes(aKeys[i])).map(displayValue),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function diffSowData(beforeData, afterData, templateSchema) {
+  /**
+   * Compare two SOW `data` objects.
+   * Returns [{ path, label, labelFromSchema, kind: 'added'|'removed'|'changed', before, after, added?, removed? }]
+   * in the order fields appear in the newer snapshot.
+   */
+  const labels = collectFieldLabels(templateSchema);
+  const before = new Map();
+  const after = new Map();
+  DIFF_ROOTS.forEach((root) => {
+    flatten(beforeData?.[root] || {}, root, before);
+    flatten(afterData?.[root] || {}, root, after);
+  });
+
+  const paths = [...after.keys(), ...[...before.keys()].filter((k) => !after.has(k))];
+  const changes = [];
+  paths.forEach((path) => {
+    const a = before.get(path);
+    const b = after.get(path);
+    const aEmpty = isEmptyValue(a);
+    const bEmpty = isEmptyValue(b);
+    if (aEmpty && bEmpty) return;
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+
+    const change = {
+      path,
+      label: labelFor(path, labels),
+      labelFromSchema: labels.has(path),
+      kind: aEmpty ? 'added' : bEmpty ? 'removed' : 'changed',
+      before: aEmpty ? null : displayValue(a),
+      after: bEmpty ? null : displayValue(b),
+    };
+    if (Array.isArray(a) || Array.isArray(b)) Object.assign(change, listDelta(a, b));
+    changes.push(change);
+  });
+  return changes;
+}
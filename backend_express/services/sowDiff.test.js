@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectFieldLabels, diffSowData } from './sowDiff.js';
+
+const schema = {
+  sections: [
+    {
+      section: 'Project',
+      fields: [
+        { key: 'scope_of_work', label: 'Scope of Work', type: 'textarea' },
+        { key: 'deliverables', label: 'Deliverables', type: 'list' },
+        { key: 'milestones', label: 'Milestones', type: 'table' },
+        {
+          key: 'contact',
+          label: 'Client Contact',
+          type: 'object',
+          properties: [{ key: 'email', label: 'Email' }],
+        },
+      ],
+    },
+  ],
+};
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+test('labels come from either schema form, with object properties under their field', () => {
+  const labels = collectFieldLabels(schema);
+  assert.equal(labels.get('templateData.scope_of_work'), 'Scope of Work');
+  assert.equal(labels.get('templateData.contact.email'), 'Client Contact › Email');
+  assert.deepEqual([...collectFieldLabels({ fields: [{ key: 'po_number' }] })], [['templateData.po_number', 'po_number']]);
+  assert.equal(collectFieldLabels(null).size, 0);
+});
+
+test('changed, added and removed fields are reported in the order of the newer snapshot', () => {
+  const before = {
+    meta: { title: 'CRM', client: 'Acme', version: '' },
+    templateData: { scope_of_work: 'Migrate the CRM.', notes: 'Call Sam', po_number: 'PO-1' },
+  };
+  const after = {
+    meta: { title: 'CRM migration', client: 'Acme', date: '2025-01-01' },
+    templateData: { scope_of_work: 'Migrate the CRM and the ERP.', po_number: 'PO-1', budgetCode: 'B7' },
+    history: ['ignored'],
+  };
+  assert.deepEqual(diffSowData(before, after, schema), [
+    {
+      path: 'meta.title',
+      label: 'Meta › Title',
+      labelFromSchema: false,
+      kind: 'changed',
+      before: 'CRM',
+      after: 'CRM migration',
+    },
+    { path: 'meta.date', label: 'Meta › Date', labelFromSchema: false, kind: 'added', before: null, after: '2025-01-01' },
+    {
+      path: 'templateData.scope_of_work',
+      label: 'Scope of Work',
+      labelFromSchema: true,
+      kind: 'changed',
+      before: 'Migrate the CRM.',
+      after: 'Migrate the CRM and the ERP.',
+    },
+    { path: 'templateData.budgetCode', label: 'Budget Code', labelFromSchema: false, kind: 'added', before: null, after: 'B7' },
+    { path: 'templateData.notes', label: 'Notes', labelFromSchema: false, kind: 'removed', before: 'Call Sam', after: null },
+  ]);
+});
+
+test('nested objects are compared property by property', () => {
+  const changes = diffSowData(
+    { templateData: { contact: { name: 'Sam', email: 'sam@acme.test' } } },
+    { templateData: { contact: { name: 'Sam', email: 'sam@acme.example', phone: '555' } } },
+    schema
+  );
+  assert.deepEqual(
+    changes.map((c) => [c.path, c.label, c.kind, c.before, c.after]),
+    [
+      ['templateData.contact.email', 'Client Contact › Email', 'changed', 'sam@acme.test', 'sam@acme.example'],
+      ['templateData.contact.phone', 'Client Contact › Phone', 'added', null, '555'],
+    ]
+  );
+});
+
+test('list fields report the items added and removed', () => {
+  const [change] = diffSowData(
+    { templateData: { deliverables: ['Data map', 'Cutover plan', 'Training'] } },
+    { templateData: { deliverables: ['Data map', 'Training', 'Runbook'] } },
+    schema
+  );
+  assert.equal(change.kind, 'changed');
+  assert.deepEqual(change.added, ['Runbook']);
+  assert.deepEqual(change.removed, ['Cutover plan']);
+  assert.deepEqual(change.after, ['Data map', 'Training', 'Runbook']);
+
+  // Reordering is a change with nothing added or removed
+  const [reordered] = diffSowData(
+    { templateData: { deliverables: ['A', 'B'] } },
+    { templateData: { deliverables: ['B', 'A'] } },
+    schema
+  );
+  assert.deepEqual([reordered.added, reordered.removed], [[], []]);
+
+  const [cleared] = diffSowData({ templateData: { deliverables: ['A'] } }, { templateData: { deliverables: [] } }, schema);
+  assert.deepEqual([cleared.kind, cleared.after, cleared.added, cleared.removed], ['removed', null, [], ['A']]);
+});
+
+test('table rows are compared whole, so an edited row is one removed and one added', () => {
+  const [change] = diffSowData(
+    {
+      templateData: {
+        milestones: [
+          { name: 'Kickoff', amount: '1000' },
+          { name: 'Go-live', amount: '4000' },
+        ],
+      },
+    },
+    {
+      templateData: {
+        milestones: [
+          { name: 'Kickoff', amount: '1000' },
+          { name: 'Go-live', amount: '5000' },
+          { name: 'Hypercare', amount: '500' },
+        ],
+      },
+    },
+    schema
+  );
+  assert.equal(change.label, 'Milestones');
+  assert.deepEqual(change.added, [
+    { name: 'Go-live', amount: '5000' },
+    { name: 'Hypercare', amount: '500' },
+  ]);
+  assert.deepEqual(change.removed, [{ name: 'Go-live', amount: '4000' }]);
+});
+
+test('empty values are equal and embedded files are shown as a marker', () => {
+  assert.deepEqual(
+    diffSowData(
+      { meta: { logoUrl: '' }, templateData: { deliverables: [], contact: {} } },
+      { meta: {}, templateData: { deliverables: null, notes: undefined } },
+      schema
+    ),
+    []
+  );
+
+  const [logo, attachments] = diffSowData(
+    { meta: { logoUrl: IMAGE }, templateData: { attachments: [] } },
+    { meta: { logoUrl: `${IMAGE}AA` }, templateData: { attachments: [{ name: 'a.png', url: IMAGE }] } },
+    schema
+  );
+  assert.deepEqual([logo.label, logo.before, logo.after], ['Meta › Logo', '[embedded file]', '[embedded file]']);
+  assert.deepEqual(attachments.added, [{ name: 'a.png', url: '[embedded file]' }]);
+});
@@ -0,0 +1,294 @@
+/**
+ * Schema-aware SOW drafting helpers.
+ *
+ * The model is asked for one JSON object keyed by template field key. Whatever it returns
+ * is validated against the template schema before it reaches the client: unknown keys are
+ * dropped, values are coerced to the field type (list → string[], table → row objects, ...),
+ * and anything that cannot be coerced is reported as an issue instead of being merged.
+ *
+ * Schemas come in two shapes (same as sowDiff.js):
+ *  - runtime:  { fields: [{ key, label, type, properties?, columns?, options?, hint? }] }
+ *  - sections: { sections: [{ section|title, fields: [...] }] }
+ */
+
+// Field types the model can fill; signatures and uploads are left to the user.
+const DRAFTABLE_TYPES = new Set([
+  'text', 'textarea', 'email', 'date', 'currency', 'select', 'list', 'table', 'object', 'checkbox',
+]);
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// PUBLIC_INTERFACE
+export function collectDraftFields(schema) {
+  /** Flatten a template schema into draftable fields: [{ key, label, type, section, hint, itemLabel, options, columns, properties }]. */
+  const out = [];
+  const seen = new Set();
+  const add = (f, section) => {
+    if (!f?.key || seen.has(f.key)) return;
+    const type = f.type || 'text';
+    if (!DRAFTABLE_TYPES.has(type)) return;
+    seen.add(f.key);
+    out.push({
+      key: f.key,
+      label: f.label || f.key,
+      type,
+      section: section || '',
+      hint: f.hint || '',
+      itemLabel: f.itemLabel || '',
+      options: Array.isArray(f.options) ? f.options.map(String) : undefined,
+      columns: Array.isArray(f.columns) ? f.columns : undefined,
+      properties: Array.isArray(f.properties) ? f.properties.filter((p) => p?.key && DRAFTABLE_TYPES.has(p.type || 'text')) : undefined,
+    });
+  };
+  (schema?.sections || []).forEach((s) => (s?.fields || []).forEach((f) => add(f, s.section || s.title)));
+  (schema?.fields || []).forEach((f) => add(f, schema?.title));
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function describeFieldType(f) {
+  /** Type description used in field spec lines, e.g. "date string YYYY-MM-DD". */
+  switch (f.type) {
+    case 'list':
+      return `array of strings${f.itemLabel ? ` (each: ${f.itemLabel})` : ''}`;
+    case 'table':
+      return `array of objects with keys ${(f.columns || []).map((c) => JSON.stringify(c.key)).join(', ')}`;
+    case 'object':
+      return `object with keys ${(f.properties || []).map((p) => `${JSON.stringify(p.key)} (${p.label || p.key})`).join(', ')}`;
+    case 'date':
+      return 'date string YYYY-MM-DD';
+    case 'currency':
+      return 'amount as string, e.g. "USD 12,000"';
+    case 'select':
+      return `one of ${(f.options || []).map((o) => JSON.stringify(o)).join(', ')}`;
+    case 'checkbox':
+      return 'true or false';
+    case 'textarea':
+      return 'string (one or more paragraphs)';
+    default:
+      return 'string';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function buildDraftPrompt(fields, brief, existing = {}) {
+  /** Return { systemPrompt, prompt } asking for a JSON object keyed by field key. */
+  const spec = fields
+    .map((f) => {
+      const parts = [`- ${JSON.stringify(f.key)}: ${describeFieldType(f)} — ${f.label}`];
+      if (f.section) parts.push(`[section: ${f.section}]`);
+      if (f.hint) parts.push(`(guidance: ${String(f.hint).replace(/\s+/g, ' ')})`);
+      return parts.join(' ');
+    })
+    .join('\n');
+
+  const filled = Object.entries(existing || {})
+    .filter(([, v]) => v !== '' && v !== null && v !== undefined && !(Array.isArray(v) && v.length === 0))
+    .map(([k, v]) => `${k}: ${JSON.stringify(v)}`)
+    .join('\n');
+
+  const systemPrompt = [
+    'You are an expert consultant drafting professional Statements of Work (SOW).',
+    'You fill template fields and reply with a single JSON object only: no prose, no markdown fences.',
+    'Use only the keys listed. Omit a key when the brief gives no basis for it; never invent signatures or names.',
+  ].join('\n');
+
+  const prompt = [
+    'Project brief:',
+    String(brief || '').trim(),
+    '',
+    'Template fields (key: type — label):',
+    spec,
+    filled ? `\nValues already entered (keep consistent with them):\n${filled}` : '',
+    '',
+    'Reply with the JSON object now.',
+  ].join('\n');
+
+  return { systemPrompt, prompt };
+}
+
+// PUBLIC_INTERFACE
+export function extractJsonObject(text) {
+  /** Parse the first balanced {...} in model output (tolerates code fences and chatter). Returns null if none parses. */
+  const s = String(text || '');
+  for (let start = s.indexOf('{'); start >= 0; start = s.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < s.length; i++) {
+      const ch = s[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') inString = true;
+      else if (ch === '{') depth++;
+      else if (ch === '}' && --depth === 0) {
+        try {
+          const obj = JSON.parse(s.slice(start, i + 1));
+          if (obj && typeof obj === 'object' && !Array.isArray(obj)) return obj;
+        } catch (_e) {
+          // try the next opening brace
+        }
+        break;
+      }
+    }
+  }
+  return null;
+}
+
+function toText(v) {
+  if (v === null || v === undefined) return '';
+  if (Array.isArray(v)) return v.map(toText).filter(Boolean).join('\n');
+  if (typeof v === 'object') return Object.values(v).map(toText).filter(Boolean).join('\n');
+  return String(v).trim();
+}
+
+function toList(v) {
+  if (Array.isArray(v)) return v.map(toText).filter(Boolean);
+  return toText(v)
+    .split('\n')
+    .map((l) => l.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+    .filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+export function coerceFieldValue(field, value) {
+  /**
+   * Coerce a model value to the field's type.
+   * Returns { value } (possibly empty string/array when nothing usable) or { error }.
+   */
+  switch (field.type) {
+    case 'list':
+      return { value: toList(value) };
+    case 'table': {
+      if (!Array.isArray(value)) return { error: 'expected an array of rows' };
+      const cols = field.columns || [];
+      const rows = value
+        .filter((r) => r && typeof r === 'object' && !Array.isArray(r))
+        .map((r) => Object.fromEntries(cols.map((c) => [c.key, toText(r[c.key])])))
+        .filter((r) => Object.values(r).some(Boolean));
+      return { value: rows };
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'expected an object' };
+      const out = {};
+      for (const p of field.properties || []) {
+        if (value[p.key] === undefined) continue;
+        const r = coerceFieldValue({ ...p, type: p.type || 'text' }, value[p.key]);
+        if (!r.error && !isEmptyValue(r.value)) out[p.key] = r.value;
+      }
+      return { value: out };
+    }
+    case 'checkbox':
+      if (typeof value === 'boolean') return { value };
+      if (/^(true|yes)$/i.test(toText(value))) return { value: true };
+      if (/^(false|no)$/i.test(toText(value))) return { value: false };
+      return { error: 'expected true or false' };
+    case 'date': {
+      const s = toText(value);
+      if (!s) return { value: '' };
+      if (ISO_DATE_RE.test(s) && !Number.isNaN(Date.parse(s))) return { value: s };
+      const d = new Date(s);
+      if (Number.isNaN(d.getTime())) return { error: `"${s}" is not a date` };
+      const pad = (n) => String(n).padStart(2, '0');
+      return { value: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` };
+    }
+    case 'email': {
+      const s = toText(value);
+      if (s && !EMAIL_RE.test(s)) return { error: `"${s}" is not an email address` };
+      return { value: s };
+    }
+    case 'select': {
+      const s = toText(value);
+      if (!s) return { value: '' };
+      const match = (field.options || []).find((o) => o.toLowerCase() === s.toLowerCase());
+      return match ? { value: match } : { error: `"${s}" is not one of the options` };
+    }
+    default:
+      return { value: toText(value) };
+  }
+}
+
+function isEmptyValue(v) {
+  if (v === '' || v === null || v === undefined) return true;
+  if (Array.isArray(v)) return v.length === 0;
+  if (typeof v === 'object') return Object.keys(v).length === 0;
+  return false;
+}
+
+// PUBLIC_INTERFACE
+export function validateDraft(obj, fields) {
+  /**
+   * Validate a parsed model object against the draft fields.
+   * Returns { values: { [key]: value }, issues: [{ key, label, error }] }; empty values are left out.
+   */
+  const values = {};
+  const issues = [];
+  for (const f of fields) {
+    if (!obj || obj[f.key] === undefined) continue;
+    const r = coerceFieldValue(f, obj[f.key]);
+    if (r.error) issues.push({ key: f.key, label: f.label, error: r.error });
+    else if (!isEmptyValue(r.value)) values[f.key] = r.value;
+  }
+  return { values, issues };
+}
+
+// Per-field assistant actions (POST /api/ai/field).
+const FIELD_ACTIONS = {
+  formal: 'Rewrite the current value in a more formal, contract-appropriate register. Keep every fact.',
+  expand: 'Expand the current value with relevant detail a SOW reviewer would expect. Do not invent names, dates or amounts.',
+  shorten: 'Shorten the current value to its essential points. Keep every commitment, date and amount.',
+  bullets: 'Turn the current value into concise bullet points, one per line, each starting with "- ".',
+  draft: 'Draft a value for this field from the field guidance and the other values of the SOW.',
+};
+
+// PUBLIC_INTERFACE
+export function isFieldAction(action) {
+  /** True for the supported per-field actions: formal | expand | shorten | bullets | draft. */
+  return Object.prototype.hasOwnProperty.call(FIELD_ACTIONS, action);
+}
+
+// PUBLIC_INTERFACE
+export function buildFieldActionPrompt({ action, field, section, value, context }) {
+  /** Return { systemPrompt, prompt } for one per-field action; the model replies with the new value as plain text. */
+  const isList = field.type === 'list';
+  const current = isList ? toList(value).map((l) => `- ${l}`).join('\n') : toText(value);
+  const others = Object.entries(context || {})
+    .filter(([k, v]) => k !== field.key && toText(v) && !String(toText(v)).startsWith('data:'))
+    .map(([k, v]) => `${k}: ${toText(v).replace(/\s+/g, ' ')}`)
+    .join('\n')
+    .slice(0, 4000);
+
+  const systemPrompt = [
+    'You are an expert consultant editing one field of a Statement of Work (SOW).',
+    'Reply with the new field value only: no preamble, no quotes, no markdown fences.',
+    isList ? 'The field is a list: write one item per line, each starting with "- ".' : 'Write plain text.',
+  ].join('\n');
+
+  const prompt = [
+    `Field: ${field.label || field.key}${section ? ` (section: ${section})` : ''}`,
+    field.hint ? `Field guidance: ${field.hint}` : '',
+    field.itemLabel ? `Each item: ${field.itemLabel}` : '',
+    `Current value:\n${current || '(empty)'}`,
+    others ? `Other values of this SOW (context only):\n${others}` : '',
+    '',
+    `Task: ${FIELD_ACTIONS[action]}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  return { systemPrompt, prompt };
+}
+
+// PUBLIC_INTERFACE
+export function parseFieldActionReply(field, text) {
+  /** Strip fences/quotes from a model reply and coerce it to the field type. Returns { value } or { error }. */
+  const cleaned = String(text || '')
+    .replace(/^\s*```[a-z]*\s*/i, '')
+    .replace(/\s*```\s*$/, '')
+    .trim()
+    .replace(/^"([\s\S]*)"$/, '$1');
+  if (!cleaned) return { error: 'The model returned an empty value.' };
+  if (field.type === 'list') return coerceFieldValue(field, cleaned);
+  return { value: cleaned };
+}
@@ -0,0 +1,224 @@
+/**
+ * Extract SOW field values from pasted source text (call notes, client emails, RFP excerpts).
+ *
+ * The text is split into numbered sentences and the model replies with one JSON object keyed by
+ * template field key, each entry { "value": ..., "source": [sentence numbers] }. Values are coerced
+ * like drafts (sowDraft.coerceFieldValue). Every citation is checked against the sentence it names:
+ * each number, date, amount and name in the value has to appear there, and so do all words of a
+ * short value or half of a longer one's. When the cited sentences fail that, the best supporting
+ * sentence is cited instead, and a value no sentence supports is returned with grounded: false so
+ * the user can look twice.
+ */
+import { coerceFieldValue, describeFieldType } from './sowDraft.js';
+
+// PUBLIC_INTERFACE
+export const MAX_SOURCE_CHARS = 20000;
+
+// Words too common to show that a sentence supports a value.
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'will', 'are', 'was', 'per', 'our', 'your']);
+
+// PUBLIC_INTERFACE
+export function splitSentences(text) {
+  /** Split text into sentences: [{ index (1-based), text, start, end }] with offsets into the original text. */
+  const src = String(text || '');
+  const out = [];
+  const re = /[^\n]+/g;
+  let line;
+  while ((line = re.exec(src))) {
+    // Break after . ! ? when the next word starts a new sentence; "e.g. the" and "10.5" stay together.
+    const parts = line[0].split(/(?<=[.!?])\s+(?=["“(]?[A-Z0-9])/);
+    let cursor = line.index;
+    for (const part of parts) {
+      const start = src.indexOf(part, cursor);
+      cursor = start + part.length;
+      const trimmed = part.trim();
+      if (!/[a-z0-9]/i.test(trimmed)) continue;
+      const lead = part.indexOf(trimmed);
+      out.push({ index: out.length + 1, text: trimmed, start: start + lead, end: start + lead + trimmed.length });
+    }
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function buildExtractPrompt(fields, sentences) {
+  /** Return { systemPrompt, prompt } asking for { key: { value, source: [sentence numbers] } }. */
+  const spec = fields
+    .map((f) => {
+      const parts = [`- ${JSON.stringify(f.key)}: ${describeFieldType(f)} — ${f.label}`];
+      if (f.section) parts.push(`[section: ${f.section}]`);
+      return parts.join(' ');
+    })
+    .join('\n');
+
+  const systemPrompt = [
+    'You extract Statement of Work (SOW) field values from source text such as call notes, emails or RFPs.',
+    'Reply with a single JSON object only: no prose, no markdown fences.',
+    'Each key is a field key; each entry is {"value": <value of the field type>, "source": [numbers of the sentences it comes from]}.',
+    'Use only facts stated in the text. Omit every field the text does not mention; never guess names, dates or amounts.',
+  ].join('\n');
+
+  const prompt = [
+    'Source text, one numbered sentence per line:',
+    sentences.map((s) => `[${s.index}] ${s.text}`).join('\n'),
+    '',
+    'Template fields (key: type — label):',
+    spec,
+    '',
+    'Reply with the JSON object now.',
+  ].join('\n');
+
+  return { systemPrompt, prompt };
+}
+
+// Values of up to this many words must appear word for word; longer ones may be paraphrased.
+const SHORT_VALUE_WORDS = 4;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const SCALES = { k: 1e3, m: 1e6, mm: 1e6, bn: 1e9 };
+const SYMBOL_CODES = { $: 'usd', '€': 'eur', '£': 'gbp', '¥': 'jpy', '₹': 'inr' };
+
+function words(text) {
+  return [...new Set(String(text).toLowerCase().match(/[a-z0-9]+/g) || [])].filter(
+    (w) => (w.length >= 3 || /\d/.test(w)) && !STOP_WORDS.has(w)
+  );
+}
+
+function flatten(v) {
+  if (v === null || v === undefined || typeof v === 'boolean') return '';
+  // One line per item, so the first word of each item is not taken for a name
+  if (Array.isArray(v)) return v.map(flatten).join('\n');
+  if (typeof v === 'object') return Object.values(v).map(flatten).join('\n');
+  return String(v);
+}
+
+// Digit groups as numbers: "50,000" and "50000" are both 50000, "1.5m" is 1.5 and 1500000; "01.03.2026" is 1, 3 and 2026.
+function numbersIn(text) {
+  const out = new Set();
+  for (const m of String(text).matchAll(/(\d+(?:[.,']\d+)*)(?:\s*(k|mm|m|bn)\b)?/gi)) {
+    const parts = m[1].split(/[.,']/);
+    const seps = m[1].match(/[.,']/g) || [];
+    const grouped = parts.slice(1).every((p) => p.length === 3);
+    let values;
+    if (!seps.length || grouped) values = [Number(parts.join(''))];
+    else if (new Set(seps).size === 1 && seps.length > 1) values = parts.map(Number);
+    else values = [Number(`${parts.slice(0, -1).join('')}.${parts[parts.length - 1]}`)];
+    values.forEach((n) => {
+      out.add(String(n));
+      if (m[2]) out.add(String(n * SCALES[m[2].toLowerCase()]));
+    });
+  }
+  return out;
+}
+
+// Capitalized words inside a value's sentences (not their first word): names of people, companies, products.
+function properNouns(text) {
+  return String(text)
+    .split(/[.!?;:\n]+/)
+    .flatMap((part) => (part.match(/[A-Za-z0-9]+/g) || []).slice(1))
+    .filter((w) => /^[A-Z]/.test(w) && w.length >= 3)
+    .map((w) => w.toLowerCase())
+    .filter((w) => !STOP_WORDS.has(w));
+}
+
+// Whether the sentences back the value (its flattened text). A value without words or numbers, e.g. a checkbox,
+// counts when it is cited at all.
+function supports(value, cited) {
+  if (!cited.length) return false;
+  const text = cited.map((s) => s.text).join(' ');
+  const found = new Set(words(text));
+  Object.entries(SYMBOL_CODES).forEach(([symbol, code]) => text.includes(symbol) && found.add(code));
+  const numbers = numbersIn(text);
+  found.forEach((w) => {
+    const month = MONTHS.indexOf(w.slice(0, 3));
+    if (month >= 0 && /^[a-z]+$/.test(w)) numbers.add(String(month + 1));
+  });
+
+  if ([...numbersIn(value)].some((n) => !numbers.has(n))) return false;
+  if (properNouns(value).some((w) => !found.has(w))) return false;
+  const valueWords = words(value).filter((w) => !/\d/.test(w));
+  if (!valueWords.length) return true;
+  const share = valueWords.filter((w) => found.has(w)).length / valueWords.length;
+  return valueWords.length <= SHORT_VALUE_WORDS ? share === 1 : share >= 0.5;
+}
+
+// Share of the value's words found in one sentence, to pick the best of several that support it.
+function overlap(value, sentence) {
+  const valueWords = words(value);
+  if (!valueWords.length) return 0;
+  const found = new Set(words(sentence.text));
+  return valueWords.filter((w) => found.has(w)).length / valueWords.length;
+}
+
+// Sentences named by a model citation: numbers, numeric strings, or quoted sentence text.
+function citedSentences(source, sentences) {
+  const refs = Array.isArray(source) ? source : source === undefined || source === null ? [] : [source];
+  const out = [];
+  for (const ref of refs) {
+    const n = Number(ref);
+    let hit = Number.isInteger(n) ? sentences[n - 1] : null;
+    if (!hit && typeof ref === 'string' && ref.trim()) {
+      const quote = ref.trim().toLowerCase();
+      hit = sentences.find((s) => s.text.toLowerCase().includes(quote) || quote.includes(s.text.toLowerCase()));
+    }
+    if (hit && !out.includes(hit)) out.push(hit);
+  }
+  return out;
+}
+
+function bestSentence(value, sentences) {
+  if (!words(value).length) return null;
+  let best = null;
+  let bestScore = -1;
+  for (const s of sentences) {
+    if (!supports(value, [s])) continue;
+    const score = overlap(value, s);
+    if (score > bestScore) {
+      best = s;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function isEmptyValue(v) {
+  if (v === '' || v === null || v === undefined) return true;
+  if (Array.isArray(v)) return v.length === 0;
+  if (typeof v === 'object') return Object.keys(v).length === 0;
+  return false;
+}
+
+// PUBLIC_INTERFACE
+export function validateExtraction(obj, fields, sentences) {
+  /**
+   * Validate a parsed model object against the fields and check its citations.
+   * Returns { proposals: [{ key, label, value, sources: [{ index, text, start, end }], grounded }], issues: [{ key, label, error }] }.
+   * Bare values (no { value, source } wrapper) are accepted and cited by matching.
+   */
+  const proposals = [];
+  const issues = [];
+  for (const f of fields) {
+    const entry = obj?.[f.key];
+    if (entry === undefined) continue;
+    const wrapped = !!entry && typeof entry === 'object' && !Array.isArray(entry) && 'value' in entry;
+    const r = coerceFieldValue(f, wrapped ? entry.value : entry);
+    if (r.error) {
+      issues.push({ key: f.key, label: f.label, error: r.error });
+      continue;
+    }
+    if (isEmptyValue(r.value)) continue;
+
+    const value = flatten(r.value);
+    let sources = wrapped ? citedSentences(entry.source ?? entry.sources, sentences) : [];
+    let grounded = supports(value, sources);
+    if (!grounded) {
+      const match = bestSentence(value, sentences);
+      if (match) {
+        sources = [match];
+        grounded = true;
+      }
+    }
+    proposals.push({ key: f.key, label: f.label, value: r.value, sources, grounded });
+  }
+  return { proposals, issues };
+}
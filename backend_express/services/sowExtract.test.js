@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitSentences, validateExtraction } from './sowExtract.js';
+
+const SOURCE = [
+  'Call notes from Monday.',
+  'The project title is Alpha.',
+  'Acme Corp wants the CRM migration to start on 1 March 2026.',
+  'The budget is €50,000 and Rita Smith is the client contact.',
+  'They also want weekly status reports, e.g. on Fridays.',
+].join('\n');
+
+const sentences = splitSentences(SOURCE);
+
+const FIELDS = [
+  { key: 'project_title', label: 'Project Title', type: 'text' },
+  { key: 'client_name', label: 'Client', type: 'text' },
+  { key: 'start_date', label: 'Start Date', type: 'date' },
+  { key: 'budget', label: 'Budget', type: 'text' },
+  { key: 'client_contact', label: 'Client Contact', type: 'text' },
+  { key: 'deliverables', label: 'Deliverables', type: 'list' },
+  { key: 'on_site', label: 'On site', type: 'checkbox' },
+];
+
+const extract = (obj) => validateExtraction(obj, FIELDS, sentences);
+const grounding = (obj) => Object.fromEntries(extract(obj).proposals.map((p) => [p.key, [p.grounded, p.sources.map((s) => s.index)]]));
+
+test('sentences keep their offsets into the source text', () => {
+  assert.equal(sentences.length, 5);
+  const s = sentences[4];
+  assert.equal(s.text, 'They also want weekly status reports, e.g. on Fridays.');
+  assert.equal(SOURCE.slice(s.start, s.end), s.text);
+});
+
+test('values whose words, names, numbers and dates are in the cited sentence are grounded', () => {
+  assert.deepEqual(
+    grounding({
+      project_title: { value: 'Alpha', source: [2] },
+      client_name: { value: 'Acme Corp', source: [3] },
+      start_date: { value: '2026-03-01', source: [3] },
+      budget: { value: 'EUR 50000', source: [4] },
+      client_contact: { value: 'Rita Smith', source: ['Rita Smith is the client contact'] },
+      deliverables: { value: ['Weekly status reports'], source: [5] },
+    }),
+    {
+      project_title: [true, [2]],
+      client_name: [true, [3]],
+      start_date: [true, [3]],
+      budget: [true, [4]],
+      client_contact: [true, [4]],
+      deliverables: [true, [5]],
+    }
+  );
+});
+
+test('a wrong citation is replaced by the sentence that supports the value', () => {
+  assert.deepEqual(grounding({ client_name: { value: 'Acme Corp', source: [1] }, client_contact: 'Rita Smith' }), {
+    client_name: [true, [3]],
+    client_contact: [true, [4]],
+  });
+});
+
+test('made-up values are not grounded by sentences that share some of their words', () => {
+  assert.deepEqual(
+    grounding({
+      project_title: { value: 'Mock Project Title', source: [2] },
+      client_name: { value: 'Acme Industries', source: [3] },
+      start_date: { value: '2026-04-01', source: [3] },
+      budget: { value: 'EUR 60,000', source: [4] },
+      client_contact: { value: 'Rita Jones', source: [4] },
+    }),
+    {
+      project_title: [false, [2]],
+      client_name: [false, [3]],
+      start_date: [false, [3]],
+      budget: [false, [4]],
+      client_contact: [false, [4]],
+    }
+  );
+});
+
+test('longer values may paraphrase but not invent names or numbers', () => {
+  const paraphrase = 'Acme Corp wants its CRM moved over, starting March 2026.';
+  assert.deepEqual(grounding({ deliverables: { value: [paraphrase], source: [3] } }), { deliverables: [true, [3]] });
+  const invented = 'Acme Corp wants its CRM moved over by Globex, starting March 2026.';
+  assert.deepEqual(grounding({ deliverables: { value: [invented], source: [3] } }), { deliverables: [false, [3]] });
+});
+
+test('values that do not fit the field become issues; empty values are dropped', () => {
+  const { proposals, issues } = extract({ start_date: 'sometime soon', on_site: { value: true, source: [1] }, project_title: '' });
+  assert.deepEqual(issues, [{ key: 'start_date', label: 'Start Date', error: '"sometime soon" is not a date' }]);
+  assert.deepEqual(
+    proposals.map((p) => [p.key, p.value, p.grounded]),
+    [['on_site', true, true]]
+  );
+});
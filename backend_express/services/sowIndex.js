@@ -0,0 +1,284 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getDataDir } from './jsonStore.js';
+import { collectDraftFields } from './sowDraft.js';
+import { workflowOf } from './workflow.js';
+// sowStore.js imports this module too; listSignedSows is only called at run time, after both have loaded.
+import { listSignedSows } from './sowStore.js';
+
+/**
+ * Local BM25 index over the text fields of signed SOWs (scope, assumptions, deliverables, ...).
+ * Drafts and SOWs still in review are left out, so suggestions only come from wording both parties signed.
+ *
+ * Each textarea is split into paragraphs / bullet lines and each list item becomes one passage.
+ * The index is a single JSON file next to the other collections (SOW_DATA_DIR/index/sow-passages.json)
+ * holding every passage with its term frequencies; document frequencies are derived when it loads.
+ * sowStore.js keeps it current on every save, workflow transition and delete; it is rebuilt from the signed SOWs
+ * (read through sowStore.js) when the file is missing, unreadable or from an older version, or on request
+ * (POST /api/suggest/reindex). No external service is involved.
+ *
+ * File shape:
+ *  { version, builtAt, sows: { [sowId]: { title, templateId, updatedAt, passages: [{ field, label, text, terms: { term: count }, length }] } } }
+ */
+
+const INDEX_FILE = path.join(getDataDir(), 'index', 'sow-passages.json');
+// Version 1 indexed every stored SOW, drafts included.
+const VERSION = 2;
+
+// BM25 parameters (the usual defaults).
+const K1 = 1.2;
+const B = 0.75;
+
+// Field types whose text is indexed.
+const INDEXED_TYPES = new Set(['textarea', 'list']);
+const MIN_PASSAGE_CHARS = 15;
+
+const STOP_WORDS = new Set(
+  'a an and are as at be by for from has have in into is it its of on or our shall that the their this to was were will with within without which who all any each per not no'.split(' ')
+);
+
+// PUBLIC_INTERFACE
+export function tokenize(text) {
+  /** Lowercased terms without stop words; a trailing plural "s" is dropped so "deliverables" matches "deliverable". */
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter((t) => !STOP_WORDS.has(t) && (t.length > 1 || /\d/.test(t)))
+    .map((t) => (t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+}
+
+function termCounts(tokens) {
+  const out = {};
+  tokens.forEach((t) => {
+    out[t] = (out[t] || 0) + 1;
+  });
+  return out;
+}
+
+function splitText(text) {
+  return String(text)
+    .split(/\n+/)
+    .map((l) => l.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+    .filter((l) => l.length >= MIN_PASSAGE_CHARS && !l.startsWith('data:'));
+}
+
+// PUBLIC_INTERFACE
+export function extractPassages(doc) {
+  /** Passages [{ field, label, text }] of one SOW document: textarea paragraphs and list items. */
+  const values = doc?.data?.templateData || {};
+  const fields = collectDraftFields(doc?.templateSchema || {});
+  const known = new Map(fields.map((f) => [f.key, f]));
+  const out = [];
+  Object.entries(values).forEach(([key, value]) => {
+    const f = known.get(key);
+    // Without a schema, any string array or longer string counts as a text field.
+    const indexed = f ? INDEXED_TYPES.has(f.type) : Array.isArray(value) || (typeof value === 'string' && value.length >= 40);
+    if (!indexed) return;
+    const label = f?.label || key;
+    const texts = Array.isArray(value) ? value.filter((v) => typeof v === 'string').flatMap(splitText) : splitText(value || '');
+    texts.forEach((text) => out.push({ field: key, label, text }));
+  });
+  return out;
+}
+
+let state = null; // { sows: Map<sowId, entry>, df: Map<term, count>, passages, totalLength }
+let loading = null;
+let writing = Promise.resolve();
+
+function addStats(entry, sign) {
+  entry.passages.forEach((p) => {
+    Object.keys(p.terms).forEach((t) => {
+      const next = (state.df.get(t) || 0) + sign;
+      if (next > 0) state.df.set(t, next);
+      else state.df.delete(t);
+    });
+    state.passages += sign;
+    state.totalLength += sign * p.length;
+  });
+}
+
+function setEntry(sowId, entry) {
+  const previous = state.sows.get(sowId);
+  if (previous) addStats(previous, -1);
+  if (entry) {
+    state.sows.set(sowId, entry);
+    addStats(entry, 1);
+  } else {
+    state.sows.delete(sowId);
+  }
+}
+
+function toEntry(doc) {
+  return {
+    title: doc.title || 'Untitled SOW',
+    templateId: doc.templateId || '',
+    updatedAt: doc.updatedAt || '',
+    passages: extractPassages(doc).map((p) => {
+      const tokens = tokenize(p.text);
+      return { ...p, terms: termCounts(tokens), length: tokens.length };
+    }),
+  };
+}
+
+function emptyState() {
+  return { sows: new Map(), df: new Map(), passages: 0, totalLength: 0 };
+}
+
+// Writes are chained so the file always holds the latest complete index; a failed write does not block later ones.
+function persist() {
+  const snapshot = {
+    version: VERSION,
+    builtAt: new Date().toISOString(),
+    sows: Object.fromEntries(state.sows),
+  };
+  writing = writing.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(INDEX_FILE), { recursive: true });
+    const tmp = `${INDEX_FILE}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(snapshot), 'utf8');
+    await fs.rename(tmp, INDEX_FILE);
+  });
+  return writing;
+}
+
+// PUBLIC_INTERFACE
+export function loadIndex() {
+  /** Load the index file once; when it is missing or outdated, build it from the signed SOWs. */
+  if (state) return Promise.resolve(state);
+  if (!loading) {
+    loading = (async () => {
+      let saved = null;
+      try {
+        saved = JSON.parse(await fs.readFile(INDEX_FILE, 'utf8'));
+      } catch (e) {
+        if (e?.code !== 'ENOENT') {
+          // eslint-disable-next-line no-console
+          console.warn('[index] Unreadable index file, rebuilding:', e?.message);
+        }
+      }
+      state = emptyState();
+      if (saved?.version === VERSION) {
+        Object.entries(saved.sows || {}).forEach(([id, entry]) => setEntry(id, entry));
+      } else {
+        (await listSignedSows()).forEach((doc) => setEntry(doc.id, toEntry(doc)));
+        await persist();
+      }
+      return state;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+// PUBLIC_INTERFACE
+export async function rebuildIndex() {
+  /** Rebuild the whole index from the signed SOWs. Returns the index stats. */
+  const docs = await listSignedSows();
+  state = emptyState();
+  docs.forEach((doc) => setEntry(doc.id, toEntry(doc)));
+  await persist();
+  return indexStats();
+}
+
+// PUBLIC_INTERFACE
+export async function indexSow(doc) {
+  /** Add or refresh one SOW's passages if it is signed; otherwise drop them. */
+  if (!doc?.id) return;
+  await loadIndex();
+  if (workflowOf(doc).status !== 'signed') {
+    await unindexSow(doc.id);
+    return;
+  }
+  setEntry(doc.id, toEntry(doc));
+  await persist();
+}
+
+// PUBLIC_INTERFACE
+export async function unindexSow(sowId) {
+  /** Drop one SOW's passages. */
+  await loadIndex();
+  if (!state.sows.has(sowId)) return;
+  setEntry(sowId, null);
+  await persist();
+}
+
+// PUBLIC_INTERFACE
+export function indexStats() {
+  /** { sows, passages, terms } of the loaded index (zeros before it is loaded). */
+  if (!state) return { sows: 0, passages: 0, terms: 0 };
+  return { sows: state.sows.size, passages: state.passages, terms: state.df.size };
+}
+
+// PUBLIC_INTERFACE
+export function searchPassages(query, { fields, excludeSowId, limit = 5 } = {}) {
+  /**
+   * BM25-ranked passages for `query`: [{ text, field, label, sowId, sowTitle, score }].
+   * `fields` restricts the search to those field keys; passages of `excludeSowId` (the SOW being edited) are skipped.
+   * Identical passages (same wording in several SOWs) are returned once. Call loadIndex first.
+   */
+  if (!state || !state.passages) return [];
+  const terms = [...new Set(tokenize(query))].filter((t) => state.df.has(t));
+  if (!terms.length) return [];
+  const only = fields?.length ? new Set(fields) : null;
+  const avgLength = state.totalLength / state.passages || 1;
+  const idf = new Map(terms.map((t) => [t, Math.log(1 + (state.passages - state.df.get(t) + 0.5) / (state.df.get(t) + 0.5))]));
+
+  const hits = [];
+  state.sows.forEach((entry, sowId) => {
+    if (sowId === excludeSowId) return;
+    entry.passages.forEach((p) => {
+      if (only && !only.has(p.field)) return;
+      let score = 0;
+      terms.forEach((t) => {
+        const tf = p.terms[t];
+        if (!tf) return;
+        score += (idf.get(t) * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * p.length) / avgLength));
+      });
+      if (score > 0) hits.push({ text: p.text, field: p.field, label: p.label, sowId, sowTitle: entry.title, score });
+    });
+  });
+
+  const seen = new Set();
+  return hits
+    .sort((a, b) => b.score - a.score)
+    .filter((h) => {
+      const key = h.text.toLowerCase().replace(/\s+/g, ' ');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit)
+    .map((h) => ({ ...h, score: Math.round(h.score * 1000) / 1000 }));
+}
+
+function valueText(v) {
+  if (v === null || v === undefined || typeof v === 'boolean') return '';
+  if (Array.isArray(v)) return v.map(valueText).join('\n');
+  if (typeof v === 'object') return Object.values(v).map(valueText).join('\n');
+  const s = String(v);
+  return s.startsWith('data:') ? '' : s;
+}
+
+// PUBLIC_INTERFACE
+export async function suggestForField({ field, value, context, excludeSowId, limit = 5 }) {
+  /**
+   * Passages from other SOWs for one field, ranked against the field label, its current value and the
+   * rest of the SOW (`context`: { [fieldKey]: value }). Passages of the same field come first; other
+   * fields top up the list when it has fewer than `limit` matches. Passages already in `value` are left out.
+   */
+  await loadIndex();
+  const current = valueText(value).toLowerCase();
+  const others = Object.entries(context || {})
+    .filter(([k]) => k !== field.key)
+    .map(([, v]) => valueText(v))
+    .join('\n')
+    .slice(0, 2000);
+  const query = [field.label || field.key, valueText(value), others].join('\n');
+  const fresh = (hits) => hits.filter((h) => !current.includes(h.text.toLowerCase()));
+
+  let hits = fresh(searchPassages(query, { fields: [field.key], excludeSowId, limit: limit * 2 }));
+  if (hits.length < limit) {
+    const seen = new Set(hits.map((h) => h.text));
+    const more = fresh(searchPassages(query, { excludeSowId, limit: limit * 2 })).filter((h) => !seen.has(h.text));
+    hits = [...hits, ...more];
+  }
+  return hits.slice(0, limit);
+}
@@ -0,0 +1,176 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The stores and the index read SOW_DATA_DIR when they load, so it is set before importing them.
+process.env.SOW_DATA_DIR = await mkdtemp(path.join(os.tmpdir(), 'sow-index-'));
+const { extractPassages, indexStats, loadIndex, rebuildIndex, searchPassages, tokenize, unindexSow } = await import(
+  './sowIndex.js'
+);
+const { assignReviewers, createSow, deleteSow, signSow, transitionSow, updateSow } = await import('./sowStore.js');
+const { createSeal } = await import('./sealStore.js');
+
+after(() => rm(process.env.SOW_DATA_DIR, { recursive: true, force: true }));
+
+const schema = {
+  sections: [
+    {
+      section: 'Project',
+      fields: [
+        { key: 'scope_of_work', label: 'Scope of Work', type: 'textarea' },
+        { key: 'deliverables', label: 'Deliverables', type: 'list' },
+        { key: 'project_title', label: 'Project Title', type: 'text' },
+      ],
+    },
+    { section: 'Authorization', fields: [{ key: 'client_signature', label: 'Client Signature', type: 'signature' }] },
+  ],
+};
+
+const PEOPLE = {
+  internal_review: { reviewer: 'Rita', approver: 'Ann' },
+  client_review: { reviewer: 'Carl', approver: 'Cleo' },
+};
+
+async function step(id, action, actor) {
+  const result = await transitionSow(id, action, { actor });
+  assert.equal(result.ok, true, `${action} by ${actor}: ${result.error}`);
+  return result.sow;
+}
+
+// A SOW signed by the client and approved through both stages; `mark_signed` is left to the caller.
+async function approvedSow(title, templateData) {
+  const sow = await createSow({ title, templateSchema: schema, data: { templateData } });
+  const signed = await signSow(sow.id, { fieldKey: 'client_signature', image: 'data:image/png;base64,iVBORw0KGgo=', signer: 'Cleo' });
+  await createSeal(signed.sow, { fieldKey: 'client_signature', signer: 'Cleo', method: 'drawn' });
+  await assignReviewers(sow.id, PEOPLE);
+  for (const [action, actor] of [
+    ['submit', 'Sam'],
+    ['review', 'Rita'],
+    ['approve', 'Ann'],
+    ['review', 'Carl'],
+    ['approve', 'Cleo'],
+  ]) {
+    await step(sow.id, action, actor);
+  }
+  return sow.id;
+}
+
+async function signedSow(title, templateData) {
+  const id = await approvedSow(title, templateData);
+  await step(id, 'mark_signed', 'Cleo');
+  return id;
+}
+
+const draftSow = (scope) => createSow({ title: 'Draft', templateSchema: schema, data: { templateData: { scope_of_work: scope } } });
+
+const idsFor = (query, options) => searchPassages(query, options).map((h) => h.sowId);
+
+test('passages are the paragraphs, bullets and list items of text fields', () => {
+  assert.deepEqual(tokenize('The Deliverables of this SOW: 3 reports, a glass'), ['deliverable', 'sow', '3', 'report', 'glass']);
+
+  const passages = extractPassages({
+    templateSchema: schema,
+    data: {
+      templateData: {
+        scope_of_work: 'Migrate the customer records.\n\n- Rebuild the nightly exports\nShort line\n2) Retire the old CRM servers',
+        deliverables: ['Data migration runbook', 'Cutover', 'data:image/png;base64,AAAAAAAAAAAAAAAAAAAA'],
+        project_title: 'A project title that is long enough to count as text',
+      },
+    },
+  });
+  assert.deepEqual(
+    passages.map((p) => [p.field, p.label, p.text]),
+    [
+      ['scope_of_work', 'Scope of Work', 'Migrate the customer records.'],
+      ['scope_of_work', 'Scope of Work', 'Rebuild the nightly exports'],
+      ['scope_of_work', 'Scope of Work', 'Retire the old CRM servers'],
+      ['deliverables', 'Deliverables', 'Data migration runbook'],
+    ]
+  );
+
+  // Without a schema, string lists and longer strings count as text fields
+  const loose = extractPassages({
+    data: { templateData: { notes: 'A note that is long enough to be indexed here.', code: 'PO-7', items: ['Weekly status report'] } },
+  });
+  assert.deepEqual(loose.map((p) => p.field), ['notes', 'items']);
+});
+
+test('only signed SOWs are indexed, from the moment they are marked signed', async () => {
+  await loadIndex();
+  const before = indexStats().sows;
+  const draft = await draftSow('Calibrate the turbine telemetry sensors.');
+  await updateSow(draft.id, { data: { templateData: { scope_of_work: 'Calibrate the turbine telemetry sensors twice.' } } });
+  assert.deepEqual(idsFor('turbine telemetry'), []);
+
+  const id = await approvedSow('Turbines', { scope_of_work: 'Replace the turbine telemetry gateways.' });
+  assert.deepEqual(idsFor('turbine telemetry'), []);
+  assert.equal(indexStats().sows, before);
+
+  await step(id, 'mark_signed', 'Cleo');
+  const [hit] = searchPassages('turbine telemetry');
+  assert.deepEqual([hit.sowId, hit.sowTitle, hit.field, hit.label, hit.text], [
+    id,
+    'Turbines',
+    'scope_of_work',
+    'Scope of Work',
+    'Replace the turbine telemetry gateways.',
+  ]);
+  assert.equal(indexStats().sows, before + 1);
+
+  const saved = JSON.parse(await readFile(path.join(process.env.SOW_DATA_DIR, 'index', 'sow-passages.json'), 'utf8'));
+  assert.equal(saved.version, 2);
+  assert.deepEqual(Object.keys(saved.sows).filter((k) => k === id || k === draft.id), [id]);
+});
+
+test('passages are ranked by BM25 and can be filtered by field and SOW', async () => {
+  const close = await signedSow('Warehouse scanners', {
+    scope_of_work: 'Deploy handheld barcode scanners in the warehouse.\nTrain the warehouse staff on the barcode scanners.',
+    deliverables: ['Barcode scanner rollout plan'],
+  });
+  const loose = await signedSow('Office move', {
+    scope_of_work: 'Move the office furniture and the printers to the new floor.',
+    deliverables: ['Warehouse inventory of the old office furniture'],
+  });
+  const copy = await signedSow('Warehouse scanners again', {
+    scope_of_work: 'Deploy handheld barcode scanners in the warehouse.',
+  });
+
+  const hits = searchPassages('barcode scanners for the warehouse', { limit: 10 });
+  assert.equal(hits[0].text, 'Deploy handheld barcode scanners in the warehouse.');
+  assert.ok([close, copy].includes(hits[0].sowId));
+  assert.equal(hits.at(-1).sowId, loose);
+  assert.ok(hits.every((h, i) => i === 0 || hits[i - 1].score >= h.score));
+  // The same wording in two SOWs comes back once
+  assert.equal(hits.filter((h) => h.text === 'Deploy handheld barcode scanners in the warehouse.').length, 1);
+
+  const deliverables = searchPassages('barcode scanners for the warehouse', { fields: ['deliverables'], limit: 10 });
+  assert.deepEqual(
+    deliverables.map((h) => h.text),
+    ['Barcode scanner rollout plan', 'Warehouse inventory of the old office furniture']
+  );
+  assert.ok(!idsFor('barcode warehouse', { excludeSowId: close, limit: 10 }).includes(close));
+  assert.equal(searchPassages('barcode scanners for the warehouse', { limit: 2 }).length, 2);
+  assert.deepEqual(searchPassages('the of and'), []);
+});
+
+test('deleting and rebuilding keep the index in step with the signed SOWs', async () => {
+  const draft = await draftSow('Survey the glacier meltwater channels.');
+  const id = await signedSow('Glaciers', { scope_of_work: 'Map the glacier meltwater channels by drone.' });
+  const stats = indexStats();
+
+  assert.deepEqual(await deleteSow(draft.id), { ok: true });
+  assert.deepEqual(indexStats(), stats);
+  // A signed SOW is locked, so it stays and so do its passages
+  assert.equal((await deleteSow(id)).status, 409);
+  assert.deepEqual(idsFor('glacier meltwater'), [id]);
+
+  await unindexSow(id);
+  assert.deepEqual(idsFor('glacier meltwater'), []);
+  assert.equal(indexStats().sows, stats.sows - 1);
+
+  const rebuilt = await rebuildIndex();
+  assert.deepEqual(rebuilt, stats);
+  assert.deepEqual(idsFor('glacier meltwater'), [id]);
+});
@@ -0,0 +1,319 @@
+/**
+ * Contract-risk review of a filled SOW.
+ *
+ * Two passes over the template values, both anchored to a field key:
+ *  - a pattern pre-pass (no model) for the common cases of each rubric item, and
+ *  - a model pass with the same rubric, whose reply is validated here: unknown fields are dropped, the quoted
+ *    text must occur in the field's value, and every finding needs a replacement clause.
+ *
+ * Finding: { id, source: 'rules'|'model', category, severity: 'high'|'medium'|'low', fieldKey, label,
+ *            issue, quote, replacement, row? }
+ *  - quote: the text the replacement is meant for ('' when the clause is added to the field)
+ *  - row: for table fields, the row index whose acceptance-criteria cell the replacement fills
+ */
+import { collectDraftFields } from './sowDraft.js';
+
+// PUBLIC_INTERFACE
+export const RISK_RUBRIC = {
+  vague_deliverable: 'Vague deliverable with no acceptance criteria',
+  uncapped_tm: 'Open-ended Time and Material commitment with no cap',
+  change_control: 'Missing change-control steps',
+  ambiguous_sla: 'Ambiguous service levels',
+  client_dependency: 'Unbounded client dependency',
+};
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+const VAGUE_RE = /\b(as needed|as required|as appropriate|support|assist(ance)?|help|various|etc\.?|ongoing|best efforts?|and so on|tbd|misc(ellaneous)?|general)\b/i;
+const ACCEPTANCE_RE = /\b(accept(ed|ance)?|sign[- ]?off|approv(ed|al)|criteria|verified|validated|tested)\b/i;
+const TM_RE = /\btime\s*(and|&)\s*materials?\b|\bt\s*&\s*m\b/i;
+const CAP_RE = /\b(not[- ]to[- ]exceed|nte|shall not exceed|cap(ped)?|ceiling|maximum|budget of|up to\s+[a-z$€£]*\s?\d)/gi;
+// A cap word negated by the words just before it ("no cap", "without any ceiling", "is not capped")
+const NEGATED_CAP_RE = /\b(no|not|without|uncapped|unlimited)\s+(\S+\s+){0,2}$/i;
+const CHANGE_STEPS_RE = /\b(request|impact|assess|approv|sign|authori[sz])/gi;
+const SLA_VAGUE_RE = /\b(reasonable|timely|promptly|as soon as (possible|practicable)|asap|best efforts?|industry standard|as defined in the agreement|commercially reasonable|where possible)\b/i;
+const CLIENT_OBLIGATION_RE = /\b(provide|make available|ensure|give|grant|supply|support|access|deliver)\b/i;
+const TIME_BOUND_RE = /\b(within|no later than|by\s+\d|prior to|before|\d+\s*(business\s+|working\s+)?(days?|weeks?|hours?))\b/i;
+const OPEN_ENDED_RE = /\b(all|any|necessary|as required|as needed|unlimited|whatever)\b/i;
+
+const CLAUSES = {
+  acceptance: 'accepted when the Client confirms in writing, within 5 business days of delivery, that it meets the agreed acceptance criteria',
+  cap:
+    'Total charges under this Statement of Work shall not exceed [amount] without a Change Request approved in writing by the Client. ' +
+    'The Supplier will notify the Client when 80% of this amount has been invoiced.',
+  changeControl:
+    'Either party may request a change in writing. The Supplier will assess the impact on scope, schedule and charges within ' +
+    '5 business days and submit a Change Request. No change takes effect until the Change Request is signed by both parties; ' +
+    'until then work continues under the current Statement of Work.',
+  sla:
+    'Priority 1 (service unavailable): response within 1 hour, resolution within 8 business hours. Priority 2 (degraded): ' +
+    'response within 4 business hours, resolution within 3 business days. Priority 3: response within 1 business day. ' +
+    'Service levels are measured monthly and reported to the Client.',
+  dependency:
+    "within 5 business days of the Supplier's written request; delays in meeting this dependency extend the affected milestones " +
+    'and may be handled as a Change Request',
+};
+
+function toText(v) {
+  if (v === null || v === undefined || typeof v === 'boolean') return '';
+  if (Array.isArray(v)) return v.map(toText).filter(Boolean).join('\n');
+  if (typeof v === 'object') return Object.values(v).map(toText).filter(Boolean).join('\n');
+  const s = String(v).trim();
+  return s.startsWith('data:') ? '' : s;
+}
+
+// Whether `text` sets a cap on charges: a cap word that is not negated.
+function hasCap(text) {
+  return Array.from(String(text).matchAll(CAP_RE)).some((m) => !NEGATED_CAP_RE.test(String(text).slice(0, m.index)));
+}
+
+function matches(f, re) {
+  return re.test(`${f.key} ${f.label}`);
+}
+
+function words(text) {
+  return String(text).split(/\s+/).filter(Boolean).length;
+}
+
+// First sentence of `text` matching `re` (so the quote points at the problem, not the whole field).
+function sentenceWith(text, re) {
+  return (
+    String(text)
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map((s) => s.trim())
+      .find((s) => re.test(s)) || ''
+  );
+}
+
+function withClause(text, clause) {
+  const base = String(text).trim().replace(/[.;,]\s*$/, '');
+  return `${base}, ${clause}.`;
+}
+
+// PUBLIC_INTERFACE
+export function collectReviewFields(schema, values) {
+  /** The template's fields with their values and plain text: [{ key, label, type, section, columns, value, text }]. */
+  return collectDraftFields(schema).map((f) => ({ ...f, value: values?.[f.key], text: toText(values?.[f.key]) }));
+}
+
+function deliverableFindings(fields) {
+  const out = [];
+  const acceptanceField = fields.some((f) => matches(f, /accept/i) && f.text && ACCEPTANCE_RE.test(f.text));
+  fields
+    .filter((f) => matches(f, /deliverable/i))
+    .forEach((f) => {
+      if (f.type === 'table' && Array.isArray(f.value)) {
+        const column = (f.columns || []).find((c) => /accept/i.test(`${c.key} ${c.label || ''}`));
+        if (!column) return;
+        f.value.forEach((row, i) => {
+          const text = toText(row);
+          if (!text || toText(row?.[column.key])) return;
+          out.push({
+            category: 'vague_deliverable',
+            severity: 'medium',
+            field: f,
+            issue: `Row ${i + 1} has no acceptance criteria.`,
+            quote: '',
+            replacement: `${CLAUSES.acceptance[0].toUpperCase()}${CLAUSES.acceptance.slice(1)}.`,
+            row: i,
+          });
+        });
+        return;
+      }
+      if (acceptanceField) return;
+      const items = Array.isArray(f.value) ? f.value.map(toText) : String(f.text).split(/\n+/);
+      items
+        .map((item) => item.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+        .filter((item) => item && !ACCEPTANCE_RE.test(item) && (VAGUE_RE.test(item) || words(item) < 4))
+        .forEach((item) => {
+          out.push({
+            category: 'vague_deliverable',
+            severity: VAGUE_RE.test(item) ? 'high' : 'medium',
+            field: f,
+            issue: `“${item}” does not say what is delivered or how it is accepted.`,
+            quote: item,
+            replacement: withClause(item, CLAUSES.acceptance),
+          });
+        });
+    });
+  return out;
+}
+
+function timeAndMaterialFindings(fields) {
+  const isTM = fields.some((f) => matches(f, /type.?of.?project|project.?type/i) && TM_RE.test(f.text));
+  if (!isTM) return [];
+  const commercial = fields.filter((f) => matches(f, /charge|payment|rate|budget|cost|fee/i));
+  if (commercial.some((f) => hasCap(f.text))) return [];
+  // The clause is added to a text block (charges / payment terms) rather than a one-line rate field.
+  const anchor = commercial.find((f) => f.type === 'textarea') || commercial.find((f) => f.type === 'text');
+  if (!anchor) return [];
+  return [
+    {
+      category: 'uncapped_tm',
+      severity: 'high',
+      field: anchor,
+      issue: 'Time and Material work is billed without a not-to-exceed amount, so charges are open-ended.',
+      quote: '',
+      replacement: CLAUSES.cap,
+    },
+  ];
+}
+
+function changeControlFindings(fields, isFixedPrice) {
+  const field = fields.find((f) => matches(f, /change.?(control|management)/i) && f.type === 'textarea');
+  if (!field) return [];
+  if (!field.text) {
+    if (!isFixedPrice && /fixed price/i.test(field.label)) return [];
+    return [
+      {
+        category: 'change_control',
+        severity: 'high',
+        field,
+        issue: 'No change-control procedure is defined.',
+        quote: '',
+        replacement: CLAUSES.changeControl,
+      },
+    ];
+  }
+  const steps = new Set((field.text.match(CHANGE_STEPS_RE) || []).map((s) => s.toLowerCase().slice(0, 5)));
+  if (steps.size >= 3 && words(field.text) >= 15) return [];
+  return [
+    {
+      category: 'change_control',
+      severity: 'medium',
+      field,
+      issue: 'The procedure does not say how a change is requested, assessed and approved.',
+      quote: '',
+      replacement: CLAUSES.changeControl,
+    },
+  ];
+}
+
+function slaFindings(fields) {
+  const field = fields.find((f) => matches(f, /service.?level|\bsla/i) && ['textarea', 'text', 'list'].includes(f.type));
+  if (!field || !field.text) return [];
+  const vague = sentenceWith(field.text, SLA_VAGUE_RE);
+  if (!vague && /\d/.test(field.text)) return [];
+  return [
+    {
+      category: 'ambiguous_sla',
+      severity: 'medium',
+      field,
+      issue: vague ? `“${vague}” is not measurable.` : 'The service levels have no response or resolution times.',
+      quote: field.type === 'list' ? '' : vague,
+      replacement: CLAUSES.sla,
+    },
+  ];
+}
+
+function dependencyFindings(fields) {
+  const out = [];
+  fields
+    .filter((f) => matches(f, /client.?(deliverable|responsib|dependenc)|dependenc|assumption/i))
+    .forEach((f) => {
+      const items = Array.isArray(f.value) ? f.value.map(toText) : String(f.text).split(/\n+/);
+      items
+        .map((item) => item.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+        .filter((item) => {
+          const onClient = /\b(client|customer)\b/i.test(item) || matches(f, /client/i);
+          return onClient && CLIENT_OBLIGATION_RE.test(item) && OPEN_ENDED_RE.test(item) && !TIME_BOUND_RE.test(item);
+        })
+        .forEach((item) => {
+          out.push({
+            category: 'client_dependency',
+            severity: 'medium',
+            field: f,
+            issue: `“${item}” has no time limit or scope, so delays on the client side are open-ended.`,
+            quote: item,
+            replacement: withClause(item, CLAUSES.dependency),
+          });
+        });
+    });
+  return out;
+}
+
+function toFinding(source, f, i) {
+  const { field, ...rest } = f;
+  return {
+    id: `${source}-${i + 1}`,
+    source,
+    ...rest,
+    fieldKey: field.key,
+    label: field.label,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function runRiskPatterns(fields) {
+  /** Pattern pre-pass over collectReviewFields output. Returns findings with source 'rules'. */
+  const isFixedPrice = fields.some((f) => matches(f, /type.?of.?project|project.?type/i) && /fixed/i.test(f.text));
+  return [
+    ...deliverableFindings(fields),
+    ...timeAndMaterialFindings(fields),
+    ...changeControlFindings(fields, isFixedPrice),
+    ...slaFindings(fields),
+    ...dependencyFindings(fields),
+  ].map((f, i) => toFinding('rules', f, i));
+}
+
+// PUBLIC_INTERFACE
+export function buildRiskPrompt(fields) {
+  /** Return { systemPrompt, prompt } asking for { findings: [{ field, category, severity, issue, quote, replacement }] }. */
+  const rubric = Object.entries(RISK_RUBRIC)
+    .map(([key, label]) => `- ${key}: ${label}`)
+    .join('\n');
+  const sow = fields
+    .filter((f) => f.text)
+    .map((f) => `[${f.key}] ${f.label}${f.section ? ` (section: ${f.section})` : ''}:\n${f.text || '(empty)'}`)
+    .join('\n\n')
+    .slice(0, 12000);
+
+  const systemPrompt = [
+    'You are a contracts reviewer checking a Statement of Work (SOW) for commercial and delivery risk.',
+    'Reply with a single JSON object only: no prose, no markdown fences.',
+    'Shape: {"findings": [{"field": <field key>, "category": <rubric key>, "severity": "high"|"medium"|"low",',
+    '"issue": <one sentence>, "quote": <exact text from that field the finding is about, or "">,',
+    '"replacement": <clause that fixes it, written to replace the quote or to be added to the field>}]}.',
+    'Only report real problems under the rubric; an empty list is a valid answer. Never invent amounts or names: use [placeholders].',
+  ].join('\n');
+
+  const prompt = ['Review rubric:', rubric, '', 'Filled SOW fields ([key] label: value):', sow, '', 'Reply with the JSON object now.'].join('\n');
+  return { systemPrompt, prompt };
+}
+
+function normalizeSpace(s) {
+  return String(s || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// PUBLIC_INTERFACE
+export function validateRiskFindings(obj, fields, existing = []) {
+  /**
+   * Keep the model findings that name a known field, a rubric category and a replacement; a quote that does
+   * not occur in the field's value is dropped (the clause is then added to the field). Findings for a field and
+   * category the pattern pass already reported are left out. Returns findings with source 'model'.
+   */
+  const byKey = new Map(fields.map((f) => [f.key, f]));
+  const seen = new Set(existing.map((f) => `${f.fieldKey}|${f.category}`));
+  const list = Array.isArray(obj?.findings) ? obj.findings : [];
+  const out = [];
+  list.forEach((raw) => {
+    const field = byKey.get(String(raw?.field || raw?.fieldKey || ''));
+    const category = String(raw?.category || '');
+    const replacement = typeof raw?.replacement === 'string' ? raw.replacement.trim() : '';
+    if (!field || !RISK_RUBRIC[category] || !replacement || field.type === 'table') return;
+    const key = `${field.key}|${category}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const quote = typeof raw.quote === 'string' && raw.quote.trim() && normalizeSpace(field.text).includes(normalizeSpace(raw.quote)) ? raw.quote.trim() : '';
+    const severity = SEVERITIES.includes(String(raw.severity).toLowerCase()) ? String(raw.severity).toLowerCase() : 'medium';
+    out.push({
+      category,
+      severity,
+      field,
+      issue: String(raw.issue || RISK_RUBRIC[category]).trim(),
+      quote,
+      replacement,
+    });
+  });
+  return out.map((f, i) => toFinding('model', f, i));
+}
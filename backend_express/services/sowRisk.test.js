@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectReviewFields, runRiskPatterns, validateRiskFindings } from './sowRisk.js';
+
+const schema = {
+  sections: [
+    {
+      section: 'Project',
+      fields: [
+        { key: 'type_of_project', label: 'Type of Project', type: 'text' },
+        { key: 'deliverables', label: 'Deliverables', type: 'list' },
+        { key: 'charges', label: 'Charges', type: 'textarea' },
+        { key: 'change_control', label: 'Change Control', type: 'textarea' },
+        { key: 'service_level_agreements', label: 'Service Level Agreements', type: 'textarea' },
+        { key: 'client_responsibilities', label: 'Client Responsibilities', type: 'list' },
+      ],
+    },
+  ],
+};
+
+// An empty change-control field is itself a finding, so the other tests start from a complete procedure
+const CHANGE_CONTROL =
+  'Either party may request a change in writing; the Supplier will assess the impact and the change applies once approved and signed by both parties.';
+
+const review = (values) => runRiskPatterns(collectReviewFields(schema, { change_control: CHANGE_CONTROL, ...values }));
+const categories = (values) => review(values).map((f) => f.category);
+
+const tm = (charges) => ({ type_of_project: 'Time and Materials', charges });
+
+test('T&M charges without a cap are flagged on the charges field', () => {
+  const [finding] = review(tm('Work is billed monthly at the agreed rates.'));
+  assert.equal(finding.category, 'uncapped_tm');
+  assert.equal(finding.fieldKey, 'charges');
+  assert.equal(finding.source, 'rules');
+});
+
+test('a negated cap still counts as uncapped', () => {
+  [
+    'Work is billed monthly with no cap on total charges.',
+    'There is no maximum.',
+    'Charges are billed without any ceiling.',
+    'The engagement is not capped.',
+    'Total spend has an unlimited ceiling.',
+  ].forEach((charges) => assert.deepEqual(categories(tm(charges)), ['uncapped_tm'], charges));
+});
+
+test('a stated cap, or a later one after a negation, is not flagged', () => {
+  [
+    'Total charges shall not exceed EUR 50,000.',
+    'A not-to-exceed amount of USD 20,000 applies.',
+    'Charges are capped at 400 hours.',
+    'There is no cap on hours, but total charges shall not exceed EUR 50,000.',
+  ].forEach((charges) => assert.deepEqual(categories(tm(charges)), [], charges));
+  assert.deepEqual(categories({ type_of_project: 'Fixed Price', charges: 'No cap.' }), []);
+});
+
+test('vague deliverables without acceptance criteria are flagged with a clause', () => {
+  const [finding] = review({ deliverables: ['Ongoing support as needed', 'Design document approved by the Client'] });
+  assert.equal(finding.category, 'vague_deliverable');
+  assert.equal(finding.severity, 'high');
+  assert.equal(finding.quote, 'Ongoing support as needed');
+  assert.match(finding.replacement, /^Ongoing support as needed, accepted when/);
+});
+
+test('change control needs request, assessment and approval steps', () => {
+  assert.deepEqual(categories({ change_control: 'Changes are discussed.' }), ['change_control']);
+  assert.deepEqual(categories({ change_control: '' }), ['change_control']);
+  assert.deepEqual(categories({}), []);
+});
+
+test('service levels need measurable times', () => {
+  const [finding] = review({ service_level_agreements: 'Issues are fixed promptly. Reports are sent monthly.' });
+  assert.equal(finding.category, 'ambiguous_sla');
+  assert.equal(finding.quote, 'Issues are fixed promptly.');
+  assert.deepEqual(categories({ service_level_agreements: 'P1 response within 1 hour, resolution within 8 hours.' }), []);
+});
+
+test('open-ended client dependencies are flagged unless time-bound', () => {
+  assert.deepEqual(categories({ client_responsibilities: ['Client will provide all necessary access'] }), ['client_dependency']);
+  assert.deepEqual(categories({ client_responsibilities: ['Client will provide all necessary access within 5 business days'] }), []);
+});
+
+test('model findings are kept only for known fields and categories, without duplicating the rules', () => {
+  const fields = collectReviewFields(schema, { change_control: CHANGE_CONTROL, ...tm('Billed monthly.') });
+  const existing = runRiskPatterns(fields);
+  const findings = validateRiskFindings(
+    {
+      findings: [
+        { field: 'charges', category: 'uncapped_tm', replacement: 'Cap it.' },
+        { field: 'charges', category: 'ambiguous_sla', quote: 'not in the text', replacement: 'Clause.', severity: 'HIGH' },
+        { field: 'unknown', category: 'ambiguous_sla', replacement: 'Clause.' },
+        { field: 'charges', category: 'made_up', replacement: 'Clause.' },
+      ],
+    },
+    fields,
+    existing
+  );
+  assert.deepEqual(
+    findings.map((f) => [f.fieldKey, f.category, f.quote, f.severity]),
+    [['charges', 'ambiguous_sla', '', 'high']]
+  );
+});
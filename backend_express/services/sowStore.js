@@ -0,0 +1,270 @@
+import { nanoid } from 'nanoid';
+import { createCollection } from './jsonStore.js';
+import { createRevision, deleteRevisions, getRevision } from './revisionStore.js';
+import { indexSow, unindexSow } from './sowIndex.js';
+import { contentHash, deleteSeals, signatureBlockKeys, verifySeals } from './sealStore.js';
+import { countOpenThreads, deleteComments } from './commentStore.js';
+import { REVIEW_STAGES, assign, availableActions, isLocked, transition, workflowOf } from './workflow.js';
+
+/**
+ * SOW document store.
+ *
+ * Document shape:
+ *  {
+ *    id, title, templateId, templateSchema,
+ *    data: { meta, templateMeta, templateData, ... },   // the frontend's unified SOW JSON
+ *    revision, latestRevisionId,                         // see revisionStore.js
+ *    workflow,                                           // approval status, assignees and history, see workflow.js
+ *    createdAt, updatedAt                                // ISO timestamps
+ *  }
+ *
+ * Every save that carries `data` also records an immutable revision, attributed to
+ * the `{ author, note }` passed alongside the document fields. Signed SOWs feed the retrieval
+ * index (sowIndex.js): saves, workflow transitions and deletes keep their passages current.
+ *
+ * Approved and signed SOWs are locked (workflow.js): updates, restores and deletes answer 409, checked under the
+ * document's write lock, and signing only changes the signature blocks. A content change during a review stage
+ * withdraws the reviewer's sign-off, so the approver never approves text the reviewer has not seen.
+ */
+
+const sows = createCollection('sows');
+
+const LOCKED_ERROR = 'The SOW is approved; edits are locked until it is reopened.';
+
+function pickDocumentFields(input = {}) {
+  const out = {};
+  if (input.title !== undefined) out.title = String(input.title || '').trim();
+  if (input.templateId !== undefined) out.templateId = String(input.templateId || '');
+  if (input.templateSchema !== undefined) out.templateSchema = input.templateSchema || null;
+  if (input.data !== undefined) out.data = input.data || {};
+  return out;
+}
+
+// The index only feeds suggestions, so a failure there never fails the save itself.
+async function refreshIndex(update) {
+  try {
+    await update();
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('[index] Could not update the SOW index:', e?.message);
+  }
+}
+
+function toSummary(doc) {
+  return {
+    id: doc.id,
+    title: doc.title,
+    templateId: doc.templateId,
+    revision: doc.revision || 0,
+    status: workflowOf(doc).status,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function listSows() {
+  /** Return SOW summaries (no data payload), most recently updated first. */
+  const docs = await sows.list();
+  return docs
+    .map(toSummary)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+// PUBLIC_INTERFACE
+export async function listSignedSows() {
+  /** Return the full documents of the signed SOWs (the retrieval index is built from these). */
+  const docs = await sows.list();
+  return docs.filter((doc) => workflowOf(doc).status === 'signed');
+}
+
+// PUBLIC_INTERFACE
+export function getSow(id) {
+  /** Return the full SOW document or null. */
+  return sows.get(id);
+}
+
+// PUBLIC_INTERFACE
+export async function createSow(input, { author, note } = {}) {
+  /** Create a new SOW document from { title?, templateId?, templateSchema?, data } and record revision 1. */
+  const now = new Date().toISOString();
+  const doc = {
+    id: nanoid(),
+    title: '',
+    templateId: '',
+    templateSchema: null,
+    data: {},
+    ...pickDocumentFields(input),
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (!doc.title) doc.title = 'Untitled SOW';
+  const rev = await createRevision(doc.id, { number: 1, author, note: note || 'Created', data: doc.data });
+  doc.revision = rev.number;
+  doc.latestRevisionId = rev.id;
+  const saved = await sows.put(doc.id, doc);
+  await refreshIndex(() => indexSow(saved));
+  return saved;
+}
+
+// Save the document fields `prepare(current)` picks, under the document lock. `prepare` returns { ok: true, input }
+// or { ok: false, error, status } to leave the document as it is. Resolves { ok, sow } or that failure.
+async function saveSow(id, prepare, { author, note } = {}) {
+  let failure = null;
+  const updated = await sows.update(id, async (current) => {
+    const prepared = prepare(current);
+    if (!prepared.ok) {
+      failure = prepared;
+      return current;
+    }
+    const patch = pickDocumentFields(prepared.input);
+    if (patch.title === '') delete patch.title;
+    const next = {
+      ...current,
+      ...patch,
+      id: current.id,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    if (patch.data !== undefined) {
+      const rev = await createRevision(current.id, {
+        number: (current.revision || 0) + 1,
+        author,
+        note,
+        data: next.data,
+      });
+      next.revision = rev.number;
+      next.latestRevisionId = rev.id;
+      const workflow = workflowOf(current);
+      if (REVIEW_STAGES.includes(workflow.status) && workflow.reviewed && contentHash(next.data) !== contentHash(current.data)) {
+        next.workflow = { ...workflow, reviewed: null };
+      }
+    }
+    return next;
+  });
+  if (!updated) return { ok: false, error: 'SOW not found.', status: 404 };
+  if (failure) return failure;
+  await refreshIndex(() => indexSow(updated));
+  return { ok: true, sow: updated };
+}
+
+// PUBLIC_INTERFACE
+export function updateSow(id, input, { author, note } = {}) {
+  /**
+   * Replace the provided top-level fields of an existing SOW. When `data` is part of the update a new revision is
+   * recorded. Resolves { ok: true, sow } or { ok: false, error, status }: 404 when missing, 409 while it is locked.
+   */
+  const prepare = (current) => (isLocked(current) ? { ok: false, error: LOCKED_ERROR, status: 409 } : { ok: true, input });
+  return saveSow(id, prepare, { author, note });
+}
+
+// PUBLIC_INTERFACE
+export async function restoreRevision(id, revisionId, { author } = {}) {
+  /** Make an earlier revision's data current again (recorded as a new revision), like updateSow. */
+  const rev = await getRevision(id, revisionId);
+  if (!rev) return { ok: false, error: 'Revision not found.', status: 404 };
+  return updateSow(id, { data: rev.data }, { author, note: `Restored revision ${rev.number}` });
+}
+
+// PUBLIC_INTERFACE
+export function signSow(id, { fieldKey, image, data, signer }) {
+  /**
+   * Write a signature image into templateData[fieldKey], along with `data` (the SOW as the signer sees it, default the
+   * stored data). Once approved only the signature blocks of the SOW's template schema are taken from `data`; any
+   * other value that differs from the stored one answers 409, and a signed SOW takes no signatures.
+   * Resolves { ok: true, sow } or { ok: false, error, status }.
+   */
+  return saveSow(
+    id,
+    (current) => {
+      const status = workflowOf(current).status;
+      if (status === 'signed') return { ok: false, error: 'The SOW is signed; it takes no further signatures.', status: 409 };
+      const stored = current.data || {};
+      let base = data || stored;
+      if (status === 'approved') {
+        const blocks = signatureBlockKeys(current.templateSchema);
+        const incoming = data?.templateData || {};
+        const others = Object.keys(incoming).filter((k) => !blocks.includes(k) && k !== fieldKey);
+        const pick = (values) => ({ templateData: Object.fromEntries(others.map((k) => [k, values?.[k]])) });
+        if (contentHash(pick(incoming)) !== contentHash(pick(stored.templateData))) {
+          return { ok: false, error: `${LOCKED_ERROR} Only the signature blocks can change.`, status: 409 };
+        }
+        const blockValues = Object.fromEntries(blocks.filter((k) => k in incoming).map((k) => [k, incoming[k]]));
+        base = { ...stored, templateData: { ...(stored.templateData || {}), ...blockValues } };
+      }
+      return { ok: true, input: { data: { ...base, templateData: { ...(base.templateData || {}), [fieldKey]: image } } } };
+    },
+    { author: signer, note: `Signed (${fieldKey})` }
+  );
+}
+
+// Run a workflow step under the document lock; resolves { ok, sow } or the step's { ok: false, error, status }.
+async function updateWorkflow(id, step) {
+  let failure = null;
+  const updated = await sows.update(id, async (current) => {
+    const result = await step(workflowOf(current), current);
+    if (!result.ok) {
+      failure = result;
+      return current;
+    }
+    return { ...current, workflow: result.workflow, updatedAt: new Date().toISOString() };
+  });
+  if (!updated) return { ok: false, error: 'SOW not found.', status: 404 };
+  return failure || { ok: true, sow: updated };
+}
+
+// PUBLIC_INTERFACE
+export async function getWorkflow(id, actor) {
+  /**
+   * The SOW's workflow, its number of open comment threads and the actions `actor` can take now
+   * ({ id, label, to, needsComment, allowed, reason }). Null if not found.
+   */
+  const sow = await sows.get(id);
+  if (!sow) return null;
+  const workflow = workflowOf(sow);
+  const sealsVerified = workflow.status === 'approved' ? (await verifySeals(sow)).verified : false;
+  const openComments = await countOpenThreads(sow.id);
+  return { workflow, openComments, actions: availableActions(workflow, actor, { sealsVerified, openComments }) };
+}
+
+// PUBLIC_INTERFACE
+export function assignReviewers(id, assignees) {
+  /** Set the reviewer / approver of review stages that have not started yet (workflow.assign). */
+  return updateWorkflow(id, (workflow) => assign(workflow, assignees));
+}
+
+// PUBLIC_INTERFACE
+export async function transitionSow(id, action, { actor, comment } = {}) {
+  /**
+   * Move the SOW through the approval workflow (workflow.transition). "approve" needs every comment thread resolved
+   * and "mark_signed" checks the signature seals first; a signed SOW joins the retrieval index.
+   * Resolves { ok: true, sow } or { ok: false, error, status }.
+   */
+  const result = await updateWorkflow(id, async (workflow, current) => {
+    const sealsVerified = action === 'mark_signed' ? (await verifySeals(current)).verified : false;
+    const openComments = action === 'approve' ? await countOpenThreads(current.id) : 0;
+    return transition(workflow, action, { actor, comment, sealsVerified, openComments });
+  });
+  if (result.ok) await refreshIndex(() => indexSow(result.sow));
+  return result;
+}
+
+// PUBLIC_INTERFACE
+export async function deleteSow(id) {
+  /**
+   * Delete a SOW with its revision history, signature seals and comments.
+   * Resolves { ok: true } or { ok: false, error, status }: 404 when missing, 409 while it is approved or signed.
+   */
+  let locked = false;
+  const removed = await sows.remove(id, (current) => {
+    locked = isLocked(current);
+    return !locked;
+  });
+  if (locked) return { ok: false, error: 'The SOW is approved or signed and cannot be deleted.', status: 409 };
+  if (!removed) return { ok: false, error: 'SOW not found.', status: 404 };
+  await deleteRevisions(id);
+  await deleteSeals(id);
+  await deleteComments(id);
+  await refreshIndex(() => unindexSow(id));
+  return { ok: true };
+}
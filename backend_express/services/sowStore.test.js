@@ -0,0 +1,78 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The stores read SOW_DATA_DIR when they load, so it is set before importing them.
+process.env.SOW_DATA_DIR = await mkdtemp(path.join(os.tmpdir(), 'sow-store-'));
+const { assignReviewers, createSow, deleteSow, getSow, restoreRevision, transitionSow, updateSow } = await import('./sowStore.js');
+const { listRevisions } = await import('./revisionStore.js');
+
+after(() => rm(process.env.SOW_DATA_DIR, { recursive: true, force: true }));
+
+const PEOPLE = {
+  internal_review: { reviewer: 'Rita', approver: 'Ann' },
+  client_review: { reviewer: 'Carl', approver: 'Cleo' },
+};
+
+const data = (scope) => ({ templateData: { scope_of_work: scope } });
+
+async function step(id, action, actor, comment) {
+  const result = await transitionSow(id, action, { actor, comment });
+  assert.equal(result.ok, true, `${action} by ${actor}: ${result.error}`);
+  return result.sow;
+}
+
+async function inInternalReview() {
+  const sow = await createSow({ title: 'Migration', data: data('Migrate the CRM.') }, { author: 'Sam' });
+  assert.equal((await assignReviewers(sow.id, PEOPLE)).ok, true);
+  await step(sow.id, 'submit', 'Sam');
+  return sow;
+}
+
+test('a content save during review withdraws the reviewer sign-off', async () => {
+  const { id } = await inInternalReview();
+  assert.deepEqual((await step(id, 'review', 'Rita')).workflow.reviewed?.by, 'Rita');
+
+  // A title-only save or a save with the same content keeps the sign-off
+  assert.notEqual((await updateSow(id, { title: 'CRM migration' })).sow.workflow.reviewed, null);
+  assert.notEqual((await updateSow(id, { data: data('Migrate the CRM.') })).sow.workflow.reviewed, null);
+
+  const edited = await updateSow(id, { data: data('Migrate the CRM and the ERP.') }, { author: 'Sam' });
+  assert.equal(edited.ok, true);
+  assert.equal(edited.sow.workflow.reviewed, null);
+  assert.equal(edited.sow.workflow.status, 'internal_review');
+
+  const approve = await transitionSow(id, 'approve', { actor: 'Ann' });
+  assert.equal(approve.status, 409);
+  await step(id, 'review', 'Rita');
+  assert.equal((await step(id, 'approve', 'Ann')).workflow.status, 'client_review');
+});
+
+test('an approved SOW cannot be edited, restored or deleted until it is reopened', async () => {
+  const { id } = await inInternalReview();
+  await step(id, 'review', 'Rita');
+  await step(id, 'approve', 'Ann');
+  await step(id, 'review', 'Carl');
+  const approved = await step(id, 'approve', 'Cleo');
+  assert.equal(approved.workflow.status, 'approved');
+
+  const edit = await updateSow(id, { data: data('Something else.') });
+  assert.deepEqual(edit, { ok: false, status: 409, error: 'The SOW is approved; edits are locked until it is reopened.' });
+  const [first] = await listRevisions(id);
+  assert.equal((await restoreRevision(id, first.id)).status, 409);
+  assert.equal((await deleteSow(id)).status, 409);
+  assert.equal((await getSow(id)).data.templateData.scope_of_work, 'Migrate the CRM.');
+
+  await step(id, 'reopen', 'Cleo', 'The dates moved.');
+  assert.equal((await updateSow(id, { data: data('Something else.') })).ok, true);
+  assert.deepEqual(await deleteSow(id), { ok: true });
+  assert.equal(await getSow(id), null);
+});
+
+test('missing SOWs answer 404', async () => {
+  assert.equal((await updateSow('missing', { title: 'x' })).status, 404);
+  assert.equal((await transitionSow('missing', 'submit', { actor: 'Sam' })).status, 404);
+  assert.equal((await deleteSow('missing')).status, 404);
+});
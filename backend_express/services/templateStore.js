@@ -0,0 +1,237 @@
+import { nanoid } from 'nanoid';
+import { createCollection, isValidId } from './jsonStore.js';
+
+/**
+ * Template registry.
+ *
+ * Template document (templates/<id>.json):
+ *  {
+ *    id, title, description, status: 'active'|'retired', builtin,
+ *    version, latestVersionId, fileName,      // current version
+ *    transcript, schema,                      // parsed from the current .docx by the frontend
+ *    sourceUrls,                              // built-ins only: files served by the frontend (public/attachments)
+ *    createdAt, updatedAt
+ *  }
+ *
+ * Every upload is kept as an immutable version in template-versions/<templateId>/<versionId>.json:
+ *  { id, templateId, number, fileName, fileBase64, transcript, schema, author, note, createdAt }
+ *
+ * The two built-in supplier templates are seeded on first access; they start without an uploaded
+ * file (the frontend reads their sourceUrls, the transcripts that ship in public/attachments) and can be
+ * given new versions or retired, but not deleted.
+ */
+
+const TEMPLATE_STATUSES = ['active', 'retired'];
+
+const BUILTIN_TEMPLATES = [
+  {
+    id: 'FP',
+    title: 'Fixed Price (FP)',
+    description: 'Defined scope, fixed budget and timeline.',
+    sourceUrls: ['/attachments/20250930_035346_Fixed price_Supplier_SoW_Template(docx).txt'],
+  },
+  {
+    id: 'TM',
+    title: 'Time & Material (T&M)',
+    description: 'Flexible scope, billable hours and materials.',
+    sourceUrls: ['/attachments/20250930_035345_T&M_Supplier_SoW_Template(docx).txt'],
+  },
+];
+
+const templates = createCollection('templates');
+const versionCollections = new Map();
+let seeded = null;
+
+function versionsOf(templateId) {
+  if (!isValidId(templateId)) throw new Error(`Invalid template id: ${templateId}`);
+  if (!versionCollections.has(templateId)) {
+    versionCollections.set(templateId, createCollection(`template-versions/${templateId}`));
+  }
+  return versionCollections.get(templateId);
+}
+
+function ensureBuiltins() {
+  if (!seeded) {
+    seeded = Promise.all(
+      BUILTIN_TEMPLATES.map(async (t) => {
+        const existing = await templates.get(t.id);
+        if (existing) {
+          // Entries seeded by older versions may still list attachments that never shipped.
+          if (JSON.stringify(existing.sourceUrls) !== JSON.stringify(t.sourceUrls)) {
+            await templates.update(t.id, (current) => ({ ...current, sourceUrls: t.sourceUrls }));
+          }
+          return;
+        }
+        const now = new Date().toISOString();
+        await templates.put(t.id, {
+          ...t,
+          status: 'active',
+          builtin: true,
+          version: 1,
+          latestVersionId: null,
+          fileName: '',
+          transcript: '',
+          schema: null,
+          createdAt: now,
+          updatedAt: now,
+        });
+      })
+    ).catch((e) => {
+      seeded = null;
+      throw e;
+    });
+  }
+  return seeded;
+}
+
+function toSummary(doc) {
+  return {
+    id: doc.id,
+    title: doc.title,
+    description: doc.description,
+    status: doc.status,
+    builtin: !!doc.builtin,
+    version: doc.version,
+    fileName: doc.fileName,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+function toVersionSummary(v) {
+  return { id: v.id, number: v.number, fileName: v.fileName, author: v.author, note: v.note, createdAt: v.createdAt };
+}
+
+// PUBLIC_INTERFACE
+export function isValidStatus(status) {
+  /** True for the statuses a template can be in ('active' | 'retired'). */
+  return TEMPLATE_STATUSES.includes(status);
+}
+
+// PUBLIC_INTERFACE
+export function validateUpload(input = {}) {
+  /**
+   * Check an uploaded template version: { fileName, fileBase64, transcript, schema }.
+   * Returns an error message, or null when the upload is usable.
+   */
+  if (!String(input.fileName || '').toLowerCase().endsWith('.docx')) return 'fileName must be a .docx file.';
+  if (typeof input.fileBase64 !== 'string' || !input.fileBase64) return 'fileBase64 is required.';
+  const head = Buffer.from(input.fileBase64.slice(0, 8), 'base64');
+  if (head[0] !== 0x50 || head[1] !== 0x4b) return 'The uploaded file is not a .docx (ZIP) package.';
+  if (typeof input.transcript !== 'string' || !input.transcript.trim()) return 'transcript is required.';
+  if (!input.schema || typeof input.schema !== 'object' || !Array.isArray(input.schema.fields)) {
+    return 'schema with a fields array is required.';
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export async function listTemplates({ status } = {}) {
+  /** Template summaries (no transcript/schema), built-ins first, then by title. Optionally filtered by status. */
+  await ensureBuiltins();
+  const docs = await templates.list();
+  return docs
+    .filter((d) => !status || d.status === status)
+    .sort((a, b) => Number(!!b.builtin) - Number(!!a.builtin) || String(a.title).localeCompare(String(b.title)))
+    .map(toSummary);
+}
+
+// PUBLIC_INTERFACE
+export async function getTemplate(id) {
+  /** Full template document (current transcript and schema) or null. */
+  await ensureBuiltins();
+  return templates.get(id);
+}
+
+async function recordVersion(templateId, number, input, { author, note }) {
+  const version = {
+    id: nanoid(),
+    templateId,
+    number,
+    fileName: String(input.fileName),
+    fileBase64: input.fileBase64,
+    transcript: input.transcript,
+    schema: input.schema,
+    author: String(author || '').trim() || 'Anonymous',
+    note: String(note || '').trim(),
+    createdAt: new Date().toISOString(),
+  };
+  return versionsOf(templateId).put(version.id, version);
+}
+
+function applyVersion(doc, version) {
+  return {
+    ...doc,
+    version: version.number,
+    latestVersionId: version.id,
+    fileName: version.fileName,
+    transcript: version.transcript,
+    schema: { ...version.schema, id: doc.id, title: doc.title },
+    updatedAt: version.createdAt,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function createTemplate(input, { author, note } = {}) {
+  /** Register a new template from a validated upload plus { title?, description? }; records version 1. */
+  const now = new Date().toISOString();
+  const id = nanoid();
+  const doc = {
+    id,
+    title: String(input.title || '').trim() || String(input.fileName).replace(/\.docx$/i, ''),
+    description: String(input.description || '').trim(),
+    status: 'active',
+    builtin: false,
+    sourceUrls: [],
+    createdAt: now,
+  };
+  const version = await recordVersion(id, 1, input, { author, note: note || 'Uploaded' });
+  return templates.put(id, applyVersion(doc, version));
+}
+
+// PUBLIC_INTERFACE
+export function addTemplateVersion(id, input, { author, note } = {}) {
+  /** Upload a new .docx version of a template; it becomes current. Resolves null if the template is missing. */
+  return templates.update(id, async (current) => {
+    const version = await recordVersion(current.id, (current.version || 0) + 1, input, { author, note });
+    return applyVersion(current, version);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function updateTemplate(id, input = {}) {
+  /** Change { title?, description?, status? }. Resolves null if not found. */
+  return templates.update(id, (current) => {
+    const next = { ...current, updatedAt: new Date().toISOString() };
+    const title = String(input.title ?? '').trim();
+    if (title) next.title = title;
+    if (input.description !== undefined) next.description = String(input.description || '').trim();
+    if (input.status !== undefined) next.status = input.status;
+    if (next.schema) next.schema = { ...next.schema, title: next.title };
+    return next;
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function listTemplateVersions(id) {
+  /** Version summaries (no file or schema), oldest first. */
+  const versions = await versionsOf(id).list();
+  return versions.sort((a, b) => a.number - b.number).map(toVersionSummary);
+}
+
+// PUBLIC_INTERFACE
+export function getTemplateVersion(id, versionId) {
+  /** Full version including the base64 .docx, or null. */
+  return versionsOf(id).get(versionId);
+}
+
+// PUBLIC_INTERFACE
+export async function deleteTemplate(id) {
+  /** Delete an uploaded template and its versions. Built-ins cannot be deleted (retire them instead). */
+  const doc = await getTemplate(id);
+  if (!doc) return { ok: false, error: 'Template not found.', status: 404 };
+  if (doc.builtin) return { ok: false, error: 'Built-in templates cannot be deleted; retire them instead.', status: 409 };
+  await templates.remove(id);
+  await versionsOf(id).drop();
+  versionCollections.delete(id);
+  return { ok: true };
+}
@@ -0,0 +1,75 @@
+import { nanoid } from 'nanoid';
+import { createCollection } from './jsonStore.js';
+
+/**
+ * Chat wizard sessions, so a conversation can be resumed from any browser.
+ *
+ * Document shape:
+ *  {
+ *    id, templateId,
+ *    state: { phase, qIndex, history, returnTo, messages },  // owned by the frontend's AIChatWizard
+ *    createdAt, updatedAt                                    // ISO timestamps
+ *  }
+ *
+ * The frontend keeps the session id in its SOW JSON (data.wizardSessionId), so a saved SOW
+ * reopens together with its conversation.
+ */
+
+const sessions = createCollection('wizard-sessions');
+
+// Long conversations keep their most recent messages only.
+const MAX_MESSAGES = 400;
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// PUBLIC_INTERFACE
+export function validateWizardState(state) {
+  /** Return an error message for an unusable state, or null. */
+  if (!isPlainObject(state)) return 'state object is required.';
+  if (state.messages !== undefined && !Array.isArray(state.messages)) return 'state.messages must be an array.';
+  return null;
+}
+
+function normalizeState(state) {
+  const messages = Array.isArray(state.messages) ? state.messages.slice(-MAX_MESSAGES) : [];
+  return { ...state, messages };
+}
+
+// PUBLIC_INTERFACE
+export function getWizardSession(id) {
+  /** Return the session document or null. */
+  return sessions.get(id);
+}
+
+// PUBLIC_INTERFACE
+export function createWizardSession({ templateId = '', state }) {
+  /** Create a session for `templateId` holding the initial wizard state. */
+  const now = new Date().toISOString();
+  const doc = {
+    id: nanoid(),
+    templateId: String(templateId || ''),
+    state: normalizeState(state),
+    createdAt: now,
+    updatedAt: now,
+  };
+  return sessions.put(doc.id, doc);
+}
+
+// PUBLIC_INTERFACE
+export function saveWizardSession(id, { templateId, state }) {
+  /** Replace the state (and optionally the template) of an existing session. Resolves null if not found. */
+  return sessions.update(id, (current) => ({
+    ...current,
+    ...(templateId !== undefined ? { templateId: String(templateId || '') } : {}),
+    state: normalizeState(state),
+    updatedAt: new Date().toISOString(),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function deleteWizardSession(id) {
+  /** Delete a session. Resolves true when it existed. */
+  return sessions.remove(id);
+}
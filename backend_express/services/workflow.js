@@ -0,0 +1,194 @@
+/**
+ * SOW approval workflow: a state machine over the SOW's status.
+ *
+ *   draft ──submit──▶ internal_review ──approve──▶ client_review ──approve──▶ approved ──mark_signed──▶ signed
+ *     ▲                     │                           │                        │
+ *     └──request_changes────┴───────request_changes─────┘                        │
+ *     └────────────────────────────────reopen─────────────────────────────────────┘
+ *
+ * Both review stages have an assigned reviewer and approver (names, as recorded on revisions). The reviewer marks the
+ * stage reviewed (a later content save withdraws that, see sowStore.js), and only then can the approver approve it, once no review comment thread is open (commentStore.js);
+ * either of them can send the SOW back to draft with a comment. An approved or signed SOW is locked against edits (see
+ * isLocked); it becomes signed once its signature seals verify (sealStore.js), and reopening an approved SOW (a stage
+ * approver, with a comment) unlocks it again.
+ *
+ * Stored on the SOW document as `workflow`:
+ *  {
+ *    status,                                               // one of STATUSES
+ *    assignees: { internal_review: { reviewer, approver }, client_review: { reviewer, approver } },
+ *    reviewed: { by, at } | null,                          // reviewer sign-off of the current review stage
+ *    history: [{ action, from, to, actor, comment, at }]   // oldest first
+ *  }
+ * Documents saved before the workflow existed read as a draft without assignees.
+ */
+
+export const STATUSES = ['draft', 'internal_review', 'client_review', 'approved', 'signed'];
+
+export const REVIEW_STAGES = ['internal_review', 'client_review'];
+
+const LOCKED_STATUSES = new Set(['approved', 'signed']);
+
+const MAX_COMMENT = 2000;
+
+/*
+ * Actions: the statuses they start from, where they lead (null: status stays), who may take them and what they need.
+ * roles: 'anyone' (any named actor), 'reviewer' / 'approver' of the current review stage, or 'stage-approver' (the
+ * approver of either review stage, for actions on an approved SOW).
+ */
+const ACTIONS = {
+  submit: { label: 'Submit for internal review', from: ['draft'], to: () => 'internal_review', roles: ['anyone'] },
+  review: { label: 'Mark reviewed', from: REVIEW_STAGES, to: () => null, roles: ['reviewer'] },
+  approve: {
+    label: 'Approve',
+    from: REVIEW_STAGES,
+    to: (status) => (status === 'internal_review' ? 'client_review' : 'approved'),
+    roles: ['approver'],
+    needsReview: true,
+    needsNoOpenComments: true,
+  },
+  request_changes: { label: 'Request changes', from: REVIEW_STAGES, to: () => 'draft', roles: ['reviewer', 'approver'], needsComment: true },
+  reopen: { label: 'Reopen for editing', from: ['approved'], to: () => 'draft', roles: ['stage-approver'], needsComment: true },
+  mark_signed: { label: 'Mark signed', from: ['approved'], to: () => 'signed', roles: ['stage-approver'], needsSeals: true },
+};
+
+const sameName = (a, b) => !!a && !!b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+function cleanName(v) {
+  return String(v || '').trim().slice(0, 200);
+}
+
+// PUBLIC_INTERFACE
+export function workflowOf(sow) {
+  /** The SOW's workflow, with defaults for documents saved before it existed. */
+  const wf = sow?.workflow || {};
+  return {
+    status: STATUSES.includes(wf.status) ? wf.status : 'draft',
+    assignees: wf.assignees || {},
+    reviewed: wf.reviewed || null,
+    history: Array.isArray(wf.history) ? wf.history : [],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function isLocked(sow) {
+  /** True when the SOW's content may not be edited (approved or signed). */
+  return LOCKED_STATUSES.has(workflowOf(sow).status);
+}
+
+// PUBLIC_INTERFACE
+export function validateAssignees(input) {
+  /** Error message for a malformed { [stage]: { reviewer?, approver? } } body, or null. */
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'assignees must be an object keyed by review stage.';
+  for (const [stage, people] of Object.entries(input)) {
+    if (!REVIEW_STAGES.includes(stage)) return `Unknown review stage "${stage}"; use ${REVIEW_STAGES.join(' or ')}.`;
+    if (!people || typeof people !== 'object' || Array.isArray(people)) return `assignees.${stage} must be { reviewer, approver }.`;
+    if (['reviewer', 'approver'].some((role) => people[role] !== undefined && typeof people[role] !== 'string')) {
+      return `assignees.${stage}.reviewer and approver must be names.`;
+    }
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function assign(workflow, input) {
+  /**
+   * Set the reviewer / approver of review stages. A stage's people can change until the SOW reaches that stage.
+   * Returns { ok: true, workflow } or { ok: false, error, status }.
+   */
+  const current = STATUSES.indexOf(workflow.status);
+  const assignees = { ...workflow.assignees };
+  for (const [stage, people] of Object.entries(input)) {
+    if (STATUSES.indexOf(stage) <= current) {
+      return { ok: false, status: 409, error: `The ${stage.replace('_', ' ')} stage has already started; its people can no longer change.` };
+    }
+    const next = { ...(assignees[stage] || {}) };
+    ['reviewer', 'approver'].forEach((role) => {
+      if (people[role] !== undefined) next[role] = cleanName(people[role]);
+    });
+    assignees[stage] = next;
+  }
+  return { ok: true, workflow: { ...workflow, assignees } };
+}
+
+function rolesOf(workflow, actor) {
+  const roles = new Set();
+  if (cleanName(actor)) roles.add('anyone');
+  const stage = workflow.assignees[workflow.status] || {};
+  if (sameName(actor, stage.reviewer)) roles.add('reviewer');
+  if (sameName(actor, stage.approver)) roles.add('approver');
+  if (REVIEW_STAGES.some((s) => sameName(actor, workflow.assignees[s]?.approver))) roles.add('stage-approver');
+  return roles;
+}
+
+function missingPeople(workflow, stage) {
+  const people = workflow.assignees[stage] || {};
+  const missing = ['reviewer', 'approver'].filter((role) => !people[role]);
+  return missing.length ? `Assign the ${stage.replace('_', ' ')} ${missing.join(' and ')} first.` : null;
+}
+
+const ROLE_NAMES = { anyone: 'a named user', reviewer: 'the stage reviewer', approver: 'the stage approver', 'stage-approver': 'a review-stage approver' };
+
+// Why `actor` cannot take the action now, or null when they can.
+function blocker(workflow, id, { actor, comment, sealsVerified, openComments }) {
+  const action = ACTIONS[id];
+  if (!action) return { status: 400, error: `Unknown action "${id}".` };
+  if (!action.from.includes(workflow.status)) return { status: 409, error: `"${action.label}" is not possible while the SOW is ${workflow.status.replace('_', ' ')}.` };
+  if (!cleanName(actor)) return { status: 400, error: 'actor (your name) is required.' };
+  const roles = rolesOf(workflow, actor);
+  if (!action.roles.some((r) => roles.has(r))) {
+    return { status: 403, error: `Only ${action.roles.map((r) => ROLE_NAMES[r]).join(' or ')} can ${action.label.toLowerCase()}.` };
+  }
+  if (action.needsReview && !workflow.reviewed) return { status: 409, error: 'The reviewer has not marked this stage reviewed yet.' };
+  if (action.needsNoOpenComments && openComments > 0) {
+    return { status: 409, error: `Resolve the ${openComments} open comment thread${openComments === 1 ? '' : 's'} first.` };
+  }
+  if (action.needsComment && !String(comment || '').trim()) return { status: 400, error: 'A comment is required.' };
+  if (action.needsSeals && !sealsVerified) {
+    return { status: 409, error: 'Every signature field needs a signature whose seal verifies before the SOW can be marked signed.' };
+  }
+  const to = action.to(workflow.status);
+  if (REVIEW_STAGES.includes(to)) {
+    const missing = missingPeople(workflow, to);
+    if (missing) return { status: 409, error: missing };
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function availableActions(workflow, actor, { sealsVerified = false, openComments = 0 } = {}) {
+  /**
+   * The actions of the current status with whether `actor` can take them now:
+   * [{ id, label, to, needsComment, allowed, reason }]. `reason` explains a blocked action (missing comments are not
+   * counted, the comment comes with the action).
+   */
+  return Object.entries(ACTIONS)
+    .filter(([, a]) => a.from.includes(workflow.status))
+    .map(([id, a]) => {
+      const blocked = blocker(workflow, id, { actor, comment: 'x', sealsVerified, openComments });
+      return { id, label: a.label, to: a.to(workflow.status), needsComment: !!a.needsComment, allowed: !blocked, reason: blocked?.error || '' };
+    });
+}
+
+// PUBLIC_INTERFACE
+export function transition(workflow, id, { actor, comment, sealsVerified = false, openComments = 0 } = {}) {
+  /**
+   * Take action `id` as `actor`. Returns { ok: true, workflow } or { ok: false, error, status } where status is the
+   * HTTP status that fits (400 bad input, 403 wrong person, 409 not possible in this state).
+   */
+  const blocked = blocker(workflow, id, { actor, comment, sealsVerified, openComments });
+  if (blocked) return { ok: false, ...blocked };
+  const from = workflow.status;
+  const to = ACTIONS[id].to(from) || from;
+  const at = new Date().toISOString();
+  const entry = { action: id, from, to, actor: cleanName(actor), comment: String(comment || '').trim().slice(0, MAX_COMMENT), at };
+  return {
+    ok: true,
+    workflow: {
+      ...workflow,
+      status: to,
+      // A reviewer sign-off counts for the stage it was given in
+      reviewed: id === 'review' ? { by: entry.actor, at } : to === from ? workflow.reviewed : null,
+      history: [...workflow.history, entry],
+    },
+  };
+}
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assign, availableActions, isLocked, transition, workflowOf } from './workflow.js';
+
+const PEOPLE = {
+  internal_review: { reviewer: 'Rita', approver: 'Ann' },
+  client_review: { reviewer: 'Carl', approver: 'Cleo' },
+};
+
+function assigned() {
+  const result = assign(workflowOf({}), PEOPLE);
+  assert.equal(result.ok, true);
+  return result.workflow;
+}
+
+// Take each [action, actor, options?] step in turn, failing on the first refused one.
+function run(workflow, steps) {
+  return steps.reduce((wf, [action, actor, options]) => {
+    const result = transition(wf, action, { actor, ...options });
+    assert.equal(result.ok, true, `${action} by ${actor}: ${result.error}`);
+    return result.workflow;
+  }, workflow);
+}
+
+const TO_APPROVED = [
+  ['submit', 'Sam'],
+  ['review', 'Rita'],
+  ['approve', 'Ann'],
+  ['review', 'Carl'],
+  ['approve', 'Cleo'],
+];
+
+test('documents without a workflow read as an unlocked draft', () => {
+  assert.deepEqual(workflowOf({}), { status: 'draft', assignees: {}, reviewed: null, history: [] });
+  assert.equal(isLocked({}), false);
+});
+
+test('a SOW moves from draft through both review stages to approved and signed', () => {
+  const approved = run(assigned(), TO_APPROVED);
+  assert.equal(approved.status, 'approved');
+  assert.equal(isLocked({ workflow: approved }), true);
+  assert.deepEqual(
+    approved.history.map((h) => [h.action, h.from, h.to]),
+    [
+      ['submit', 'draft', 'internal_review'],
+      ['review', 'internal_review', 'internal_review'],
+      ['approve', 'internal_review', 'client_review'],
+      ['review', 'client_review', 'client_review'],
+      ['approve', 'client_review', 'approved'],
+    ]
+  );
+
+  const signed = run(approved, [['mark_signed', 'ann', { sealsVerified: true }]]);
+  assert.equal(signed.status, 'signed');
+  assert.equal(isLocked({ workflow: signed }), true);
+  assert.deepEqual(availableActions(signed, 'Ann'), []);
+});
+
+test('a review sign-off only counts for the stage it was given in', () => {
+  const clientReview = run(assigned(), TO_APPROVED.slice(0, 3));
+  assert.equal(clientReview.status, 'client_review');
+  assert.equal(clientReview.reviewed, null);
+  assert.deepEqual(transition(clientReview, 'approve', { actor: 'Cleo' }), {
+    ok: false,
+    status: 409,
+    error: 'The reviewer has not marked this stage reviewed yet.',
+  });
+});
+
+test('only the assigned people can review, approve and sign', () => {
+  const review = run(assigned(), [['submit', 'Sam']]);
+  assert.equal(transition(review, 'review', { actor: 'Ann' }).status, 403);
+  assert.equal(transition(review, 'approve', { actor: 'Rita' }).status, 403);
+  assert.equal(transition(review, 'submit', { actor: 'Sam' }).status, 409);
+  assert.equal(transition(review, 'review', { actor: '' }).status, 400);
+
+  const approved = run(assigned(), TO_APPROVED);
+  assert.equal(transition(approved, 'mark_signed', { actor: 'Rita', sealsVerified: true }).status, 403);
+  assert.equal(transition(approved, 'mark_signed', { actor: 'Ann' }).status, 409);
+});
+
+test('approval waits for every open comment thread', () => {
+  const reviewed = run(assigned(), TO_APPROVED.slice(0, 2));
+  const blocked = transition(reviewed, 'approve', { actor: 'Ann', openComments: 2 });
+  assert.deepEqual(blocked, { ok: false, status: 409, error: 'Resolve the 2 open comment threads first.' });
+  const action = availableActions(reviewed, 'Ann', { openComments: 1 }).find((a) => a.id === 'approve');
+  assert.equal(action.allowed, false);
+  assert.equal(action.reason, 'Resolve the 1 open comment thread first.');
+  assert.equal(transition(reviewed, 'approve', { actor: 'Ann', openComments: 0 }).ok, true);
+});
+
+test('a review stage cannot start without its people', () => {
+  assert.deepEqual(transition(workflowOf({}), 'submit', { actor: 'Sam' }), {
+    ok: false,
+    status: 409,
+    error: 'Assign the internal review reviewer and approver first.',
+  });
+  const review = run(assigned(), [['submit', 'Sam']]);
+  assert.equal(assign(review, { internal_review: { reviewer: 'Bob' } }).status, 409);
+  assert.equal(assign(review, { client_review: { reviewer: 'Bob' } }).ok, true);
+});
+
+test('sending back and reopening need a comment and return to draft', () => {
+  const review = run(assigned(), [['submit', 'Sam']]);
+  assert.equal(transition(review, 'request_changes', { actor: 'Rita' }).status, 400);
+  const back = run(review, [['request_changes', 'Rita', { comment: 'Tighten the scope.' }]]);
+  assert.equal(back.status, 'draft');
+  assert.equal(back.history.at(-1).comment, 'Tighten the scope.');
+
+  const approved = run(assigned(), TO_APPROVED);
+  assert.equal(transition(approved, 'reopen', { actor: 'Carl', comment: 'Fix the dates.' }).status, 403);
+  const reopened = run(approved, [['reopen', 'Cleo', { comment: 'Fix the dates.' }]]);
+  assert.equal(reopened.status, 'draft');
+  assert.equal(isLocked({ workflow: reopened }), false);
+});
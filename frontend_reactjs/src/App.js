@@ -7,28 +7,53 @@ import SideNav from "./components/SideNav";
 import TemplateSelect from "./pages/TemplateSelect";
 import TemplatePreview from "./pages/TemplatePreview";
 import { applyThemeToRoot, oceanTheme } from "./theme";
-import AIChatWidget from "./components/AIChatWizard";
+import AIChatWizard from "./components/AIChatWizard";
 import LandingLogin from "./pages/LandingLogin";
 import SOWForm from "./pages/SOWForm";
 import ExportWord from "./pages/ExportWord";
 import DocxPreviewAndGenerate from "./pages/DocxPreviewAndGenerate";
 import ReviewScreen from "./pages/ReviewScreen";
-import { scaffoldSOWFromTemplate } from "./templates"; // kept for base scaffolding if needed
+import SavedSOWs from "./pages/SavedSOWs";
+import RevisionHistory from "./pages/RevisionHistory";
+import TemplateRegistry from "./pages/TemplateRegistry";
+import RateCards from "./pages/RateCards";
+import { saveSOW } from "./services/sowApi";
+import { listTemplates, loadTemplateContent } from "./services/templateApi";
+import { getTemplateFieldRules, getTemplateFormSections, scaffoldSOWFromTemplate } from "./templates";
+import { computeTables, withTableTotals } from "./services/tableFormulas";
+import { buildContractValue, contractValueFields, formatMoneyFields } from "./services/commercials";
+import { getCommercials } from "./services/money";
+import { estimateDocumentValues } from "./services/rateEstimate";
+import { scheduleDocumentValues } from "./services/paymentSchedule";
+import { timelineDocumentValues } from "./services/timeline";
+import { isLockedStatus } from "./services/workflow";
 
 // PUBLIC_INTERFACE
 function App() {
   // Stage and step
   const [stage, setStage] = useState("landing"); // landing | builder
-  const [current, setCurrent] = useState("template"); // template | sowform | export
+  const [current, setCurrent] = useState("template"); // template | sowform | review | preview | export | saved | history | templates
 
-  // Selections
-  const [templates] = useState([
-    { id: "FP", name: "Fixed Price" },
-    { id: "TM", name: "Time & Material" },
-  ]);
+  // Selections: active templates from the backend template registry
+  const [templates, setTemplates] = useState([]);
   const [selectedTemplate, setSelectedTemplate] = useState("");
   const [selectedTemplateSchema, setSelectedTemplateSchema] = useState(null);
 
+  // Field the SOW Form should scroll to (set from a Review screen finding)
+  const [focusField, setFocusField] = useState("");
+
+  // Id of the SOW document on backend_express (null until first save)
+  const [sowId, setSowId] = useState(null);
+  // Approval status of that document (services/workflow.js); approved and signed SOWs are locked against edits
+  const [sowStatus, setSowStatus] = useState("draft");
+  const locked = isLockedStatus(sowStatus);
+  // Name recorded as the author of each saved revision and acting in the approval workflow (remembered per browser)
+  const [author, setAuthor] = useState(() => localStorage.getItem("sow-author") || "");
+  const rememberAuthor = (name) => {
+    setAuthor(name);
+    localStorage.setItem("sow-author", name);
+  };
+
   // Unified SOW JSON (holds meta/logo/signature & dynamic templateData)
   const [sowData, setSowData] = useState({
     meta: { title: "", client: "", date: "", version: "", prepared_by: "", stakeholders: [], logoUrl: "", logoName: "", signatureUrl: "" },
@@ -49,6 +74,15 @@ function App() {
     applyThemeToRoot(oceanTheme);
   }, []);
 
+  const refreshTemplates = async () => {
+    const res = await listTemplates({ status: "active" });
+    if (res.ok) setTemplates(res.templates || []);
+  };
+
+  useEffect(() => {
+    if (stage === "builder") refreshTemplates();
+  }, [stage]);
+
   // Update meta for export
   const meta = useMemo(
     () => ({
@@ -60,6 +94,35 @@ function App() {
     [sowData, selectedTemplate]
   );
 
+  // Questions of the chat wizard come from the same sections the SOW Form renders
+  const formSections = useMemo(
+    () => getTemplateFormSections(selectedTemplateSchema, selectedTemplate),
+    [selectedTemplateSchema, selectedTemplate]
+  );
+  const requiredKeys = useMemo(() => selectedTemplateSchema?.required || [], [selectedTemplateSchema]);
+
+  // What the document will contain: values of fields hidden by their dependsOn condition are left out
+  // and computed table columns are recalculated
+  const exportData = useMemo(() => {
+    const rules = getTemplateFieldRules(selectedTemplateSchema, selectedTemplate);
+    return { ...sowData, templateData: computeTables(formSections, rules.prune(sowData?.templateData)) };
+  }, [sowData, selectedTemplateSchema, selectedTemplate, formSections]);
+  // Preview and export also get each table's footer totals as a last row, amounts formatted in the SOW's
+  // currency and number format, the T&M rate table or FP payment table, the timeline table, and the contract-value
+  // summary (contract_subtotal ... contract_total)
+  const documentData = useMemo(() => {
+    const money = getCommercials(exportData);
+    const contract = buildContractValue(formSections, exportData.templateData, money);
+    const fields = formSections.flatMap((s) => s.fields || []);
+    const templateData = {
+      ...formatMoneyFields(formSections, withTableTotals(formSections, exportData.templateData), money),
+      ...estimateDocumentValues(exportData.templateData, fields, money),
+      ...scheduleDocumentValues(exportData.templateData, fields, money, contract.total),
+      ...timelineDocumentValues(exportData.templateData, fields),
+    };
+    return { ...exportData, templateData: contract.subtotal ? { ...templateData, ...contractValueFields(contract, money) } : templateData };
+  }, [exportData, formSections]);
+
   const onRefreshAll = () => {
     // Clear all inputs and reset to template selection
     setSowData({
@@ -78,35 +141,87 @@ function App() {
     });
     setSelectedTemplate("");
     setSelectedTemplateSchema(null);
+    setSowId(null);
+    setSowStatus("draft");
     setCurrent("template");
   };
 
+  const onSaveDraft = async () => {
+    let name = author;
+    if (!name) {
+      name = (prompt("Your name (recorded on each saved revision):") || "").trim();
+      if (name) rememberAuthor(name);
+    }
+    const note = prompt("Revision note (optional):", "");
+    if (note === null) return;
+
+    const res = await saveSOW(sowId, {
+      title: sowData?.meta?.title || "",
+      templateId: selectedTemplate,
+      // The form's sections go along, so the backend knows the signature fields it seals around
+      templateSchema: selectedTemplateSchema?.sections || !formSections.length
+        ? selectedTemplateSchema
+        : { ...(selectedTemplateSchema || {}), sections: formSections },
+      data: sowData,
+      author: name,
+      note,
+    });
+    if (!res.ok) {
+      alert(`Could not save draft: ${res.error}`);
+      return;
+    }
+    setSowId(res.sow.id);
+    setSowStatus(res.sow.workflow?.status || "draft");
+    alert(`Draft saved (revision ${res.sow.revision}).`);
+  };
+
+  // Apply a template's runtime schema and transcript to the current SOW
+  const applyTemplate = (id, runtimeSchema, transcriptText) => {
+    setSelectedTemplate(id);
+    const schema = runtimeSchema || null;
+    setSelectedTemplateSchema(schema);
+    setSowData((prev) => {
+      const next = scaffoldSOWFromTemplate(prev, schema);
+      next.templateMeta = { ...(next.templateMeta || {}), transcriptText: transcriptText || "" };
+      return next;
+    });
+  };
+
+  // Select a registry template by id (loads its schema and transcript first)
+  const chooseTemplate = async (id) => {
+    setSelectedTemplate(id);
+    const res = await loadTemplateContent(id);
+    if (!res.ok) {
+      alert(res.error);
+      return;
+    }
+    applyTemplate(id, res.schema, res.transcript);
+  };
+
+  const onOpenSaved = (doc) => {
+    setSowId(doc.id);
+    setSowStatus(doc.workflow?.status || "draft");
+    setSelectedTemplate(doc.templateId || "");
+    setSelectedTemplateSchema(doc.templateSchema || null);
+    setSowData(doc.data || {});
+    setCurrent("sowform");
+  };
+
   const renderStep = () => {
     switch (current) {
       case "template":
         return (
           <>
             <TemplatePreview
+              templates={templates}
               selected={selectedTemplate}
               onSelect={(id, runtimeSchema, transcriptText) => {
-                setSelectedTemplate(id);
-                const schema = runtimeSchema || null;
-                setSelectedTemplateSchema(schema);
-                setSowData((prev) => {
-                  const next = scaffoldSOWFromTemplate(prev, schema);
-                  next.templateMeta = { ...(next.templateMeta || {}), transcriptText: transcriptText || "" };
-                  return next;
-                });
+                applyTemplate(id, runtimeSchema, transcriptText);
                 setCurrent("sowform");
               }}
             />
             <div className="panel" style={{ marginTop: 12 }}>
-              <TemplateSelect
-                selected={selectedTemplate}
-                onChange={(id) => {
-                  setSelectedTemplate(id);
-                }}
-              />
+              <TemplateSelect templates={templates} selected={selectedTemplate} onChange={chooseTemplate} />
               <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
                 <button className="btn" type="button" onClick={() => setCurrent("sowform")} disabled={!selectedTemplate}>
                   Continue to SOW Form
@@ -126,6 +241,12 @@ function App() {
               onChange={setSowData}
               selectedTemplate={selectedTemplate}
               templateSchema={selectedTemplateSchema}
+              sowId={sowId}
+              locked={locked}
+              focusField={focusField}
+              onFocusHandled={() => setFocusField("")}
+              author={author}
+              onAuthorChange={rememberAuthor}
             />
             <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
               <button className="btn btn-primary" type="button" onClick={() => setCurrent("review")}>Review</button>
@@ -135,11 +256,26 @@ function App() {
       case "review":
         return (
           <ReviewScreen
-            data={sowData}
+            data={exportData}
             templateSchema={selectedTemplateSchema}
+            sections={formSections}
             transcriptText={sowData?.templateMeta?.transcriptText || ""}
             onEdit={() => setCurrent("sowform")}
+            onEditField={(key) => {
+              setFocusField(key);
+              setCurrent("sowform");
+            }}
+            onApplyValues={(values) =>
+              setSowData((prev) => ({ ...prev, templateData: { ...(prev.templateData || {}), ...values } }))
+            }
             onConfirm={() => setCurrent("preview")}
+            workflow={{
+              sowId,
+              actor: author,
+              locked,
+              onActorChange: rememberAuthor,
+              onChanged: (doc) => setSowStatus(doc.workflow?.status || "draft"),
+            }}
           />
         );
       case "preview":
@@ -147,12 +283,37 @@ function App() {
           <DocxPreviewAndGenerate
             transcriptText={sowData?.templateMeta?.transcriptText || ""}
             templateSchema={selectedTemplateSchema}
-            data={sowData}
+            selectedTemplate={selectedTemplate}
+            data={documentData}
           />
         );
+      case "saved":
+        return (
+          <SavedSOWs
+            currentId={sowId}
+            onOpen={onOpenSaved}
+            onDeleted={(id) => {
+              if (id !== sowId) return;
+              setSowId(null);
+              setSowStatus("draft");
+            }}
+          />
+        );
+      case "history":
+        return (
+          <RevisionHistory
+            sowId={sowId}
+            author={author}
+            onRestored={(doc) => setSowData(doc.data || {})}
+          />
+        );
+      case "templates":
+        return <TemplateRegistry author={author} onChanged={refreshTemplates} />;
+      case "ratecards":
+        return <RateCards />;
       case "export":
         // Keep legacy export as an optional path if needed
-        return <ExportWord value={sowData} meta={meta} />;
+        return <ExportWord value={documentData} meta={meta} />;
       default:
         return null;
     }
@@ -169,19 +330,24 @@ function App() {
       <BackgroundWaves />
       <div className="app-shell">
         <GlassHeader
-          templates={templates}
+          templates={templates.map((t) => ({ id: t.id, name: t.title }))}
           selectedTemplate={selectedTemplate}
-          onTemplateChange={(id) => {
-            setSelectedTemplate(id);
+          onTemplateChange={async (id) => {
+            await chooseTemplate(id);
             setCurrent("sowform");
           }}
-          onSaveDraft={() => {
-            localStorage.setItem("sow-data", JSON.stringify(sowData));
-            alert("Draft saved locally.");
-          }}
+          onSaveDraft={onSaveDraft}
+          status={sowId ? sowStatus : ""}
         />
         <div className="body-grid" style={{ position: "relative", zIndex: 2 }}>
-          <SideNav current={current} onNavigate={setCurrent} />
+          <SideNav
+            current={current}
+            onNavigate={setCurrent}
+            templates={templates}
+            selectedTemplate={selectedTemplate}
+            onSelectTemplate={chooseTemplate}
+            status={sowId ? sowStatus : ""}
+          />
           <main className="workspace" role="main" aria-live="polite">
             <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
               <button className="btn" type="button" onClick={() => setCurrent("template")}>Template</button>
@@ -189,6 +355,9 @@ function App() {
               <button className="btn" type="button" onClick={() => setCurrent("review")}>Review</button>
               <button className="btn" type="button" onClick={() => setCurrent("preview")}>Preview & Generate</button>
               <button className="btn" type="button" onClick={() => setCurrent("export")}>Export (.docx)</button>
+              <button className="btn" type="button" onClick={() => setCurrent("saved")}>Saved SOWs</button>
+              <button className="btn" type="button" onClick={() => setCurrent("history")}>History</button>
+              <button className="btn" type="button" onClick={() => setCurrent("templates")}>Templates</button>
               <button className="btn" type="button" onClick={onRefreshAll} aria-label="Refresh and clear all fields">Reset</button>
             </div>
             {renderStep()}
@@ -196,13 +365,18 @@ function App() {
         </div>
       </div>
 
-      {/* Right-side floating AI icon that opens the in-page prompt panel */}
-      <AIChatWidget
+      {/* Right-side floating AI icon that opens the chat wizard; answers land in templateData (not while the SOW is locked) */}
+      <AIChatWizard
         projectTitle={currentProjectName}
         position="right"
-        onPackage={(payload) => {
-          setSowData(payload);
-        }}
+        templateId={selectedTemplate}
+        sections={formSections}
+        requiredKeys={requiredKeys}
+        templateData={sowData?.templateData || {}}
+        onTemplateDataChange={(templateData) => !locked && setSowData((prev) => ({ ...prev, templateData }))}
+        onOpenForm={() => setCurrent("sowform")}
+        sessionId={sowData?.wizardSessionId || ""}
+        onSessionIdChange={(wizardSessionId) => setSowData((prev) => ({ ...prev, wizardSessionId }))}
       />
     </>
   );
@@ -1,5 +1,27 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { applyThemeToRoot, oceanTheme } from "../theme";
+import { generateSOWFromPrompt } from "../services/aiClient";
+import {
+  applyAnswer,
+  applyUpload,
+  buildWizardQuestions,
+  describeBranch,
+  describeQuestion,
+  findQuestion,
+  formatAnswer,
+  getAnswer,
+  isAnswered,
+  isApplicable,
+  isMultiAnswerQuestion,
+  isUploadQuestion,
+  nextQuestionIndex,
+  parseCommand,
+  setAnswer,
+  summarizeAnswers,
+  WIZARD_COMMANDS,
+} from "../services/templateWizard";
+import { createWizardSession, getWizardSession, saveWizardSession } from "../services/wizardApi";
+import SignaturePad from "./SignaturePad";
 import "./AIChatWizard.css";
 
 /**
@@ -7,240 +29,446 @@ import "./AIChatWizard.css";
  * must call the local backend_express endpoints (e.g., /api/ai/sow) exclusively.
  */
 
+const START_PROMPT =
+  "Would you like to 1) Draft with AI from a short project brief first, or 2) Answer the template’s questions right away?";
+const BRIEF_PROMPT = "Describe the project in a few sentences and I’ll draft a SOW while you watch.";
+const FINISH_PROMPT =
+  "That covers every question for this template. What next?\n1) Open the SOW Form\n2) Show a summary of the answers\n3) Revisit skipped questions\nYou can also change any answer with /edit <field>.";
+const HELP_TEXT = `Commands:\n${WIZARD_COMMANDS.map((c) => `${c.usage} — ${c.help}`).join("\n")}`;
+
+// How long the conversation must stay unchanged before it is saved to the server.
+const SAVE_DELAY_MS = 800;
+
+// history: indexes of the questions asked before the current one (for /back).
+// returnTo: where to resume after an /edit detour, { phase, qIndex } or null.
+function freshChat() {
+  return { messages: [], phase: "start", qIndex: -1, history: [], returnTo: null };
+}
+
+function readFilesAsDataURLs(files) {
+  return Promise.all(
+    files.map(
+      (file) =>
+        new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(file);
+        })
+    )
+  );
+}
+
 /**
  * PUBLIC_INTERFACE
  * AIChatWizard
- * Conversational SOW wizard that:
- * - Greets on first open and offers: Generate SOW or Provide project details/title
- * - Asks one question at a time, suggests defaults from title/details
- * - Supports uploads with inline preview (logo, signature, photo)
- * - Packages all answers as SOW JSON for ExportWord
- * - Styled to match the neon/dark theme and replaces the previous AI prompt
+ * Conversational SOW wizard driven by the active template:
+ * - Asks one question per template field, in form order, skipping fields already filled in the form
+ * - Honours dependsOn (questions appear only when their condition holds) and required (cannot be skipped)
+ * - Lists and tables take one item / row per message; dates, emails, selects and checkboxes are validated
+ * - Signatures and image lists are answered with an upload
+ * - Every answer is written into templateData, the same data SOWForm edits; answers that other
+ *   questions depend on (e.g. Fixed Price vs Time and Material) say which follow-ups now apply
+ * - Slash commands: /back, /skip, /edit <field>, /clear, /summary, /help
+ * - "Draft with AI" streams a SOW draft from the local backend token by token, with a Stop button; the draft is
+ *   grounded on matching passages of stored SOWs, which are named under it
+ * - The conversation is stored on the backend (/api/wizard-sessions) and resumed from the SOW's wizardSessionId
+ *
+ * Props:
+ * - projectTitle: shown in the header
+ * - position: "right" | "left"
+ * - templateId: active template id; a session started for another template starts over
+ * - sessionId: wizard session to resume (the SOW's wizardSessionId), if any
+ * - onSessionIdChange: (sessionId) => void, called when a new session is created on the server
+ * - sections: form sections of the template (getTemplateFormSections)
+ * - requiredKeys: schema-level required field keys
+ * - templateData: current values
+ * - onTemplateDataChange: (nextTemplateData) => void
+ * - onOpenForm: () => void, shows the SOW Form
  */
-export default function AIChatWizard({ projectTitle = "", position = "right", onPackage }) {
+export default function AIChatWizard({
+  projectTitle = "",
+  position = "right",
+  templateId = "",
+  sections = [],
+  requiredKeys = [],
+  templateData = {},
+  onTemplateDataChange,
+  onOpenForm,
+  sessionId = "",
+  onSessionIdChange,
+}) {
   const [open, setOpen] = useState(false);
 
-  // Conversation state
-  const [messages, setMessages] = useState(() => {
-    const cached = localStorage.getItem("sow-wizard-chat");
-    return cached ? JSON.parse(cached) : [];
-  });
+  // Conversation state, saved to the server session
+  const [chat, setChat] = useState(freshChat);
+  const { messages, phase, qIndex } = chat;
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
-
-  // Collected SOW data
-  const [sow, setSow] = useState(() => {
-    const cached = localStorage.getItem("sow-wizard-data");
-    return cached
-      ? JSON.parse(cached)
-      : {
-          meta: {
-            title: "",
-            client: "",
-            email: "",
-            date: "",
-            version: "",
-            prepared_by: "",
-            stakeholders: [],
-            logoUrl: "",
-            logoName: "",
-            photoUrl: "",
-            signatureUrl: "",
-          },
-          background: { project_background: "", business_problem: "", objectives: "", success_criteria: "" },
-          scope: { in_scope: [], out_of_scope: [], assumptions: [], constraints: [], dependencies: [] },
-          deliverables: { items: [], milestones: [], timeline: [], acceptance_criteria: "" },
-          roles: { sponsor: "", pm: "", tech_lead: "", team: [], client_responsibilities: "" },
-          approach: { solution_overview: "", tech_stack: [], data_sources: [], security: "", qa_strategy: "" },
-          governance: { comm_plan: "", reporting: "", meetings: "", risk_mgmt: "", change_control: "" },
-          commercials: { pricing_model: "", budget: "", payment_terms: "", invoicing: "" },
-          legal: { confidentiality: "", ip: "", sla: "", termination: "", warranties: "" },
-          signoff: { signatories: [], date: "" },
-        };
-  });
-
-  // Wizard steps: ask a single question at a time
-  const steps = useMemo(
-    () => [
-      { key: "start", prompt: "Welcome! Would you like to 1) Generate a SOW now or 2) Provide your project title and details first?", type: "choice", options: ["Generate SOW", "Provide details"] },
-      { key: "title", prompt: "What is the project title?", type: "text", target: ["meta", "title"], suggestFrom: "projectTitle" },
-      { key: "details", prompt: "Briefly describe the project objectives.", type: "text", target: ["background", "objectives"] },
-      { key: "client", prompt: "Client or organization name?", type: "text", target: ["meta", "client"] },
-      { key: "email", prompt: "Client email for the SOW?", type: "text", target: ["meta", "email"], validate: "email" },
-      { key: "prepared_by", prompt: "Who is preparing this SOW?", type: "text", target: ["meta", "prepared_by"] },
-      { key: "date", prompt: "SOW date (YYYY-MM-DD)?", type: "date", target: ["meta", "date"] },
-      { key: "logo", prompt: "Upload a company logo (optional).", type: "upload", target: ["meta", "logoUrl"], label: "Choose Logo" },
-      { key: "photo", prompt: "Add a project photo or image (optional).", type: "upload", target: ["meta", "photoUrl"], label: "Choose Photo" },
-      { key: "signature", prompt: "Upload a signature image for sign-off (optional).", type: "upload", target: ["meta", "signatureUrl"], label: "Upload Signature" },
-      { key: "sponsor", prompt: "Who is the project sponsor?", type: "text", target: ["roles", "sponsor"] },
-      { key: "pm", prompt: "Project manager name?", type: "text", target: ["roles", "pm"] },
-      { key: "tech_lead", prompt: "Technical lead name?", type: "text", target: ["roles", "tech_lead"] },
-      { key: "in_scope", prompt: "List one in-scope item (you can add more later).", type: "text-list-once", target: ["scope", "in_scope"] },
-      { key: "deliverables", prompt: "Provide one key deliverable (you can add more later).", type: "text-list-once", target: ["deliverables", "items"] },
-      { key: "timeline", prompt: "Provide a brief timeline note or milestone.", type: "text-list-once", target: ["deliverables", "timeline"] },
-      { key: "acceptance", prompt: "Acceptance criteria summary?", type: "text", target: ["deliverables", "acceptance_criteria"] },
-      { key: "signoff_date", prompt: "Sign-off date (optional, YYYY-MM-DD).", type: "date", target: ["signoff", "date"] },
-      { key: "signatories", prompt: "Add a signatory name (you can add more later).", type: "text-list-once", target: ["signoff", "signatories"] },
-      { key: "finish", prompt: "All set. Should I package your SOW for export now?", type: "choice", options: ["Yes, package for export", "Review in the form first"] },
-    ],
-    []
-  );
-
-  const [stepIndex, setStepIndex] = useState(0);
+  const [streaming, setStreaming] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [syncError, setSyncError] = useState("");
+  const abortRef = useRef(null);
   const endRef = useRef(null);
+  // The session and template the current conversation belongs to.
+  const sessionRef = useRef({ sessionId: null, templateId: null });
+  const chatRef = useRef(chat);
+  const creatingRef = useRef(false);
+  chatRef.current = chat;
+
+  const questions = useMemo(() => buildWizardQuestions(sections, requiredKeys), [sections, requiredKeys]);
+  const current = phase === "questions" ? questions[qIndex] : null;
 
   useEffect(() => {
     applyThemeToRoot(oceanTheme);
   }, []);
 
+  // Resume the session of the open SOW; a missing session or one for another template starts over.
   useEffect(() => {
-    localStorage.setItem("sow-wizard-data", JSON.stringify(sow));
-  }, [sow]);
+    const id = sessionId || null;
+    if (id === sessionRef.current.sessionId && templateId === sessionRef.current.templateId) return;
+    abortRef.current?.abort();
+    let cancelled = false;
+    (async () => {
+      let restored = null;
+      let keepId = null;
+      if (id && templateId) {
+        setRestoring(true);
+        const res = await getWizardSession(id);
+        if (cancelled) return;
+        setRestoring(false);
+        if (res.ok) {
+          keepId = id;
+          if (res.session.templateId === templateId) restored = res.session.state;
+        }
+      }
+      sessionRef.current = { sessionId: keepId, templateId };
+      setSyncError("");
+      setChat(restored ? { ...freshChat(), ...restored, history: restored.history || [] } : freshChat());
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, templateId]);
 
+  // Save once the conversation settles; per-token updates of a streaming reply are skipped.
   useEffect(() => {
-    localStorage.setItem("sow-wizard-chat", JSON.stringify(messages));
-  }, [messages]);
+    if (streaming || restoring || !templateId || messages.length === 0) return undefined;
+    const timer = setTimeout(() => persist(chat, templateId), SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [chat, streaming, restoring, templateId]);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
 
   useEffect(() => {
     // Seed greeting when first opened
-    if (open && messages.length === 0) {
-      pushBot("Hello! I’m your SOW assistant. I’ll ask a few quick questions—one at a time.");
-      const s = steps[0];
-      pushBot(s.prompt);
+    if (open && !restoring && messages.length === 0) {
+      pushBot("Hello! I’m your SOW assistant. I’ll fill the selected template with you, one question at a time.");
+      if (!templateId || questions.length === 0) {
+        pushBot("Select a template first, then open me again.");
+      } else {
+        pushBot(START_PROMPT);
+      }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [open]);
+  }, [open, restoring, templateId, messages.length]);
 
   useEffect(() => {
     endRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages]);
 
-  const headerTitle = (sow?.meta?.title || projectTitle || "Statement of Work").trim();
+  const headerTitle = (projectTitle || "Statement of Work").trim();
 
+  function setMessages(update) {
+    setChat((prev) => ({ ...prev, messages: update(prev.messages) }));
+  }
   function pushBot(text) {
     setMessages((prev) => [...prev, { from: "bot", text }]);
   }
   function pushUser(text) {
     setMessages((prev) => [...prev, { from: "user", text }]);
   }
+  function updateMessage(id, patch) {
+    setMessages((prev) => prev.map((m) => (m.id === id ? { ...m, ...(typeof patch === "function" ? patch(m) : patch) } : m)));
+  }
 
-  function setValue(path, value) {
-    setSow((prev) => {
-      const next = structuredClone(prev);
-      let o = next;
-      for (let i = 0; i < path.length - 1; i++) {
-        const k = path[i];
-        if (!(k in o)) o[k] = {};
-        o = o[k];
+  async function persist(snapshot, forTemplate) {
+    const state = { ...snapshot };
+    const id = sessionRef.current.sessionId;
+    if (id) {
+      const res = await saveWizardSession(id, { templateId: forTemplate, state });
+      // A session deleted on the server is replaced by a new one below.
+      if (res.ok || res.status !== 404) {
+        setSyncError(res.ok ? "" : res.error);
+        return;
       }
-      o[path[path.length - 1]] = value;
-      return next;
-    });
+    }
+    if (creatingRef.current) return;
+    creatingRef.current = true;
+    const res = await createWizardSession({ templateId: forTemplate, state });
+    creatingRef.current = false;
+    if (!res.ok) {
+      setSyncError(res.error);
+      return;
+    }
+    setSyncError("");
+    if (sessionRef.current.templateId !== forTemplate) return;
+    sessionRef.current = { sessionId: res.session.id, templateId: forTemplate };
+    onSessionIdChange?.(res.session.id);
+    // Changes made while the session was being created.
+    if (chatRef.current !== snapshot) persist(chatRef.current, forTemplate);
   }
-  function pushToList(path, value) {
-    if (!value) return;
-    setSow((prev) => {
-      const next = structuredClone(prev);
-      let o = next;
-      for (let i = 0; i < path.length - 1; i++) {
-        o = o[path[i]];
-      }
-      if (!Array.isArray(o[path[path.length - 1]])) o[path[path.length - 1]] = [];
-      o[path[path.length - 1]].push(value);
-      return next;
-    });
+
+  // Ask question `index`, showing its current answer when it has one. `patch` overrides chat fields;
+  // by default the question being left is remembered for /back.
+  function ask(index, data, patch = {}) {
+    setChat((prev) => ({
+      ...prev,
+      phase: "questions",
+      qIndex: index,
+      history:
+        prev.phase === "questions" && prev.qIndex >= 0 && prev.qIndex !== index ? [...prev.history, prev.qIndex] : prev.history,
+      ...patch,
+    }));
+    const q = questions[index];
+    let text = describeQuestion(q);
+    if (isAnswered(q, data)) {
+      const value = formatAnswer(q, getAnswer(data, q));
+      text += isMultiAnswerQuestion(q)
+        ? `\nSo far: ${value}. Add more, /clear to start over, or type “done”.`
+        : `\nCurrent answer: ${value}. Send a new one, or /skip to keep it.`;
+    }
+    pushBot(text);
+  }
+
+  // Ask the next applicable, unanswered question after `from` given `data`, or finish.
+  function askNext(data, from, patch = {}) {
+    const next = nextQuestionIndex(questions, data, from);
+    if (next < 0) finish(patch);
+    else ask(next, data, patch);
+  }
+
+  function finish(patch = {}) {
+    setChat((prev) => ({ ...prev, phase: "done", qIndex: -1, ...patch }));
+    pushBot(FINISH_PROMPT);
   }
 
-  function nextStep() {
-    const next = Math.min(stepIndex + 1, steps.length - 1);
-    setStepIndex(next);
-    const s = steps[next];
-    if (s) {
-      if (s.key === "title") {
-        const suggested = (projectTitle || "").trim();
-        if (suggested) pushBot(`Suggested title: “${suggested}”`);
+  // The current question is settled: continue after it, or return from an /edit detour.
+  function proceed(data) {
+    const back = chat.returnTo;
+    if (!back) {
+      askNext(data, qIndex);
+      return;
+    }
+    const patch = { returnTo: null };
+    if (back.phase === "questions") {
+      const q = questions[back.qIndex];
+      if (q && isApplicable(q, data) && !isAnswered(q, data)) ask(back.qIndex, data, patch);
+      else askNext(data, back.qIndex, patch);
+    } else if (back.phase === "done") {
+      finish(patch);
+    } else {
+      setChat((prev) => ({ ...prev, phase: back.phase, qIndex: -1, ...patch }));
+      pushBot(back.phase === "brief" ? BRIEF_PROMPT : START_PROMPT);
+    }
+  }
+
+  function commit(nextData) {
+    if (nextData !== templateData) onTemplateDataChange?.(nextData);
+  }
+
+  function runCommand({ name, arg, unknown }) {
+    if (unknown) {
+      pushBot(`I don’t know /${name}.\n${HELP_TEXT}`);
+    } else if (name === "help") {
+      pushBot(HELP_TEXT);
+    } else if (name === "summary") {
+      const summary = summarizeAnswers(questions, templateData);
+      pushBot(summary ? `Your answers so far:\n${summary}` : "No questions apply yet.");
+    } else if (name === "back") {
+      const history = [...(chat.history || [])];
+      let prevIndex = history.pop();
+      // Questions that no longer apply (after a changed answer) are passed over.
+      while (prevIndex !== undefined && !isApplicable(questions[prevIndex] || {}, templateData)) prevIndex = history.pop();
+      if (prevIndex === undefined || !questions[prevIndex]) pushBot("There’s no earlier question to go back to.");
+      else ask(prevIndex, templateData, { history });
+    } else if (name === "edit") {
+      if (!arg) {
+        pushBot("Which field? For example: /edit project_type. /summary lists them all.");
+        return;
+      }
+      const index = findQuestion(questions, arg);
+      if (index < 0) {
+        pushBot(`No field matches “${arg}”. /summary lists them all.`);
+      } else if (!isApplicable(questions[index], templateData)) {
+        pushBot(`“${questions[index].label}” doesn’t apply with the current answers.`);
+      } else {
+        // Chained edits return to where the first one started.
+        const returnTo = chat.returnTo || { phase, qIndex };
+        ask(index, templateData, { returnTo: index === qIndex && phase === "questions" ? chat.returnTo : returnTo });
       }
-      pushBot(s.prompt);
+    } else if (!current) {
+      pushBot(`/${name} works while a question is open. Try /edit <field> or /summary.`);
+    } else if (name === "skip") {
+      if (current.required && !isAnswered(current, templateData)) pushBot("This one is required.");
+      else proceed(templateData);
+    } else if (name === "clear") {
+      const empty = isMultiAnswerQuestion(current) || current.type === "upload-list" ? [] : current.type === "checkbox" ? undefined : "";
+      commit(setAnswer(templateData, current, empty));
+      pushBot("Cleared. Enter a new answer.");
     }
   }
 
-  function validate(value, rule) {
-    if (!rule) return true;
-    if (rule === "email") {
-      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value || "").trim());
+  function handleFinishChoice(val) {
+    if (/^\s*1\b|form/i.test(val)) {
+      pushBot("Opening the SOW Form.");
+      onOpenForm?.();
+    } else if (/^\s*2\b|summary/i.test(val)) {
+      runCommand({ name: "summary", arg: "" });
+    } else if (/^\s*3\b|revisit|skipped/i.test(val)) {
+      const next = nextQuestionIndex(questions, templateData, -1);
+      if (next < 0) pushBot("Nothing was skipped: every question that applies has an answer.");
+      else ask(next, templateData, { history: [] });
+    } else {
+      pushBot("Type 1, 2 or 3, or /help for commands.");
     }
-    return true;
   }
 
-  async function handleSubmit(e) {
-    e.preventDefault();
-    if (loading) return;
-    const current = steps[stepIndex];
-    if (!current) return;
+  // Stream a SOW draft for the brief into one bot bubble. Tokens are batched per animation frame.
+  async function streamDraft(brief) {
+    const id = `draft-${Date.now()}`;
+    setMessages((prev) => [...prev, { id, from: "bot", text: "", streaming: true, note: "Connecting…" }]);
+    setStreaming(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    let pending = "";
+    let frame = 0;
+    const flush = () => {
+      frame = 0;
+      const chunk = pending;
+      pending = "";
+      if (chunk) updateMessage(id, (m) => ({ text: m.text + chunk, note: "" }));
+    };
+
+    const res = await generateSOWFromPrompt(brief, {
+      grounding: true,
+      signal: controller.signal,
+      onToken: (t) => {
+        pending += t;
+        if (!frame) frame = requestAnimationFrame(flush);
+      },
+      onQueued: (pos) => updateMessage(id, { note: `Waiting for the model… (position ${pos} in queue)` }),
+      onReconnect: (attempt) => updateMessage(id, { note: `Connection lost. Reconnecting (attempt ${attempt})…` }),
+    });
+
+    if (frame) cancelAnimationFrame(frame);
+    flush();
+    abortRef.current = null;
+    setStreaming(false);
+    if (res.ok) {
+      const titles = [...new Set((res.sources || []).map((src) => src.sowTitle))];
+      updateMessage(id, {
+        text: res.content,
+        streaming: false,
+        note: titles.length ? `Based in part on earlier SOWs: ${titles.join(", ")}` : "",
+      });
+    } else {
+      updateMessage(id, {
+        text: res.content || "",
+        streaming: false,
+        note: res.aborted ? "Stopped." : res.error,
+        error: !res.aborted,
+      });
+    }
+    return res;
+  }
 
-    if (["upload"].includes(current.type)) return;
+  function stopStreaming() {
+    abortRef.current?.abort();
+  }
 
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (loading || !templateId || questions.length === 0) return;
     const val = input.trim();
-    if (!val && current.type !== "choice") return;
+    if (!val && phase !== "questions") return;
 
     pushUser(val || "(skip)");
     setInput("");
+
+    const command = parseCommand(val);
+    if (command) {
+      runCommand(command);
+      return;
+    }
     setLoading(true);
 
     try {
-      if (current.type === "choice") {
-        pushUser(val);
-        if (current.key === "start") {
-          nextStep();
-        } else if (current.key === "finish") {
-          if (/yes/i.test(val)) {
-            packageForExport();
-            pushBot("Packaging complete. You can export under Export Word (.docx).");
-          } else {
-            pushBot("Okay. You can review and edit in the SOW Form anytime.");
-          }
+      if (phase === "start") {
+        if (/^\s*1\b|draft|generate/i.test(val)) {
+          setChat((prev) => ({ ...prev, phase: "brief" }));
+          pushBot(BRIEF_PROMPT);
         } else {
-          nextStep();
+          askNext(templateData, -1);
         }
-      } else if (current.type === "text") {
-        if (current.validate && !validate(val, current.validate)) {
-          pushBot("That doesn't look valid. Please try again.");
-        } else {
-          if (current.target) setValue(current.target, val);
-          nextStep();
+      } else if (phase === "brief") {
+        const res = await streamDraft(val);
+        if (res.ok) pushBot("That’s a first draft. Now let’s fill in the template.");
+        else if (!res.aborted) pushBot("I couldn’t finish the draft, but we can fill in the template.");
+        askNext(templateData, -1);
+      } else if (phase === "questions" && current) {
+        const res = applyAnswer(templateData, current, val);
+        if (res.error) {
+          pushBot(res.error);
+          return;
+        }
+        commit(res.templateData);
+        if (res.added) {
+          const count = (getAnswer(res.templateData, current) || []).length;
+          pushBot(`Added (${count} so far). Add another, or type “done”.`);
+        }
+        if (res.advance) {
+          const branch = res.templateData !== templateData ? describeBranch(questions, current, res.templateData) : null;
+          if (branch) pushBot(branch);
+          proceed(res.templateData);
         }
-      } else if (current.type === "text-list-once") {
-        if (current.target) pushToList(current.target, val);
-        nextStep();
-      } else if (current.type === "date") {
-        if (current.target) setValue(current.target, val);
-        nextStep();
       } else {
-        nextStep();
+        handleFinishChoice(val);
       }
     } finally {
       setLoading(false);
     }
   }
 
-  function onUploadSelected(file, targetKey) {
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      setValue(targetKey, reader.result);
-      pushBot("Upload received. Preview updated.");
-      nextStep();
-    };
-    reader.readAsDataURL(file);
+  async function onUploadSelected(fileList) {
+    const files = Array.from(fileList || []);
+    if (!files.length || !current) return;
+    const urls = await readFilesAsDataURLs(files);
+    const next = applyUpload(templateData, current, urls);
+    commit(next);
+    pushBot(files.length > 1 ? `${files.length} images received.` : "Upload received.");
+    proceed(next);
+  }
+
+  // Signatures drawn, typed or uploaded on the pad; they are sealed later, when the saved SOW is signed in the form.
+  function onSignatureCaptured(dataUrl, method) {
+    if (!current) return;
+    const next = applyUpload(templateData, current, [dataUrl]);
+    commit(next);
+    pushBot(method === "uploaded" ? "Upload received." : `Signature ${method === "typed" ? "typed" : "drawn"}.`);
+    proceed(next);
   }
 
-  function packageForExport() {
-    onPackage?.(sow);
-    localStorage.setItem("sow-wizard-data", JSON.stringify(sow));
+  function skipUpload() {
+    pushUser("(skip)");
+    proceed(templateData);
   }
 
-  const current = steps[stepIndex] || {};
   const rightPos = position !== "left";
+  const uploadValue = current && isUploadQuestion(current) ? getAnswer(templateData, current) : null;
+  const previews = (Array.isArray(uploadValue) ? uploadValue : [uploadValue]).filter(Boolean);
 
   return (
     <>
@@ -289,83 +517,101 @@ export default function AIChatWizard({ projectTitle = "", position = "right", on
           <div role="log" aria-live="polite" className="wiz-log">
             {messages.map((m, i) => (
               <div
-                key={i}
-                className={`wiz-bubble ${m.from === "user" ? "user" : "bot"}`}
+                key={m.id || i}
+                className={`wiz-bubble ${m.from === "user" ? "user" : "bot"}${m.streaming ? " streaming" : ""}`}
+                aria-busy={m.streaming ? "true" : undefined}
               >
                 {m.text}
+                {m.note ? <span className={`wiz-note${m.error ? " error" : ""}`}>{m.note}</span> : null}
               </div>
             ))}
             <div ref={endRef} />
           </div>
 
-          {/* Current step special UIs for upload/preview */}
-          {current?.type === "upload" && (
+          {/* Upload questions (signatures, image lists) */}
+          {current && isUploadQuestion(current) ? (
             <div className="wiz-upload">
-              <div style={{ marginBottom: 8 }}>{current.prompt}</div>
-              <label className="btn" style={{ background: "#fff", color: "#374151" }}>
-                {current.label || "Choose File"}
-                <input
-                  type="file"
-                  accept="image/*"
-                  style={{ display: "none" }}
-                  onChange={(e) => {
-                    const file = e.target.files?.[0];
-                    if (file) onUploadSelected(file, current.target);
-                  }}
-                />
-              </label>
-              <div className="wiz-previews">
-                {current.key === "logo" && sow?.meta?.logoUrl ? (
-                  <img alt="Logo preview" src={sow.meta.logoUrl} className="wiz-preview-img" style={{ maxHeight: 56 }} />
-                ) : null}
-                {current.key === "photo" && sow?.meta?.photoUrl ? (
-                  <img alt="Photo preview" src={sow.meta.photoUrl} className="wiz-preview-img" style={{ maxHeight: 100 }} />
+              <div style={{ marginBottom: 8 }}>{current.label}</div>
+              {current.type === "signature" ? (
+                <div style={{ marginBottom: 8 }}>
+                  <SignaturePad key={current.id} onCapture={onSignatureCaptured} />
+                </div>
+              ) : null}
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                {current.type !== "signature" ? (
+                  <label className="btn" style={{ background: "#fff", color: "#374151" }}>
+                    Choose Images
+                    <input
+                      type="file"
+                      accept={current.field.accept || "image/*"}
+                      multiple
+                      style={{ display: "none" }}
+                      onChange={(e) => onUploadSelected(e.target.files)}
+                    />
+                  </label>
                 ) : null}
-                {current.key === "signature" && sow?.meta?.signatureUrl ? (
-                  <img alt="Signature preview" src={sow.meta.signatureUrl} className="wiz-preview-img" style={{ maxHeight: 64, background: "#fff" }} />
+                {!current.required ? (
+                  <button className="btn" type="button" onClick={skipUpload} style={{ background: "#fff", color: "#374151" }}>
+                    Skip
+                  </button>
                 ) : null}
               </div>
+              {previews.length ? (
+                <div className="wiz-previews">
+                  {previews.map((src, i) => (
+                    <img key={i} alt={`${current.label} ${i + 1}`} src={src} className="wiz-preview-img" style={{ maxHeight: 64, background: "#fff" }} />
+                  ))}
+                </div>
+              ) : null}
             </div>
-          )}
-
-          {/* Text/choice input */}
-          {current?.type !== "upload" && (
+          ) : (
             <form onSubmit={handleSubmit} aria-label="Wizard input" className="wiz-input-row">
               <input
                 className="wiz-input"
+                type={current?.type === "date" ? "date" : "text"}
                 placeholder={
-                  current?.type === "choice"
-                    ? "Type your choice (e.g., 1 or Yes)"
+                  restoring
+                    ? "Restoring conversation…"
+                    : phase === "start"
+                    ? "Type 1 or 2"
+                    : phase === "done"
+                    ? "Type 1, 2 or 3, or a /command"
+                    : current && isMultiAnswerQuestion(current)
+                    ? "Add an entry, or type done"
                     : "Type your answer"
                 }
                 value={input}
                 onChange={(e) => setInput(e.target.value)}
+                disabled={restoring || !templateId || questions.length === 0}
               />
-              <button className="btn btn-primary" type="submit" disabled={loading}>
-                {loading ? "..." : "Send"}
-              </button>
+              {streaming ? (
+                <button className="btn" type="button" onClick={stopStreaming} title="Stop generating">
+                  Stop
+                </button>
+              ) : (
+                <button className="btn btn-primary" type="submit" disabled={loading || !templateId}>
+                  {loading ? "..." : "Send"}
+                </button>
+              )}
             </form>
           )}
 
-          {/* Package/Export helper */}
           <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
             <button
               className="btn"
               type="button"
-              onClick={() => {
-                packageForExport();
-                pushBot("SOW packaged. Head to Export Word (.docx) to download.");
-              }}
+              onClick={() => onOpenForm?.()}
               style={{ background: "#fff", color: "#374151" }}
-              title="Make available to Export step"
+              title="Review the answers in the SOW Form"
             >
-              Package for Export
+              Open SOW Form
             </button>
           </div>
         </div>
 
         <div className="wiz-footer">
-          I’ll guide you through just the essentials. You can refine everything in the SOW Form.
+          Answers go straight into the SOW Form of the selected template. You can refine everything there. Type /help for commands.
+          {syncError ? <span className="wiz-note error">Conversation not saved: {syncError}</span> : null}
         </div>
       </div>
     </>
@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from "react";
+import { draftTemplateFields } from "../services/aiClient";
+import { formatMoney, isMoney } from "../services/money";
+
+/**
+ * PUBLIC_INTERFACE
+ * AIFieldDraft
+ * Drafts the template's fields from a short project brief and lets the user accept or reject
+ * each proposed value before it is merged into templateData.
+ *
+ * Props:
+ * - sections: form sections [{ section, fields }] currently rendered by SOWForm
+ * - templateData: current values (sent as context and shown next to each proposal)
+ * - onApply: (values) => void  — accepted { [fieldKey]: value } to merge into templateData
+ */
+export default function AIFieldDraft({ sections, templateData, onApply }) {
+  const [brief, setBrief] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [proposal, setProposal] = useState(null); // { values, issues }
+  const [accepted, setAccepted] = useState({}); // key -> boolean
+
+  const labels = useMemo(() => {
+    const out = {};
+    (sections || []).forEach((s) => (s.fields || []).forEach((f) => (out[f.key] = { label: f.label || f.key, section: s.section })));
+    return out;
+  }, [sections]);
+
+  async function onDraft() {
+    setBusy(true);
+    setError("");
+    const res = await draftTemplateFields({
+      schema: { sections: (sections || []).map((s) => ({ section: s.section, fields: s.fields || [] })) },
+      brief,
+      existing: templateData || {},
+    });
+    setBusy(false);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    const values = res.values || {};
+    setProposal({ values, issues: res.issues || [] });
+    // Pre-accept proposals for empty fields; changes to filled fields must be opted into.
+    setAccepted(Object.fromEntries(Object.keys(values).map((k) => [k, isEmpty(templateData?.[k])])));
+  }
+
+  function onApplyAccepted() {
+    const picked = Object.fromEntries(Object.entries(proposal.values).filter(([k]) => accepted[k]));
+    onApply?.(picked);
+    setProposal(null);
+  }
+
+  const keys = proposal ? Object.keys(proposal.values) : [];
+  const acceptedCount = keys.filter((k) => accepted[k]).length;
+
+  return (
+    <div className="panel" style={{ marginTop: 12 }}>
+      <div className="panel-title">Draft fields with AI</div>
+      <div className="form-control">
+        <label className="label">Project brief</label>
+        <textarea
+          className="textarea"
+          rows={3}
+          value={brief}
+          onChange={(e) => setBrief(e.target.value)}
+          placeholder="Client, goals, deliverables, dates, commercial model…"
+        />
+      </div>
+      <div style={{ display: "flex", gap: 8, marginTop: 8, alignItems: "center" }}>
+        <button className="btn btn-primary" type="button" onClick={onDraft} disabled={busy || !brief.trim()}>
+          {busy ? "Drafting..." : "Draft fields"}
+        </button>
+        {error ? <span style={{ color: "var(--accent-pink)" }}>{error}</span> : null}
+      </div>
+
+      {proposal ? (
+        <div style={{ marginTop: 12 }}>
+          {keys.length === 0 ? (
+            <div style={{ color: "var(--text-secondary)" }}>The model proposed no values for this template.</div>
+          ) : (
+            <div style={{ overflowX: "auto", border: "1px solid var(--ui-border)", borderRadius: 8 }}>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr>
+                    <th style={cellStyle}>Accept</th>
+                    <th style={cellStyle}>Field</th>
+                    <th style={cellStyle}>Current</th>
+                    <th style={cellStyle}>Proposed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {keys.map((k) => (
+                    <tr key={k}>
+                      <td style={cellStyle}>
+                        <input
+                          type="checkbox"
+                          checked={!!accepted[k]}
+                          onChange={(e) => setAccepted((prev) => ({ ...prev, [k]: e.target.checked }))}
+                          aria-label={`Accept ${labels[k]?.label || k}`}
+                        />
+                      </td>
+                      <td style={cellStyle}>
+                        {labels[k]?.label || k}
+                        <div style={{ color: "var(--text-secondary)", fontSize: 12 }}>{labels[k]?.section}</div>
+                      </td>
+                      <td style={{ ...cellStyle, color: "var(--text-secondary)" }}>{formatValue(templateData?.[k])}</td>
+                      <td style={{ ...cellStyle, whiteSpace: "pre-wrap" }}>{formatValue(proposal.values[k])}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {proposal.issues.length ? (
+            <div style={{ color: "var(--text-secondary)", fontSize: 13, marginTop: 8 }}>
+              Skipped (did not match the field type): {proposal.issues.map((i) => `${i.label} — ${i.error}`).join("; ")}
+            </div>
+          ) : null}
+
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            <button className="btn" type="button" onClick={() => setAccepted(Object.fromEntries(keys.map((k) => [k, true])))}>
+              Accept all
+            </button>
+            <button className="btn" type="button" onClick={() => setAccepted({})}>
+              Reject all
+            </button>
+            <div style={{ flex: 1 }} />
+            <button className="btn" type="button" onClick={() => setProposal(null)}>
+              Discard
+            </button>
+            <button className="btn btn-primary" type="button" onClick={onApplyAccepted} disabled={!acceptedCount}>
+              Apply {acceptedCount} field(s)
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Shared with AITextImport, which reviews proposals the same way.
+export const cellStyle = { textAlign: "left", padding: 8, borderBottom: "1px solid var(--ui-border)", verticalAlign: "top" };
+
+export function isEmpty(v) {
+  if (v === undefined || v === null || v === "") return true;
+  if (Array.isArray(v)) return v.length === 0;
+  if (typeof v === "object") return Object.values(v).every(isEmpty);
+  return false;
+}
+
+export function formatValue(v) {
+  if (isEmpty(v)) return "—";
+  if (isMoney(v)) return formatMoney(v);
+  if (Array.isArray(v))
+    return v.map((x) => `• ${typeof x === "object" ? Object.values(x).map((c) => (isMoney(c) ? formatMoney(c) : c)).join(" | ") : x}`).join("\n");
+  if (typeof v === "object") return Object.entries(v).map(([k, x]) => `${k}: ${x}`).join("\n");
+  return String(v);
+}
@@ -0,0 +1,149 @@
+import React, { useMemo, useState } from "react";
+import { reviewSOWRisks } from "../services/aiClient";
+import { applyRiskFix, reviewValues } from "../services/riskReview";
+import { cellStyle } from "./AIFieldDraft";
+
+const SEVERITY_COLORS = { high: "var(--accent-pink)", medium: "var(--accent-purple)", low: "var(--text-secondary)" };
+const SOURCE_LABELS = { rules: "Pattern check", model: "AI review" };
+
+/**
+ * PUBLIC_INTERFACE
+ * AIRiskReview
+ * "Risk review" of the filled SOW: pattern checks plus a model pass with the same rubric (vague deliverables,
+ * uncapped T&M, change control, ambiguous SLAs, client dependencies). Each finding names its field, and its
+ * suggested clause is applied to that field with one click.
+ *
+ * Props:
+ * - sections: form sections [{ section, fields }] of the template
+ * - templateData: current values
+ * - commercials: the SOW's money settings, so amounts are reviewed as the document formats them (optional)
+ * - onApply: (values) => void  — { [fieldKey]: newValue } to merge into templateData (without it, fixes cannot be applied)
+ * - onGoToField: (fieldKey) => void — open the field in the SOW form (optional)
+ */
+export default function AIRiskReview({ sections, templateData, commercials, onApply, onGoToField }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null); // { findings, modelError }
+  const [done, setDone] = useState({}); // finding id -> "applied" | "dismissed"
+
+  const fieldsByKey = useMemo(() => {
+    const out = {};
+    (sections || []).forEach((s) => (s.fields || []).forEach((f) => (out[f.key] = f)));
+    return out;
+  }, [sections]);
+
+  async function onReview() {
+    setBusy(true);
+    setError("");
+    const res = await reviewSOWRisks({
+      schema: { sections: (sections || []).map((s) => ({ section: s.section, fields: s.fields || [] })) },
+      values: reviewValues(sections, templateData, commercials),
+    });
+    setBusy(false);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    setResult({ findings: res.findings || [], modelError: res.modelError || "" });
+    setDone({});
+  }
+
+  function onApplyFinding(f) {
+    const next = applyRiskFix(fieldsByKey[f.fieldKey], templateData?.[f.fieldKey], f);
+    if (next === undefined) return;
+    onApply?.({ [f.fieldKey]: next });
+    setDone((prev) => ({ ...prev, [f.id]: "applied" }));
+  }
+
+  const findings = result?.findings || [];
+  const open = findings.filter((f) => !done[f.id]).length;
+
+  return (
+    <div className="panel" style={{ marginBottom: 12 }}>
+      <div className="panel-title">Risk review</div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <button className="btn" type="button" onClick={onReview} disabled={busy || !(sections || []).length}>
+          {busy ? "Reviewing..." : result ? "Review again" : "Run risk review"}
+        </button>
+        <span style={{ color: "var(--text-secondary)", fontSize: 13 }}>
+          Flags vague deliverables, uncapped T&amp;M charges, missing change control, ambiguous SLAs and open-ended client dependencies.
+        </span>
+      </div>
+      {error ? <div style={{ color: "var(--accent-pink)", marginTop: 8 }}>{error}</div> : null}
+
+      {result ? (
+        <div style={{ marginTop: 12 }}>
+          {result.modelError ? (
+            <div style={{ color: "var(--text-secondary)", fontSize: 13, marginBottom: 8 }}>
+              Only the pattern checks ran: {result.modelError}
+            </div>
+          ) : null}
+          {findings.length === 0 ? (
+            <div style={{ color: "var(--text-secondary)" }}>No contract risks found.</div>
+          ) : (
+            <>
+              <div style={{ color: "var(--text-secondary)", fontSize: 13, marginBottom: 8 }}>
+                {open} of {findings.length} finding(s) open.
+              </div>
+              <div style={{ overflowX: "auto", border: "1px solid var(--ui-border)", borderRadius: 8 }}>
+                <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr>
+                      <th style={cellStyle}>Severity</th>
+                      <th style={cellStyle}>Field</th>
+                      <th style={cellStyle}>Issue</th>
+                      <th style={cellStyle}>Suggested clause</th>
+                      <th style={cellStyle} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {findings.map((f) => {
+                      const canApply = !!onApply && applyRiskFix(fieldsByKey[f.fieldKey], templateData?.[f.fieldKey], f) !== undefined;
+                      return (
+                        <tr key={f.id} style={done[f.id] ? { opacity: 0.55 } : undefined}>
+                          <td style={{ ...cellStyle, color: SEVERITY_COLORS[f.severity], fontWeight: 600, textTransform: "capitalize" }}>
+                            {f.severity}
+                          </td>
+                          <td style={cellStyle}>
+                            {f.label}
+                            <div style={{ color: "var(--text-secondary)", fontSize: 12 }}>{SOURCE_LABELS[f.source] || f.source}</div>
+                          </td>
+                          <td style={cellStyle}>
+                            {f.issue}
+                            {f.quote ? <div style={{ fontStyle: "italic", fontSize: 13, marginTop: 4 }}>“{f.quote}”</div> : null}
+                          </td>
+                          <td style={{ ...cellStyle, whiteSpace: "pre-wrap", fontSize: 13 }}>{f.replacement}</td>
+                          <td style={{ ...cellStyle, whiteSpace: "nowrap" }}>
+                            {done[f.id] ? (
+                              <span style={{ color: "var(--text-secondary)", fontSize: 12 }}>
+                                {done[f.id] === "applied" ? "Applied" : "Dismissed"}
+                              </span>
+                            ) : (
+                              <div style={{ display: "grid", gap: 4 }}>
+                                <button className="btn btn-primary" type="button" onClick={() => onApplyFinding(f)} disabled={!canApply}>
+                                  {f.quote ? "Replace" : "Add clause"}
+                                </button>
+                                {onGoToField ? (
+                                  <button className="btn" type="button" onClick={() => onGoToField(f.fieldKey)}>
+                                    Go to field
+                                  </button>
+                                ) : null}
+                                <button className="btn" type="button" onClick={() => setDone((prev) => ({ ...prev, [f.id]: "dismissed" }))}>
+                                  Dismiss
+                                </button>
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
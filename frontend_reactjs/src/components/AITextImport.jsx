@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from "react";
+import { extractTemplateFields } from "../services/aiClient";
+import { cellStyle, formatValue } from "./AIFieldDraft";
+
+/**
+ * PUBLIC_INTERFACE
+ * AITextImport
+ * "Import from text": extracts the template's fields from pasted call notes, client emails or RFP text.
+ * Every proposed value shows the sentence it was taken from and must be confirmed before it is merged
+ * into templateData. Values the backend could not find in the text are flagged.
+ *
+ * Props:
+ * - sections: form sections [{ section, fields }] currently rendered by SOWForm
+ * - templateData: current values (shown next to each proposal)
+ * - onApply: (values) => void  — confirmed { [fieldKey]: value } to merge into templateData
+ */
+export default function AITextImport({ sections, templateData, onApply }) {
+  const [text, setText] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null); // { proposals, issues, sourceText }
+  const [accepted, setAccepted] = useState({}); // key -> boolean
+  const [focus, setFocus] = useState(""); // key whose sources are highlighted in the text
+
+  const sectionOf = useMemo(() => {
+    const out = {};
+    (sections || []).forEach((s) => (s.fields || []).forEach((f) => (out[f.key] = s.section)));
+    return out;
+  }, [sections]);
+
+  async function onExtract() {
+    setBusy(true);
+    setError("");
+    const res = await extractTemplateFields({
+      schema: { sections: (sections || []).map((s) => ({ section: s.section, fields: s.fields || [] })) },
+      text,
+    });
+    setBusy(false);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    // Nothing is pre-accepted: each value is confirmed against its source.
+    setResult({ proposals: res.proposals || [], issues: res.issues || [], sourceText: text });
+    setAccepted({});
+    setFocus("");
+  }
+
+  function onApplyAccepted() {
+    const picked = Object.fromEntries(result.proposals.filter((p) => accepted[p.key]).map((p) => [p.key, p.value]));
+    onApply?.(picked);
+    setResult(null);
+  }
+
+  const proposals = result?.proposals || [];
+  const acceptedCount = proposals.filter((p) => accepted[p.key]).length;
+  const focused = proposals.find((p) => p.key === focus);
+
+  return (
+    <div className="panel" style={{ marginTop: 12 }}>
+      <div className="panel-title">Import from text</div>
+      <div className="form-control">
+        <label className="label">Call notes, client email or RFP text</label>
+        <textarea
+          className="textarea"
+          rows={5}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Paste the text here; each value found is shown with the sentence it came from."
+        />
+      </div>
+      <div style={{ display: "flex", gap: 8, marginTop: 8, alignItems: "center" }}>
+        <button className="btn btn-primary" type="button" onClick={onExtract} disabled={busy || !text.trim()}>
+          {busy ? "Reading..." : "Extract values"}
+        </button>
+        {error ? <span style={{ color: "var(--accent-pink)" }}>{error}</span> : null}
+      </div>
+
+      {result ? (
+        <div style={{ marginTop: 12 }}>
+          {proposals.length === 0 ? (
+            <div style={{ color: "var(--text-secondary)" }}>No values for this template were found in the text.</div>
+          ) : (
+            <div style={{ overflowX: "auto", border: "1px solid var(--ui-border)", borderRadius: 8 }}>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr>
+                    <th style={cellStyle}>Accept</th>
+                    <th style={cellStyle}>Field</th>
+                    <th style={cellStyle}>Current</th>
+                    <th style={cellStyle}>Proposed</th>
+                    <th style={cellStyle}>Source</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {proposals.map((p) => (
+                    <tr key={p.key} style={p.key === focus ? { background: "rgba(37, 99, 235, 0.06)" } : undefined}>
+                      <td style={cellStyle}>
+                        <input
+                          type="checkbox"
+                          checked={!!accepted[p.key]}
+                          onChange={(e) => setAccepted((prev) => ({ ...prev, [p.key]: e.target.checked }))}
+                          aria-label={`Accept ${p.label}`}
+                        />
+                      </td>
+                      <td style={cellStyle}>
+                        {p.label}
+                        <div style={{ color: "var(--text-secondary)", fontSize: 12 }}>{sectionOf[p.key]}</div>
+                      </td>
+                      <td style={{ ...cellStyle, color: "var(--text-secondary)" }}>{formatValue(templateData?.[p.key])}</td>
+                      <td style={{ ...cellStyle, whiteSpace: "pre-wrap" }}>{formatValue(p.value)}</td>
+                      <td style={{ ...cellStyle, fontSize: 13 }}>
+                        {p.sources.map((s) => (
+                          <div key={s.index} style={{ fontStyle: "italic" }}>
+                            “{s.text}”
+                          </div>
+                        ))}
+                        {!p.grounded ? (
+                          <div style={{ color: "var(--accent-pink)" }}>Not found in the text — check before accepting.</div>
+                        ) : null}
+                        {p.sources.length ? (
+                          <button
+                            className="btn"
+                            type="button"
+                            onClick={() => setFocus(p.key === focus ? "" : p.key)}
+                            style={{ marginTop: 4, padding: "2px 8px", fontSize: 12 }}
+                          >
+                            {p.key === focus ? "Hide in text" : "Show in text"}
+                          </button>
+                        ) : null}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {focused ? (
+            <div
+              aria-label={`Source of ${focused.label}`}
+              style={{
+                marginTop: 8,
+                padding: 8,
+                maxHeight: 200,
+                overflowY: "auto",
+                whiteSpace: "pre-wrap",
+                fontSize: 13,
+                border: "1px solid var(--ui-border)",
+                borderRadius: 8,
+              }}
+            >
+              {highlight(result.sourceText, focused.sources)}
+            </div>
+          ) : null}
+
+          {result.issues.length ? (
+            <div style={{ color: "var(--text-secondary)", fontSize: 13, marginTop: 8 }}>
+              Skipped (did not match the field type): {result.issues.map((i) => `${i.label} — ${i.error}`).join("; ")}
+            </div>
+          ) : null}
+
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            <button
+              className="btn"
+              type="button"
+              onClick={() => setAccepted(Object.fromEntries(proposals.filter((p) => p.grounded).map((p) => [p.key, true])))}
+            >
+              Accept all found in text
+            </button>
+            <button className="btn" type="button" onClick={() => setAccepted({})}>
+              Reject all
+            </button>
+            <div style={{ flex: 1 }} />
+            <button className="btn" type="button" onClick={() => setResult(null)}>
+              Discard
+            </button>
+            <button className="btn btn-primary" type="button" onClick={onApplyAccepted} disabled={!acceptedCount}>
+              Apply {acceptedCount} field(s)
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// The source text with the cited sentences marked.
+function highlight(text, sources) {
+  const ranges = [...sources].sort((a, b) => a.start - b.start);
+  const out = [];
+  let cursor = 0;
+  ranges.forEach((r) => {
+    if (r.start < cursor) return;
+    out.push(text.slice(cursor, r.start));
+    out.push(<mark key={r.index}>{text.slice(r.start, r.end)}</mark>);
+    cursor = r.end;
+  });
+  out.push(text.slice(cursor));
+  return out;
+}
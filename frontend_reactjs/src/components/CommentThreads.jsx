@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from "react";
+import { createComment, replyToComment, setCommentStatus } from "../services/sowApi";
+import { anchorLabel, mentionSegments, mentionsUser, sameAnchor } from "../services/comments";
+
+/**
+ * PUBLIC_INTERFACE
+ * CommentThreads
+ * Review comment threads of a saved SOW: each thread with its messages (@mentions highlighted), the revision it was
+ * opened on and whether its field changed since, a reply box and Resolve / Reopen. Resolved threads are folded away.
+ * With `anchors` only the threads on those anchors are shown and new threads can be opened on them.
+ *
+ * Props:
+ * - sowId: id of the saved SOW (comments need a saved SOW)
+ * - threads: threads as listComments returns them
+ * - anchors: optional [{ anchor, label }] to show and open threads on; without it all given threads are shown
+ * - fields: template fields, to label field anchors
+ * - author: name of the current user; onAuthorChange: (name) => void
+ * - onChanged: () => void — called after a thread was opened, replied to, resolved or reopened (reload the threads)
+ */
+export default function CommentThreads({ sowId, threads, anchors, fields, author, onAuthorChange, onChanged }) {
+  const [name, setName] = useState(author || "");
+  const [target, setTarget] = useState(0);
+  const [draft, setDraft] = useState("");
+  const [replies, setReplies] = useState({});
+  const [showResolved, setShowResolved] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => setName(author || ""), [author]);
+  useEffect(() => setTarget(0), [anchors?.length]);
+
+  if (!sowId) {
+    return <div style={{ color: "var(--text-secondary)", fontSize: 13 }}>Save the draft first to comment on it.</div>;
+  }
+
+  const shown = (threads || []).filter((t) => !anchors || anchors.some((a) => sameAnchor(a.anchor, t.anchor)));
+  const open = shown.filter((t) => t.status === "open");
+  const resolved = shown.filter((t) => t.status !== "open");
+  const current = anchors?.length ? anchors[Math.min(target, anchors.length - 1)] : null;
+  const who = name.trim();
+
+  async function run(call) {
+    if (!who) {
+      setError("Enter your name first.");
+      return false;
+    }
+    setBusy(true);
+    const res = await call();
+    setBusy(false);
+    if (!res.ok) {
+      setError(res.error);
+      return false;
+    }
+    setError("");
+    if (who !== (author || "")) onAuthorChange?.(who);
+    onChanged?.();
+    return true;
+  }
+
+  async function post() {
+    if (!draft.trim()) return;
+    const ok = await run(() => createComment(sowId, { anchor: current.anchor, author: who, body: draft }));
+    if (ok) setDraft("");
+  }
+
+  async function reply(thread) {
+    const body = replies[thread.id] || "";
+    if (!body.trim()) return;
+    const ok = await run(() => replyToComment(sowId, thread.id, { author: who, body }));
+    if (ok) setReplies((prev) => ({ ...prev, [thread.id]: "" }));
+  }
+
+  const setStatus = (thread, status) => run(() => setCommentStatus(sowId, thread.id, { status, actor: who }));
+
+  const renderThread = (t) => (
+    <li
+      key={t.id}
+      style={{ border: "1px solid var(--ui-border)", borderRadius: 8, padding: 8, opacity: t.status === "open" ? 1 : 0.75 }}
+    >
+      <div style={{ display: "flex", gap: 8, alignItems: "baseline", flexWrap: "wrap", fontSize: 13 }}>
+        <strong>{anchorLabel(t.anchor, fields)}</strong>
+        <span style={{ color: "var(--text-secondary)" }}>opened on revision {t.revision}</span>
+        {t.fieldChanged ? <span style={{ color: "var(--accent-purple)" }}>· field changed since</span> : null}
+        {mentionsUser(t, who) ? <span style={{ color: "var(--accent-pink)" }}>· mentions you</span> : null}
+        {t.status !== "open" ? (
+          <span style={{ color: "var(--text-secondary)" }}>· resolved by {t.resolvedBy || "someone"}</span>
+        ) : null}
+      </div>
+      <ul style={{ listStyle: "none", margin: "6px 0", padding: 0, display: "grid", gap: 4 }}>
+        {t.messages.map((m) => (
+          <li key={m.id} style={{ fontSize: 13 }}>
+            <span style={{ fontWeight: 600 }}>{m.author}</span>
+            <span style={{ color: "var(--text-secondary)", fontSize: 12 }}> · {new Date(m.createdAt).toLocaleString()}</span>
+            <div style={{ whiteSpace: "pre-wrap" }}>
+              {mentionSegments(m.body, m.mentions).map((s, i) =>
+                s.mention ? (
+                  <span key={i} style={{ color: "var(--accent-pink)", fontWeight: 600 }}>{s.text}</span>
+                ) : (
+                  <React.Fragment key={i}>{s.text}</React.Fragment>
+                )
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+      <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+        {t.status === "open" ? (
+          <>
+            <input
+              className="input"
+              value={replies[t.id] || ""}
+              onChange={(e) => setReplies((prev) => ({ ...prev, [t.id]: e.target.value }))}
+              onKeyDown={(e) => e.key === "Enter" && reply(t)}
+              placeholder="Reply (use @name to mention)"
+              aria-label="Reply"
+              style={{ flex: 1, minWidth: 180 }}
+            />
+            <button className="btn" type="button" onClick={() => reply(t)} disabled={busy}>Reply</button>
+            <button className="btn" type="button" onClick={() => setStatus(t, "resolved")} disabled={busy}>Resolve</button>
+          </>
+        ) : (
+          <button className="btn" type="button" onClick={() => setStatus(t, "open")} disabled={busy}>Reopen</button>
+        )}
+      </div>
+    </li>
+  );
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <label className="label" style={{ margin: 0 }}>Commenting as</label>
+        <input
+          className="input"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={() => who !== (author || "") && onAuthorChange?.(who)}
+          placeholder="Your name"
+          aria-label="Your name"
+          style={{ maxWidth: 220 }}
+        />
+      </div>
+
+      {anchors?.length ? (
+        <div style={{ display: "grid", gap: 6 }}>
+          {anchors.length > 1 ? (
+            <select className="select" value={target} onChange={(e) => setTarget(Number(e.target.value))} aria-label="Comment on">
+              {anchors.map((a, i) => (
+                <option key={i} value={i}>{a.label}</option>
+              ))}
+            </select>
+          ) : null}
+          <textarea
+            className="textarea"
+            rows={2}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder={`Comment on ${current.label} (use @name to mention)`}
+            aria-label="New comment"
+          />
+          <div>
+            <button className="btn btn-primary" type="button" onClick={post} disabled={busy || !draft.trim()}>Comment</button>
+          </div>
+        </div>
+      ) : null}
+
+      {error ? <div style={{ color: "var(--accent-pink)", fontSize: 13 }}>{error}</div> : null}
+
+      {open.length ? (
+        <ul style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 8 }}>{open.map(renderThread)}</ul>
+      ) : (
+        <div style={{ color: "var(--text-secondary)", fontSize: 13 }}>No open comments.</div>
+      )}
+      {resolved.length ? (
+        <>
+          <button className="btn" type="button" onClick={() => setShowResolved((v) => !v)} style={{ justifySelf: "start" }}>
+            {showResolved ? "Hide" : "Show"} {resolved.length} resolved
+          </button>
+          {showResolved ? (
+            <ul style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 8 }}>{resolved.map(renderThread)}</ul>
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useMemo } from "react";
+import { buildContractValue } from "../services/commercials";
+import { CURRENCIES, formatMoney, getCommercials } from "../services/money";
+import { cellStyle } from "./AIFieldDraft";
+
+const LOCALES = [
+  { id: "en-US", label: "1,234.50 (US)" },
+  { id: "en-GB", label: "1,234.50 (UK)" },
+  { id: "en-IN", label: "1,23,456.50 (India)" },
+  { id: "de-DE", label: "1.234,50 (Germany)" },
+  { id: "fr-FR", label: "1 234,50 (France)" },
+  { id: "de-CH", label: "1’234.50 (Switzerland)" },
+];
+
+const RATES = [
+  { key: "discountRate", label: "Discount %" },
+  { key: "contingencyRate", label: "Contingency %" },
+  { key: "taxRate", label: "Tax %" },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * ContractValuePanel
+ * Commercial settings of the SOW (currency, number format, discount / contingency / tax rates) and the contract-value
+ * summary they roll up to. The subtotal comes from the schema's `rollup` fields (services/commercials.js).
+ *
+ * Props:
+ * - sections: form sections [{ section, fields }] of the template
+ * - templateData: current values
+ * - commercials: the SOW's settings (sowData.commercials, may be undefined)
+ * - onChange: (commercials) => void — omit for the read-only summary (Review screen)
+ * - style: panel style overrides (optional)
+ */
+export default function ContractValuePanel({ sections, templateData, commercials, onChange, style }) {
+  const settings = useMemo(() => getCommercials({ commercials }), [commercials]);
+  const value = useMemo(() => buildContractValue(sections, templateData, settings), [sections, templateData, settings]);
+  const money = (n) => formatMoney({ amount: n, currency: value.currency }, settings);
+  const set = (patch) => onChange?.({ ...settings, ...patch });
+  const detail = value.subtotalDetail;
+
+  const lines = [
+    { label: "Subtotal", amount: value.subtotal },
+    Number(settings.discountRate) ? { label: `Discount (${settings.discountRate}%)`, amount: -value.discount } : null,
+    Number(settings.contingencyRate) ? { label: `Contingency (${settings.contingencyRate}%)`, amount: value.contingency } : null,
+    Number(settings.taxRate) ? { label: `Tax (${settings.taxRate}%)`, amount: value.tax } : null,
+  ].filter(Boolean);
+
+  return (
+    <div className="panel" style={{ marginTop: 12, ...style }}>
+      <div className="panel-title">Contract value</div>
+      {onChange ? (
+        <div className="form-grid" style={{ gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))", marginBottom: 12 }}>
+          <div className="form-control">
+            <label className="label">Currency</label>
+            <select className="select" value={settings.currency} onChange={(e) => set({ currency: e.target.value })}>
+              {(CURRENCIES.includes(settings.currency) ? CURRENCIES : [settings.currency, ...CURRENCIES]).map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-control">
+            <label className="label">Number format</label>
+            <select className="select" value={settings.locale} onChange={(e) => set({ locale: e.target.value })}>
+              {LOCALES.map((l) => (
+                <option key={l.id} value={l.id}>{l.label}</option>
+              ))}
+            </select>
+          </div>
+          {RATES.map((r) => (
+            <div key={r.key} className="form-control">
+              <label className="label">{r.label}</label>
+              <input
+                className="input"
+                type="number"
+                min="0"
+                step="0.01"
+                value={settings[r.key] === 0 ? "" : settings[r.key]}
+                placeholder="0"
+                onChange={(e) => set({ [r.key]: e.target.value === "" ? 0 : Number(e.target.value) })}
+              />
+            </div>
+          ))}
+          {detail.manual ? (
+            <div className="form-control">
+              <label className="label">Contract amount</label>
+              <input
+                className="input"
+                value={settings.baseAmount || ""}
+                placeholder={`e.g. ${settings.currency} 120,000`}
+                onChange={(e) => set({ baseAmount: e.target.value })}
+              />
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+
+      <div style={{ border: "1px solid var(--ui-border)", borderRadius: 8, overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <tbody>
+            {lines.map((l) => (
+              <tr key={l.label}>
+                <td style={cellStyle}>{l.label}</td>
+                <td style={{ ...cellStyle, textAlign: "right" }}>{money(l.amount)}</td>
+              </tr>
+            ))}
+            <tr>
+              <td style={{ ...cellStyle, fontWeight: 600 }}>Total contract value</td>
+              <td style={{ ...cellStyle, textAlign: "right", fontWeight: 600 }}>{money(value.total)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <div style={{ color: "var(--text-secondary)", fontSize: 12, marginTop: 6 }}>
+        {detail.manual
+          ? "This template marks no amounts for the contract value, so the subtotal is the contract amount entered under Contract value in the SOW form."
+          : `Subtotal from: ${detail.sources.map((s) => `${s.label} ${money(s.amount)}`).join(", ") || "no amounts entered yet"}.`}
+      </div>
+      {detail.skipped.length ? (
+        <div style={{ color: "var(--accent-pink)", fontSize: 12, marginTop: 4 }}>
+          Left out (not in {settings.currency}): {detail.skipped.map((s) => `${s.label} (${s.currency})`).join(", ")}.
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { runFieldAction } from "../services/aiClient";
+import { suggestFromPastSOWs } from "../services/suggestApi";
+import { diffLines, diffWords } from "../services/textDiff";
+
+const ACTIONS = [
+  { id: "formal", label: "Rewrite formally" },
+  { id: "expand", label: "Expand" },
+  { id: "shorten", label: "Shorten" },
+  { id: "bullets", label: "Bullets" },
+  { id: "draft", label: "Draft from hint" },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * FieldAIActions
+ * AI actions for one textarea or list field. The suggestion is shown as an inline diff
+ * against the current value and only written back when the user accepts it.
+ * "From past SOWs" lists matching passages of other signed SOWs; each can be added to the value.
+ *
+ * Props:
+ * - field: schema field { key, label, type, hint?, itemLabel? }
+ * - section: section title the field belongs to
+ * - value: current value (string, or string[] for lists)
+ * - context: other templateData values sent as context
+ * - sowId: id of the SOW being edited, left out of the past-SOW suggestions
+ * - onAccept: (newValue) => void
+ */
+export default function FieldAIActions({ field, section, value, context, sowId, onAccept }) {
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+  const [suggestion, setSuggestion] = useState(null);
+  const [passages, setPassages] = useState(null);
+
+  const isList = field.type === "list";
+  const isEmpty = isList ? !(value || []).length : !String(value || "").trim();
+
+  async function run(action) {
+    setBusy(action);
+    setError("");
+    setSuggestion(null);
+    const res = await runFieldAction({ action, field, section, value, context });
+    setBusy("");
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    setSuggestion(res.suggestion);
+  }
+
+  async function findPassages() {
+    setBusy("past");
+    setError("");
+    const res = await suggestFromPastSOWs({ field, value, context, excludeSowId: sowId });
+    setBusy("");
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    setPassages(res.suggestions || []);
+  }
+
+  // Lists get the passage as a new item; text fields get it as a new paragraph.
+  function addPassage(text) {
+    if (isList) onAccept?.([...(value || []), text]);
+    else onAccept?.(String(value || "").trim() ? `${String(value).trimEnd()}\n${text}` : text);
+    setPassages((prev) => (prev || []).filter((p) => p.text !== text));
+  }
+
+  const parts = suggestion === null ? [] : isList ? diffLines(value || [], suggestion) : diffWords(value || "", suggestion);
+
+  return (
+    <div style={{ marginTop: 6 }}>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+        {ACTIONS.map((a) => (
+          <button
+            key={a.id}
+            className="btn"
+            type="button"
+            style={{ padding: "4px 8px", fontSize: 12 }}
+            disabled={!!busy || (a.id !== "draft" && isEmpty)}
+            onClick={() => run(a.id)}
+            title={a.id === "draft" && field.hint ? field.hint : undefined}
+          >
+            {busy === a.id ? "Working..." : a.label}
+          </button>
+        ))}
+        <button
+          className="btn"
+          type="button"
+          style={{ padding: "4px 8px", fontSize: 12 }}
+          disabled={!!busy}
+          onClick={findPassages}
+          title="Wording from other saved SOWs"
+        >
+          {busy === "past" ? "Searching..." : "From past SOWs"}
+        </button>
+      </div>
+      {error ? <div style={{ color: "var(--accent-pink)", fontSize: 13, marginTop: 4 }}>{error}</div> : null}
+
+      {passages !== null ? (
+        <div className="panel" style={{ marginTop: 6, padding: 10 }} aria-label="Passages from past SOWs">
+          {passages.length === 0 ? (
+            <div style={{ color: "var(--text-secondary)", fontSize: 13 }}>No matching passages in the saved SOWs.</div>
+          ) : (
+            passages.map((p) => (
+              <div key={`${p.sowId}-${p.text}`} style={{ display: "flex", gap: 8, alignItems: "flex-start", marginBottom: 6 }}>
+                <div style={{ flex: 1, fontSize: 13 }}>
+                  {p.text}
+                  <div style={{ color: "var(--text-secondary)", fontSize: 12 }}>
+                    {p.sowTitle}
+                    {p.field !== field.key ? ` · ${p.label}` : ""}
+                  </div>
+                </div>
+                <button className="btn" type="button" style={{ padding: "2px 8px", fontSize: 12 }} onClick={() => addPassage(p.text)}>
+                  Add
+                </button>
+              </div>
+            ))
+          )}
+          <button className="btn" type="button" style={{ marginTop: 4 }} onClick={() => setPassages(null)}>
+            Close
+          </button>
+        </div>
+      ) : null}
+
+      {suggestion !== null ? (
+        <div className="panel" style={{ marginTop: 6, padding: 10 }}>
+          <div style={{ whiteSpace: "pre-wrap", fontSize: 13, lineHeight: 1.5 }} aria-label="Suggested change">
+            {parts.map((p, i) =>
+              p.type === "same" ? (
+                <span key={i}>{p.text}</span>
+              ) : p.type === "added" ? (
+                <ins key={i} style={{ color: "var(--accent-blue)", background: "rgba(20,184,255,0.12)", textDecoration: "none" }}>
+                  {p.text}
+                </ins>
+              ) : (
+                <del key={i} style={{ color: "var(--accent-pink)", background: "rgba(255,63,164,0.12)" }}>
+                  {p.text}
+                </del>
+              )
+            )}
+          </div>
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            <button
+              className="btn btn-primary"
+              type="button"
+              onClick={() => {
+                onAccept?.(suggestion);
+                setSuggestion(null);
+              }}
+            >
+              Accept
+            </button>
+            <button className="btn" type="button" onClick={() => setSuggestion(null)}>
+              Reject
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -1,17 +1,20 @@
 import React from "react";
 import "./GlassHeader.css";
+import { isLockedStatus, statusLabel } from "../services/workflow";
 
 /**
  * PUBLIC_INTERFACE
  * GlassHeader
  * Glassmorphic, pill-shaped top header that contains brand, selectors and CTAs.
- * Props mirror TopNav to keep wiring unchanged elsewhere.
+ * Props mirror TopNav to keep wiring unchanged elsewhere; `status` is the approval status of the saved SOW (empty
+ * while it is unsaved).
  */
 export default function GlassHeader({
   templates = [],
   selectedTemplate,
   onTemplateChange,
-  onSaveDraft
+  onSaveDraft,
+  status = ""
 }) {
   return (
     <header className="site-header" role="banner" aria-label="Main navigation">
@@ -32,8 +35,15 @@ export default function GlassHeader({
           </select>
         </nav>
 
+        {status ? (
+          <span className="status-chip" aria-label={`Approval status: ${statusLabel(status)}`} title="Approval status of the saved SOW">
+            {isLockedStatus(status) ? "🔒 " : ""}
+            {statusLabel(status)}
+          </span>
+        ) : null}
+
         <div className="header-actions">
-          <button className="btn btn-primary" onClick={onSaveDraft} title="Save current inputs locally">Save Progress</button>
+          <button className="btn btn-primary" onClick={onSaveDraft} title="Save current inputs to the SOW store">Save Progress</button>
         </div>
       </div>
     </header>
@@ -0,0 +1,159 @@
+import React, { useEffect } from "react";
+import { formatMoney } from "../services/money";
+import {
+  PAYMENT_SCHEDULE_KEY,
+  newMilestone,
+  scheduleAmounts,
+  scheduleCsv,
+  scheduleFieldValues,
+  validateSchedule,
+} from "../services/paymentSchedule";
+import { cellStyle } from "./AIFieldDraft";
+
+/**
+ * PUBLIC_INTERFACE
+ * PaymentSchedulePanel
+ * Milestone payment schedule of a Fixed Price SOW: name, due date, acceptance criteria and a percentage of the
+ * contract total or a fixed amount per milestone, checked against the contract total. Every change also rewrites the
+ * charges / payment schedule text and the milestone list it drives (services/paymentSchedule.js); the schedule can be
+ * downloaded as CSV for the finance system.
+ *
+ * Props:
+ * - fields: visible fields of the form (decides which of those fields are written)
+ * - templateData: current values; the schedule is kept in templateData.payment_schedule
+ * - money: the SOW's commercial settings (currency, number format)
+ * - total: contract total from the Contract value panel
+ * - onApply: (values) => void — values to merge into templateData
+ * - locked: read-only (an approved SOW); the CSV export stays available
+ */
+export default function PaymentSchedulePanel({ fields, templateData, money, total, onApply, locked = false }) {
+  const schedule = templateData?.[PAYMENT_SCHEDULE_KEY] || { milestones: [], generated: {} };
+  const sums = scheduleAmounts(schedule, total);
+  const issues = validateSchedule(schedule, total, money);
+  const fmt = (amount) => formatMoney({ amount, currency: money?.currency || "USD" }, money);
+
+  const apply = (next) => {
+    const { values, generated } = scheduleFieldValues(next, { fields, templateData, total, settings: money });
+    onApply({ ...values, [PAYMENT_SCHEDULE_KEY]: { ...next, generated } });
+  };
+  const update = (milestones) => apply({ ...schedule, milestones });
+  const setMilestone = (i, patch) => update(schedule.milestones.map((m, j) => (j === i ? { ...m, ...patch } : m)));
+  const move = (i, by) => {
+    const next = schedule.milestones.slice();
+    [next[i], next[i + by]] = [next[i + by], next[i]];
+    update(next);
+  };
+
+  // Percentages turn into new amounts when the contract total or money format changes; keep the generated text in step
+  useEffect(() => {
+    if (locked || !schedule.milestones.length) return;
+    const { values } = scheduleFieldValues(schedule, { fields, templateData, total, settings: money });
+    if (Object.keys(values).some((k) => JSON.stringify(values[k]) !== JSON.stringify(templateData?.[k]))) apply(schedule);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [total, money?.currency, money?.locale]);
+
+  function downloadCsv() {
+    const blob = new Blob([scheduleCsv(schedule, total, money)], { type: "text/csv;charset=utf-8" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "payment_schedule.csv";
+    document.body.appendChild(link);
+    link.click();
+    requestAnimationFrame(() => {
+      URL.revokeObjectURL(link.href);
+      link.remove();
+    });
+  }
+
+  const numberCell = { ...cellStyle, textAlign: "right", whiteSpace: "nowrap" };
+  return (
+    <div className="form-control" style={{ gridColumn: "1 / -1" }}>
+      <label className="label">Payment schedule (milestones)</label>
+      <fieldset disabled={locked} style={{ border: 0, padding: 0, margin: 0, minWidth: 0 }}>
+        <div style={{ overflowX: "auto", border: "1px solid var(--ui-border)", borderRadius: 8 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", minWidth: 720 }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>Milestone</th>
+                <th style={cellStyle}>Due date</th>
+                <th style={cellStyle}>Acceptance criteria</th>
+                <th style={cellStyle}>Paid as</th>
+                <th style={numberCell}>Share</th>
+                <th style={numberCell}>Amount</th>
+                <th style={cellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.milestones.map((m, i) => (
+                <tr key={i}>
+                  <td style={cellStyle}>
+                    <input className="input" value={m.name} onChange={(e) => setMilestone(i, { name: e.target.value })} placeholder="e.g. Design sign-off" />
+                  </td>
+                  <td style={cellStyle}>
+                    <input className="input" type="date" value={m.dueDate} onChange={(e) => setMilestone(i, { dueDate: e.target.value })} />
+                  </td>
+                  <td style={cellStyle}>
+                    <textarea className="textarea" rows={1} value={m.acceptance} onChange={(e) => setMilestone(i, { acceptance: e.target.value })} />
+                  </td>
+                  <td style={cellStyle}>
+                    <div style={{ display: "flex", gap: 4 }}>
+                      <input
+                        className="input"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={m.value}
+                        onChange={(e) => setMilestone(i, { value: e.target.value === "" ? "" : Number(e.target.value) })}
+                        style={{ width: 110 }}
+                        aria-label={`${m.name || `Milestone ${i + 1}`} ${m.mode === "amount" ? "amount" : "percentage"}`}
+                      />
+                      <select className="select" value={m.mode} onChange={(e) => setMilestone(i, { mode: e.target.value })} style={{ width: 80 }} aria-label="Paid as">
+                        <option value="percent">%</option>
+                        <option value="amount">{money?.currency || "USD"}</option>
+                      </select>
+                    </div>
+                  </td>
+                  <td style={numberCell}>{sums.rows[i].percent === null ? "—" : `${sums.rows[i].percent}%`}</td>
+                  <td style={numberCell}>{fmt(sums.rows[i].amount)}</td>
+                  <td style={{ ...cellStyle, textAlign: "right", whiteSpace: "nowrap" }}>
+                    <button className="btn" type="button" onClick={() => move(i, -1)} disabled={i === 0} aria-label="Move up">↑</button>{" "}
+                    <button className="btn" type="button" onClick={() => move(i, 1)} disabled={i === schedule.milestones.length - 1} aria-label="Move down">↓</button>{" "}
+                    <button className="btn" type="button" onClick={() => update(schedule.milestones.filter((_, j) => j !== i))}>Remove</button>
+                  </td>
+                </tr>
+              ))}
+              {!schedule.milestones.length ? (
+                <tr>
+                  <td colSpan={7} style={{ ...cellStyle, color: "var(--text-secondary)" }}>
+                    Add the payment milestones; the charges text, the milestone list and the document's payment table follow from them.
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+            {schedule.milestones.length ? (
+              <tfoot>
+                <tr>
+                  <td style={{ ...cellStyle, fontWeight: 600 }} colSpan={4}>
+                    Total{total ? ` · contract ${fmt(total)}` : ""}
+                  </td>
+                  <td style={{ ...numberCell, fontWeight: 600 }}>{sums.percent === null ? "—" : `${sums.percent}%`}</td>
+                  <td style={{ ...numberCell, fontWeight: 600 }}>{fmt(sums.amount)}</td>
+                  <td style={cellStyle} />
+                </tr>
+              </tfoot>
+            ) : null}
+          </table>
+        </div>
+      </fieldset>
+      {issues.map((x) => (
+        <div key={x.message} style={{ color: x.severity === "error" ? "var(--accent-pink)" : "var(--text-secondary)", fontSize: 12, marginTop: 4 }}>
+          {x.message}
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <button className="btn" type="button" onClick={() => update([...schedule.milestones, newMilestone()])} disabled={locked}>Add milestone</button>
+        <button className="btn" type="button" onClick={downloadCsv} disabled={!schedule.milestones.length}>Export CSV</button>
+      </div>
+    </div>
+  );
+}
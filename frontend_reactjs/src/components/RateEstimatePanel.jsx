@@ -0,0 +1,180 @@
+import React, { useEffect, useState } from "react";
+import { listRateCards } from "../services/rateCardApi";
+import { formatMoney } from "../services/money";
+import { RATE_ESTIMATE_KEY, estimateFieldValues, estimateTotals, newEstimate, roleLabel } from "../services/rateEstimate";
+import { cellStyle } from "./AIFieldDraft";
+
+/**
+ * PUBLIC_INTERFACE
+ * RateEstimatePanel
+ * Hours-based estimate of a T&M SOW: roles and hourly rates picked from a rate card (Rate Cards page), the hours
+ * planned per phase, and the totals. Every change also rewrites the contractor rate and charges fields it drives
+ * (services/rateEstimate.js).
+ *
+ * Props:
+ * - fields: visible fields of the form (decides which of those fields are written)
+ * - templateData: current values; the estimate is kept in templateData.rate_estimate
+ * - money: the SOW's commercial settings (currency, number format)
+ * - onApply: (values) => void — values to merge into templateData
+ */
+export default function RateEstimatePanel({ fields, templateData, money, onApply }) {
+  const [cards, setCards] = useState([]);
+  const [error, setError] = useState("");
+  const estimate = templateData?.[RATE_ESTIMATE_KEY] || newEstimate(money?.currency);
+  const totals = estimateTotals(estimate);
+  const card = cards.find((c) => c.id === estimate.rateCardId);
+  const fmt = (amount) => formatMoney({ amount, currency: estimate.currency }, money);
+
+  useEffect(() => {
+    listRateCards().then((res) => {
+      if (!res.ok) setError(res.error);
+      else setCards(res.rateCards || []);
+    });
+  }, []);
+
+  const update = (patch) => {
+    const next = { ...estimate, ...patch };
+    const { values, generated } = estimateFieldValues(next, { fields, templateData, settings: money });
+    onApply({ ...values, [RATE_ESTIMATE_KEY]: { ...next, generated } });
+  };
+  const setRow = (i, patch) => update({ rows: estimate.rows.map((r, j) => (j === i ? { ...r, ...patch } : r)) });
+  const setHours = (i, phaseId, v) => setRow(i, { hours: { ...(estimate.rows[i].hours || {}), [phaseId]: v } });
+
+  // A card brings its currency; rows of roles it lists take its rates, other rows keep theirs
+  const pickCard = (id) => {
+    const picked = cards.find((c) => c.id === id);
+    if (!picked) return update({ rateCardId: "", rateCardName: "" });
+    const rateOf = (r) => picked.rates.find((x) => x.role === r.role && (x.seniority || "") === (r.seniority || ""))?.rate;
+    update({
+      rateCardId: picked.id,
+      rateCardName: picked.name,
+      currency: picked.currency,
+      rows: estimate.rows.map((r) => (rateOf(r) ? { ...r, rate: rateOf(r) } : r)),
+    });
+  };
+  const addRow = (rateIdx) => {
+    const r = card?.rates[Number(rateIdx)];
+    update({ rows: [...estimate.rows, { role: r?.role || "", seniority: r?.seniority || "", rate: r?.rate ?? "", hours: {} }] });
+  };
+  const addPhase = () => {
+    const n = estimate.phases.reduce((max, p) => Math.max(max, Number(String(p.id).slice(1)) || 0), 0) + 1;
+    update({ phases: [...estimate.phases, { id: `p${n}`, name: `Phase ${n}` }] });
+  };
+  const renamePhase = (id, name) => update({ phases: estimate.phases.map((p) => (p.id === id ? { ...p, name } : p)) });
+  const removePhase = (id) => {
+    // eslint-disable-next-line no-alert
+    if (totals.phases[id]?.hours && !window.confirm("Remove this phase and the hours planned in it?")) return;
+    update({ phases: estimate.phases.filter((p) => p.id !== id) });
+  };
+
+  const numberCell = { ...cellStyle, textAlign: "right", whiteSpace: "nowrap" };
+  return (
+    <div className="form-control" style={{ gridColumn: "1 / -1" }}>
+      <label className="label">Rate estimate (hours per phase)</label>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+        <select className="select" value={estimate.rateCardId || ""} onChange={(e) => pickCard(e.target.value)} style={{ maxWidth: 280 }} aria-label="Rate card">
+          <option value="">{cards.length ? "Choose a rate card…" : "No rate cards yet"}</option>
+          {estimate.rateCardId && !card ? <option value={estimate.rateCardId}>{estimate.rateCardName} (not in the library)</option> : null}
+          {cards.map((c) => (
+            <option key={c.id} value={c.id}>{c.name} · {c.currency}</option>
+          ))}
+        </select>
+        <select className="select" value="" onChange={(e) => e.target.value && addRow(e.target.value)} disabled={!card} style={{ maxWidth: 280 }} aria-label="Add role">
+          <option value="">Add role from card…</option>
+          {(card?.rates || []).map((r, i) => (
+            <option key={i} value={i}>{roleLabel(r)} — {fmt(r.rate)}/hr</option>
+          ))}
+        </select>
+        <button className="btn" type="button" onClick={() => addRow(-1)}>Add custom role</button>
+        <button className="btn" type="button" onClick={addPhase}>Add phase</button>
+      </div>
+      {error ? <div style={{ color: "var(--accent-pink)", fontSize: 13, marginBottom: 6 }}>Rate cards could not be loaded: {error}</div> : null}
+
+      <div style={{ overflowX: "auto", border: "1px solid var(--ui-border)", borderRadius: 8 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", minWidth: 600 }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Role</th>
+              <th style={cellStyle}>Seniority</th>
+              <th style={cellStyle}>Rate/hr ({estimate.currency})</th>
+              {estimate.phases.map((p) => (
+                <th key={p.id} style={{ ...cellStyle, minWidth: 110 }}>
+                  <div style={{ display: "flex", gap: 4 }}>
+                    <input className="input" value={p.name} onChange={(e) => renamePhase(p.id, e.target.value)} aria-label="Phase name" />
+                    {estimate.phases.length > 1 ? (
+                      <button className="btn" type="button" onClick={() => removePhase(p.id)} title="Remove phase" aria-label={`Remove ${p.name}`}>×</button>
+                    ) : null}
+                  </div>
+                </th>
+              ))}
+              <th style={numberCell}>Hours</th>
+              <th style={numberCell}>Amount</th>
+              <th style={cellStyle} />
+            </tr>
+          </thead>
+          <tbody>
+            {estimate.rows.map((r, i) => (
+              <tr key={i}>
+                <td style={cellStyle}>
+                  <input className="input" value={r.role} onChange={(e) => setRow(i, { role: e.target.value })} placeholder="Role" />
+                </td>
+                <td style={cellStyle}>
+                  <input className="input" value={r.seniority || ""} onChange={(e) => setRow(i, { seniority: e.target.value })} />
+                </td>
+                <td style={cellStyle}>
+                  <input className="input" type="number" min="0" step="0.01" value={r.rate} onChange={(e) => setRow(i, { rate: e.target.value === "" ? "" : Number(e.target.value) })} />
+                </td>
+                {estimate.phases.map((p) => (
+                  <td key={p.id} style={cellStyle}>
+                    <input
+                      className="input"
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={r.hours?.[p.id] ?? ""}
+                      onChange={(e) => setHours(i, p.id, e.target.value === "" ? "" : Number(e.target.value))}
+                      aria-label={`${roleLabel(r) || "Role"} hours in ${p.name}`}
+                    />
+                  </td>
+                ))}
+                <td style={numberCell}>{totals.rows[i].hours || ""}</td>
+                <td style={numberCell}>{fmt(totals.rows[i].amount)}</td>
+                <td style={{ ...cellStyle, textAlign: "right" }}>
+                  <button className="btn" type="button" onClick={() => update({ rows: estimate.rows.filter((_, j) => j !== i) })}>Remove</button>
+                </td>
+              </tr>
+            ))}
+            {!estimate.rows.length ? (
+              <tr>
+                <td colSpan={estimate.phases.length + 6} style={{ ...cellStyle, color: "var(--text-secondary)" }}>
+                  Choose a rate card and add the roles of the engagement.
+                </td>
+              </tr>
+            ) : null}
+          </tbody>
+          {estimate.rows.length ? (
+            <tfoot>
+              <tr>
+                <td style={{ ...cellStyle, fontWeight: 600 }} colSpan={3}>
+                  Total{totals.blendedRate !== null ? ` · blended ${fmt(totals.blendedRate)}/hr` : ""}
+                </td>
+                {estimate.phases.map((p) => (
+                  <td key={p.id} style={{ ...numberCell, fontWeight: 600 }} title={fmt(totals.phases[p.id].amount)}>
+                    {totals.phases[p.id].hours || ""}
+                  </td>
+                ))}
+                <td style={{ ...numberCell, fontWeight: 600 }}>{totals.hours || ""}</td>
+                <td style={{ ...numberCell, fontWeight: 600 }}>{fmt(totals.amount)}</td>
+                <td style={cellStyle} />
+              </tr>
+            </tfoot>
+          ) : null}
+        </table>
+      </div>
+      <div style={{ color: "var(--text-secondary)", fontSize: 12, marginTop: 6 }}>
+        Fills in the contractor rate and the T&M charges text (unless you have edited it), and the document gets this table as its rate card.
+        {estimate.currency !== money?.currency ? ` The estimate is in ${estimate.currency}, so it is left out of the ${money?.currency} contract value.` : ""}
+      </div>
+    </div>
+  );
+}
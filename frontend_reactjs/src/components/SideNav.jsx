@@ -1,18 +1,32 @@
 import React from "react";
+import { isLockedStatus, statusLabel } from "../services/workflow";
 
 // PUBLIC_INTERFACE
-export default function SideNav({ current, onNavigate }) {
-  /** Side navigation with SOW actions and steps */
+export default function SideNav({ current, onNavigate, templates = [], selectedTemplate, onSelectTemplate, status = "" }) {
+  /** Side navigation with SOW actions and steps, plus the registry's active templates and the saved SOW's approval status */
   const items = [
     { id: "template", label: "Template Preview & Select" },
     { id: "sowform", label: "SOW Form (Dynamic)" },
     { id: "review", label: "Review & Edit" },
     { id: "preview", label: "Preview & Generate (DOCX)" },
     { id: "export", label: "Export Word (.docx)" },
+    { id: "saved", label: "Saved SOWs" },
+    { id: "history", label: "Revision History" },
+    { id: "templates", label: "Template Registry" },
+    { id: "ratecards", label: "Rate Cards" },
   ];
 
   return (
     <aside className="sidebar" aria-label="SOW Actions">
+      {status ? (
+        <div className="nav-group">
+          <div className="nav-title">Status</div>
+          <button type="button" className="nav-item" onClick={() => onNavigate?.("review")} title="Open the approval workflow on the Review screen">
+            {isLockedStatus(status) ? "🔒 " : ""}
+            {statusLabel(status)}
+          </button>
+        </div>
+      ) : null}
       <div className="nav-group">
         <div className="nav-title">Actions</div>
         {items.map((item) => {
@@ -40,9 +54,21 @@ export default function SideNav({ current, onNavigate }) {
       </div>
       <div className="nav-group">
         <div className="nav-title">Templates</div>
-        <div style={{ display: "flex", gap: 8 }}>
-          <span className="btn" style={{ cursor: "default" }}>FP</span>
-          <span className="btn" style={{ cursor: "default" }}>T&M</span>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {templates.map((t) => (
+            <button
+              key={t.id}
+              type="button"
+              className="btn"
+              onClick={() => onSelectTemplate?.(t.id)}
+              aria-pressed={selectedTemplate === t.id}
+              title={`${t.title} (version ${t.version})`}
+              style={selectedTemplate === t.id ? { borderColor: "var(--accent-purple)" } : undefined}
+            >
+              {t.title}
+            </button>
+          ))}
+          {!templates.length ? <span style={{ color: "var(--text-secondary)", fontSize: 13 }}>No active templates</span> : null}
         </div>
       </div>
     </aside>
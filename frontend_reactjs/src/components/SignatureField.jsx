@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from "react";
+import SignaturePad from "./SignaturePad";
+import { listSignatures, signSOW, verifySignatures } from "../services/sowApi";
+import { latestSeal, sealStatus, signerName, signingValues } from "../services/signatures";
+
+const STATUS_COLOR = { intact: "var(--accent-purple)", changed: "var(--accent-pink)", image: "var(--accent-pink)" };
+
+/**
+ * PUBLIC_INTERFACE
+ * SignatureField
+ * Signature field of the SOW form. The signature is drawn, typed or uploaded (SignaturePad). Once the SOW is saved,
+ * signing also seals it: the backend stores the image as a new revision together with a record of signer, time, IP
+ * and a SHA-256 hash of the document content. The last seal of the field is shown with a Verify button that reports
+ * whether the document was changed after signing, and in which revision.
+ *
+ * Props:
+ * - label: field label
+ * - fieldKey: templateData key of the signature
+ * - value: current signature image (data URL)
+ * - onChange: (dataUrl) => void — used while the SOW has not been saved yet (no seal)
+ * - signing: { sowId, data, blockKeys, onSealed } — the saved SOW's id, the full SOW data to sign, the signature
+ *   block keys left out of the hash (services/signatures.js) and (data) => void with the SOW data as sealed
+ */
+export default function SignatureField({ label, fieldKey, value, onChange, signing }) {
+  const { sowId, data, blockKeys, onSealed } = signing || {};
+  const [open, setOpen] = useState(false);
+  const [signer, setSigner] = useState(() => signerName(fieldKey, data?.templateData));
+  const [seal, setSeal] = useState(null);
+  const [check, setCheck] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  // Seal on record for this field (a reopened SOW may have been signed before)
+  useEffect(() => {
+    setSeal(null);
+    setCheck(null);
+    if (!sowId) return undefined;
+    let active = true;
+    listSignatures(sowId).then((res) => {
+      if (active && res.ok) setSeal(latestSeal(res.seals, fieldKey));
+    });
+    return () => {
+      active = false;
+    };
+  }, [sowId, fieldKey]);
+
+  async function onCapture(image, method) {
+    setError("");
+    if (!sowId) {
+      onChange?.(image);
+      setOpen(false);
+      return;
+    }
+    const name = signer.trim();
+    if (!name) {
+      setError("Enter the signer's name first.");
+      return;
+    }
+    const templateData = data?.templateData || {};
+    const values = signingValues(fieldKey, blockKeys, templateData, { image, signer: name, date: new Date().toISOString().slice(0, 10) });
+    setBusy(true);
+    const res = await signSOW(sowId, {
+      fieldKey,
+      signer: name,
+      method,
+      image,
+      signatureFields: blockKeys,
+      data: { ...data, templateData: { ...templateData, ...values } },
+    });
+    setBusy(false);
+    if (!res.ok) {
+      setError(`Could not sign: ${res.error}`);
+      return;
+    }
+    setSeal(res.seal);
+    setCheck(null);
+    setOpen(false);
+    onSealed?.(res.sow.data);
+  }
+
+  async function verify() {
+    setError("");
+    const res = await verifySignatures(sowId);
+    if (!res.ok) {
+      setError(`Could not verify: ${res.error}`);
+      return;
+    }
+    const own = latestSeal(res.seals, fieldKey);
+    setCheck(own ? sealStatus(own) : null);
+  }
+
+  return (
+    <div className="form-control" style={{ gridColumn: "1 / -1" }}>
+      <label className="label">{label}</label>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+        {value ? (
+          <img alt="Signature preview" src={value} style={{ maxHeight: 64, background: "#fff", borderRadius: 6, border: "1px solid var(--ui-border)" }} />
+        ) : (
+          <div style={{ color: "var(--text-secondary)" }}>Not signed</div>
+        )}
+        <button
+          className="btn"
+          type="button"
+          onClick={() => {
+            if (!open && !signer) setSigner(signerName(fieldKey, data?.templateData));
+            setOpen((v) => !v);
+          }}
+          aria-expanded={open}
+        >
+          {open ? "Cancel" : sowId ? "Sign…" : "Add signature…"}
+        </button>
+      </div>
+
+      {open ? (
+        <div style={{ marginTop: 8, padding: 10, border: "1px solid var(--ui-border)", borderRadius: 8 }}>
+          {sowId ? (
+            <input
+              className="input"
+              value={signer}
+              onChange={(e) => setSigner(e.target.value)}
+              placeholder="Signer's full name"
+              aria-label="Signer"
+              style={{ marginBottom: 8 }}
+            />
+          ) : (
+            <div style={{ color: "var(--text-secondary)", fontSize: 12, marginBottom: 8 }}>
+              Save the draft first to sign and seal it; until then the signature is only placed in the document.
+            </div>
+          )}
+          <SignaturePad name={signer} actionLabel={sowId ? "Sign & seal" : "Use signature"} busy={busy} onCapture={onCapture} />
+        </div>
+      ) : null}
+
+      {seal ? (
+        <div style={{ marginTop: 8, fontSize: 12, color: "var(--text-secondary)" }}>
+          Sealed by <strong>{seal.signer}</strong> ({seal.method}) · {new Date(seal.signedAt).toLocaleString()} · IP {seal.ip || "unknown"} · revision {seal.revision}
+          <div title={seal.contentHash} style={{ fontFamily: "monospace" }}>SHA-256 {seal.contentHash.slice(0, 16)}…</div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 4 }}>
+            <button className="btn" type="button" onClick={verify}>Verify</button>
+            {check ? <span style={{ color: STATUS_COLOR[check.state] }}>{check.message}</span> : null}
+          </div>
+        </div>
+      ) : null}
+      {error ? <div style={{ color: "var(--accent-pink)", fontSize: 12, marginTop: 4 }}>{error}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,215 @@
+import React, { useEffect, useRef, useState } from "react";
+import { strokePath } from "../services/signatures";
+
+// Logical size of the pad; the exported PNG is rendered at EXPORT_SCALE for a crisp print in the DOCX.
+const WIDTH = 480;
+const HEIGHT = 160;
+const EXPORT_SCALE = 2;
+const INK = "#111827";
+
+const FONTS = [
+  { label: "Script", style: "normal", family: '"Segoe Script", "Brush Script MT", "Snell Roundhand", cursive' },
+  { label: "Italic", style: "italic", family: 'Georgia, "Times New Roman", serif' },
+];
+
+function drawStrokes(ctx, strokes, scale) {
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  ctx.clearRect(0, 0, WIDTH, HEIGHT);
+  ctx.lineWidth = 2.4;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = INK;
+  strokes.forEach((s) => ctx.stroke(new Path2D(strokePath(s))));
+}
+
+function drawTyped(ctx, name, font, scale) {
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  ctx.clearRect(0, 0, WIDTH, HEIGHT);
+  // Shrink the lettering until the name fits the pad
+  let size = 56;
+  const fontOf = (px) => `${font.style} ${px}px ${font.family}`;
+  ctx.font = fontOf(size);
+  while (size > 16 && ctx.measureText(name).width > WIDTH - 32) {
+    size -= 2;
+    ctx.font = fontOf(size);
+  }
+  ctx.fillStyle = INK;
+  ctx.textBaseline = "middle";
+  ctx.fillText(name, 16, HEIGHT / 2);
+}
+
+function renderPng(paint) {
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH * EXPORT_SCALE;
+  canvas.height = HEIGHT * EXPORT_SCALE;
+  paint(canvas.getContext("2d"), EXPORT_SCALE);
+  return canvas.toDataURL("image/png");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * SignaturePad
+ * Captures a signature image three ways: drawn on a pad with mouse, pen or finger (pointer events, with undo and
+ * clear), typed as a name rendered in a script font, or uploaded as an image file. The result is handed over as a
+ * data URL (PNG for drawn and typed signatures) together with how it was made.
+ *
+ * Props:
+ * - name: name to start the typed signature with
+ * - actionLabel: label of the button that hands the signature over (default "Use signature")
+ * - busy: disables the button while the caller is working with the last signature
+ * - onCapture: (dataUrl, method: "drawn"|"typed"|"uploaded") => void
+ */
+export default function SignaturePad({ name = "", actionLabel = "Use signature", busy = false, onCapture }) {
+  const [mode, setMode] = useState("drawn");
+  const [strokeCount, setStrokeCount] = useState(0);
+  const [typed, setTyped] = useState(name);
+  const [font, setFont] = useState(FONTS[0]);
+  const [upload, setUpload] = useState(null);
+  const canvasRef = useRef(null);
+  const strokesRef = useRef([]);
+  const drawingRef = useRef(false);
+
+  // Keep the typed name in step with the signer name the caller knows, until the user types their own
+  useEffect(() => {
+    setTyped((prev) => prev || name);
+  }, [name]);
+
+  const scale = () => (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+
+  const repaint = () => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    if (mode === "drawn") drawStrokes(ctx, strokesRef.current, scale());
+    else if (mode === "typed") drawTyped(ctx, typed, font, scale());
+  };
+
+  useEffect(repaint);
+
+  const pointOf = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: ((e.clientX - rect.left) * WIDTH) / rect.width, y: ((e.clientY - rect.top) * HEIGHT) / rect.height };
+  };
+
+  const onPointerDown = (e) => {
+    if (e.button !== undefined && e.button !== 0) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    drawingRef.current = true;
+    strokesRef.current = [...strokesRef.current, [pointOf(e)]];
+    setStrokeCount(strokesRef.current.length);
+  };
+  const onPointerMove = (e) => {
+    if (!drawingRef.current) return;
+    const stroke = strokesRef.current[strokesRef.current.length - 1];
+    // Coalesced events carry the points the browser merged into this one, for smoother fast strokes
+    const events = e.nativeEvent.getCoalescedEvents?.() || [];
+    (events.length ? events : [e]).forEach((ev) => stroke.push(pointOf(ev)));
+    repaint();
+  };
+  const endStroke = () => {
+    drawingRef.current = false;
+  };
+
+  const undo = () => {
+    strokesRef.current = strokesRef.current.slice(0, -1);
+    setStrokeCount(strokesRef.current.length);
+  };
+  const clear = () => {
+    strokesRef.current = [];
+    setStrokeCount(0);
+  };
+
+  const onFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setUpload({ url: reader.result, name: file.name });
+    reader.readAsDataURL(file);
+  };
+
+  const ready = mode === "drawn" ? strokeCount > 0 : mode === "typed" ? !!typed.trim() : !!upload;
+  const capture = () => {
+    if (!ready) return;
+    if (mode === "drawn") onCapture?.(renderPng((ctx, s) => drawStrokes(ctx, strokesRef.current, s)), "drawn");
+    else if (mode === "typed") onCapture?.(renderPng((ctx, s) => drawTyped(ctx, typed.trim(), font, s)), "typed");
+    else onCapture?.(upload.url, "uploaded");
+  };
+
+  const tab = (id, text) => (
+    <button
+      type="button"
+      className="btn"
+      role="tab"
+      aria-selected={mode === id}
+      onClick={() => setMode(id)}
+      style={mode === id ? { borderColor: "var(--accent-purple)", color: "var(--accent-purple)" } : undefined}
+    >
+      {text}
+    </button>
+  );
+
+  return (
+    <div>
+      <div role="tablist" aria-label="Signature method" style={{ display: "flex", gap: 6, marginBottom: 8 }}>
+        {tab("drawn", "Draw")}
+        {tab("typed", "Type")}
+        {tab("uploaded", "Upload")}
+      </div>
+
+      {mode === "uploaded" ? (
+        <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", minHeight: 64 }}>
+          <input type="file" accept="image/png,image/jpeg,image/gif,image/webp" onChange={(e) => onFile(e.target.files?.[0])} />
+          {upload ? (
+            <img alt="Uploaded signature" src={upload.url} style={{ maxHeight: 64, background: "#fff", borderRadius: 6, border: "1px solid var(--ui-border)" }} />
+          ) : null}
+        </div>
+      ) : (
+        <>
+          {mode === "typed" ? (
+            <div style={{ display: "flex", gap: 8, marginBottom: 8, flexWrap: "wrap" }}>
+              <input className="input" value={typed} onChange={(e) => setTyped(e.target.value)} placeholder="Full name" aria-label="Typed signature" style={{ flex: 1, minWidth: 180 }} />
+              <select className="select" value={font.label} onChange={(e) => setFont(FONTS.find((f) => f.label === e.target.value))} aria-label="Lettering" style={{ width: 110 }}>
+                {FONTS.map((f) => (
+                  <option key={f.label} value={f.label}>{f.label}</option>
+                ))}
+              </select>
+            </div>
+          ) : null}
+          <canvas
+            ref={canvasRef}
+            width={WIDTH * scale()}
+            height={HEIGHT * scale()}
+            aria-label={mode === "drawn" ? "Signature pad: draw your signature" : "Typed signature preview"}
+            onPointerDown={mode === "drawn" ? onPointerDown : undefined}
+            onPointerMove={mode === "drawn" ? onPointerMove : undefined}
+            onPointerUp={endStroke}
+            onPointerCancel={endStroke}
+            style={{
+              width: "100%",
+              maxWidth: WIDTH,
+              aspectRatio: `${WIDTH} / ${HEIGHT}`,
+              background: "#fff",
+              border: "1px dashed var(--ui-border)",
+              borderRadius: 8,
+              touchAction: "none",
+              cursor: mode === "drawn" ? "crosshair" : "default",
+              display: "block",
+            }}
+          />
+        </>
+      )}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
+        {mode === "drawn" ? (
+          <>
+            <button className="btn" type="button" onClick={undo} disabled={!strokeCount}>Undo</button>
+            <button className="btn" type="button" onClick={clear} disabled={!strokeCount}>Clear</button>
+          </>
+        ) : null}
+        <button className="btn btn-primary" type="button" onClick={capture} disabled={!ready || busy}>
+          {busy ? "Working…" : actionLabel}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,335 @@
+import React, { useRef, useState } from "react";
+import {
+  TIMELINE_KEY,
+  addDays,
+  daysBetween,
+  isIsoDate,
+  moveItem,
+  newTimelineItem,
+  timelineFieldValues,
+  timelineIcs,
+  timelineRange,
+  validateTimeline,
+} from "../services/timeline";
+import { cellStyle } from "./AIFieldDraft";
+
+const CHART_WIDTH = 760;
+const LABEL_WIDTH = 180;
+const ROW_HEIGHT = 26;
+const AXIS_HEIGHT = 22;
+
+/**
+ * PUBLIC_INTERFACE
+ * TimelinePanel
+ * Structured project timeline: tasks with start and end dates and milestones, grouped in phases, with dependencies,
+ * shown as a Gantt chart whose bars can be dragged to move an item (items depending on it move along). Every change
+ * also rewrites the timeline / milestone lists and the project duration it drives (services/timeline.js); the
+ * milestones can be downloaded as an iCalendar (.ics) file.
+ *
+ * Props:
+ * - fields: visible fields of the form (decides which of those fields are written)
+ * - templateData: current values; the timeline is kept in templateData.timeline
+ * - title: SOW title used in the calendar entries (optional)
+ * - onApply: (values) => void — values to merge into templateData
+ * - locked: read-only (an approved SOW); the chart and the .ics export stay available
+ */
+export default function TimelinePanel({ fields, templateData, title, onApply, locked = false }) {
+  const timeline = templateData?.[TIMELINE_KEY] || { items: [], generated: {} };
+  const items = timeline.items;
+  const issues = validateTimeline(timeline);
+  const phases = Array.from(new Set(items.map((it) => it.phase).filter(Boolean)));
+
+  const apply = (next) => {
+    const { values, generated } = timelineFieldValues(next, { fields, templateData });
+    onApply({ ...values, [TIMELINE_KEY]: { ...next, generated } });
+  };
+  const setItems = (nextItems) => apply({ ...timeline, items: nextItems });
+  const setItem = (id, patch) =>
+    setItems(
+      items.map((it) => {
+        if (it.id !== id) return it;
+        const next = { ...it, ...patch };
+        if (next.kind === "milestone") next.end = next.start;
+        // A new start keeps the task's length, or starts it as a one-day task
+        else if ("start" in patch && isIsoDate(patch.start) && !isIsoDate(it.end)) next.end = patch.start;
+        else if ("start" in patch && isIsoDate(patch.start) && isIsoDate(it.start)) next.end = addDays(it.end, daysBetween(it.start, patch.start));
+        return next;
+      })
+    );
+  const remove = (id) =>
+    setItems(items.filter((it) => it.id !== id).map((it) => ({ ...it, dependsOn: (it.dependsOn || []).filter((d) => d !== id) })));
+  const add = (kind) => {
+    const item = newTimelineItem(timeline, kind);
+    const range = timelineRange(timeline);
+    const last = items[items.length - 1];
+    if (range) {
+      item.start = range.end;
+      item.end = kind === "milestone" ? range.end : addDays(range.end, 13);
+    }
+    if (last?.phase) item.phase = last.phase;
+    setItems([...items, item]);
+  };
+
+  function downloadIcs() {
+    const blob = new Blob([timelineIcs(timeline, { title })], { type: "text/calendar;charset=utf-8" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "milestones.ics";
+    document.body.appendChild(link);
+    link.click();
+    requestAnimationFrame(() => {
+      URL.revokeObjectURL(link.href);
+      link.remove();
+    });
+  }
+
+  return (
+    <div className="form-control" style={{ gridColumn: "1 / -1" }}>
+      <label className="label">Timeline (phases, tasks and milestones)</label>
+      <GanttChart timeline={timeline} onMove={locked ? null : (id, days) => apply(moveItem(timeline, id, days))} />
+
+      <fieldset disabled={locked} style={{ border: 0, padding: 0, margin: 0, minWidth: 0 }}>
+        <div style={{ overflowX: "auto", border: "1px solid var(--ui-border)", borderRadius: 8, marginTop: 8 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", minWidth: 760 }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>Name</th>
+                <th style={cellStyle}>Phase</th>
+                <th style={cellStyle}>Type</th>
+                <th style={cellStyle}>Start</th>
+                <th style={cellStyle}>End</th>
+                <th style={cellStyle}>Depends on</th>
+                <th style={cellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((it) => (
+                <tr key={it.id}>
+                  <td style={cellStyle}>
+                    <input className="input" value={it.name} onChange={(e) => setItem(it.id, { name: e.target.value })} placeholder={it.kind === "milestone" ? "e.g. Go-live" : "e.g. Build"} />
+                  </td>
+                  <td style={cellStyle}>
+                    <input className="input" list="timeline-phases" value={it.phase} onChange={(e) => setItem(it.id, { phase: e.target.value })} placeholder="e.g. Delivery" />
+                  </td>
+                  <td style={cellStyle}>
+                    <select className="select" value={it.kind} onChange={(e) => setItem(it.id, { kind: e.target.value })}>
+                      <option value="task">Task</option>
+                      <option value="milestone">Milestone</option>
+                    </select>
+                  </td>
+                  <td style={cellStyle}>
+                    <input className="input" type="date" value={it.start} onChange={(e) => setItem(it.id, { start: e.target.value })} />
+                  </td>
+                  <td style={cellStyle}>
+                    {it.kind === "milestone" ? (
+                      <span style={{ color: "var(--text-secondary)" }}>—</span>
+                    ) : (
+                      <input className="input" type="date" value={it.end} min={it.start || undefined} onChange={(e) => setItem(it.id, { end: e.target.value })} />
+                    )}
+                  </td>
+                  <td style={cellStyle}>
+                    <DependencyPicker item={it} items={items} onChange={(dependsOn) => setItem(it.id, { dependsOn })} />
+                  </td>
+                  <td style={{ ...cellStyle, textAlign: "right" }}>
+                    <button className="btn" type="button" onClick={() => remove(it.id)}>Remove</button>
+                  </td>
+                </tr>
+              ))}
+              {!items.length ? (
+                <tr>
+                  <td colSpan={7} style={{ ...cellStyle, color: "var(--text-secondary)" }}>
+                    Add the tasks and milestones; the timeline and milestone lists and the project dates follow from them.
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </fieldset>
+      <datalist id="timeline-phases">
+        {phases.map((p) => (
+          <option key={p} value={p} />
+        ))}
+      </datalist>
+      {issues.map((x) => (
+        <div key={x.message} style={{ color: x.severity === "error" ? "var(--accent-pink)" : "var(--text-secondary)", fontSize: 12, marginTop: 4 }}>
+          {x.message}
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <button className="btn" type="button" onClick={() => add("task")} disabled={locked}>Add task</button>
+        <button className="btn" type="button" onClick={() => add("milestone")} disabled={locked}>Add milestone</button>
+        <button className="btn" type="button" onClick={downloadIcs} disabled={!items.some((it) => it.kind === "milestone" && it.name && isIsoDate(it.start))}>
+          Export milestones (.ics)
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function DependencyPicker({ item, items, onChange }) {
+  const chosen = item.dependsOn || [];
+  const others = items.filter((o) => o.id !== item.id);
+  const names = chosen.map((id) => items.find((o) => o.id === id)?.name || "?");
+  return (
+    <details>
+      <summary style={{ cursor: "pointer", color: names.length ? undefined : "var(--text-secondary)" }}>{names.length ? names.join(", ") : "None"}</summary>
+      <div style={{ display: "grid", gap: 2, marginTop: 4 }}>
+        {others.map((o) => (
+          <label key={o.id} style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+            <input
+              type="checkbox"
+              checked={chosen.includes(o.id)}
+              onChange={(e) => onChange(e.target.checked ? [...chosen, o.id] : chosen.filter((d) => d !== o.id))}
+            />
+            {o.name || "(unnamed)"}
+          </label>
+        ))}
+        {!others.length ? <span style={{ color: "var(--text-secondary)", fontSize: 13 }}>No other items</span> : null}
+      </div>
+    </details>
+  );
+}
+
+// Rows grouped by phase (in order of first appearance), each phase headed by a summary bar.
+function chartRows(items) {
+  const groups = new Map();
+  items.forEach((it) => {
+    const key = it.phase || "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(it);
+  });
+  return Array.from(groups.entries()).flatMap(([phase, list]) => [...(phase ? [{ phase, items: list }] : []), ...list.map((item) => ({ item }))]);
+}
+
+function GanttChart({ timeline, onMove }) {
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null); // { id, x, days }
+  const items = (timeline.items || []).filter((it) => it.name || isIsoDate(it.start));
+  const range = timelineRange(timeline);
+  if (!range) {
+    return <div style={{ color: "var(--text-secondary)", fontSize: 13 }}>The Gantt chart appears once items have dates.</div>;
+  }
+
+  const start = addDays(range.start, -2);
+  const days = range.days + 4;
+  const dayWidth = (CHART_WIDTH - LABEL_WIDTH) / days;
+  const x = (iso) => LABEL_WIDTH + daysBetween(start, iso) * dayWidth;
+  const rows = chartRows(items);
+  const height = AXIS_HEIGHT + rows.length * ROW_HEIGHT + 4;
+  const shifted = (it) => (drag?.id === it.id && drag.days ? { ...it, start: addDays(it.start, drag.days), end: addDays(it.end || it.start, drag.days) } : it);
+  const rowOf = new Map(rows.map((r, i) => [r.item?.id, i]).filter(([id]) => id));
+  const yMid = (i) => AXIS_HEIGHT + i * ROW_HEIGHT + ROW_HEIGHT / 2;
+  const dated = (it) => isIsoDate(it.start) && (it.kind === "milestone" || isIsoDate(it.end));
+
+  const months = [];
+  for (let d = `${start.slice(0, 7)}-01`; d <= addDays(start, days); d = `${addDays(`${d.slice(0, 7)}-28`, 5).slice(0, 7)}-01`) {
+    if (d >= start) months.push(d);
+  }
+
+  const toDays = (clientX) => {
+    const scale = CHART_WIDTH / (svgRef.current?.getBoundingClientRect().width || CHART_WIDTH);
+    return Math.round(((clientX - drag.x) * scale) / dayWidth);
+  };
+  const onPointerDown = (e, it) => {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setDrag({ id: it.id, x: e.clientX, days: 0 });
+  };
+  const onPointerMove = (e) => drag && setDrag({ ...drag, days: toDays(e.clientX) });
+  const onPointerUp = () => {
+    if (drag?.days) onMove(drag.id, drag.days);
+    setDrag(null);
+  };
+
+  return (
+    <div style={{ overflowX: "auto", border: "1px solid var(--ui-border)", borderRadius: 8 }}>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+        style={{ width: "100%", minWidth: 560, display: "block", touchAction: "none" }}
+        role="img"
+        aria-label={`Gantt chart from ${range.start} to ${range.end}`}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={() => setDrag(null)}
+      >
+        {months.map((m) => (
+          <g key={m}>
+            <line x1={x(m)} x2={x(m)} y1={0} y2={height} stroke="var(--ui-border)" />
+            <text x={x(m) + 4} y={14} fontSize="11" fill="var(--text-secondary)">
+              {new Date(`${m}T00:00:00Z`).toLocaleDateString(undefined, { month: "short", year: "2-digit", timeZone: "UTC" })}
+            </text>
+          </g>
+        ))}
+        {rows.map((r, i) => {
+          const y = AXIS_HEIGHT + i * ROW_HEIGHT;
+          if (r.phase) {
+            const span = timelineRange({ items: r.items.map(shifted) });
+            return (
+              <g key={`phase-${r.phase}`}>
+                <text x={6} y={y + 17} fontSize="12" fontWeight="700" fill="currentColor">{r.phase}</text>
+                {span ? <rect x={x(span.start)} y={y + 10} width={Math.max(2, span.days * dayWidth)} height={6} rx={2} fill="var(--text-secondary)" opacity="0.6" /> : null}
+              </g>
+            );
+          }
+          const it = shifted(r.item);
+          const label = (
+            <text x={r.item.phase ? 16 : 6} y={y + 17} fontSize="12" fill="currentColor">
+              {(it.name || "(unnamed)").slice(0, 24)}
+            </text>
+          );
+          if (!dated(it)) return <g key={it.id}>{label}</g>;
+          const handlers = onMove ? { onPointerDown: (e) => onPointerDown(e, r.item), style: { cursor: drag?.id === it.id ? "grabbing" : "grab" } } : {};
+          const tip = <title>{it.kind === "milestone" ? `${it.name}: ${it.start}` : `${it.name}: ${it.start} to ${it.end}`}{onMove ? " — drag to move" : ""}</title>;
+          if (it.kind === "milestone") {
+            const cx = x(it.start) + dayWidth / 2;
+            const cy = yMid(i);
+            return (
+              <g key={it.id}>
+                {label}
+                <polygon points={`${cx},${cy - 8} ${cx + 8},${cy} ${cx},${cy + 8} ${cx - 8},${cy}`} fill="var(--accent-pink)" {...handlers}>{tip}</polygon>
+              </g>
+            );
+          }
+          const w = Math.max(dayWidth, (daysBetween(it.start, it.end) + 1) * dayWidth);
+          return (
+            <g key={it.id}>
+              {label}
+              <rect x={x(it.start)} y={y + 5} width={w} height={ROW_HEIGHT - 10} rx={4} fill="var(--accent-purple)" opacity="0.85" {...handlers}>{tip}</rect>
+            </g>
+          );
+        })}
+        {items.flatMap((raw) =>
+          (raw.dependsOn || []).map((depId) => {
+            const dep = items.find((o) => o.id === depId);
+            if (!dep || !rowOf.has(depId) || !rowOf.has(raw.id)) return null;
+            const from = shifted(dep);
+            const to = shifted(raw);
+            if (!dated(from) || !dated(to)) return null;
+            const x1 = x(from.kind === "milestone" ? from.start : from.end) + dayWidth;
+            const x2 = x(to.start);
+            const y1 = yMid(rowOf.get(depId));
+            const y2 = yMid(rowOf.get(raw.id));
+            const late = to.start < (from.kind === "milestone" ? from.start : from.end);
+            return (
+              <path
+                key={`${depId}-${raw.id}`}
+                d={`M${x1},${y1} H${Math.max(x1 + 6, x2 - 6)} V${y2} H${x2}`}
+                fill="none"
+                stroke={late ? "var(--accent-pink)" : "var(--text-secondary)"}
+                strokeWidth="1.2"
+                markerEnd="url(#gantt-arrow)"
+                pointerEvents="none"
+              />
+            );
+          })
+        )}
+        <defs>
+          <marker id="gantt-arrow" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+            <path d="M0,0 L6,3 L0,6 z" fill="var(--text-secondary)" />
+          </marker>
+        </defs>
+      </svg>
+    </div>
+  );
+}
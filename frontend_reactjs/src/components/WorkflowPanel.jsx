@@ -0,0 +1,220 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { assignReviewers, getWorkflow, transitionSOW } from "../services/sowApi";
+import { REVIEW_STAGES, WORKFLOW_STATUSES, historyLine, isLockedStatus, statusLabel, workflowSteps } from "../services/workflow";
+
+const STEP_STYLE = {
+  done: { borderColor: "var(--accent-purple)", color: "var(--text-secondary)" },
+  current: { borderColor: "var(--accent-pink)", color: "var(--text-primary)", fontWeight: 700 },
+  upcoming: { borderColor: "var(--ui-border)", color: "var(--text-secondary)", opacity: 0.7 },
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * WorkflowPanel
+ * Approval workflow of the saved SOW: where it stands in Draft → Internal Review → Client Review → Approved → Signed,
+ * the reviewer and approver of each review stage (editable until the stage starts), the actions the current user can
+ * take with a comment, and the history. The backend decides what is permitted and for whom; blocked actions show why.
+ *
+ * Props:
+ * - sowId: id of the saved SOW (the workflow starts once it is saved)
+ * - actor: name of the current user (the same name revisions are recorded under)
+ * - onActorChange: (name) => void
+ * - onChanged: (sow) => void — the SOW document after assignees changed or an action was taken
+ * - refreshKey: reloads the available actions when it changes (e.g. the number of open comment threads)
+ */
+export default function WorkflowPanel({ sowId, actor, onActorChange, onChanged, refreshKey }) {
+  const [state, setState] = useState(null); // { workflow, actions }
+  const [name, setName] = useState(actor || "");
+  const [people, setPeople] = useState({});
+  const [comment, setComment] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    if (!sowId) return;
+    const res = await getWorkflow(sowId, actor);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    setError("");
+    setState({ workflow: res.workflow, actions: res.actions || [] });
+    setPeople(res.workflow.assignees || {});
+  }, [sowId, actor]);
+
+  useEffect(() => {
+    setState(null);
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [refreshKey]);
+
+  useEffect(() => setName(actor || ""), [actor]);
+
+  if (!sowId) {
+    return (
+      <div className="panel" style={{ marginBottom: 12 }}>
+        <div className="panel-title">Approval</div>
+        <div style={{ color: "var(--text-secondary)" }}>Save the draft first to start the approval workflow.</div>
+      </div>
+    );
+  }
+
+  const workflow = state?.workflow;
+  const status = workflow?.status || "draft";
+  const at = WORKFLOW_STATUSES.findIndex((s) => s.id === status);
+
+  async function saveAssignees() {
+    const pending = Object.fromEntries(
+      REVIEW_STAGES.filter((stage) => WORKFLOW_STATUSES.findIndex((s) => s.id === stage) > at).map((stage) => [stage, people[stage] || {}])
+    );
+    setBusy(true);
+    const res = await assignReviewers(sowId, pending);
+    setBusy(false);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    onChanged?.(res.sow);
+    load();
+  }
+
+  async function act(action) {
+    if (action.needsComment && !comment.trim()) {
+      setError(`Add a comment to ${action.label.toLowerCase()}.`);
+      return;
+    }
+    setBusy(true);
+    const res = await transitionSOW(sowId, { action: action.id, actor, comment });
+    setBusy(false);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    setComment("");
+    onChanged?.(res.sow);
+    load();
+  }
+
+  const setPerson = (stage, role, value) => setPeople((prev) => ({ ...prev, [stage]: { ...(prev[stage] || {}), [role]: value } }));
+  const canAssign = REVIEW_STAGES.some((stage) => WORKFLOW_STATUSES.findIndex((s) => s.id === stage) > at);
+
+  return (
+    <div className="panel" style={{ marginBottom: 12 }}>
+      <div className="panel-title">Approval</div>
+
+      <ol aria-label="Approval status" style={{ listStyle: "none", display: "flex", gap: 6, flexWrap: "wrap", margin: "0 0 10px", padding: 0 }}>
+        {workflowSteps(status).map((s) => (
+          <li
+            key={s.id}
+            aria-current={s.state === "current" ? "step" : undefined}
+            style={{ border: "1px solid", borderRadius: 999, padding: "2px 10px", fontSize: 13, ...STEP_STYLE[s.state] }}
+          >
+            {s.state === "done" ? "✓ " : ""}
+            {s.label}
+          </li>
+        ))}
+      </ol>
+      {isLockedStatus(status) ? (
+        <div style={{ color: "var(--text-secondary)", fontSize: 13, marginBottom: 8 }}>
+          {status === "signed" ? "Signed — the SOW is final." : "Approved — edits are locked; signatures can still be added. Reopen it to make changes."}
+        </div>
+      ) : null}
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 10, flexWrap: "wrap" }}>
+        <label className="label" htmlFor="workflow-actor" style={{ margin: 0 }}>Acting as</label>
+        <input
+          id="workflow-actor"
+          className="input"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={() => name.trim() !== (actor || "") && onActorChange?.(name.trim())}
+          placeholder="Your name"
+          style={{ maxWidth: 240 }}
+        />
+      </div>
+
+      <div className="form-grid" style={{ gridTemplateColumns: "1fr 1fr", marginBottom: 8 }}>
+        {REVIEW_STAGES.map((stage) => {
+          const locked = WORKFLOW_STATUSES.findIndex((s) => s.id === stage) <= at;
+          return (
+            <div key={stage} className="form-control">
+              <label className="label">{statusLabel(stage)}</label>
+              {["reviewer", "approver"].map((role) => (
+                <input
+                  key={role}
+                  className="input"
+                  value={people[stage]?.[role] || ""}
+                  onChange={(e) => setPerson(stage, role, e.target.value)}
+                  disabled={locked}
+                  placeholder={role === "reviewer" ? "Reviewer" : "Approver"}
+                  aria-label={`${statusLabel(stage)} ${role}`}
+                  style={{ marginBottom: 4 }}
+                />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      {canAssign ? (
+        <button className="btn" type="button" onClick={saveAssignees} disabled={busy}>Save assignments</button>
+      ) : null}
+      {workflow?.reviewed ? (
+        <div style={{ color: "var(--text-secondary)", fontSize: 13, marginTop: 8 }}>Reviewed by {workflow.reviewed.by}.</div>
+      ) : null}
+
+      {state?.actions?.length ? (
+        <div style={{ marginTop: 10 }}>
+          <textarea
+            className="textarea"
+            rows={2}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Comment (required to request changes or reopen)"
+            aria-label="Workflow comment"
+          />
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 6 }}>
+            {state.actions.map((a) => (
+              <button
+                key={a.id}
+                className={a.id === "approve" || a.id === "submit" ? "btn btn-primary" : "btn"}
+                type="button"
+                onClick={() => act(a)}
+                disabled={busy || !a.allowed}
+                title={a.reason || undefined}
+              >
+                {a.label}
+              </button>
+            ))}
+          </div>
+          {state.actions
+            .filter((a) => !a.allowed && a.reason)
+            .map((a) => (
+              <div key={a.id} style={{ color: "var(--text-secondary)", fontSize: 12, marginTop: 4 }}>
+                {a.label}: {a.reason}
+              </div>
+            ))}
+        </div>
+      ) : null}
+
+      {error ? <div style={{ color: "var(--accent-pink)", fontSize: 13, marginTop: 6 }}>{error}</div> : null}
+
+      {workflow?.history?.length ? (
+        <ul style={{ margin: "10px 0 0", paddingLeft: 18, fontSize: 13, color: "var(--text-secondary)" }}>
+          {workflow.history
+            .slice()
+            .reverse()
+            .map((h, i) => (
+              <li key={`${h.at}-${i}`}>
+                {historyLine(h)} · {new Date(h.at).toLocaleString()}
+                {h.comment ? <div style={{ color: "var(--text-primary)" }}>“{h.comment}”</div> : null}
+              </li>
+            ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
@@ -1,64 +1,154 @@
-import React, { useMemo } from "react";
-import { computeOverlaysFromFields, buildDocxWithBackgroundAndOverlays, zipSync, makeTranscriptPreviewHtml } from "../services/docxTemplateService";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  buildDocxWithBackgroundAndOverlays,
+  computeOverlaysFromFields,
+  makeTranscriptPreviewHtml,
+  zipSync,
+} from "../services/docxTemplateService";
+import { unzip } from "../services/zipReader";
+import { buildPlaceholderResolver, fillDocxTemplate, fillPlaceholdersInText } from "../services/docxPlaceholderFiller";
+import { fetchTemplateDocx } from "../services/templateApi";
+import { getTemplateFormFields } from "../templates";
 
 /**
  * PUBLIC_INTERFACE
  * DocxPreviewAndGenerate
- * Shows the original DOCX transcript in a faux page, overlays current values in-place,
- * and generates a .docx that preserves layout with the template unchanged except for filled values.
+ * Shows the template transcript with placeholders replaced by current values, and generates the .docx
+ * by filling the [Placeholder] / <Placeholder> tokens inside the original Word template: the current version stored
+ * in the template registry, or a .docx uploaded here for this visit. Styles, tables, headers and numbering of the
+ * original are kept; only token text is replaced. Templates without a Word file (the built-ins until a .docx version
+ * is uploaded) get the plain "label: value" document instead.
  *
  * Props:
  * - transcriptText: string (DOCX text content from selected template)
  * - templateSchema: runtime schema with fields[]
+ * - selectedTemplate: registry template id, e.g. "TM" | "FP" (its Word file; also resolves the form's field labels)
  * - data: SOW data containing meta (logo) and templateData values
  */
-export default function DocxPreviewAndGenerate({ transcriptText, templateSchema, data }) {
-  const previewHtml = useMemo(() => makeTranscriptPreviewHtml(transcriptText || ""), [transcriptText]);
+export default function DocxPreviewAndGenerate({ transcriptText, templateSchema, selectedTemplate, data }) {
+  const [templateDocx, setTemplateDocx] = useState(null); // { name, files, source: "registry" | "upload" }
+  const [loadingDocx, setLoadingDocx] = useState(false);
+  const [result, setResult] = useState(null); // { filled, missing } or { fallback: true }
+  const [error, setError] = useState("");
+  const inputRef = useRef(null);
 
-  const overlays = useMemo(() => {
-    // compute overlays from schema fields and substitute user values for preview and export
-    const base = computeOverlaysFromFields(templateSchema?.fields || []);
-    return base.map((ov) => {
-      const v = getPath(data?.templateData || {}, [ov.fieldKey]);
-      return {
-        ...ov,
-        text: labelFromSchemaKey(templateSchema?.fields || [], ov.fieldKey) + ": " + (formatValue(v)),
-      };
-    });
-  }, [templateSchema, data]);
+  useEffect(() => {
+    let cancelled = false;
+    setTemplateDocx(null);
+    setResult(null);
+    setLoadingDocx(!!selectedTemplate);
+    if (!selectedTemplate) return undefined;
+    (async () => {
+      const res = await fetchTemplateDocx(selectedTemplate);
+      let next = null;
+      let problem = res.ok ? "" : res.error;
+      if (res.ok && res.buffer) {
+        try {
+          const files = await unzip(res.buffer);
+          if (files["word/document.xml"]) next = { name: res.fileName, files, source: "registry" };
+          else problem = "The registry's file for this template is not a Word document.";
+        } catch (err) {
+          problem = err?.message || String(err);
+        }
+      }
+      if (cancelled) return;
+      setLoadingDocx(false);
+      // A file picked while the registry's was loading wins
+      setTemplateDocx((current) => (current?.source === "upload" ? current : next));
+      setError(problem ? `Could not load the template's Word file: ${problem}` : "");
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTemplate]);
 
-  function labelFromSchemaKey(fields, key) {
-    const found = (fields || []).find((f) => f.key === key);
-    return found?.label || key;
-  }
+  const resolve = useMemo(
+    () => buildPlaceholderResolver(data?.templateData || {}, getTemplateFormFields(templateSchema, selectedTemplate)),
+    [data, templateSchema, selectedTemplate]
+  );
 
-  function formatValue(v) {
-    if (Array.isArray(v)) return v.join(", ");
-    if (v && typeof v === "object") return JSON.stringify(v);
-    return v ?? "";
+  const preview = useMemo(() => fillPlaceholdersInText(transcriptText || "", resolve), [transcriptText, resolve]);
+  const previewHtml = useMemo(() => makeTranscriptPreviewHtml(preview.text), [preview]);
+
+  async function onTemplatePick(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const files = await unzip(await file.arrayBuffer());
+      if (!files["word/document.xml"]) throw new Error("The file is not a Word document (word/document.xml missing).");
+      setTemplateDocx({ name: file.name, files, source: "upload" });
+      setResult(null);
+      setError("");
+    } catch (err) {
+      setTemplateDocx(null);
+      setError(err?.message || String(err));
     }
+  }
 
-  function onGenerate() {
-    // Single page dimensions (approx) for A4-like preview
-    const pages = [{ widthPx: 794, heightPx: 1123 }];
-    const files = buildDocxWithBackgroundAndOverlays({
-      pages,
+  // Without an original Word file: one "label: value" line per field, as before template filling existed.
+  function fallbackFiles() {
+    const fields = getTemplateFormFields(templateSchema, selectedTemplate);
+    const overlays = computeOverlaysFromFields(fields).map((ov, i) => ({
+      ...ov,
+      text: `${fields[i].label || fields[i].key}: ${formatValue(data?.templateData?.[ov.fieldKey])}`,
+    }));
+    return buildDocxWithBackgroundAndOverlays({
+      pages: [{ widthPx: 794, heightPx: 1123 }],
       overlays,
-      logoDataUrl: data?.meta?.logoUrl || ""
-    });
-    const blob = zipSync(files);
-    const name = `SOW_${(data?.meta?.client || "Client").replace(/[^\w-]+/g, "_")}_${(data?.meta?.title || "Project").replace(/[^\w-]+/g, "_")}.docx`;
-    const link = document.createElement("a");
-    link.href = URL.createObjectURL(blob);
-    link.download = name;
-    document.body.appendChild(link);
-    link.click();
-    requestAnimationFrame(() => {
-      URL.revokeObjectURL(link.href);
-      link.remove();
+      logoDataUrl: data?.meta?.logoUrl || "",
     });
   }
 
+  function onGenerate() {
+    try {
+      let files;
+      if (templateDocx) {
+        const filled = fillDocxTemplate(templateDocx.files, {
+          templateData: data?.templateData || {},
+          fields: getTemplateFormFields(templateSchema, selectedTemplate),
+          logoDataUrl: data?.meta?.logoUrl || "",
+        });
+        setResult({ filled: filled.filled, missing: filled.missing });
+        files = filled.files;
+      } else {
+        setResult({ fallback: true });
+        files = fallbackFiles();
+      }
+      setError("");
+
+      const blob = zipSync(files);
+      const name = `SOW_${(data?.meta?.client || "Client").replace(/[^\w-]+/g, "_")}_${(data?.meta?.title || "Project").replace(/[^\w-]+/g, "_")}.docx`;
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = name;
+      document.body.appendChild(link);
+      link.click();
+      requestAnimationFrame(() => {
+        URL.revokeObjectURL(link.href);
+        link.remove();
+      });
+    } catch (err) {
+      setError(`Failed to generate DOCX: ${err?.message || err}`);
+    }
+  }
+
+  function statusText() {
+    if (result?.fallback) {
+      return "Generated a plain document with one line per field. Upload the original .docx as a new version in the Template Registry to fill its layout instead.";
+    }
+    if (result) {
+      return `Filled ${result.filled.length} placeholder(s).${result.missing.length ? ` Left unfilled: ${result.missing.join(", ")}.` : ""}`;
+    }
+    if (!templateDocx && !loadingDocx) {
+      return "This template has no Word file yet, so the document lists each field with its value. Upload the original .docx here or as a new version in the Template Registry to keep its layout.";
+    }
+    if (preview.missing.length) {
+      return `${preview.missing.length} placeholder(s) have no value yet and will stay as-is in the document.`;
+    }
+    return "Your entries replace the template placeholders; the rest of the original document is kept unchanged.";
+  }
+
   return (
     <div className="panel">
       <div className="panel-title">Preview & Generate (DOCX)</div>
@@ -86,41 +176,46 @@ export default function DocxPreviewAndGenerate({ transcriptText, templateSchema,
             />
           ) : null}
 
-          {/* Original transcript shown verbatim */}
+          {/* Template text with placeholders replaced by current values */}
           <div dangerouslySetInnerHTML={{ __html: previewHtml }} />
-
-          {/* Simple positioned overlays (heuristic vertical stacking) */}
-          <div aria-hidden style={{ position: "relative", marginTop: 8 }}>
-            {(overlays || []).map((ov, i) => (
-              <div
-                key={i}
-                style={{
-                  position: "relative",
-                  left: ov.xPx,
-                  top: ov.yPx,
-                  color: "#111",
-                  fontWeight: 500,
-                  marginBottom: 2
-                }}
-                title={ov.fieldKey}
-              >
-                {ov.text}
-              </div>
-            ))}
-          </div>
         </div>
       </div>
 
-      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
-        <button className="btn btn-primary" type="button" onClick={onGenerate}>Generate DOCX</button>
+      <div style={{ display: "flex", gap: 8, marginTop: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <button className="btn" type="button" onClick={() => inputRef.current?.click()}>
+          {templateDocx ? "Replace original .docx" : "Upload original .docx"}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".docx,application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+          onChange={onTemplatePick}
+          style={{ display: "none" }}
+        />
         <div style={{ color: "var(--text-secondary)" }}>
-          This will merge your entries into the original template layout. Only .docx output is produced; no PDF or draft output.
+          {loadingDocx
+            ? "Loading the template's Word file..."
+            : templateDocx
+              ? `${templateDocx.name}${templateDocx.source === "registry" ? " (template registry)" : ""}`
+              : "No Word file for this template"}
         </div>
+        <div style={{ flex: 1 }} />
+        <button className="btn btn-primary" type="button" onClick={onGenerate} disabled={loadingDocx}>Generate DOCX</button>
+      </div>
+
+      {error ? <div style={{ color: "var(--accent-pink)", marginTop: 8 }}>{error}</div> : null}
+
+      <div style={{ color: "var(--text-secondary)", marginTop: 8, fontSize: 13 }}>
+        {statusText()}
       </div>
     </div>
   );
 }
 
-function getPath(obj, path) {
-  return (path || "").split(".").reduce((o, k) => (o ? o[k] : undefined), obj || {});
+function formatValue(v) {
+  if (Array.isArray(v)) return v.map(formatValue).join(", ");
+  if (v && typeof v === "object") return JSON.stringify(v);
+  const s = String(v ?? "");
+  // Signature images and logos are data URLs; they are not text
+  return s.startsWith("data:") ? "" : s;
 }
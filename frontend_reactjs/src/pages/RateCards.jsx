@@ -0,0 +1,180 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { createRateCard, deleteRateCard, listRateCards, updateRateCard } from "../services/rateCardApi";
+import { CURRENCIES } from "../services/money";
+import { cellStyle } from "../components/AIFieldDraft";
+
+const emptyCard = () => ({ id: null, name: "", description: "", currency: "USD", rates: [{ role: "", seniority: "", rate: "" }] });
+
+/**
+ * PUBLIC_INTERFACE
+ * RateCards
+ * Rate-card library: hourly rates by role and seniority that the T&M estimate of the SOW form picks from.
+ * SOWs keep their own copy of the rates, so editing a card does not change SOWs already estimated.
+ */
+export default function RateCards() {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [draft, setDraft] = useState(null); // card being created or edited
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    const res = await listRateCards();
+    setLoading(false);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    setError("");
+    setItems(res.rateCards || []);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  async function afterChange(res) {
+    setBusy(false);
+    if (!res.ok) {
+      setError(res.error);
+      return false;
+    }
+    setError("");
+    await refresh();
+    return true;
+  }
+
+  async function save() {
+    const card = {
+      name: draft.name,
+      description: draft.description,
+      currency: draft.currency,
+      rates: draft.rates.filter((r) => r.role.trim() || r.rate !== "").map((r) => ({ ...r, rate: Number(r.rate) })),
+    };
+    setBusy(true);
+    const ok = await afterChange(draft.id ? await updateRateCard(draft.id, card) : await createRateCard(card));
+    if (ok) setDraft(null);
+  }
+
+  async function remove(card) {
+    // eslint-disable-next-line no-alert
+    if (!window.confirm(`Delete rate card "${card.name}"? SOWs estimated with it keep their rates.`)) return;
+    setBusy(true);
+    await afterChange(await deleteRateCard(card.id));
+  }
+
+  const setRate = (i, patch) => setDraft((d) => ({ ...d, rates: d.rates.map((r, j) => (j === i ? { ...r, ...patch } : r)) }));
+
+  return (
+    <div className="panel">
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div className="panel-title">Rate Cards</div>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button className="btn" type="button" onClick={refresh} disabled={loading}>
+            {loading ? "Loading..." : "Refresh"}
+          </button>
+          <button className="btn btn-primary" type="button" onClick={() => setDraft(emptyCard())} disabled={!!draft}>
+            New rate card
+          </button>
+        </div>
+      </div>
+
+      {error ? <div style={{ color: "var(--accent-pink)", marginBottom: 8 }}>{error}</div> : null}
+
+      {draft ? (
+        <div className="panel" style={{ marginBottom: 12 }}>
+          <div className="form-grid" style={{ gridTemplateColumns: "2fr 3fr 120px", alignItems: "end", marginBottom: 12 }}>
+            <div className="form-control">
+              <label className="label">Name</label>
+              <input className="input" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="e.g. Standard 2026" />
+            </div>
+            <div className="form-control">
+              <label className="label">Description</label>
+              <input className="input" value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} />
+            </div>
+            <div className="form-control">
+              <label className="label">Currency</label>
+              <select className="select" value={draft.currency} onChange={(e) => setDraft({ ...draft, currency: e.target.value })}>
+                {(CURRENCIES.includes(draft.currency) ? CURRENCIES : [draft.currency, ...CURRENCIES]).map((c) => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div style={{ overflowX: "auto", border: "1px solid var(--ui-border)", borderRadius: 8 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>Role</th>
+                  <th style={cellStyle}>Seniority</th>
+                  <th style={cellStyle}>Rate/hr ({draft.currency})</th>
+                  <th style={cellStyle} />
+                </tr>
+              </thead>
+              <tbody>
+                {draft.rates.map((r, i) => (
+                  <tr key={i}>
+                    <td style={cellStyle}>
+                      <input className="input" value={r.role} onChange={(e) => setRate(i, { role: e.target.value })} placeholder="e.g. Developer" />
+                    </td>
+                    <td style={cellStyle}>
+                      <input className="input" value={r.seniority} onChange={(e) => setRate(i, { seniority: e.target.value })} placeholder="e.g. Senior" />
+                    </td>
+                    <td style={cellStyle}>
+                      <input className="input" type="number" min="0" step="0.01" value={r.rate} onChange={(e) => setRate(i, { rate: e.target.value })} />
+                    </td>
+                    <td style={{ ...cellStyle, textAlign: "right" }}>
+                      <button className="btn" type="button" onClick={() => setDraft({ ...draft, rates: draft.rates.filter((_, j) => j !== i) })}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            <button className="btn" type="button" onClick={() => setDraft({ ...draft, rates: [...draft.rates, { role: "", seniority: "", rate: "" }] })}>
+              Add rate
+            </button>
+            <span style={{ flex: 1 }} />
+            <button className="btn" type="button" onClick={() => setDraft(null)} disabled={busy}>Cancel</button>
+            <button className="btn btn-primary" type="button" onClick={save} disabled={busy}>
+              {draft.id ? "Save changes" : "Create rate card"}
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      <div style={{ display: "grid", gap: 8 }}>
+        {!items.length && !loading ? <div style={{ color: "var(--text-secondary)" }}>No rate cards yet.</div> : null}
+        {items.map((c) => (
+          <div key={c.id} className="panel">
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: 700 }}>
+                  {c.name} <span style={{ color: "var(--text-secondary)", fontWeight: 400 }}>{c.currency} · {c.rates.length} rates</span>
+                </div>
+                <div style={{ color: "var(--text-secondary)", fontSize: 13 }}>
+                  {c.description || "—"} · updated {new Date(c.updatedAt).toLocaleString()}
+                </div>
+              </div>
+              <button
+                className="btn"
+                type="button"
+                disabled={busy || !!draft}
+                onClick={() => setDraft({ ...c, rates: c.rates.map((r) => ({ ...r, rate: String(r.rate) })) })}
+              >
+                Edit
+              </button>
+              <button className="btn" type="button" onClick={() => remove(c)} disabled={busy}>
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,29 +1,182 @@
-import React, { useMemo } from "react";
-import { makeTranscriptPreviewHtml, computeOverlaysFromFields } from "../services/docxTemplateService";
+import React, { useEffect, useMemo, useState } from "react";
+import { isTranscriptHeading, computeOverlaysFromFields } from "../services/docxTemplateService";
+import { lintSOW } from "../services/sowLinter";
+import { getDeclaredTemplates } from "../templates";
+import AIRiskReview from "../components/AIRiskReview";
+import ContractValuePanel from "../components/ContractValuePanel";
+import WorkflowPanel from "../components/WorkflowPanel";
+import CommentThreads from "../components/CommentThreads";
+import { listComments } from "../services/sowApi";
+import { openCounts } from "../services/comments";
+import { formatMoneyFields } from "../services/commercials";
+import { getCommercials } from "../services/money";
 
 // PUBLIC_INTERFACE
-export default function ReviewScreen({ data, templateSchema, transcriptText, onEdit, onConfirm }) {
-  /** This screen shows the template text and overlays each captured field value inline, with a logo at the top-left. */
-  const previewHtml = useMemo(() => makeTranscriptPreviewHtml(transcriptText || ""), [transcriptText]);
+export default function ReviewScreen({
+  data,
+  templateSchema,
+  sections,
+  transcriptText,
+  onEdit,
+  onEditField,
+  onApplyValues,
+  onConfirm,
+  workflow,
+}) {
+  /**
+   * This screen shows the template text and overlays each captured field value inline, with a logo at the top-left.
+   * Above it, the SOW linter lists missing and inconsistent values; each finding opens its field in the form
+   * (onEditField(fieldKey)). Confirm stays disabled while errors are open unless the user chooses to continue anyway.
+   * The risk review suggests replacement clauses; accepted ones are merged into templateData via onApplyValues(values).
+   * Amounts are shown as the document will format them, with the contract-value summary below the checks.
+   * `workflow` ({ sowId, actor, locked, onActorChange, onChanged }) drives the Approval panel (WorkflowPanel); while the
+   * SOW is approved or signed its values are locked, so risk fixes cannot be applied.
+   * Each template line of a saved SOW can carry review comment threads (💬 beside the line); the Comments panel lists
+   * the open ones of the whole SOW, field threads from the form included. Approval waits until all are resolved.
+   */
+  const lines = useMemo(() => String(transcriptText || "").split(/\r?\n/), [transcriptText]);
+  const [acknowledged, setAcknowledged] = useState(false);
+
+  const sowId = workflow?.sowId;
+  const [threads, setThreads] = useState([]);
+  const [activeLine, setActiveLine] = useState(0); // 1-based transcript line whose threads are open, 0 for none
+  const loadThreads = async () => {
+    if (!sowId) return;
+    const res = await listComments(sowId);
+    if (res.ok) setThreads(res.threads || []);
+  };
+  useEffect(() => {
+    setThreads([]);
+    setActiveLine(0);
+    loadThreads();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sowId]);
+  const commentCounts = useMemo(() => openCounts(threads), [threads]);
+  const allFields = useMemo(() => (sections || []).flatMap((s) => s.fields || []), [sections]);
+  const lineAnchor = activeLine ? { kind: "line", line: activeLine, quote: lines[activeLine - 1].trim().slice(0, 300) } : null;
+
+  const findings = useMemo(
+    () =>
+      lintSOW({
+        sections,
+        templateData: data?.templateData,
+        templateSchema,
+        declaredTemplates: getDeclaredTemplates(),
+        commercials: data?.commercials,
+      }),
+    [sections, data, templateSchema]
+  );
+  const errorCount = findings.filter((f) => f.severity === "error").length;
+  const warningCount = findings.length - errorCount;
 
   const overlays = useMemo(() => {
     const fields = templateSchema?.fields || [];
     const base = computeOverlaysFromFields(fields);
+    const shown = formatMoneyFields(sections, data?.templateData, getCommercials(data));
     return base.map((ov) => {
-      const val = getPath(data?.templateData || {}, ov.fieldKey);
+      const val = getPath(shown, ov.fieldKey);
       return {
         ...ov,
         text: `${labelFor(fields, ov.fieldKey)}: ${formatValue(val)}`
       };
     });
-  }, [templateSchema, data]);
+  }, [templateSchema, data, sections]);
 
   return (
     <div className="panel">
       <div className="panel-title">Review Your SOW</div>
 
       <div style={{ color: "var(--text-secondary)", marginBottom: 8 }}>
-        Please review your entries as they will appear in the final document. Use Edit to make corrections. Click Confirm to generate the DOCX.
+        Please review your entries as they will appear in the final document. Use Edit to make corrections. Click Confirm to generate the DOCX; the Approval panel moves the saved SOW through internal and client review.
+      </div>
+
+      <div className="panel" style={{ marginBottom: 12 }}>
+        <div className="panel-title">Checks</div>
+        {findings.length === 0 ? (
+          <div style={{ color: "var(--text-secondary)" }}>No missing or inconsistent values found.</div>
+        ) : (
+          <>
+            <div style={{ color: "var(--text-secondary)", marginBottom: 8 }}>
+              {errorCount} error(s), {warningCount} warning(s). Errors should be fixed before the DOCX is generated.
+            </div>
+            <ul style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 6 }}>
+              {findings.map((f) => (
+                <li key={f.id} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <span
+                    style={{
+                      minWidth: 64,
+                      fontSize: 12,
+                      fontWeight: 600,
+                      color: f.severity === "error" ? "var(--accent-pink)" : "var(--text-secondary)",
+                    }}
+                  >
+                    {f.severity === "error" ? "Error" : "Warning"}
+                  </span>
+                  <span style={{ flex: 1 }}>
+                    {f.message}
+                    {f.section ? <span style={{ color: "var(--text-secondary)", fontSize: 12 }}> — {f.section}</span> : null}
+                  </span>
+                  <button
+                    className="btn"
+                    type="button"
+                    onClick={() => (onEditField ? onEditField(f.fieldKey) : onEdit?.())}
+                    style={{ padding: "2px 8px", fontSize: 12 }}
+                  >
+                    Go to field
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+
+      <ContractValuePanel
+        sections={sections}
+        templateData={data?.templateData}
+        commercials={data?.commercials}
+        style={{ marginTop: 0, marginBottom: 12 }}
+      />
+
+      <AIRiskReview
+        sections={sections}
+        templateData={data?.templateData}
+        commercials={data?.commercials}
+        onApply={workflow?.locked ? undefined : onApplyValues}
+        onGoToField={onEditField}
+      />
+
+      <WorkflowPanel
+        sowId={sowId}
+        actor={workflow?.actor}
+        onActorChange={workflow?.onActorChange}
+        onChanged={workflow?.onChanged}
+        refreshKey={commentCounts.total}
+      />
+
+      <div className="panel" style={{ marginBottom: 12 }}>
+        <div className="panel-title" style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+          {lineAnchor ? `Comments on line ${activeLine}` : `Comments${commentCounts.total ? ` (${commentCounts.total} open)` : ""}`}
+          {lineAnchor ? (
+            <button className="btn" type="button" onClick={() => setActiveLine(0)} style={{ padding: "2px 8px", fontSize: 12 }}>
+              All comments
+            </button>
+          ) : null}
+        </div>
+        {sowId && !lineAnchor ? (
+          <div style={{ color: "var(--text-secondary)", fontSize: 13, marginBottom: 8 }}>
+            Click 💬 beside a line of the document below to comment on it; field comments are added in the form.
+          </div>
+        ) : null}
+        <CommentThreads
+          sowId={sowId}
+          threads={threads}
+          anchors={lineAnchor ? [{ anchor: lineAnchor, label: `line ${activeLine}` }] : undefined}
+          fields={allFields}
+          author={workflow?.actor}
+          onAuthorChange={workflow?.onActorChange}
+          onChanged={loadThreads}
+        />
       </div>
 
       <div style={{ display: "grid", placeItems: "center", padding: 8 }}>
@@ -49,7 +202,16 @@ export default function ReviewScreen({ data, templateSchema, transcriptText, onE
             />
           ) : null}
 
-          <div dangerouslySetInnerHTML={{ __html: previewHtml }} />
+          {lines.map((l, i) => (
+            <TranscriptLine
+              key={i}
+              text={l}
+              line={i + 1}
+              openComments={commentCounts.lines[i + 1] || 0}
+              active={activeLine === i + 1}
+              onComment={sowId ? () => setActiveLine(activeLine === i + 1 ? 0 : i + 1) : undefined}
+            />
+          ))}
 
           <div aria-hidden style={{ position: "relative", marginTop: 8 }}>
             {(overlays || []).map((ov, i) => (
@@ -72,14 +234,59 @@ export default function ReviewScreen({ data, templateSchema, transcriptText, onE
         </div>
       </div>
 
-      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+      <div style={{ display: "flex", gap: 8, marginTop: 8, alignItems: "center", flexWrap: "wrap" }}>
         <button className="btn" type="button" onClick={onEdit}>Edit</button>
-        <button className="btn btn-primary" type="button" onClick={onConfirm}>Confirm and Continue to DOCX Preview</button>
+        <button className="btn btn-primary" type="button" onClick={onConfirm} disabled={errorCount > 0 && !acknowledged}>
+          Confirm and Continue to DOCX Preview
+        </button>
+        {errorCount > 0 ? (
+          <label className="label" style={{ margin: 0 }}>
+            <input
+              type="checkbox"
+              checked={acknowledged}
+              onChange={(e) => setAcknowledged(e.target.checked)}
+              style={{ marginRight: 8 }}
+            />
+            Continue with {errorCount} open error(s)
+          </label>
+        ) : null}
       </div>
     </div>
   );
 }
 
+// One template line; a saved SOW gets a comment marker in the right margin, showing the line's open threads.
+function TranscriptLine({ text, line, openComments, active, onComment }) {
+  const heading = isTranscriptHeading(text);
+  const Tag = heading ? "h3" : "p";
+  return (
+    <div style={{ position: "relative", background: active ? "#f3ecff" : openComments ? "#fff0f6" : undefined }}>
+      <Tag style={heading ? { margin: "12px 0 6px 0", fontWeight: 800 } : { margin: "6px 0", minHeight: "1em" }}>{text}</Tag>
+      {onComment ? (
+        <button
+          type="button"
+          onClick={onComment}
+          title={openComments ? `${openComments} open comment thread(s) on line ${line}` : `Comment on line ${line}`}
+          aria-label={`Comments on line ${line}`}
+          style={{
+            position: "absolute",
+            right: -32,
+            top: 0,
+            border: 0,
+            background: "transparent",
+            cursor: "pointer",
+            fontSize: 12,
+            color: openComments ? "#c2185b" : "#999",
+            opacity: openComments || active ? 1 : 0.5,
+          }}
+        >
+          💬{openComments ? ` ${openComments}` : ""}
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
 // Helpers
 function labelFor(fields, key) {
   const found = (fields || []).find((f) => f.key === key);
@@ -0,0 +1,168 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { listRevisions, diffRevisions, restoreRevision } from "../services/sowApi";
+import { getTemplateFieldLabel } from "../templates";
+
+/**
+ * PUBLIC_INTERFACE
+ * RevisionHistory
+ * Lists the immutable revisions of the saved SOW and shows a field-by-field diff between any two.
+ *
+ * Props:
+ * - sowId: id of the saved SOW (null when the draft was never saved)
+ * - author: name recorded when restoring a revision
+ * - onRestored: (sowDocument) => void  — called with the SOW after a restore
+ */
+export default function RevisionHistory({ sowId, author, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [fromId, setFromId] = useState("");
+  const [toId, setToId] = useState("");
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(async () => {
+    if (!sowId) return;
+    const res = await listRevisions(sowId);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    const revs = res.revisions || [];
+    setError("");
+    setRevisions(revs);
+    // Default to comparing the last two revisions
+    setToId(revs.length ? revs[revs.length - 1].id : "");
+    setFromId(revs.length > 1 ? revs[revs.length - 2].id : revs[0]?.id || "");
+  }, [sowId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!sowId || !fromId || !toId) {
+      setDiff(null);
+      return;
+    }
+    let cancelled = false;
+    diffRevisions(sowId, fromId, toId).then((res) => {
+      if (cancelled) return;
+      if (!res.ok) setError(res.error);
+      else setDiff(res);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [sowId, fromId, toId]);
+
+  async function onRestore(rev) {
+    // eslint-disable-next-line no-alert
+    if (!window.confirm(`Restore revision ${rev.number}? Current values are kept as an earlier revision.`)) return;
+    const res = await restoreRevision(sowId, rev.id, author);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    onRestored?.(res.sow);
+    refresh();
+  }
+
+  if (!sowId) {
+    return (
+      <div className="panel">
+        <div className="panel-title">Revision History</div>
+        <div style={{ color: "var(--text-secondary)" }}>Save the SOW first. Each save creates a revision you can compare and restore.</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="panel">
+      <div className="panel-title">Revision History</div>
+      {error ? <div style={{ color: "var(--accent-pink)", marginBottom: 8 }}>{error}</div> : null}
+
+      <div style={{ display: "grid", gap: 6, marginBottom: 12 }}>
+        {revisions
+          .slice()
+          .reverse()
+          .map((rev) => (
+            <div key={rev.id} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <strong>#{rev.number}</strong> · {rev.author} · {new Date(rev.createdAt).toLocaleString()}
+                {rev.note ? <span style={{ color: "var(--text-secondary)" }}> — {rev.note}</span> : null}
+              </div>
+              <button className="btn" type="button" onClick={() => onRestore(rev)} disabled={rev.id === revisions[revisions.length - 1]?.id}>
+                Restore
+              </button>
+            </div>
+          ))}
+      </div>
+
+      <div className="form-grid" style={{ gridTemplateColumns: "1fr 1fr" }}>
+        <RevisionSelect label="Compare from" revisions={revisions} value={fromId} onChange={setFromId} />
+        <RevisionSelect label="to" revisions={revisions} value={toId} onChange={setToId} />
+      </div>
+
+      <div style={{ marginTop: 12, overflowX: "auto", border: "1px solid var(--ui-border)", borderRadius: 8 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Field</th>
+              <th style={cellStyle}>Before</th>
+              <th style={cellStyle}>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(diff?.changes || []).map((c) => (
+              <tr key={c.path}>
+                <td style={cellStyle} title={c.path}>
+                  {resolveLabel(c)} <span style={{ color: "var(--text-secondary)", fontSize: 12 }}>({c.kind})</span>
+                </td>
+                <td style={{ ...cellStyle, color: "var(--accent-pink)" }}>{c.removed ? formatList(c.removed) : formatValue(c.before)}</td>
+                <td style={{ ...cellStyle, color: "var(--accent-blue)" }}>{c.added ? formatList(c.added) : formatValue(c.after)}</td>
+              </tr>
+            ))}
+            {diff && (diff.changes || []).length === 0 ? (
+              <tr>
+                <td style={cellStyle} colSpan={3}>No field changes between these revisions.</td>
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function RevisionSelect({ label, revisions, value, onChange }) {
+  return (
+    <div className="form-control">
+      <label className="label">{label}</label>
+      <select className="select" value={value} onChange={(e) => onChange(e.target.value)}>
+        {revisions.map((r) => (
+          <option key={r.id} value={r.id}>
+            #{r.number} — {r.author}{r.note ? ` (${r.note})` : ""}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+const cellStyle = { textAlign: "left", padding: 8, borderBottom: "1px solid var(--ui-border)", verticalAlign: "top" };
+
+// Prefer the declared template label (sowTemplateSchemas.json) over one the backend derived from the key.
+function resolveLabel(change) {
+  if (change.labelFromSchema) return change.label;
+  return getTemplateFieldLabel(change.path) || change.label;
+}
+
+function formatList(items) {
+  return (items || []).length ? items.map((x) => formatValue(x)).join("; ") : "—";
+}
+
+function formatValue(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (Array.isArray(v)) return v.map((x) => formatValue(x)).join(", ");
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
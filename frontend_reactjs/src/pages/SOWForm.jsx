@@ -1,20 +1,58 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import tmParsed from "../templates/parsed/tm_template_parsed.json";
-import fpParsed from "../templates/parsed/fixed_price_template_parsed.json";
+import { getTemplateFieldRules, getTemplateFormSections } from "../templates";
+import { validateFieldValue } from "../services/fieldRules";
+import { columnExpression, computeFooter, computeTable, getFormulaErrors, isComputedColumn } from "../services/tableFormulas";
+import { CURRENCIES, formatMoney, getCommercials, isMoney, parseMoneyInput } from "../services/money";
+import { hasRateTargets } from "../services/rateEstimate";
+import { hasScheduleTargets } from "../services/paymentSchedule";
+import { hasTimelineTargets } from "../services/timeline";
+import { buildContractValue } from "../services/commercials";
+import ContractValuePanel from "../components/ContractValuePanel";
+import RateEstimatePanel from "../components/RateEstimatePanel";
+import PaymentSchedulePanel from "../components/PaymentSchedulePanel";
+import TimelinePanel from "../components/TimelinePanel";
+import SignatureField from "../components/SignatureField";
+import { signatureBlockKeys } from "../services/signatures";
+import AIFieldDraft from "../components/AIFieldDraft";
+import AITextImport from "../components/AITextImport";
+import FieldAIActions from "../components/FieldAIActions";
+import CommentThreads from "../components/CommentThreads";
+import { listComments } from "../services/sowApi";
+import { openCounts, sectionOpenCount } from "../services/comments";
 
 /**
  * PUBLIC_INTERFACE
  * SOWForm
  * Renders ONLY template-driven fields, dynamically grouped by sections, based on the selected template.
  * Supports single-line, multi-line, object groups, lists, tables, checkboxes, uploads, and signatures.
+ * Fields whose `dependsOn` condition does not hold are hidden (their values are kept, and left out of the export);
+ * required fields are marked, and email / date / currency values are checked as they are typed.
+ * Currency fields store { amount, currency } (services/money.js); the SOW's commercial settings
+ * (value.commercials) give their default currency and number format and feed the contract-value summary.
  *
  * Props:
  * - value: current SOW JSON { meta?, templateMeta?, templateData? }
  * - onChange: (next) => void
  * - selectedTemplate: "TM" | "FP"
  * - templateSchema: Optional external schema; if not provided, we use parsed JSONs for the chosen template
+ * - sowId: id of the saved SOW being edited (left out of "From past SOWs" suggestions)
+ * - locked: the SOW is approved or signed, so its values are read-only; only signatures can still be added
+ * - focusField: key of a field to scroll to and focus (e.g. a Review screen finding); onFocusHandled() is called once done
+ * - author / onAuthorChange: name review comments are posted under. Once saved, each section can open comment threads
+ *   on its fields; unresolved ones are counted on the section and the field labels.
  */
-export default function SOWForm({ value, onChange, selectedTemplate, templateSchema }) {
+export default function SOWForm({
+  value,
+  onChange,
+  selectedTemplate,
+  templateSchema,
+  sowId,
+  locked = false,
+  focusField,
+  onFocusHandled,
+  author,
+  onAuthorChange,
+}) {
   const [data, setData] = useState(
     value || {
       meta: {
@@ -40,14 +78,40 @@ export default function SOWForm({ value, onChange, selectedTemplate, templateSch
   }, [value]);
 
   // Resolve sections/fields from parsed templates if templateSchema is not provided
-  const activeParsed = useMemo(() => {
-    if (templateSchema?.sections) return templateSchema; // already in grouped form
-    if (selectedTemplate === "TM") return tmParsed?.parsed || null;
-    if (selectedTemplate === "FP") return fpParsed?.parsed || null;
-    return null;
-  }, [templateSchema, selectedTemplate]);
+  const sections = useMemo(() => getTemplateFormSections(templateSchema, selectedTemplate), [templateSchema, selectedTemplate]);
+  const rules = useMemo(() => getTemplateFieldRules(templateSchema, selectedTemplate), [templateSchema, selectedTemplate]);
+  const money = useMemo(() => getCommercials(data), [data]);
+  const signatureKeys = useMemo(() => signatureBlockKeys(sections), [sections]);
 
-  const sections = activeParsed?.sections || [];
+  // Review comment threads of the saved SOW
+  const [threads, setThreads] = useState([]);
+  const [commentSection, setCommentSection] = useState(-1);
+  const loadThreads = async () => {
+    if (!sowId) return;
+    const res = await listComments(sowId);
+    if (res.ok) setThreads(res.threads || []);
+  };
+  useEffect(() => {
+    setThreads([]);
+    setCommentSection(-1);
+    loadThreads();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sowId]);
+  const commentCounts = useMemo(() => openCounts(threads), [threads]);
+
+  // Bring the requested field into view once its section is rendered
+  useEffect(() => {
+    if (!focusField || !sections.length) return;
+    const target = document
+      .getElementById(fieldAnchorId(focusField))
+      ?.querySelector("input:not([type=file]), textarea, select, button");
+    if (target) {
+      target.scrollIntoView({ behavior: "smooth", block: "center" });
+      target.focus({ preventScroll: true });
+    }
+    onFocusHandled?.();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focusField, sections]);
 
   const setTemplateField = (path, v) => {
     setData((prev) => {
@@ -58,6 +122,10 @@ export default function SOWForm({ value, onChange, selectedTemplate, templateSch
     });
   };
 
+  // Merge values accepted in the AI draft / import panels.
+  const mergeTemplateValues = (values) =>
+    setData((prev) => ({ ...prev, templateData: { ...(prev.templateData || {}), ...values } }));
+
   const logoInputRef = useRef(null);
   const onLogoPick = (e) => {
     const file = e.target.files?.[0];
@@ -78,16 +146,30 @@ export default function SOWForm({ value, onChange, selectedTemplate, templateSch
     return <img alt="Company logo" src={url} style={{ maxHeight: 56, maxWidth: 180, borderRadius: 8, border: "1px solid var(--ui-border)" }} />;
   }, [data?.meta?.logoUrl]);
 
+  const isShown = (f) => rules.isVisible(f, data?.templateData);
+  const visibleFields = sections.flatMap((s) => s.fields || []).filter(isShown);
+  // The T&M estimate, the FP payment schedule and the timeline sit in the first section with a field they fill in
+  const sectionFor = (applies) => (applies(visibleFields) ? sections.findIndex((s) => applies((s.fields || []).filter(isShown))) : -1);
+  const estimateSection = sectionFor(hasRateTargets);
+  const scheduleSection = sectionFor(hasScheduleTargets);
+  const timelineSection = sectionFor(hasTimelineTargets);
+  const contractTotal = buildContractValue(sections, rules.prune(data?.templateData), money).total;
+
   return (
     <div className="panel">
       <div className="panel-title">SOW Form</div>
+      {locked ? (
+        <div style={{ color: "var(--accent-pink)", marginBottom: 8 }}>
+          This SOW is approved, so its fields are locked; signatures can still be added. Reopen it on the Review screen to make changes.
+        </div>
+      ) : null}
 
       {/* Logo only (non-template meta retained) */}
       <div className="form-grid">
         <div className="form-control" style={{ gridColumn: "1 / -1" }}>
           <label className="label">Logo Upload</label>
           <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-            <button className="btn" type="button" onClick={() => logoInputRef.current?.click()}>Choose Logo</button>
+            <button className="btn" type="button" onClick={() => logoInputRef.current?.click()} disabled={locked}>Choose Logo</button>
             <input ref={logoInputRef} type="file" accept="image/*" onChange={onLogoPick} style={{ display: "none" }} />
             <div style={{ color: "var(--text-secondary)" }}>{data?.meta?.logoName || "No file selected"}</div>
             {logoPreview}
@@ -102,20 +184,105 @@ export default function SOWForm({ value, onChange, selectedTemplate, templateSch
             Please select a template to display its fields.
           </div>
         </div>
-      ) : (
-        sections.map((sec, idx) => (
-          <Section key={idx} title={sec.section}>
-            {(sec.fields || []).map((f) => (
-              <DynamicTemplateField
-                key={f.key}
-                field={f}
-                value={resolveValue(data?.templateData, f)}
-                onChange={(v) => writeValue(f, v)}
-              />
+      ) : locked ? null : (
+        <>
+          <AIFieldDraft sections={sections} templateData={data?.templateData} onApply={mergeTemplateValues} />
+          <AITextImport sections={sections} templateData={data?.templateData} onApply={mergeTemplateValues} />
+        </>
+      )}
+
+      {sections.map((sec, idx) => {
+        const visible = (sec.fields || []).filter(isShown);
+        if (!visible.length) return null;
+        const openComments = sectionOpenCount(visible, commentCounts);
+        return (
+          <Section
+            key={idx}
+            title={sec.section}
+            aside={
+              sowId ? (
+                <button
+                  className="btn"
+                  type="button"
+                  onClick={() => setCommentSection(commentSection === idx ? -1 : idx)}
+                  aria-expanded={commentSection === idx}
+                  style={{ padding: "2px 8px", fontSize: 12, ...(openComments ? { borderColor: "var(--accent-pink)" } : null) }}
+                >
+                  💬 {openComments ? `${openComments} open` : "Comment"}
+                </button>
+              ) : null
+            }
+          >
+            {commentSection === idx ? (
+              <div style={{ gridColumn: "1 / -1" }}>
+                <CommentThreads
+                  sowId={sowId}
+                  threads={threads}
+                  anchors={visible.map((f) => ({ anchor: { kind: "field", fieldKey: f.key }, label: f.label || f.key }))}
+                  fields={visible}
+                  author={author}
+                  onAuthorChange={onAuthorChange}
+                  onChanged={loadThreads}
+                />
+              </div>
+            ) : null}
+            {visible.map((f) => (
+              // display: contents keeps the field a direct grid item; the wrapper anchors "Go to field" links and
+              // disables the field while the SOW is locked (signatures stay open)
+              <fieldset key={f.key} id={fieldAnchorId(f.key)} disabled={locked && f.type !== "signature"} style={{ display: "contents" }}>
+                <DynamicTemplateField
+                  field={f}
+                  value={resolveValue(data?.templateData, f)}
+                  onChange={(v) => writeValue(f, v)}
+                  required={rules.isRequired(f, data?.templateData)}
+                  aiContext={{ section: sec.section, values: data?.templateData, sowId }}
+                  money={money}
+                  signing={{ sowId, data, blockKeys: signatureKeys, onSealed: setData }}
+                  comments={commentCounts.fields[f.key] || 0}
+                />
+              </fieldset>
             ))}
+            {idx === estimateSection ? (
+              <fieldset disabled={locked} style={{ display: "contents" }}>
+                <RateEstimatePanel
+                  fields={visibleFields}
+                  templateData={data?.templateData}
+                  money={money}
+                  onApply={mergeTemplateValues}
+                />
+              </fieldset>
+            ) : null}
+            {idx === timelineSection ? (
+              <TimelinePanel
+                fields={visibleFields}
+                templateData={data?.templateData}
+                title={data?.templateData?.project_name}
+                onApply={mergeTemplateValues}
+                locked={locked}
+              />
+            ) : null}
+            {idx === scheduleSection ? (
+              <PaymentSchedulePanel
+                fields={visibleFields}
+                templateData={data?.templateData}
+                money={money}
+                total={contractTotal}
+                onApply={mergeTemplateValues}
+                locked={locked}
+              />
+            ) : null}
           </Section>
-        ))
-      )}
+        );
+      })}
+
+      {sections.length ? (
+        <ContractValuePanel
+          sections={sections}
+          templateData={rules.prune(data?.templateData)}
+          commercials={data?.commercials}
+          onChange={locked ? undefined : (commercials) => setData((prev) => ({ ...prev, commercials }))}
+        />
+      ) : null}
     </div>
   );
 
@@ -129,10 +296,17 @@ export default function SOWForm({ value, onChange, selectedTemplate, templateSch
   }
 }
 
-function Section({ title, children }) {
+function fieldAnchorId(key) {
+  return `sow-field-${key}`;
+}
+
+function Section({ title, aside, children }) {
   return (
     <div className="panel" style={{ marginTop: 12 }}>
-      <div className="panel-title">{title}</div>
+      <div className="panel-title" style={aside ? { display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 } : undefined}>
+        {title}
+        {aside}
+      </div>
       <div className="form-grid" style={{ gridTemplateColumns: "1fr 1fr" }}>
         {children}
       </div>
@@ -140,40 +314,90 @@ function Section({ title, children }) {
   );
 }
 
-function Input({ label, value, onChange, type = "text", placeholder }) {
+function Input({ label, value, onChange, type = "text", placeholder, error }) {
   return (
     <div className="form-control">
       <label className="label">{label}</label>
-      <input className="input" type={type} value={value || ""} placeholder={placeholder} onChange={(e)=>onChange?.(e.target.value)} />
+      <input className="input" type={type} value={value || ""} placeholder={placeholder} onChange={(e)=>onChange?.(e.target.value)} aria-invalid={error ? true : undefined} style={error ? invalidStyle : undefined} />
+      <FieldError error={error} />
     </div>
   );
 }
 
-function Field({ label, value, onChange, rows = 5 }) {
+function Field({ label, value, onChange, rows = 5, footer }) {
   return (
     <div className="form-control" style={{ gridColumn: "1 / -1" }}>
       <label className="label">{label}</label>
       <textarea className="textarea" rows={rows} value={value || ""} onChange={(e)=>onChange?.(e.target.value)} placeholder="" />
+      {footer}
     </div>
   );
 }
 
+const invalidStyle = { borderColor: "var(--accent-pink)" };
+
+function FieldError({ error }) {
+  if (!error) return null;
+  return <div role="alert" style={{ color: "var(--accent-pink)", fontSize: 12, marginTop: 4 }}>{error}</div>;
+}
+
+// Field label with a required marker and the number of unresolved comment threads on the field.
+function FieldLabel({ text, required, comments }) {
+  if (!required && !comments) return text;
+  return (
+    <>
+      {text}
+      {required ? <span title="Required" style={{ color: "var(--accent-pink)", marginLeft: 4 }}>*</span> : null}
+      {comments ? (
+        <span
+          title={`${comments} open comment thread${comments === 1 ? "" : "s"}`}
+          style={{ marginLeft: 6, fontSize: 11, padding: "0 6px", borderRadius: 999, border: "1px solid var(--accent-pink)", color: "var(--accent-pink)" }}
+        >
+          💬 {comments}
+        </span>
+      ) : null}
+    </>
+  );
+}
+
 /**
  * Dynamic field renderer strictly based on template fields.
- * Recognizes "signature" type from parsed JSONs and renders an image uploader.
+ * Recognizes "signature" type from parsed JSONs and renders a signature pad; with `signing` (see SignatureField)
+ * signing the saved SOW also seals it.
+ * Top-level textarea and list fields get AI actions when `aiContext` ({ section, values, sowId }) is given.
+ * `required` marks the label; object properties are marked by their own `required: true`.
+ * `money` is the SOW's commercial settings (default currency, number format) for currency fields.
+ * `comments` is the number of unresolved comment threads on the field, shown next to its label.
  */
-function DynamicTemplateField({ field, value, onChange }) {
-  const common = { label: field.label || field.key };
+function DynamicTemplateField({ field, value, onChange, aiContext, required, money, signing, comments }) {
+  const common = { label: <FieldLabel text={field.label || field.key} required={required} comments={comments} /> };
+  const aiActions = aiContext ? (
+    <FieldAIActions
+      field={field}
+      section={aiContext.section}
+      value={value}
+      context={aiContext.values}
+      sowId={aiContext.sowId}
+      onAccept={onChange}
+    />
+  ) : null;
 
   switch (field.type) {
     case "text":
     case "email":
+      return <Input {...common} value={value || ""} onChange={onChange} error={validateFieldValue(field, value)} />;
     case "currency":
-      return <Input {...common} value={value || ""} onChange={onChange} />;
+      return (
+        <div className="form-control">
+          <label className="label">{common.label}</label>
+          <MoneyInput value={value} onChange={onChange} settings={money} withCurrency />
+          <FieldError error={validateFieldValue(field, value)} />
+        </div>
+      );
     case "date":
-      return <Input {...common} type="date" value={value || ""} onChange={onChange} />;
+      return <Input {...common} type="date" value={value || ""} onChange={onChange} error={validateFieldValue(field, value)} />;
     case "textarea":
-      return <Field {...common} value={value || ""} onChange={onChange} rows={Math.max(5, (field.minRows || 0))} />;
+      return <Field {...common} value={value || ""} onChange={onChange} rows={Math.max(5, (field.minRows || 0))} footer={aiActions} />;
     case "select":
       return (
         <div className="form-control">
@@ -188,7 +412,7 @@ function DynamicTemplateField({ field, value, onChange }) {
       );
     case "list":
       return (
-        <ListEditor label={common.label} items={value || []} onChange={onChange} itemLabel={field.itemLabel} />
+        <ListEditor label={common.label} items={value || []} onChange={onChange} itemLabel={field.itemLabel} footer={aiActions} />
       );
     case "checkbox":
       return (
@@ -215,13 +439,15 @@ function DynamicTemplateField({ field, value, onChange }) {
                 field={p}
                 value={(value || {})[p.key]}
                 onChange={(v) => onChange({ ...(value || {}), [p.key]: v })}
+                required={p.required === true}
+                money={money}
               />
             ))}
           </div>
         </div>
       );
     case "table":
-      return <DynamicTableField field={field} rows={value || []} onChange={onChange} />;
+      return <DynamicTableField field={field} label={common.label} rows={value || []} onChange={onChange} money={money} />;
     case "upload-list":
       return (
         <div className="form-control" style={{ gridColumn: "1 / -1" }}>
@@ -236,14 +462,14 @@ function DynamicTemplateField({ field, value, onChange }) {
       );
     case "signature":
       return (
-        <SignatureUploadLabeled label={common.label} value={value} onChange={onChange} />
+        <SignatureField label={common.label} fieldKey={field.key} value={value} onChange={onChange} signing={signing} />
       );
     default:
       return <Input {...common} value={value || ""} onChange={onChange} />;
   }
 }
 
-function ListEditor({ label, items, onChange, itemLabel }) {
+function ListEditor({ label, items, onChange, itemLabel, footer }) {
   return (
     <div className="form-control" style={{ gridColumn: "1 / -1" }}>
       <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
@@ -271,57 +497,165 @@ function ListEditor({ label, items, onChange, itemLabel }) {
           <div style={{ color: "var(--text-secondary)", fontSize: 13 }}>No items yet. Click Add to insert.</div>
         ) : null}
       </div>
+      {footer}
     </div>
   );
 }
 
-function DynamicTableField({ field, rows, onChange }) {
+function formatComputed(col, v, money) {
+  if (v === "" || v === undefined || v === null) return "";
+  if (col.type === "currency") return formatMoney(v, money);
+  return typeof v === "number" ? v.toLocaleString(money?.locale || "en-US", { maximumFractionDigits: 6 }) : String(v);
+}
+
+/**
+ * Amount input of currency fields and table cells. Shows the formatted amount, and the raw text while focused;
+ * what is typed is stored as { amount, currency } once it parses ("1.234,50", "$12k", "EUR 900"), otherwise as text
+ * so the field shows its error. `withCurrency` adds a currency picker.
+ */
+function MoneyInput({ value, onChange, settings, withCurrency, error }) {
+  const [draft, setDraft] = useState(null);
+  const currency = isMoney(value) ? value.currency : parseMoneyInput(value, settings)?.currency || settings?.currency;
+  const shown = draft !== null ? draft : isMoney(value) ? formatMoney(value, settings) : String(value ?? "");
+  const onText = (text) => {
+    setDraft(text);
+    onChange(text.trim() ? parseMoneyInput(text, { ...settings, currency }) || text : "");
+  };
+  const onCurrency = (next) => {
+    const parsed = isMoney(value) ? value : parseMoneyInput(value, settings);
+    onChange(parsed ? { ...parsed, currency: next } : value);
+  };
+  const input = (
+    <input
+      className="input"
+      value={shown}
+      placeholder={formatMoney({ amount: 0, currency: currency || "USD" }, settings)}
+      onFocus={() => setDraft(isMoney(value) ? String(value.amount) : String(value ?? ""))}
+      onBlur={() => setDraft(null)}
+      onChange={(e) => onText(e.target.value)}
+      aria-invalid={error ? true : undefined}
+      title={error || undefined}
+      style={{ ...(withCurrency ? { flex: 1 } : null), ...(error ? invalidStyle : null) }}
+    />
+  );
+  if (!withCurrency) return input;
+  return (
+    <div style={{ display: "flex", gap: 6 }}>
+      {input}
+      <select className="select" value={currency} onChange={(e) => onCurrency(e.target.value)} style={{ width: 90 }} aria-label="Currency">
+        {(CURRENCIES.includes(currency) ? CURRENCIES : [currency, ...CURRENCIES]).map((c) => (
+          <option key={c} value={c}>{c}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// Computed columns (see services/tableFormulas.js) are read-only and recalculated on every edit; rows that came
+// from elsewhere (AI draft, import) are shown recalculated and stored that way on the next edit.
+function DynamicTableField({ field, label, rows, onChange, money }) {
   const cols = field.columns || [];
+  const shown = computeTable(field, rows || []);
+  const footer = computeFooter(field, shown);
+  const formulaErrors = getFormulaErrors(field);
+  const commit = (next) => onChange(computeTable(field, next));
   const addRow = () => {
     const empty = {};
     cols.forEach((c) => (empty[c.key] = ""));
-    onChange([...(rows || []), empty]);
+    commit([...shown, empty]);
   };
   const setCell = (rIdx, key, val) => {
-    const next = (rows || []).map((r, i) => (i === rIdx ? { ...r, [key]: val } : r));
-    onChange(next);
+    commit(shown.map((r, i) => (i === rIdx ? { ...r, [key]: val } : r)));
   };
   const delRow = (rIdx) => {
-    onChange((rows || []).filter((_, i) => i !== rIdx));
+    commit(shown.filter((_, i) => i !== rIdx));
   };
+  const cellErrors = shown.flatMap((row, i) =>
+    cols
+      .filter((c) => !isComputedColumn(field, c))
+      .map((c) => ({ row: i, label: c.label || c.key, error: validateFieldValue(c, row[c.key]) }))
+      .filter((x) => x.error)
+  );
+  const footerLabelKey = footer ? cols.find((c) => !(c.key in footer.values))?.key : null;
   return (
     <div className="form-control" style={{ gridColumn: "1 / -1" }}>
-      <label className="label">{field.label || field.key}</label>
+      <label className="label">{label || field.label || field.key}</label>
       <div style={{ overflowX: "auto", border: "1px solid var(--ui-border)", borderRadius: 8 }}>
         <table style={{ width: "100%", borderCollapse: "collapse", minWidth: 500 }}>
           <thead>
             <tr>
               {cols.map((c) => (
-                <th key={c.key} style={{ textAlign: "left", padding: 8, borderBottom: "1px solid var(--ui-border)" }}>{c.label}</th>
+                <th
+                  key={c.key}
+                  style={{ textAlign: "left", padding: 8, borderBottom: "1px solid var(--ui-border)" }}
+                  title={isComputedColumn(field, c) ? `= ${columnExpression(field, c)}` : undefined}
+                >
+                  {c.label}
+                  {isComputedColumn(field, c) ? <span style={{ color: "var(--text-secondary)", fontWeight: 400 }}> (calculated)</span> : null}
+                </th>
               ))}
               <th style={{ width: 80 }} />
             </tr>
           </thead>
           <tbody>
-            {(rows || []).map((row, i) => (
+            {shown.map((row, i) => (
               <tr key={i}>
-                {cols.map((c) => (
-                  <td key={c.key} style={{ padding: 6, borderBottom: "1px solid var(--ui-border)" }}>
-                    {c.type === "date" ? (
-                      <input className="input" type="date" value={row[c.key] || ""} onChange={(e) => setCell(i, c.key, e.target.value)} />
-                    ) : (
-                      <input className="input" value={row[c.key] || ""} onChange={(e) => setCell(i, c.key, e.target.value)} />
-                    )}
-                  </td>
-                ))}
+                {cols.map((c) => {
+                  if (isComputedColumn(field, c)) {
+                    return (
+                      <td key={c.key} style={{ padding: 6, borderBottom: "1px solid var(--ui-border)" }}>
+                        <input className="input" value={formatComputed(c, row[c.key], money)} readOnly tabIndex={-1} style={{ background: "rgba(255,255,255,0.03)" }} />
+                      </td>
+                    );
+                  }
+                  const error = validateFieldValue(c, row[c.key]);
+                  if (c.type === "currency") {
+                    return (
+                      <td key={c.key} style={{ padding: 6, borderBottom: "1px solid var(--ui-border)" }}>
+                        <MoneyInput value={row[c.key]} onChange={(v) => setCell(i, c.key, v)} settings={money} error={error} />
+                      </td>
+                    );
+                  }
+                  const cellProps = {
+                    className: "input",
+                    value: row[c.key] ?? "",
+                    onChange: (e) => setCell(i, c.key, e.target.value),
+                    title: error || undefined,
+                    "aria-invalid": error ? true : undefined,
+                    style: error ? invalidStyle : undefined,
+                  };
+                  return (
+                    <td key={c.key} style={{ padding: 6, borderBottom: "1px solid var(--ui-border)" }}>
+                      {c.type === "date" ? <input type="date" {...cellProps} /> : <input {...cellProps} />}
+                    </td>
+                  );
+                })}
                 <td style={{ textAlign: "right" }}>
                   <button className="btn" type="button" onClick={() => delRow(i)}>Remove</button>
                 </td>
               </tr>
             ))}
           </tbody>
+          {footer && shown.length ? (
+            <tfoot>
+              <tr>
+                {cols.map((c) => (
+                  <td key={c.key} style={{ padding: 8, fontWeight: 600 }}>
+                    {c.key === footerLabelKey ? footer.label : formatComputed(c, footer.values[c.key], money)}
+                  </td>
+                ))}
+                <td />
+              </tr>
+            </tfoot>
+          ) : null}
         </table>
       </div>
+      {cellErrors.map((x) => (
+        <FieldError key={`${x.row}-${x.label}`} error={`Row ${x.row + 1}, ${x.label}: ${x.error}`} />
+      ))}
+      {formulaErrors.map((e) => (
+        <FieldError key={e} error={`Formula — ${e}`} />
+      ))}
       <div style={{ marginTop: 8 }}>
         <button className="btn" type="button" onClick={addRow}>Add Row</button>
       </div>
@@ -343,44 +677,6 @@ function handleFilesToDataURLs(e, cb) {
   });
 }
 
-/**
- * PUBLIC_INTERFACE
- * SignatureUploadLabeled
- * Image uploader specialized for signatures used in authorization sections.
- */
-function SignatureUploadLabeled({ label, value, onChange }) {
-  const [name, setName] = useState("");
-  const inputRef = useRef(null);
-  return (
-    <div className="form-control" style={{ gridColumn: "1 / -1" }}>
-      <label className="label">{label}</label>
-      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-        <button className="btn" type="button" onClick={() => inputRef.current?.click()}>Choose Signature</button>
-        <input
-          ref={inputRef}
-          type="file"
-          accept="image/*"
-          style={{ display: "none" }}
-          onChange={(e) => {
-            const file = e.target.files?.[0];
-            if (!file) return;
-            const reader = new FileReader();
-            reader.onload = () => {
-              onChange?.(reader.result);
-              setName(file.name);
-            };
-            reader.readAsDataURL(file);
-          }}
-        />
-        <div style={{ color: "var(--text-secondary)" }}>{name || "No file selected"}</div>
-        {value ? (
-          <img alt="Signature preview" src={value} style={{ maxHeight: 64, background: "#fff", borderRadius: 6, border: "1px solid var(--ui-border)" }} />
-        ) : null}
-      </div>
-    </div>
-  );
-}
-
 function setPath(obj, path, value) {
   let o = obj;
   for (let i = 0; i < path.length - 1; i++) {
@@ -0,0 +1,115 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { listSOWs, getSOW, deleteSOW } from "../services/sowApi";
+import { isLockedStatus, statusLabel } from "../services/workflow";
+
+/**
+ * PUBLIC_INTERFACE
+ * SavedSOWs
+ * Lists SOW drafts stored on backend_express and lets the user open or delete them.
+ *
+ * Props:
+ * - currentId: id of the SOW currently loaded in the builder (highlighted)
+ * - onOpen: (sowDocument) => void  — full document from GET /api/sows/:id
+ * - onDeleted: (id) => void
+ */
+export default function SavedSOWs({ currentId, onOpen, onDeleted }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    const res = await listSOWs();
+    setLoading(false);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    setError("");
+    setItems(res.sows || []);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  async function open(id) {
+    const res = await getSOW(id);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    onOpen?.(res.sow);
+  }
+
+  async function remove(id, title) {
+    // eslint-disable-next-line no-alert
+    if (!window.confirm(`Delete "${title}"? This cannot be undone.`)) return;
+    const res = await deleteSOW(id);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    setItems((prev) => prev.filter((s) => s.id !== id));
+    onDeleted?.(id);
+  }
+
+  return (
+    <div className="panel">
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div className="panel-title">Saved SOWs</div>
+        <button className="btn" type="button" onClick={refresh} disabled={loading}>
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+      </div>
+
+      {error ? <div style={{ color: "var(--accent-pink)", marginBottom: 8 }}>{error}</div> : null}
+
+      {!loading && !error && items.length === 0 ? (
+        <div style={{ color: "var(--text-secondary)" }}>No saved SOWs yet. Use Save Progress to store the current draft.</div>
+      ) : null}
+
+      <div style={{ display: "grid", gap: 8 }}>
+        {items.map((s) => {
+          const active = s.id === currentId;
+          return (
+            <div
+              key={s.id}
+              className="panel"
+              style={{
+                display: "flex",
+                gap: 8,
+                alignItems: "center",
+                borderColor: active ? "var(--accent-purple)" : "var(--ui-border)",
+              }}
+            >
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: 700, color: "var(--text-primary)" }}>{s.title}</div>
+                <div style={{ color: "var(--text-secondary)", fontSize: 13 }}>
+                  {s.templateId || "No template"} · {statusLabel(s.status)} · Updated {formatTimestamp(s.updatedAt)}
+                </div>
+              </div>
+              <button className="btn btn-primary" type="button" onClick={() => open(s.id)}>
+                {active ? "Reload" : "Open"}
+              </button>
+              <button
+                className="btn"
+                type="button"
+                onClick={() => remove(s.id, s.title)}
+                disabled={isLockedStatus(s.status)}
+                title={isLockedStatus(s.status) ? "Approved and signed SOWs cannot be deleted" : undefined}
+              >
+                Delete
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function formatTimestamp(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleString();
+}
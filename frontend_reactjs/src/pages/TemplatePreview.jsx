@@ -1,75 +1,75 @@
 import React, { useEffect, useMemo, useState } from "react";
-import { buildDynamicTemplateSchemaFromTranscript, makeTranscriptPreviewHtml } from "../services/docxTemplateService";
+import { makeTranscriptPreviewHtml } from "../services/docxTemplateService";
+import { loadTemplateContent } from "../services/templateApi";
 
 /**
  * PUBLIC_INTERFACE
  * TemplatePreview
- * Loads and previews SOW DOCX transcript templates (FP and T&M), allows selection.
- * Shows original template text (from .docx transcript) only—no HTML templates—plus top-left logo overlay handled later.
+ * Loads and previews the active templates of the template registry, allows selection.
+ * Shows original template text (read from the .docx, or its legacy .txt transcript) only—no HTML templates.
  * Parsing is used only to detect dynamic fields for the SOW form.
+ *
+ * Props:
+ * - templates: registry summaries [{ id, title, version }] (active ones)
+ * - selected: currently selected template id
+ * - onSelect: (id, runtimeSchema, transcriptText) => void
  */
-export default function TemplatePreview({ selected, onSelect }) {
-  const [fpText, setFpText] = useState("");
-  const [tmText, setTmText] = useState("");
-  const [tab, setTab] = useState(selected === "FP" ? "FP" : selected === "TM" ? "TM" : "FP");
-  const [schemas, setSchemas] = useState({ FP: null, TM: null });
+export default function TemplatePreview({ templates = [], selected, onSelect }) {
+  const [tab, setTab] = useState(selected || "");
+  const [content, setContent] = useState({}); // id -> { transcript, schema } | { error }
 
+  // Keep the tab on an existing template when the registry list changes.
   useEffect(() => {
-    // Load the latest provided attachments from public path.
-    // These files were copied to public/attachments by the setup process.
-    Promise.all([
-      fetch("/attachments/20250930_035346_Fixed%20price_Supplier_SoW_Template(docx).txt").then((r) => (r.ok ? r.text() : "")),
-      fetch("/attachments/20250930_035345_T&M_Supplier_SoW_Template(docx).txt").then((r) => (r.ok ? r.text() : "")),
-    ])
-      .then(([fp, tm]) => {
-        setFpText(fp || "Unable to load Fixed Price template preview.");
-        setTmText(tm || "Unable to load T&M template preview.");
-        // Pre-build runtime schemas for both
-        const fpSchema = buildDynamicTemplateSchemaFromTranscript(fp, "FP", "Fixed Price");
-        const tmSchema = buildDynamicTemplateSchemaFromTranscript(tm, "TM", "Time & Materials");
-        setSchemas({ FP: fpSchema, TM: tmSchema });
-      })
-      .catch(() => {
-        setFpText("Unable to load Fixed Price template preview.");
-        setTmText("Unable to load T&M template preview.");
-      });
-  }, []);
+    if (!templates.some((t) => t.id === tab)) setTab(templates.some((t) => t.id === selected) ? selected : templates[0]?.id || "");
+  }, [templates, selected, tab]);
 
-  const isFP = tab === "FP";
-  const docText = isFP ? fpText : tmText;
+  const version = templates.find((t) => t.id === tab)?.version;
+  useEffect(() => {
+    if (!tab) return;
+    let cancelled = false;
+    loadTemplateContent(tab).then((res) => {
+      if (cancelled) return;
+      setContent((prev) => ({ ...prev, [tab]: res.ok ? { transcript: res.transcript, schema: res.schema } : { error: res.error } }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [tab, version]);
+
+  const current = content[tab];
+  const docText = current?.transcript || current?.error || (tab ? "Loading template…" : "");
   const previewHtml = useMemo(() => makeTranscriptPreviewHtml(docText), [docText]);
+  const title = templates.find((t) => t.id === tab)?.title || tab;
 
   return (
     <div className="panel">
       <div className="panel-title">Preview Templates</div>
 
       <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
-        <button
-          type="button"
-          className="btn"
-          aria-pressed={isFP}
-          onClick={() => setTab("FP")}
-          style={isFP ? { boxShadow: "var(--glow-purple)", borderColor: "var(--accent-purple)" } : undefined}
-        >
-          Fixed Price (FP)
-        </button>
-        <button
-          type="button"
-          className="btn"
-          aria-pressed={!isFP}
-          onClick={() => setTab("TM")}
-          style={!isFP ? { boxShadow: "var(--glow-purple)", borderColor: "var(--accent-purple)" } : undefined}
-        >
-          Time & Material (T&M)
-        </button>
+        {templates.map((t) => {
+          const active = t.id === tab;
+          return (
+            <button
+              key={t.id}
+              type="button"
+              className="btn"
+              aria-pressed={active}
+              onClick={() => setTab(t.id)}
+              style={active ? { boxShadow: "var(--glow-purple)", borderColor: "var(--accent-purple)" } : undefined}
+            >
+              {t.title}
+            </button>
+          );
+        })}
         <div style={{ flex: 1 }} />
         <button
           type="button"
           className="btn btn-primary"
-          onClick={() => onSelect?.(isFP ? "FP" : "TM", isFP ? schemas.FP : schemas.TM, isFP ? fpText : tmText)}
-          aria-label={`Select ${isFP ? "FP" : "TM"} template`}
+          onClick={() => onSelect?.(tab, current?.schema || null, current?.transcript || "")}
+          disabled={!current?.transcript}
+          aria-label={`Select ${title} template`}
         >
-          Select {isFP ? "FP" : "TM"}
+          Select {title}
         </button>
       </div>
 
@@ -95,7 +95,9 @@ export default function TemplatePreview({ selected, onSelect }) {
       </div>
 
       <div style={{ marginTop: 8, color: "var(--text-secondary)", fontSize: 13 }}>
-        The preview shows the original DOCX content (as provided). Only detected placeholder fields will be editable in the form.
+        {templates.length
+          ? "The preview shows the original DOCX content (as provided). Only detected placeholder fields will be editable in the form."
+          : "No active templates in the registry. Upload or re-activate one under Template Registry."}
       </div>
     </div>
   );
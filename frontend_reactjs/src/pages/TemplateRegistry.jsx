@@ -0,0 +1,194 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  listTemplates,
+  uploadTemplate,
+  uploadTemplateVersion,
+  updateTemplate,
+  deleteTemplate,
+  listTemplateVersions,
+  templateVersionFileUrl,
+} from "../services/templateApi";
+
+/**
+ * PUBLIC_INTERFACE
+ * TemplateRegistry
+ * Browse the backend template registry: upload new Word templates, upload new versions,
+ * retire/re-activate templates and download earlier versions.
+ *
+ * Props:
+ * - author: name recorded on uploaded versions
+ * - onChanged: () => void  — called after any change so template pickers can refresh
+ */
+export default function TemplateRegistry({ author, onChanged }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [expanded, setExpanded] = useState(null); // template id whose versions are shown
+  const [versions, setVersions] = useState([]);
+  const newFileRef = useRef(null);
+  const versionFileRef = useRef(null);
+  const versionTarget = useRef(null);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    const res = await listTemplates();
+    setLoading(false);
+    if (!res.ok) {
+      setError(res.error);
+      return;
+    }
+    setError("");
+    setItems(res.templates || []);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!expanded) return;
+    listTemplateVersions(expanded).then((res) => {
+      if (!res.ok) setError(res.error);
+      else setVersions(res.versions || []);
+    });
+  }, [expanded, items]);
+
+  async function afterChange(res) {
+    setBusy(false);
+    if (!res.ok) {
+      setError(res.error);
+      return false;
+    }
+    setError("");
+    await refresh();
+    onChanged?.();
+    return true;
+  }
+
+  async function onNewFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    const ok = await afterChange(await uploadTemplate(file, { title, description, author }));
+    if (ok) {
+      setTitle("");
+      setDescription("");
+    }
+  }
+
+  async function onVersionFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    const target = versionTarget.current;
+    if (!file || !target) return;
+    // eslint-disable-next-line no-alert
+    const note = window.prompt(`What changed in this version of "${target.title}"? (optional)`, "");
+    if (note === null) return;
+    setBusy(true);
+    await afterChange(await uploadTemplateVersion(target.id, file, { title: target.title, author, note }));
+  }
+
+  async function toggleStatus(t) {
+    setBusy(true);
+    await afterChange(await updateTemplate(t.id, { status: t.status === "active" ? "retired" : "active" }));
+  }
+
+  async function remove(t) {
+    // eslint-disable-next-line no-alert
+    if (!window.confirm(`Delete template "${t.title}" and all its versions? Saved SOWs keep their copy of the schema.`)) return;
+    setBusy(true);
+    await afterChange(await deleteTemplate(t.id));
+  }
+
+  return (
+    <div className="panel">
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div className="panel-title">Template Registry</div>
+        <button className="btn" type="button" onClick={refresh} disabled={loading}>
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+      </div>
+
+      {error ? <div style={{ color: "var(--accent-pink)", marginBottom: 8 }}>{error}</div> : null}
+
+      <div className="form-grid" style={{ gridTemplateColumns: "1fr 2fr auto", alignItems: "end", marginBottom: 12 }}>
+        <div className="form-control">
+          <label className="label">Title</label>
+          <input className="input" value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Defaults to the file name" />
+        </div>
+        <div className="form-control">
+          <label className="label">Description</label>
+          <input className="input" value={description} onChange={(e) => setDescription(e.target.value)} />
+        </div>
+        <button className="btn btn-primary" type="button" onClick={() => newFileRef.current?.click()} disabled={busy}>
+          Upload .docx template
+        </button>
+      </div>
+      <input ref={newFileRef} type="file" accept=".docx" onChange={onNewFile} style={{ display: "none" }} />
+      <input ref={versionFileRef} type="file" accept=".docx" onChange={onVersionFile} style={{ display: "none" }} />
+
+      <div style={{ display: "grid", gap: 8 }}>
+        {items.map((t) => (
+          <div key={t.id} className="panel" style={{ opacity: t.status === "retired" ? 0.6 : 1 }}>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: 700 }}>
+                  {t.title} <span style={{ color: "var(--text-secondary)", fontWeight: 400 }}>v{t.version} · {t.status}{t.builtin ? " · built-in" : ""}</span>
+                </div>
+                <div style={{ color: "var(--text-secondary)", fontSize: 13 }}>
+                  {t.description || t.fileName || "—"} · updated {new Date(t.updatedAt).toLocaleString()}
+                </div>
+              </div>
+              <button
+                className="btn"
+                type="button"
+                disabled={busy}
+                onClick={() => {
+                  versionTarget.current = t;
+                  versionFileRef.current?.click();
+                }}
+              >
+                New version
+              </button>
+              <button className="btn" type="button" onClick={() => setExpanded(expanded === t.id ? null : t.id)}>
+                {expanded === t.id ? "Hide versions" : "Versions"}
+              </button>
+              <button className="btn" type="button" onClick={() => toggleStatus(t)} disabled={busy}>
+                {t.status === "active" ? "Retire" : "Activate"}
+              </button>
+              {!t.builtin ? (
+                <button className="btn" type="button" onClick={() => remove(t)} disabled={busy}>
+                  Delete
+                </button>
+              ) : null}
+            </div>
+
+            {expanded === t.id ? (
+              <div style={{ marginTop: 8, display: "grid", gap: 4 }}>
+                {versions.length === 0 ? (
+                  <div style={{ color: "var(--text-secondary)", fontSize: 13 }}>
+                    No uploaded versions; the template is read from its built-in attachment.
+                  </div>
+                ) : null}
+                {versions
+                  .slice()
+                  .reverse()
+                  .map((v) => (
+                    <div key={v.id} style={{ fontSize: 13 }}>
+                      <strong>v{v.number}</strong> · <a href={templateVersionFileUrl(t.id, v.id)}>{v.fileName}</a> · {v.author} ·{" "}
+                      {new Date(v.createdAt).toLocaleString()}
+                      {v.note ? <span style={{ color: "var(--text-secondary)" }}> — {v.note}</span> : null}
+                    </div>
+                  ))}
+              </div>
+            ) : null}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
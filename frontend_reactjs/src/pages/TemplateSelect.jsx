@@ -1,17 +1,16 @@
 import React from "react";
 
 // PUBLIC_INTERFACE
-export default function TemplateSelect({ selected, onChange }) {
-  /** Choose SOW template between Fixed Price (FP) and Time & Material (T&M) */
-  const opts = [
-    { id: "FP", title: "Fixed Price (FP)", desc: "Defined scope, fixed budget and timeline." },
-    { id: "TM", title: "Time & Material (T&M)", desc: "Flexible scope, billable hours and materials." },
-  ];
+export default function TemplateSelect({ templates = [], selected, onChange }) {
+  /** Choose the SOW template among the registry's active templates ({ id, title, description, version }) */
   return (
     <div className="panel">
       <div className="panel-title">Choose Template</div>
+      {!templates.length ? (
+        <div style={{ color: "var(--text-secondary)" }}>No active templates. Upload one under Template Registry.</div>
+      ) : null}
       <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
-        {opts.map((o) => {
+        {templates.map((o) => {
           const active = selected === o.id;
           return (
             <button
@@ -28,9 +27,9 @@ export default function TemplateSelect({ selected, onChange }) {
               aria-pressed={active}
             >
               <div style={{ fontWeight: 800, marginBottom: 6, color: "var(--text-primary)" }}>{o.title}</div>
-              <div style={{ color: "var(--text-secondary)" }}>{o.desc}</div>
+              <div style={{ color: "var(--text-secondary)" }}>{o.description || o.fileName || "Uploaded template"}</div>
               <div style={{ marginTop: 8, display: "flex", gap: 8, flexWrap: "wrap" }}>
-                <span className="btn" style={{ pointerEvents: "none" }}>Preview above</span>
+                <span className="btn" style={{ pointerEvents: "none" }}>Version {o.version}</span>
                 <span className="btn" style={{ pointerEvents: "none" }}>Select to continue</span>
               </div>
             </button>
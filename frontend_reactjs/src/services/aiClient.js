@@ -1,21 +1,152 @@
 //
 // Lightweight AI client for generating SOW content from a prompt.
 // WARNING: OpenAI is NOT supported in this deployment.
-// This client uses ONLY the local backend_express API at /api/ai/sow.
+// This client uses ONLY the local backend_express API (/api/chat, /api/ai/sow, /api/ai/draft, /api/ai/field, /api/ai/extract, /api/ai/risk).
 // Ensure backend_express is running and the frontend routes /api to it
 // via a CRA dev proxy (see DEV_PROXY_GUIDE.md) or set REACT_APP_BACKEND_URL.
 //
+import { apiUrl, requestJson } from "./apiClient";
+
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+
+// Read `data: {...}` events from an SSE response body, calling onEvent for each parsed event.
+async function readEvents(resp, onEvent) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const chunks = buffer.split("\n\n");
+    buffer = chunks.pop();
+    for (const chunk of chunks) {
+      const data = chunk
+        .split("\n")
+        .filter((l) => l.startsWith("data:"))
+        .map((l) => l.slice(5).trim())
+        .join("");
+      if (data) onEvent(JSON.parse(data));
+    }
+  }
+}
+
+// One streaming request. Resolves { text, outcome: 'done'|'error'|'dropped'|'busy'|'aborted', error?, retryAfter?, sources? }.
+async function streamOnce(path, payload, { onToken, onQueued, signal }) {
+  const result = { text: "", outcome: "dropped", error: "The connection closed before the reply finished." };
+  try {
+    const resp = await fetch(apiUrl(path), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...payload, stream: true }),
+      signal,
+    });
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => null);
+      return {
+        text: "",
+        outcome: resp.status === 429 ? "busy" : "error",
+        error: data?.error || `AI backend error (${resp.status}). Ensure backend_express is running and /api is routed.`,
+        retryAfter: Number(data?.retryAfter || 0),
+      };
+    }
+    await readEvents(resp, (event) => {
+      if (event.queued) onQueued?.(event.queued);
+      if (event.token) {
+        result.text += event.token;
+        onToken?.(event.token);
+      }
+      if (event.error) Object.assign(result, { outcome: "error", error: event.error });
+      if (event.done) Object.assign(result, { outcome: "done", error: undefined, sources: event.sources });
+    });
+  } catch (e) {
+    if (e?.name === "AbortError") result.outcome = "aborted";
+    result.error = e?.message || "Connection to the AI backend failed.";
+  }
+  return result;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * streamAI
+ * POST to a streaming backend endpoint (/api/chat or /api/ai/sow with stream:true) and deliver tokens as they arrive.
+ *
+ * When the connection drops mid-stream, or the queue is full (429), it reconnects up to `retries` times.
+ * A reconnect after partial output sends `resumeBody(partial)` so the model continues instead of starting over.
+ * An error event from the server (e.g. the request timed out) is final. Aborting `signal` (the stop button)
+ * ends the request and resolves with the text received so far.
+ *
+ * @param {string} path
+ * @param {object} body - request body; `stream: true` is added
+ * @param {{onToken?:(t:string)=>void, onQueued?:(position:number)=>void, onReconnect?:(attempt:number)=>void,
+ *          resumeBody?:(partial:string)=>object, signal?:AbortSignal, retries?:number}} [options]
+ * @returns {Promise<{ok:boolean, content:string, error?:string, aborted?:boolean, sources?:Array}>} - sources: passages a
+ *          grounded /api/ai/sow draft was based on
+ */
+export async function streamAI(path, body, { onToken, onQueued, onReconnect, resumeBody, signal, retries = 2 } = {}) {
+  let content = "";
+  let waitMs = 0;
+  let lastError = "";
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      onReconnect?.(attempt);
+      await sleep(waitMs, signal);
+    }
+    if (signal?.aborted) return { ok: false, content, aborted: true, error: "Stopped." };
+
+    const payload = content && resumeBody ? resumeBody(content) : body;
+    const result = await streamOnce(path, payload, { onToken, onQueued, signal });
+    content += result.text;
+    if (result.outcome === "aborted") return { ok: false, content, aborted: true, error: "Stopped." };
+    if (result.outcome === "done") return { ok: true, content, ...(result.sources ? { sources: result.sources } : {}) };
+    if (result.outcome === "error") return { ok: false, content, error: result.error };
+    lastError = result.error;
+    waitMs = result.outcome === "busy" ? Math.max(1, result.retryAfter) * 1000 : 1000 * (attempt + 1);
+  }
+  return { ok: false, content, error: lastError };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * streamChatReply
+ * Stream an assistant reply for a chat transcript over /api/chat (SSE). Same options and result as streamAI;
+ * a reconnect resumes by sending the partial reply back as an assistant turn.
+ *
+ * @param {Array<{role:'user'|'assistant'|'system', content:string}>} messages
+ */
+export function streamChatReply(messages, options = {}) {
+  return streamAI("/api/chat", { messages }, {
+    ...options,
+    resumeBody: (partial) => ({
+      messages: [
+        ...messages,
+        { role: "assistant", content: partial },
+        { role: "user", content: "Continue exactly where you stopped. Do not repeat any text already written." },
+      ],
+    }),
+  });
+}
+
 // PUBLIC_INTERFACE
-export async function generateSOWFromPrompt(promptText) {
+export async function generateSOWFromPrompt(promptText, streamOptions) {
   /**
    * Generate a SOW draft from the provided prompt by calling the local backend.
    *
    * Request:
    *  POST {prompt: string} to /api/ai/sow (or `${REACT_APP_BACKEND_URL}/api/ai/sow`)
+   *  With streamOptions ({ onToken, onQueued, onReconnect, signal }) the draft is streamed via streamAI.
+   *  streamOptions.grounding asks the backend to ground the draft on passages of stored SOWs.
    *
    * Returns:
-   *  { ok: true, content: string } on success
-   *  { ok: false, error: string } on failure
+   *  { ok: true, content: string, sources?: Array<{text, label, sowTitle}> } on success
+   *  { ok: false, error: string, content?: string, aborted?: boolean } on failure
    */
   try {
     const content = String(promptText || "").trim();
@@ -23,10 +154,16 @@ export async function generateSOWFromPrompt(promptText) {
       return { ok: false, error: "Please enter a prompt before generating a SOW." };
     }
 
-    const base = (process.env.REACT_APP_BACKEND_URL || "").trim().replace(/\/+$/, "");
-    const url = base ? `${base}/api/ai/sow` : "/api/ai/sow";
+    if (streamOptions) {
+      const { grounding, ...options } = streamOptions;
+      const body = { prompt: content, ...(grounding ? { grounding: true } : {}) };
+      return streamAI("/api/ai/sow", body, {
+        ...options,
+        resumeBody: (partial) => ({ ...body, continueFrom: partial }),
+      });
+    }
 
-    const resp = await fetch(url, {
+    const resp = await fetch(apiUrl("/api/ai/sow"), {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ prompt: content }),
@@ -50,3 +187,70 @@ export async function generateSOWFromPrompt(promptText) {
     return { ok: false, error: e?.message || "Unexpected error generating SOW." };
   }
 }
+
+/**
+ * PUBLIC_INTERFACE
+ * draftTemplateFields
+ * Ask the backend to fill the template's fields from a project brief (POST /api/ai/draft).
+ * Returned values are already validated against the schema and keyed by field key, ready to be
+ * reviewed per field and merged into templateData.
+ *
+ * @param {{schema:{fields?:Array, sections?:Array}, brief:string, existing?:object}} input
+ * @returns {Promise<{ok:boolean, values?:Object.<string, any>, issues?:Array<{key:string,label:string,error:string}>, error?:string}>}
+ */
+export function draftTemplateFields({ schema, brief, existing }) {
+  if (!String(brief || "").trim()) {
+    return Promise.resolve({ ok: false, error: "Describe the project before drafting." });
+  }
+  return requestJson("/api/ai/draft", { method: "POST", body: { schema, brief, existing: existing || {} } });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * extractTemplateFields
+ * Extract template field values from pasted call notes, emails or RFP text (POST /api/ai/extract).
+ * Each proposal cites the sentences of `text` it was taken from; `grounded` is false when none of them
+ * contains the value, so the user should check it before accepting.
+ *
+ * @param {{schema:{fields?:Array, sections?:Array}, text:string}} input
+ * @returns {Promise<{ok:boolean, proposals?:Array<{key:string,label:string,value:any,sources:Array<{index:number,text:string,start:number,end:number}>,grounded:boolean}>,
+ *          issues?:Array<{key:string,label:string,error:string}>, error?:string}>}
+ */
+export function extractTemplateFields({ schema, text }) {
+  if (!String(text || "").trim()) {
+    return Promise.resolve({ ok: false, error: "Paste some notes, an email or RFP text first." });
+  }
+  return requestJson("/api/ai/extract", { method: "POST", body: { schema, text } });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * reviewSOWRisks
+ * Contract-risk review of the filled SOW (POST /api/ai/risk): a pattern pre-pass plus a model pass over the
+ * same rubric (vague deliverables, uncapped T&M, change control, SLAs, client dependencies). Each finding is
+ * anchored to a field and carries a replacement clause; `modelError` is set when only the pattern pass ran.
+ *
+ * @param {{schema:{fields?:Array, sections?:Array}, values:object}} input
+ * @returns {Promise<{ok:boolean, findings?:Array<{id:string, source:'rules'|'model', category:string, severity:'high'|'medium'|'low',
+ *          fieldKey:string, label:string, issue:string, quote:string, replacement:string, row?:number}>, modelError?:string, error?:string}>}
+ */
+export function reviewSOWRisks({ schema, values }) {
+  return requestJson("/api/ai/risk", { method: "POST", body: { schema, values: values || {} } });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * runFieldAction
+ * Ask the backend for a suggestion for one field (POST /api/ai/field).
+ *
+ * @param {{action:'formal'|'expand'|'shorten'|'bullets'|'draft', field:{key:string,label?:string,type:string,hint?:string,itemLabel?:string},
+ *          section?:string, value?:any, context?:object}} input - `context` holds the other templateData values
+ * @returns {Promise<{ok:boolean, suggestion?:string|string[], error?:string}>}
+ */
+export function runFieldAction({ action, field, section, value, context }) {
+  const { key, label, type, hint, itemLabel } = field || {};
+  return requestJson("/api/ai/field", {
+    method: "POST",
+    body: { action, field: { key, label, type, hint, itemLabel }, section: section || "", value: value ?? "", context: context || {} },
+  });
+}
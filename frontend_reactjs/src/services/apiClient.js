@@ -0,0 +1,42 @@
+//
+// Shared helpers for calling the local backend_express API.
+// Base URL comes from REACT_APP_BACKEND_URL; when empty, /api/* is called directly
+// (CRA dev proxy, see DEV_PROXY_GUIDE.md).
+//
+
+// PUBLIC_INTERFACE
+export function apiUrl(path) {
+  /** Resolve an /api/... path against REACT_APP_BACKEND_URL (if set). */
+  const base = (process.env.REACT_APP_BACKEND_URL || "").trim().replace(/\/+$/, "");
+  return base ? `${base}${path}` : path;
+}
+
+// PUBLIC_INTERFACE
+export async function requestJson(path, { method = "GET", body, signal } = {}) {
+  /**
+   * Call a backend JSON endpoint.
+   *
+   * Returns the parsed response body on success (backend responses carry `ok: true`),
+   * or { ok: false, error: string, status?: number } on any failure. Never throws.
+   */
+  try {
+    const resp = await fetch(apiUrl(path), {
+      method,
+      headers: body !== undefined ? { "Content-Type": "application/json" } : undefined,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal,
+    });
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok || !data || data.ok === false) {
+      return {
+        ok: false,
+        status: resp.status,
+        error: data?.error || `Backend error (${resp.status}). Ensure backend_express is running and /api is routed.`,
+      };
+    }
+    return { ok: true, ...data };
+  } catch (e) {
+    if (e?.name === "AbortError") return { ok: false, error: "Request cancelled.", aborted: true };
+    return { ok: false, error: e?.message || "Unexpected error calling backend." };
+  }
+}
@@ -0,0 +1,99 @@
+//
+// PUBLIC_INTERFACE
+// Review comments as the UI shows them: which threads belong to a field or a transcript line, the open counts behind
+// the badges, and how anchors and @mentions read. Threads are stored by backend_express (services/commentStore.js)
+// and reached through sowApi (listComments, createComment, replyToComment, setCommentStatus).
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * sameAnchor
+ * True when two anchors point at the same field, or the same transcript line.
+ */
+export function sameAnchor(a, b) {
+  if (!a || !b || a.kind !== b.kind) return false;
+  return a.kind === "field" ? a.fieldKey === b.fieldKey : Number(a.line) === Number(b.line);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * openCounts
+ * Unresolved threads per field key and per transcript line.
+ * @returns {{fields: Object.<string, number>, lines: Object.<number, number>, total: number}}
+ */
+export function openCounts(threads) {
+  const counts = { fields: {}, lines: {}, total: 0 };
+  (threads || [])
+    .filter((t) => t.status === "open")
+    .forEach((t) => {
+      const bucket = t.anchor?.kind === "line" ? counts.lines : counts.fields;
+      const key = t.anchor?.kind === "line" ? t.anchor.line : t.anchor?.fieldKey;
+      bucket[key] = (bucket[key] || 0) + 1;
+      counts.total += 1;
+    });
+  return counts;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * sectionOpenCount
+ * Unresolved threads on the given fields (e.g. the visible fields of a form section).
+ * @param {Array<{key:string}>} fields
+ * @param {{fields: Object.<string, number>}} counts from openCounts
+ */
+export function sectionOpenCount(fields, counts) {
+  return (fields || []).reduce((sum, f) => sum + (counts?.fields?.[f.key] || 0), 0);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * anchorLabel
+ * How an anchor reads: the field's label, or the line number with its text.
+ * @param {{kind:'field', fieldKey:string}|{kind:'line', line:number, quote?:string}} anchor
+ * @param {Array<{key:string, label?:string}>} [fields] to look field labels up in
+ */
+export function anchorLabel(anchor, fields) {
+  if (anchor?.kind === "line") return anchor.quote ? `Line ${anchor.line}: “${anchor.quote}”` : `Line ${anchor.line}`;
+  const field = (fields || []).find((f) => f.key === anchor?.fieldKey);
+  return field?.label || anchor?.fieldKey || "";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * mentionSegments
+ * Split a message body into plain text and the @mentions the backend found in it, for highlighting.
+ * @param {string} body
+ * @param {string[]} mentions names as recorded on the message
+ * @returns {Array<{text:string, mention?:string}>}
+ */
+export function mentionSegments(body, mentions) {
+  const text = String(body || "");
+  const names = (mentions || []).filter(Boolean).slice().sort((a, b) => b.length - a.length);
+  const out = [];
+  let plain = "";
+  for (let i = 0; i < text.length; i++) {
+    // An @ inside a word (an email address) is not a mention
+    const isAt = text[i] === "@" && !(i > 0 && /[\w@]/.test(text[i - 1]));
+    const name = isAt ? names.find((n) => text.slice(i + 1, i + 1 + n.length).toLowerCase() === n.toLowerCase()) : null;
+    if (!name) {
+      plain += text[i];
+      continue;
+    }
+    if (plain) out.push({ text: plain });
+    plain = "";
+    out.push({ text: text.slice(i, i + 1 + name.length), mention: name });
+    i += name.length;
+  }
+  if (plain) out.push({ text: plain });
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * mentionsUser
+ * True when any message of the thread mentions `name`.
+ */
+export function mentionsUser(thread, name) {
+  const who = String(name || "").trim().toLowerCase();
+  return !!who && (thread?.messages || []).some((m) => (m.mentions || []).some((n) => n.toLowerCase() === who));
+}
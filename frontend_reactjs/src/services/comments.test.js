@@ -0,0 +1,35 @@
+import { anchorLabel, mentionSegments, mentionsUser, openCounts, sameAnchor, sectionOpenCount } from "./comments";
+
+const threads = [
+  { status: "open", anchor: { kind: "field", fieldKey: "service_level_agreements" }, messages: [] },
+  { status: "open", anchor: { kind: "field", fieldKey: "service_level_agreements" }, messages: [] },
+  { status: "resolved", anchor: { kind: "field", fieldKey: "scope_of_work" }, messages: [] },
+  { status: "open", anchor: { kind: "line", line: 12, quote: "Scope of Work" }, messages: [{ mentions: ["Rita Smith"] }] },
+];
+
+test("open threads are counted per field, per line and per section", () => {
+  const counts = openCounts(threads);
+  expect(counts).toEqual({ fields: { service_level_agreements: 2 }, lines: { 12: 1 }, total: 3 });
+  expect(sectionOpenCount([{ key: "scope_of_work" }, { key: "service_level_agreements" }], counts)).toBe(2);
+  expect(sectionOpenCount([{ key: "scope_of_work" }], counts)).toBe(0);
+});
+
+test("anchors match by field or line and read as labels", () => {
+  expect(sameAnchor({ kind: "line", line: 12 }, { kind: "line", line: "12", quote: "x" })).toBe(true);
+  expect(sameAnchor({ kind: "field", fieldKey: "a" }, { kind: "line", line: 1 })).toBe(false);
+  expect(anchorLabel({ kind: "field", fieldKey: "sla" }, [{ key: "sla", label: "Service levels" }])).toBe("Service levels");
+  expect(anchorLabel({ kind: "field", fieldKey: "other" }, [])).toBe("other");
+  expect(anchorLabel({ kind: "line", line: 3, quote: "Authorization" })).toBe("Line 3: “Authorization”");
+});
+
+test("mentions are split out for highlighting, names with spaces included", () => {
+  expect(mentionSegments("@rita smith is 99% enough? cc @Carl. mail carl@Carl.com", ["Rita Smith", "Carl"])).toEqual([
+    { text: "@rita smith", mention: "Rita Smith" },
+    { text: " is 99% enough? cc " },
+    { text: "@Carl", mention: "Carl" },
+    { text: ". mail carl@Carl.com" },
+  ]);
+  expect(mentionSegments("no mentions", [])).toEqual([{ text: "no mentions" }]);
+  expect(mentionsUser(threads[3], " rita smith")).toBe(true);
+  expect(mentionsUser(threads[3], "Carl")).toBe(false);
+});
@@ -0,0 +1,130 @@
+//
+// PUBLIC_INTERFACE
+// Contract value of a SOW and the money text written into the document.
+// The subtotal adds up the fields and table columns marked `"rollup": true` in the schema (a table column counts
+// through its footer total, or the sum of its cells); templates without any use the T&M rate estimate, if there is
+// one, and otherwise the amount entered in the commercial settings. Discount, contingency and tax are then applied by money.contractValueSummary.
+//
+import { contractValueSummary, formatMoney, isMoney, moneyAmount, parseMoneyInput } from "./money";
+import { activeEstimate, estimateTotals } from "./rateEstimate";
+import { computeFooter, computeTable } from "./tableFormulas";
+
+function formFields(sections) {
+  return (sections || []).flatMap((s) => s.fields || []).filter((f) => f?.key);
+}
+
+function currencyOf(v, settings) {
+  if (isMoney(v)) return v.currency;
+  return typeof v === "string" ? parseMoneyInput(v, settings)?.currency || settings.currency : settings.currency;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rollupSubtotal
+ * Subtotal of the contract value in the SOW currency.
+ * @returns {{amount:number, sources:Array<{label:string, amount:number}>, skipped:Array<{label:string, currency:string}>, manual:boolean}}
+ *          `skipped` lists amounts in another currency, which are left out rather than converted
+ */
+export function rollupSubtotal(sections, templateData, settings) {
+  const data = templateData || {};
+  const sources = [];
+  const skipped = [];
+  const add = (label, value) => {
+    const amount = moneyAmount(value, settings);
+    if (amount === null) return;
+    const currency = currencyOf(value, settings);
+    if (currency !== settings.currency) skipped.push({ label, currency });
+    else sources.push({ label, amount });
+  };
+
+  let declared = false;
+  formFields(sections).forEach((f) => {
+    if (f.type === "table") {
+      const cols = (f.columns || []).filter((c) => c.rollup);
+      if (!cols.length) return;
+      declared = true;
+      const rows = computeTable(f, Array.isArray(data[f.key]) ? data[f.key] : []);
+      const footer = computeFooter(f, rows);
+      cols.forEach((c) => {
+        const label = `${f.label || f.key} › ${c.label || c.key}`;
+        if (footer && c.key in footer.values) add(label, footer.values[c.key]);
+        else rows.forEach((r, i) => add(`${label} (row ${i + 1})`, r?.[c.key]));
+      });
+    } else if (f.rollup) {
+      declared = true;
+      add(f.label || f.key, data[f.key]);
+    }
+  });
+
+  const estimate = declared ? null : activeEstimate(data);
+  if (estimate) {
+    const { amount } = estimateTotals(estimate);
+    add("Rate estimate", { amount, currency: estimate.currency || settings.currency });
+    return { amount: sources.length ? amount : 0, sources, skipped, manual: false };
+  }
+  if (!declared) {
+    const manual = moneyAmount(settings.baseAmount, settings);
+    return { amount: manual ?? 0, sources: manual === null ? [] : [{ label: "Contract amount", amount: manual }], skipped, manual: true };
+  }
+  const amount = Math.round(sources.reduce((acc, s) => acc + s.amount, 0) * 100) / 100;
+  return { amount, sources, skipped, manual: false };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * buildContractValue
+ * Subtotal plus the discount / contingency / tax rollup of money.contractValueSummary.
+ */
+export function buildContractValue(sections, templateData, settings) {
+  const subtotal = rollupSubtotal(sections, templateData, settings);
+  return { ...contractValueSummary(subtotal.amount, settings), subtotalDetail: subtotal };
+}
+
+function formatCell(col, v, settings) {
+  return col?.type === "currency" && v !== "" && v !== undefined && v !== null ? formatMoney(v, settings) : v;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatMoneyFields
+ * templateData with every currency field, object property and table column (calculated cells and footer rows
+ * included) as formatted text, so review, preview and DOCX show "$12,000.00" the same way.
+ */
+export function formatMoneyFields(sections, templateData, settings) {
+  const out = { ...(templateData || {}) };
+  formFields(sections).forEach((f) => {
+    const v = out[f.key];
+    if (v === undefined || v === null || v === "") return;
+    if (f.type === "currency") out[f.key] = formatMoney(v, settings);
+    else if (f.type === "object" && v && typeof v === "object") {
+      const next = { ...v };
+      (f.properties || []).forEach((p) => (next[p.key] = formatCell(p, next[p.key], settings)));
+      out[f.key] = next;
+    } else if (f.type === "table" && Array.isArray(v)) {
+      out[f.key] = v.map((row) => {
+        const next = { ...(row || {}) };
+        (f.columns || []).forEach((c) => {
+          if (c.key in next) next[c.key] = formatCell(c, next[c.key], settings);
+        });
+        return next;
+      });
+    }
+  });
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * contractValueFields
+ * The contract-value summary as templateData keys for document placeholders such as [Contract Total]:
+ * contract_subtotal, contract_discount, contract_contingency, contract_tax, contract_total (formatted).
+ * Rates that are zero leave their line out.
+ */
+export function contractValueFields(summary, settings) {
+  const fmt = (n) => formatMoney({ amount: n, currency: summary.currency }, settings);
+  const out = { contract_subtotal: fmt(summary.subtotal), contract_total: fmt(summary.total) };
+  if (Number(settings.discountRate)) out.contract_discount = fmt(-summary.discount);
+  if (Number(settings.contingencyRate)) out.contract_contingency = fmt(summary.contingency);
+  if (Number(settings.taxRate)) out.contract_tax = fmt(summary.tax);
+  return out;
+}
@@ -0,0 +1,60 @@
+import { buildContractValue, contractValueFields, formatMoneyFields, rollupSubtotal } from "./commercials";
+
+const sections = [
+  {
+    section: "Costs",
+    fields: [
+      { key: "fee", label: "Fee", type: "currency" },
+      {
+        key: "costs",
+        label: "Costs",
+        type: "table",
+        columns: [
+          { key: "task", label: "Task", type: "text" },
+          { key: "labor", label: "Labor", type: "currency" },
+          { key: "total", label: "Total", type: "currency", computed: true, expression: "labor", rollup: true },
+        ],
+        footer: { label: "Grand total", columns: { total: "sum(total)" } },
+      },
+      { key: "expenses", label: "Expenses", type: "currency", rollup: true },
+    ],
+  },
+];
+const settings = { currency: "USD", locale: "en-US", discountRate: 0, contingencyRate: 0, taxRate: 10, baseAmount: "" };
+
+test("the subtotal adds up rollup fields and table footers in the SOW currency", () => {
+  const data = {
+    costs: [{ task: "Build", labor: { amount: 1000, currency: "USD" } }, { task: "Run", labor: "$500" }],
+    expenses: "EUR 300",
+  };
+  const subtotal = rollupSubtotal(sections, data, settings);
+  expect(subtotal.amount).toBe(1500);
+  expect(subtotal.skipped).toEqual([{ label: "Expenses", currency: "EUR" }]);
+
+  const value = buildContractValue(sections, data, settings);
+  expect(value.total).toBe(1650);
+  expect(contractValueFields(value, settings)).toEqual({ contract_subtotal: "$1,500.00", contract_total: "$1,650.00", contract_tax: "$150.00" });
+
+  // Without rollup fields the manual contract amount is the subtotal.
+  const plain = [{ section: "S", fields: [{ key: "fee", type: "currency" }] }];
+  expect(rollupSubtotal(plain, { fee: "$9" }, { ...settings, baseAmount: "$12k" })).toMatchObject({ amount: 12000, manual: true });
+});
+
+test("formatMoneyFields formats currency fields and table cells, leaving other values alone", () => {
+  const out = formatMoneyFields(sections, { fee: { amount: 5, currency: "GBP" }, costs: [{ task: "Grand total", labor: 1500, total: "" }] }, settings);
+  expect(out).toEqual({ fee: "£5.00", costs: [{ task: "Grand total", labor: "$1,500.00", total: "" }] });
+});
+
+test("templates without rollup fields take the subtotal from an active T&M rate estimate", () => {
+  const tm = [{ section: "Rates", fields: [{ key: "contractor_rate_per_hr", label: "Rate", type: "currency" }] }];
+  const rate_estimate = {
+    currency: "USD",
+    phases: [{ id: "p1", name: "Phase 1" }],
+    rows: [{ role: "Developer", rate: 100, hours: { p1: 80 } }],
+  };
+  const manual = { ...settings, baseAmount: "$5,000" };
+
+  const estimated = rollupSubtotal(tm, { rate_estimate, contractor_rate_per_hr: { amount: 100, currency: "USD" } }, manual);
+  expect(estimated).toMatchObject({ amount: 8000, manual: false, sources: [{ label: "Rate estimate", amount: 8000 }] });
+  expect(rollupSubtotal(tm, { rate_estimate }, manual)).toMatchObject({ amount: 5000, manual: true });
+});
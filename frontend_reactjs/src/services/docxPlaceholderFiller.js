@@ -0,0 +1,425 @@
+//
+// PUBLIC_INTERFACE
+// DOCX placeholder filler: replaces [Placeholder] and <Placeholder> tokens inside the original
+// template's WordprocessingML with templateData values. Everything else in the package (styles,
+// tables, numbering, headers/footers, section properties) is left untouched.
+//
+// Word often splits one visible token across several <w:r> runs ("[Client" + " Name" + "]"),
+// so matching is done on the concatenated text of each paragraph and the replacement is written
+// back into the run where the token starts, keeping that run's formatting.
+//
+import { readZipText } from "./zipReader";
+import { formatMoney, isMoney } from "./money";
+
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const XML_NS = "http://www.w3.org/XML/1998/namespace";
+const REL_IMAGE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships/image";
+const TOKEN_RE = /\[([^[\]\n]{1,120})\]|<([^<>\n]{1,120})>/g;
+const LOGO_RID = "rIdSowLogo";
+
+/**
+ * PUBLIC_INTERFACE
+ * buildPlaceholderResolver
+ * Create a lookup from placeholder label → display text using the SOW's templateData.
+ * A placeholder matches (in order): a schema field whose label is or contains the token,
+ * a top-level templateData key, then a property of an object field.
+ *
+ * @param {object} templateData - SOW templateData values
+ * @param {Array<{key:string,label?:string,properties?:Array}>} fields - schema fields (flat)
+ * @returns {(label:string) => (string|null)} resolver returning null for unknown/empty values
+ */
+export function buildPlaceholderResolver(templateData, fields = []) {
+  const data = templateData || {};
+  const aliases = new Map();
+  const addAlias = (label, getter) => {
+    normalizedVariants(label).forEach((k) => {
+      if (k && !aliases.has(k)) aliases.set(k, getter);
+    });
+  };
+
+  (fields || []).forEach((f) => {
+    if (!f?.key) return;
+    const get = () => data[f.key];
+    addAlias(stripTokens(f.label || ""), get);
+    tokensIn(f.label || "").forEach((t) => addAlias(t, get));
+    (f.properties || []).forEach((p) => {
+      const getProp = () => (data[f.key] || {})[p.key];
+      addAlias(p.label || p.key, getProp);
+      addAlias(p.key, getProp);
+    });
+  });
+
+  // The first value for the label that has text, or undefined.
+  const lookup = (label) => {
+    const variants = normalizedVariants(label);
+    for (const k of variants) {
+      const getter = aliases.get(k);
+      const raw = getter ? getter() : undefined;
+      if (formatPlaceholderValue(raw)) return raw;
+    }
+    for (const k of variants) {
+      const raw = findKey(data, k);
+      if (formatPlaceholderValue(raw)) return raw;
+    }
+    return undefined;
+  };
+
+  const resolve = (label) => {
+    const raw = lookup(label);
+    return raw === undefined ? null : formatPlaceholderValue(raw);
+  };
+  // Table values ({ kind: "table" }) for fillPlaceholdersInXml, which writes them as Word tables.
+  resolve.table = (label) => {
+    const raw = lookup(label);
+    return isDocxTable(raw) ? raw : null;
+  };
+  return resolve;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isDocxTable
+ * True for a table value: { kind: "table", columns: string[], rows: string[][], footer?: string[], align?: string[] }.
+ * Placed in the document as a Word table replacing the token's paragraph; as text it is "a | b | c" lines.
+ */
+export function isDocxTable(v) {
+  return !!v && typeof v === "object" && v.kind === "table" && Array.isArray(v.columns) && Array.isArray(v.rows);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatPlaceholderValue
+ * Convert a templateData value into the text written into the document.
+ * Lists become one line per item; table rows become "a | b | c" lines; money values are formatted
+ * (callers format them in the SOW's locale first, see commercials.formatMoneyFields); empty values return null.
+ */
+export function formatPlaceholderValue(v) {
+  if (v === undefined || v === null || v === "" || v === false) return null;
+  if (v === true) return "Yes";
+  if (isMoney(v)) return formatMoney(v);
+  if (isDocxTable(v)) {
+    return [v.columns, ...v.rows, ...(v.footer ? [v.footer] : [])].map((cells) => cells.join(" | ")).join("\n");
+  }
+  if (Array.isArray(v)) {
+    const lines = v
+      .map((item) => (item && typeof item === "object" ? Object.values(item).map((x) => (isMoney(x) ? formatMoney(x) : x)).filter((x) => x || x === 0).join(" | ") : String(item ?? "")))
+      .filter((s) => s.trim());
+    return lines.length ? lines.join("\n") : null;
+  }
+  if (typeof v === "object") {
+    const parts = Object.values(v).map(formatPlaceholderValue).filter(Boolean);
+    return parts.length ? parts.join("\n") : null;
+  }
+  const s = String(v);
+  return s.startsWith("data:") ? null : s;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * fillPlaceholdersInText
+ * Replace tokens in plain text (used for previews of the transcript).
+ * @returns {{text:string, filled:string[], missing:string[]}}
+ */
+export function fillPlaceholdersInText(text, resolve) {
+  const filled = [];
+  const missing = [];
+  const out = String(text || "").replace(TOKEN_RE, (whole, a, b) => {
+    const label = (a || b || "").trim();
+    const v = resolve(label);
+    if (v === null || v === undefined) {
+      missing.push(label);
+      return whole;
+    }
+    filled.push(label);
+    return v;
+  });
+  return { text: out, filled: unique(filled), missing: unique(missing) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * fillPlaceholdersInXml
+ * Replace tokens in one WordprocessingML part (document, header or footer).
+ *
+ * @param {string} xml - Part XML
+ * @param {(label:string)=>(string|null)} resolve - Value lookup; null leaves the token in place
+ * @param {{logoRelId?:string, logoSize?:{widthPx:number,heightPx:number}}} [options]
+ *   When logoRelId is set, a token whose label mentions "logo" is replaced by that image.
+ * @returns {{xml:string, filled:string[], missing:string[], logoPlaced:boolean}}
+ */
+export function fillPlaceholdersInXml(xml, resolve, options = {}) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("Template XML could not be parsed.");
+  }
+  const filled = [];
+  const missing = [];
+  let logoPlaced = false;
+  const tables = []; // [paragraph, table value]: paragraphs replaced once every token is done
+
+  Array.from(doc.getElementsByTagNameNS(W_NS, "p")).forEach((p) => {
+    // Only text nodes that belong to this paragraph (not to a nested text-box paragraph)
+    const texts = Array.from(p.getElementsByTagNameNS(W_NS, "t")).filter((t) => closestParagraph(t) === p);
+    if (!texts.length) return;
+
+    let full = "";
+    const spans = texts.map((node) => {
+      const start = full.length;
+      full += node.textContent;
+      return { node, start };
+    });
+
+    const ends = spans.map((s, idx) => (idx + 1 < spans.length ? spans[idx + 1].start : full.length));
+    const matches = Array.from(full.matchAll(TOKEN_RE));
+    // Right-to-left so earlier offsets stay valid while we edit.
+    for (let i = matches.length - 1; i >= 0; i--) {
+      const m = matches[i];
+      const label = (m[1] || m[2] || "").trim();
+      const mStart = m.index;
+      const mEnd = m.index + m[0].length;
+
+      const isLogo = !!options.logoRelId && !logoPlaced && /logo/i.test(label);
+      const value = isLogo ? "" : resolve(label);
+      if (!isLogo && (value === null || value === undefined)) {
+        missing.push(label);
+        continue;
+      }
+      const table = !isLogo && resolve.table ? resolve.table(label) : null;
+      if (table) {
+        if (!tables.some(([q]) => q === p)) tables.push([p, table]);
+        filled.push(label);
+        continue;
+      }
+
+      const touched = spans.filter((s, idx) => s.start < mEnd && ends[idx] > mStart);
+      if (!touched.length) continue;
+
+      const first = touched[0];
+      const last = touched[touched.length - 1];
+      const firstText = first.node.textContent;
+      const before = firstText.slice(0, mStart - first.start);
+      const after = last.node.textContent.slice(mEnd - last.start);
+
+      // Strip the token from every run it spans; the text after it stays in the last run.
+      touched.slice(1).forEach((s) => {
+        if (s === last) setText(s.node, after);
+        else setText(s.node, "");
+      });
+
+      const lines = String(value).split("\n");
+      const single = first === last;
+      setText(first.node, before + lines[0] + (single && lines.length === 1 ? after : ""));
+      let anchor = first.node;
+      lines.slice(1).forEach((line, idx) => {
+        const br = doc.createElementNS(W_NS, "w:br");
+        const t = doc.createElementNS(W_NS, "w:t");
+        const isLast = idx === lines.length - 2;
+        setText(t, line + (single && isLast ? after : ""));
+        anchor.parentNode.insertBefore(br, anchor.nextSibling);
+        br.parentNode.insertBefore(t, br.nextSibling);
+        anchor = t;
+      });
+
+      if (isLogo) {
+        first.node.parentNode.insertBefore(buildInlineImage(doc, options.logoRelId, options.logoSize), first.node.nextSibling);
+        logoPlaced = true;
+      }
+      filled.push(label);
+    }
+  });
+
+  // The paragraph holding a table token becomes the table; a table cell keeps an empty paragraph after it.
+  tables.forEach(([p, table]) => {
+    p.parentNode.insertBefore(buildTable(doc, table), p);
+    if (p.parentNode.namespaceURI === W_NS && p.parentNode.localName === "tc") {
+      Array.from(p.childNodes).filter((n) => n.localName !== "pPr").forEach((n) => p.removeChild(n));
+    } else {
+      p.parentNode.removeChild(p);
+    }
+  });
+
+  const declaration = /^\s*<\?xml[^>]*\?>/.exec(xml);
+  const body = new XMLSerializer().serializeToString(doc).replace(/^\s*<\?xml[^>]*\?>\s*/, "");
+  return {
+    xml: (declaration ? `${declaration[0]}\n` : "") + body,
+    filled: filled.reverse(),
+    missing: missing.reverse(),
+    logoPlaced,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * fillDocxTemplate
+ * Fill placeholders across document.xml and every header/footer part of an unzipped .docx.
+ *
+ * @param {Object.<string, Uint8Array|string>} files - Output of zipReader.unzip()
+ * @param {{templateData:object, fields:Array, logoDataUrl?:string}} params
+ * @returns {{files:Object.<string, Uint8Array|string>, filled:string[], missing:string[]}}
+ *   A new file map ready for docxTemplateService.zipSync(); input map is not modified.
+ */
+export function fillDocxTemplate(files, { templateData, fields, logoDataUrl } = {}) {
+  const out = { ...files };
+  const resolve = buildPlaceholderResolver(templateData, fields);
+  const parts = Object.keys(files).filter((p) => /^word\/(document|header\d*|footer\d*)\.xml$/.test(p));
+  const filled = [];
+  const missing = [];
+
+  const logo = logoDataUrl && /^data:image\/(png|jpe?g|gif)/.test(logoDataUrl) ? dataUrlToBytes(logoDataUrl) : null;
+  let logoDone = false;
+
+  // Main document first so a logo token there wins over one in a header.
+  parts
+    .sort((a, b) => (a === "word/document.xml" ? -1 : b === "word/document.xml" ? 1 : a.localeCompare(b)))
+    .forEach((part) => {
+      const result = fillPlaceholdersInXml(readZipText(files, part), resolve, {
+        logoRelId: logo && !logoDone ? LOGO_RID : undefined,
+        logoSize: { widthPx: 160, heightPx: 54 },
+      });
+      out[part] = result.xml;
+      filled.push(...result.filled);
+      missing.push(...result.missing);
+
+      if (result.logoPlaced) {
+        logoDone = true;
+        const mediaPath = `media/sow_logo.${logo.ext}`;
+        out[`word/${mediaPath}`] = logo.bytes;
+        const relsPath = part.replace(/^word\//, "word/_rels/") + ".rels";
+        out[relsPath] = addRelationship(readZipText(out, relsPath), LOGO_RID, REL_IMAGE, mediaPath);
+        out["[Content_Types].xml"] = ensureContentTypeDefault(readZipText(out, "[Content_Types].xml"), logo.ext, logo.mime);
+      }
+    });
+
+  return { files: out, filled: unique(filled), missing: unique(missing) };
+}
+
+// Helpers
+
+function closestParagraph(node) {
+  let n = node.parentNode;
+  while (n && !(n.namespaceURI === W_NS && n.localName === "p")) n = n.parentNode;
+  return n;
+}
+
+function setText(t, text) {
+  t.textContent = text;
+  t.setAttributeNS(XML_NS, "xml:space", "preserve");
+}
+
+function stripTokens(label) {
+  return String(label || "").replace(/[[\]<>]/g, " ");
+}
+
+function tokensIn(label) {
+  return Array.from(String(label || "").matchAll(TOKEN_RE)).map((m) => (m[1] || m[2] || "").trim());
+}
+
+function normalizeKey(label) {
+  return String(label || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// "Charges & Payment" is keyed both as charges_payment and charges_and_payment in this codebase.
+function normalizedVariants(label) {
+  const plain = normalizeKey(label);
+  const withAnd = normalizeKey(String(label || "").replace(/&/g, " and "));
+  return plain === withAnd ? [plain] : [plain, withAnd];
+}
+
+function findKey(obj, key) {
+  if (!obj || typeof obj !== "object") return undefined;
+  if (Object.prototype.hasOwnProperty.call(obj, key)) return obj[key];
+  for (const v of Object.values(obj)) {
+    if (v && typeof v === "object" && !Array.isArray(v)) {
+      const found = findKey(v, key);
+      if (found !== undefined) return found;
+    }
+  }
+  return undefined;
+}
+
+function unique(arr) {
+  return Array.from(new Set(arr));
+}
+
+function dataUrlToBytes(dataUrl) {
+  const [head, b64] = String(dataUrl).split(",");
+  const match = head.match(/data:([^;]+);base64/);
+  const mime = (match && match[1]) || "image/png";
+  const ext = (mime.split("/")[1] || "png").replace("jpeg", "jpg");
+  const bin = atob(b64 || "");
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return { bytes, ext, mime };
+}
+
+function addRelationship(relsXml, id, type, target) {
+  const rel = `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`;
+  if (!relsXml) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rel}</Relationships>`;
+  }
+  return relsXml.replace(/<\/Relationships>\s*$/, `${rel}</Relationships>`);
+}
+
+function ensureContentTypeDefault(typesXml, ext, mime) {
+  if (new RegExp(`<Default[^>]+Extension="${ext}"`, "i").test(typesXml)) return typesXml;
+  return typesXml.replace(/<\/Types>\s*$/, `<Default Extension="${ext}" ContentType="${mime}"/></Types>`);
+}
+
+function escapeXml(s) {
+  return String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Single-line borders, bold header and totals rows, per-column alignment.
+function buildTable(doc, table) {
+  const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="808080"/>`;
+  const cell = (text, idx, bold) => {
+    const jc = table.align?.[idx] === "right" ? '<w:pPr><w:jc w:val="right"/></w:pPr>' : "";
+    return `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr><w:p>${jc}<w:r>${bold ? "<w:rPr><w:b/></w:rPr>" : ""}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p></w:tc>`;
+  };
+  const row = (cells, bold, header) =>
+    `<w:tr>${header ? "<w:trPr><w:tblHeader/></w:trPr>" : ""}${table.columns.map((_, i) => cell(cells[i] ?? "", i, bold)).join("")}</w:tr>`;
+  const fragment = `<w:tbl xmlns:w="${W_NS}">
+  <w:tblPr>
+    <w:tblW w:w="0" w:type="auto"/>
+    <w:tblBorders>${["top", "left", "bottom", "right", "insideH", "insideV"].map(border).join("")}</w:tblBorders>
+    <w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar>
+  </w:tblPr>
+  <w:tblGrid>${table.columns.map(() => "<w:gridCol/>").join("")}</w:tblGrid>
+  ${row(table.columns, true, true)}${table.rows.map((r) => row(r, false)).join("")}${table.footer ? row(table.footer, true) : ""}
+</w:tbl>`;
+  const parsed = new DOMParser().parseFromString(fragment, "application/xml");
+  return doc.importNode(parsed.documentElement, true);
+}
+
+function buildInlineImage(doc, relId, size = { widthPx: 160, heightPx: 54 }) {
+  const cx = Math.round(size.widthPx * 9525);
+  const cy = Math.round(size.heightPx * 9525);
+  const fragment = `<w:drawing xmlns:w="${W_NS}"
+ xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"
+ xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"
+ xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"
+ xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <wp:inline distT="0" distB="0" distL="0" distR="0">
+    <wp:extent cx="${cx}" cy="${cy}"/>
+    <wp:docPr id="9001" name="SOW Logo"/>
+    <a:graphic>
+      <a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">
+        <pic:pic>
+          <pic:nvPicPr><pic:cNvPr id="0" name="sow_logo"/><pic:cNvPicPr/></pic:nvPicPr>
+          <pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>
+          <pic:spPr>
+            <a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>
+            <a:prstGeom prst="rect"><a:avLst/></a:prstGeom>
+          </pic:spPr>
+        </pic:pic>
+      </a:graphicData>
+    </a:graphic>
+  </wp:inline>
+</w:drawing>`;
+  const parsed = new DOMParser().parseFromString(fragment, "application/xml");
+  return doc.importNode(parsed.documentElement, true);
+}
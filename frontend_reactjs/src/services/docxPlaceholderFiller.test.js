@@ -0,0 +1,60 @@
+import { fillPlaceholdersInXml, buildPlaceholderResolver } from "./docxPlaceholderFiller";
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+function wrap(body) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document ${W}><w:body>${body}</w:body></w:document>`;
+}
+
+function paragraphTexts(xml) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  return Array.from(doc.getElementsByTagName("w:p")).map((p) =>
+    Array.from(p.getElementsByTagName("w:t")).map((t) => t.textContent).join("")
+  );
+}
+
+test("replaces a token that Word split across several runs and keeps the first run's formatting", () => {
+  const xml = wrap(
+    '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t>Client: [Client</w:t></w:r><w:proofErr w:type="spellStart"/><w:r><w:t xml:space="preserve"> Na</w:t></w:r><w:r><w:t>me] ltd</w:t></w:r></w:p>'
+  );
+  const resolve = buildPlaceholderResolver({ client_name: "Acme" }, []);
+  const out = fillPlaceholdersInXml(xml, resolve);
+
+  expect(paragraphTexts(out.xml)).toEqual(["Client: Acme ltd"]);
+  expect(out.filled).toEqual(["Client Name"]);
+  expect(out.xml).toMatch(/<w:rPr><w:b\/><\/w:rPr><w:t xml:space="preserve">Client: Acme<\/w:t>/);
+  expect(out.xml.startsWith("<?xml")).toBe(true);
+});
+
+test("fills angle tokens via schema labels, writes lists as line breaks and leaves unknown tokens", () => {
+  const xml = wrap("<w:p><w:r><w:t>&lt;Supplier&gt; delivers [Deliverables] by [Unknown]</w:t></w:r></w:p>");
+  const resolve = buildPlaceholderResolver(
+    { supplier_name: "Globex", supplier_deliverables: ["Design", "Build"] },
+    [
+      { key: "supplier_name", label: "<Supplier>" },
+      { key: "supplier_deliverables", label: "Deliverables" },
+    ]
+  );
+  const out = fillPlaceholdersInXml(xml, resolve);
+
+  expect(paragraphTexts(out.xml)).toEqual(["Globex delivers DesignBuild by [Unknown]"]);
+  expect(out.xml).toContain("<w:br/>");
+  expect(out.missing).toEqual(["Unknown"]);
+});
+
+test("writes a table value as a Word table in place of the token's paragraph", () => {
+  const xml = wrap("<w:p><w:r><w:t>Rates:</w:t></w:r></w:p><w:p><w:r><w:t>[Role]</w:t></w:r></w:p>");
+  const table = { kind: "table", columns: ["Role", "Rate"], align: ["left", "right"], rows: [["Dev & QA", "$100.00"]], footer: ["Total", "$100.00"] };
+  const resolve = buildPlaceholderResolver({ contractor_role: table }, [{ key: "contractor_role", label: "Role" }]);
+  const out = fillPlaceholdersInXml(xml, resolve);
+
+  expect(out.filled).toEqual(["Role"]);
+  const doc = new DOMParser().parseFromString(out.xml, "application/xml");
+  const rows = Array.from(doc.getElementsByTagName("w:tr")).map((tr) =>
+    Array.from(tr.getElementsByTagName("w:tc")).map((tc) => tc.textContent)
+  );
+  expect(rows).toEqual([["Role", "Rate"], ["Dev & QA", "$100.00"], ["Total", "$100.00"]]);
+  expect(paragraphTexts(out.xml).filter((t) => t.includes("[Role]"))).toEqual([]);
+  expect(out.xml).toContain("<w:tblHeader/>");
+  expect(out.xml).toContain('<w:jc w:val="right"/>');
+});
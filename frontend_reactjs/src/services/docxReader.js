@@ -0,0 +1,329 @@
+//
+// PUBLIC_INTERFACE
+// DOCX reader: turns an original Word template into the plain-text transcript that
+// sowTemplateParser.parseSOWTranscriptToSections() consumes, so new templates can be used
+// as-is instead of being hand-converted to .txt.
+//
+// Paragraphs become lines, numbered list items keep their rendered number ("5. Scope of Work:"),
+// bullet items become indented "- item" lines and table rows become "cell | cell" lines.
+// Header parts are read before the body and footer parts after it.
+//
+import { unzip, readZipText } from "./zipReader";
+
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const MC_NS = "http://schemas.openxmlformats.org/markup-compatibility/2006";
+const INDENT = "   ";
+
+/**
+ * PUBLIC_INTERFACE
+ * readDocxTemplate
+ * Read a .docx file and build its transcript.
+ *
+ * @param {ArrayBuffer|Uint8Array|Object.<string, Uint8Array>} source - Raw .docx bytes or an already unzipped file map
+ * @returns {Promise<{
+ *   transcript: string,
+ *   blocks: Array<
+ *     {type:'paragraph', part:string, text:string, style:string, list?:{numId:string, level:number, format:string, label:string}} |
+ *     {type:'table', part:string, rows:string[][]}
+ *   >
+ * }>}
+ */
+export async function readDocxTemplate(source) {
+  const files = source instanceof ArrayBuffer || source instanceof Uint8Array ? await unzip(source) : source || {};
+  const documentXml = readZipText(files, "word/document.xml");
+  if (!documentXml) throw new Error("The file is not a Word document (word/document.xml missing).");
+
+  const numbering = readNumbering(readZipText(files, "word/numbering.xml"));
+  const styleNumbering = readStyleNumbering(readZipText(files, "word/styles.xml"));
+  const ctx = { numbering, styleNumbering, counters: {} };
+
+  const partNames = (prefix) =>
+    Object.keys(files)
+      .filter((n) => new RegExp(`^word/${prefix}\\d*\\.xml$`).test(n))
+      .sort();
+
+  const blocks = [];
+  const seenHeaderText = new Set();
+  const readPart = (name, dedupe) => {
+    const root = parseXml(readZipText(files, name)).documentElement;
+    const container = name === "word/document.xml" ? firstChild(root, "body") : root;
+    const partBlocks = [];
+    walkBlocks(container, name, ctx, partBlocks);
+    // First-page/even-page variants usually repeat the same header text.
+    const key = partBlocks.map(blockToLines).flat().join("\n").trim();
+    if (dedupe && (!key || seenHeaderText.has(key))) return;
+    seenHeaderText.add(key);
+    blocks.push(...partBlocks);
+  };
+
+  partNames("header").forEach((n) => readPart(n, true));
+  readPart("word/document.xml", false);
+  partNames("footer").forEach((n) => readPart(n, true));
+
+  const transcript = blocks
+    .map(blockToLines)
+    .flat()
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return { transcript, blocks };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * fetchTemplateTranscript
+ * Fetch the first loadable source of a template and return its transcript text.
+ * ".docx" sources are read with readDocxTemplate(); anything else is treated as a plain-text transcript.
+ *
+ * @param {string|string[]} urls - Candidate URLs in order of preference (e.g. the .docx, then a legacy .txt)
+ * @returns {Promise<string>} Transcript text
+ * @throws {Error} When none of the sources can be loaded
+ */
+export async function fetchTemplateTranscript(urls) {
+  let lastError = null;
+  for (const url of [].concat(urls || [])) {
+    try {
+      const resp = await fetch(encodeURI(url));
+      if (!resp.ok) throw new Error(`Failed to load ${url} (${resp.status})`);
+      if (/\.docx$/i.test(url)) {
+        const { transcript } = await readDocxTemplate(await resp.arrayBuffer());
+        return transcript;
+      }
+      return await resp.text();
+    } catch (e) {
+      lastError = e;
+    }
+  }
+  throw lastError || new Error("No template source configured.");
+}
+
+// Block walking
+
+function walkBlocks(container, part, ctx, out) {
+  if (!container) return;
+  Array.from(container.childNodes).forEach((node) => {
+    if (node.nodeType !== 1) return;
+    if (isW(node, "p")) {
+      // Text boxes anchored in the paragraph are emitted before it, like Word's reading order.
+      textBoxesIn(node).forEach((box) => walkBlocks(box, part, ctx, out));
+      out.push(readParagraph(node, part, ctx));
+    } else if (isW(node, "tbl")) {
+      out.push(readTable(node, part));
+    } else if (isW(node, "sdt")) {
+      walkBlocks(firstChild(node, "sdtContent"), part, ctx, out);
+    } else if (node.namespaceURI === MC_NS && node.localName === "AlternateContent") {
+      walkBlocks(firstChildNs(node, MC_NS, "Choice"), part, ctx, out);
+    } else if (isW(node, "customXml") || isW(node, "ins")) {
+      walkBlocks(node, part, ctx, out);
+    }
+  });
+}
+
+function readParagraph(p, part, ctx) {
+  const pPr = firstChild(p, "pPr");
+  const style = attr(firstChild(pPr, "pStyle"), "val") || "";
+  const text = paragraphText(p);
+  const block = { type: "paragraph", part, text, style };
+
+  const numPr = firstChild(pPr, "numPr") || ctx.styleNumbering[style] || null;
+  const numId = numPr ? attr(firstChild(numPr, "numId"), "val") : null;
+  const level = numPr ? parseInt(attr(firstChild(numPr, "ilvl"), "val") || "0", 10) : 0;
+  const def = numId && numId !== "0" ? ctx.numbering[numId] : null;
+  if (def && text.trim()) {
+    const lvl = def.levels[level] || { format: "bullet", text: "" };
+    block.list = { numId, level, format: lvl.format, label: nextListLabel(ctx, numId, level, def) };
+  }
+  return block;
+}
+
+function readTable(tbl, part) {
+  const rows = Array.from(tbl.childNodes)
+    .filter((tr) => isW(tr, "tr"))
+    .map((tr) =>
+      Array.from(tr.childNodes)
+        .filter((tc) => isW(tc, "tc"))
+        .map((tc) =>
+          Array.from(tc.getElementsByTagNameNS(W_NS, "p"))
+            .map(paragraphText)
+            .map((s) => s.trim())
+            .filter(Boolean)
+            .join(" ")
+        )
+    );
+  return { type: "table", part, rows };
+}
+
+function blockToLines(block) {
+  if (block.type === "table") {
+    return block.rows.map((cells) => cells.filter(Boolean)).filter((cells) => cells.length).map((cells) => INDENT + cells.join(" | "));
+  }
+  const lines = block.text.split("\n").map((l) => l.replace(/\s+$/, ""));
+  if (!block.list) return lines;
+  const { format, level, label } = block.list;
+  const prefix = format === "bullet" || format === "none" ? `${INDENT.repeat(level + 1)}- ` : `${INDENT.repeat(level)}${label} `;
+  return [prefix + lines[0].trim(), ...lines.slice(1)];
+}
+
+// Run text: w:t, tabs and breaks in document order, skipping nested text boxes and deleted text.
+function paragraphText(p) {
+  let out = "";
+  const visit = (node) => {
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.nodeType !== 1) return;
+      if (child.namespaceURI === MC_NS && child.localName === "Fallback") return;
+      if (child.namespaceURI === W_NS) {
+        switch (child.localName) {
+          case "t":
+            out += child.textContent;
+            return;
+          case "tab":
+            out += "\t";
+            return;
+          case "br":
+          case "cr":
+            out += "\n";
+            return;
+          case "noBreakHyphen":
+            out += "-";
+            return;
+          case "txbxContent":
+          case "del":
+          case "pPr":
+          case "rPr":
+            return;
+          default:
+            break;
+        }
+      }
+      visit(child);
+    });
+  };
+  visit(p);
+  return out;
+}
+
+function textBoxesIn(p) {
+  return Array.from(p.getElementsByTagNameNS(W_NS, "txbxContent")).filter((box) => {
+    // Skip the VML fallback copy of a DrawingML text box.
+    for (let n = box.parentNode; n && n !== p; n = n.parentNode) {
+      if (n.namespaceURI === MC_NS && n.localName === "Fallback") return false;
+    }
+    return true;
+  });
+}
+
+// Numbering
+
+function readNumbering(xml) {
+  if (!xml) return {};
+  const root = parseXml(xml).documentElement;
+  const abstracts = {};
+  childrenOf(root, "abstractNum").forEach((a) => {
+    const levels = {};
+    childrenOf(a, "lvl").forEach((lvl) => {
+      levels[parseInt(attr(lvl, "ilvl") || "0", 10)] = {
+        format: attr(firstChild(lvl, "numFmt"), "val") || "decimal",
+        text: attr(firstChild(lvl, "lvlText"), "val") || "",
+        start: parseInt(attr(firstChild(lvl, "start"), "val") || "1", 10),
+      };
+    });
+    abstracts[attr(a, "abstractNumId")] = levels;
+  });
+
+  const nums = {};
+  childrenOf(root, "num").forEach((num) => {
+    const abstractId = attr(firstChild(num, "abstractNumId"), "val");
+    nums[attr(num, "numId")] = { levels: abstracts[abstractId] || {}, abstractId };
+  });
+  return nums;
+}
+
+function readStyleNumbering(xml) {
+  if (!xml) return {};
+  const out = {};
+  childrenOf(parseXml(xml).documentElement, "style").forEach((s) => {
+    const numPr = firstChild(firstChild(s, "pPr"), "numPr");
+    if (numPr) out[attr(s, "styleId")] = numPr;
+  });
+  return out;
+}
+
+// Word continues numbering per abstract definition, so counters are keyed by it.
+function nextListLabel(ctx, numId, level, def) {
+  const key = def.abstractId || numId;
+  const counters = ctx.counters[key] || (ctx.counters[key] = []);
+  for (let l = 0; l <= level; l++) {
+    if (counters[l] === undefined) counters[l] = (def.levels[l]?.start ?? 1) - (l === level ? 1 : 0);
+  }
+  counters[level] += 1;
+  counters.length = level + 1; // deeper levels restart
+
+  const lvl = def.levels[level] || {};
+  const template = lvl.text || `%${level + 1}.`;
+  return template.replace(/%(\d)/g, (_, d) => {
+    const l = parseInt(d, 10) - 1;
+    return formatNumber(counters[l] ?? 1, def.levels[l]?.format || "decimal");
+  });
+}
+
+function formatNumber(n, format) {
+  switch (format) {
+    case "lowerLetter":
+      return toLetters(n).toLowerCase();
+    case "upperLetter":
+      return toLetters(n);
+    case "lowerRoman":
+      return toRoman(n).toLowerCase();
+    case "upperRoman":
+      return toRoman(n);
+    default:
+      return String(n);
+  }
+}
+
+function toLetters(n) {
+  let s = "";
+  for (let v = n; v > 0; v = Math.floor((v - 1) / 26)) s = String.fromCharCode(65 + ((v - 1) % 26)) + s;
+  return s;
+}
+
+function toRoman(n) {
+  const table = [[1000, "M"], [900, "CM"], [500, "D"], [400, "CD"], [100, "C"], [90, "XC"], [50, "L"], [40, "XL"], [10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"]];
+  let v = n;
+  let s = "";
+  table.forEach(([value, sym]) => {
+    while (v >= value) {
+      s += sym;
+      v -= value;
+    }
+  });
+  return s;
+}
+
+// XML helpers
+
+function parseXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Template XML could not be parsed.");
+  return doc;
+}
+
+function isW(node, name) {
+  return node?.namespaceURI === W_NS && node.localName === name;
+}
+
+function childrenOf(node, name) {
+  return node ? Array.from(node.childNodes).filter((c) => isW(c, name)) : [];
+}
+
+function firstChild(node, name) {
+  return childrenOf(node, name)[0] || null;
+}
+
+function firstChildNs(node, ns, name) {
+  return Array.from(node?.childNodes || []).find((c) => c.namespaceURI === ns && c.localName === name) || null;
+}
+
+function attr(node, name) {
+  return node ? node.getAttributeNS(W_NS, name) || node.getAttribute(`w:${name}`) || null : null;
+}
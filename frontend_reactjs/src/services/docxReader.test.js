@@ -0,0 +1,49 @@
+import { readDocxTemplate } from "./docxReader";
+import { parseSOWTranscriptToSections } from "./sowTemplateParser";
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+const numbering = `<?xml version="1.0" encoding="UTF-8"?><w:numbering ${W}>
+  <w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1."/></w:lvl></w:abstractNum>
+  <w:abstractNum w:abstractNumId="1"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/><w:lvlText w:val=""/></w:lvl></w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+  <w:num w:numId="2"><w:abstractNumId w:val="1"/></w:num>
+</w:numbering>`;
+
+const para = (text, numId) =>
+  `<w:p>${numId ? `<w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr></w:pPr>` : ""}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+test("renders list numbering, bullets and tables into a transcript the section parser understands", async () => {
+  const body = [
+    para("Statement of Work (T&amp;M)"),
+    para("Scope of Work:", 1),
+    para("Consulting services for [Client Name]."),
+    para("Supplier Deliverables:", 1),
+    para("Design", 2),
+    para("Build", 2),
+    para("Contractor Rate Card:", 1),
+    `<w:tbl><w:tr><w:tc>${para("Role")}</w:tc><w:tc>${para("Rate")}</w:tc></w:tr><w:tr><w:tc>${para("[Role]")}</w:tc><w:tc>${para("[Rate/hr]")}</w:tc></w:tr></w:tbl>`,
+  ].join("");
+  const files = {
+    "word/document.xml": `<?xml version="1.0" encoding="UTF-8"?><w:document ${W}><w:body>${body}</w:body></w:document>`,
+    "word/numbering.xml": numbering,
+  };
+
+  const { transcript } = await readDocxTemplate(files);
+  expect(transcript.split("\n")).toEqual([
+    "Statement of Work (T&M)",
+    "1. Scope of Work:",
+    "Consulting services for [Client Name].",
+    "2. Supplier Deliverables:",
+    "   - Design",
+    "   - Build",
+    "3. Contractor Rate Card:",
+    "   Role | Rate",
+    "   [Role] | [Rate/hr]",
+  ]);
+
+  const parsed = parseSOWTranscriptToSections(transcript);
+  expect(parsed.sections.map((s) => s.title)).toEqual(["Statement of Work (T&M)", "Scope of Work", "Supplier Deliverables", "Contractor Rate Card"]);
+  expect(parsed.sections[2].listItems).toEqual(["Design", "Build"]);
+  expect(parsed.flatFields.map((f) => f.key)).toEqual(expect.arrayContaining(["client_name", "role", "rate_hr"]));
+});
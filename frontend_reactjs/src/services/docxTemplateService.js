@@ -1,8 +1,8 @@
 //
 // PUBLIC_INTERFACE
 // DOCX Template Service: parses provided DOCX-transcript .txt files for placeholders,
-// provides a dynamic field schema, preview rendering helpers, and DOCX generation
-// that preserves original layout using background page image plus positioned overlays.
+// provides a dynamic field schema, preview rendering helpers, and the ZIP writer used for DOCX output.
+// Filling the original .docx lives in docxPlaceholderFiller.js.
 //
 /**
  * PUBLIC_INTERFACE
@@ -129,6 +129,18 @@ export function buildDynamicTemplateSchemaFromTranscript(transcriptText, templat
   };
 }
 
+/**
+ * PUBLIC_INTERFACE
+ * isTranscriptHeading
+ * Whether a transcript line reads as a heading (Statement of Work, Scope of Work, Authorization, ...).
+ *
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function isTranscriptHeading(line) {
+  return /^\s*(Statement of Work|Scope of Work|Authorization|Project|Work Order|Master Services Agreement)/i.test(String(line || ""));
+}
+
 /**
  * PUBLIC_INTERFACE
  * makeTranscriptPreviewHtml
@@ -143,7 +155,7 @@ export function makeTranscriptPreviewHtml(transcriptText) {
   const lines = text.split(/\r?\n/);
   return lines
     .map((l) => {
-      if (/^\s*(Statement of Work|Scope of Work|Authorization|Project|Work Order|Master Services Agreement)/i.test(l)) {
+      if (isTranscriptHeading(l)) {
         return `<h3 style="margin: 12px 0 6px 0; font-weight: 800;">${escapeHtml(l)}</h3>`;
       }
       return `<p style="margin: 6px 0">${escapeHtml(l)}</p>`;
@@ -160,7 +172,8 @@ function escapeHtml(s) {
  * buildDocxWithBackgroundAndOverlays
  * Build a minimal DOCX where the original page is represented by a full-page white background
  * and user-entered values are overlaid as positioned text lines, with a top-left logo.
- * This preserves the structure visually by leaving the base "page" unmodified and only writing overlays.
+ * The output does not resemble the supplier template: it is only the fallback for templates without an original
+ * .docx; docxPlaceholderFiller.fillDocxTemplate() fills the original when there is one.
  *
  * @param {{pages: Array<{widthPx:number,heightPx:number}>, overlays: Array<{pageIndex:number,xPx:number,yPx:number,text:string,fontSizePx?:number}>, logoDataUrl?: string}} params
  * @returns {Object.<string, string|Uint8Array>} A map of docx zip entries to write
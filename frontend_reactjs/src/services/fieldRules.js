@@ -0,0 +1,156 @@
+//
+// PUBLIC_INTERFACE
+// Field rules of a template form: `dependsOn` visibility, `required` marking and per-type value checks.
+// Rules come from the form fields themselves, the schema's `required` list, and the closest declared template
+// in sowTemplateSchemas.json (same field keys), so the built-in forms follow the declared DT3 rules.
+//
+import { isMoney, parseMoneyInput } from "./money";
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// A declared template's rules apply once it shares at least this many field keys with the form,
+// so a generic key such as "title" or "date" does not pick up another template's rules.
+const MIN_SHARED_KEYS = 3;
+
+function normalize(s) {
+  return String(s || "").toLowerCase().replace(/&/g, " and ").replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// "Time & Materials" matches the option "Time and Material".
+function sameOption(a, b) {
+  const x = normalize(a).replace(/\s+/g, "").replace(/s$/, "");
+  const y = normalize(b).replace(/\s+/g, "").replace(/s$/, "");
+  return x !== "" && x === y;
+}
+
+function isBlank(v) {
+  if (v === undefined || v === null) return true;
+  if (typeof v === "boolean") return false;
+  if (Array.isArray(v)) return v.every(isBlank);
+  if (typeof v === "object") return Object.values(v).every(isBlank);
+  return String(v).trim() === "";
+}
+
+function pickDeclared(templates, fields) {
+  const keys = new Set(fields.map((f) => f.key));
+  let best = null;
+  let bestShared = MIN_SHARED_KEYS - 1;
+  (templates || []).forEach((t) => {
+    const shared = (t.fields || []).filter((f) => keys.has(f?.key)).length;
+    if (shared > bestShared) {
+      best = t;
+      bestShared = shared;
+    }
+  });
+  return {
+    required: new Set(best?.required || []),
+    byKey: new Map((best?.fields || []).filter((f) => f?.key).map((f) => [f.key, f])),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createFieldRules
+ * Rules for the fields of one form.
+ *
+ * A `dependsOn` key is read from the form field with that key, otherwise from the form field labelled like the
+ * declared field of that key (the built-in forms call "Type of Project" `type_of_project`), falling back to that
+ * field's `default`. Values are compared loosely ("Time & Materials" = "Time and Material"). A condition on a field
+ * the form does not have is unknown: the field stays visible but is not required.
+ *
+ * @param {{sections:Array<{section:string, fields:Array}>, templateSchema?:object, declaredTemplates?:Array}} input
+ * @returns {{
+ *   dependsOn:(field:object)=>object|null,
+ *   isVisible:(field:object, templateData:object)=>boolean,
+ *   isRequired:(field:object, templateData:object, parent?:object)=>boolean,
+ *   describeCondition:(dependsOn:object)=>string,
+ *   prune:(templateData:object)=>object
+ * }}
+ */
+export function createFieldRules({ sections, templateSchema, declaredTemplates = [] }) {
+  const fields = (sections || []).flatMap((s) => s.fields || []).filter((f) => f?.key);
+  const declared = pickDeclared(declaredTemplates, fields);
+  const listed = new Set([...(templateSchema?.required || []), ...declared.required]);
+
+  function dependsOn(field) {
+    const d = field?.dependsOn || declared.byKey.get(field?.key)?.dependsOn;
+    return d && Object.keys(d).length ? d : null;
+  }
+
+  function sourceField(key) {
+    const label = normalize(declared.byKey.get(key)?.label);
+    return fields.find((f) => f.key === key) || (label ? fields.find((f) => normalize(f.label) === label) : null);
+  }
+
+  // true / false, or undefined when a condition names a field the form does not have.
+  function holds(conditions, data) {
+    let unknown = false;
+    const ok = Object.entries(conditions).every(([key, expected]) => {
+      const source = sourceField(key);
+      if (!source) {
+        unknown = true;
+        return true;
+      }
+      const v = (data || {})[source.key];
+      const actual = isBlank(v) ? source.default : v;
+      return (Array.isArray(expected) ? expected : [expected]).some((e) => sameOption(actual, e));
+    });
+    if (!ok) return false;
+    return unknown ? undefined : true;
+  }
+
+  function isVisible(field, data) {
+    const d = dependsOn(field);
+    return !d || holds(d, data) !== false;
+  }
+
+  function isRequired(field, data, parent) {
+    const own = field?.required === true || (!parent && listed.has(field?.key));
+    if (!own) return false;
+    const d = dependsOn(parent || field);
+    return !d || holds(d, data) === true;
+  }
+
+  function describeCondition(conditions) {
+    return Object.entries(conditions || {})
+      .map(([key, expected]) => {
+        const label = fields.find((f) => f.key === key)?.label || declared.byKey.get(key)?.label || key;
+        return `${label} is ${(Array.isArray(expected) ? expected : [expected]).join(" or ")}`;
+      })
+      .join(" and ");
+  }
+
+  // templateData without the values of hidden fields (what the exported document contains).
+  function prune(data) {
+    const out = { ...(data || {}) };
+    fields.forEach((f) => {
+      if (!isVisible(f, data)) delete out[f.key];
+    });
+    return out;
+  }
+
+  return { dependsOn, isVisible, isRequired, describeCondition, prune };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * validateFieldValue
+ * Inline error for a non-empty value that does not fit the field type (email, date, currency), otherwise "".
+ * Empty values are never an error here; missing required values are reported by the Review screen checks.
+ */
+export function validateFieldValue(field, value) {
+  const s = typeof value === "string" ? value.trim() : value;
+  if (s === undefined || s === null || s === "") return "";
+  switch (field?.type) {
+    case "email":
+      return EMAIL_RE.test(String(s)) ? "" : "Enter a valid email address.";
+    case "date":
+      return ISO_DATE_RE.test(String(s)) && !Number.isNaN(Date.parse(s)) ? "" : "Enter a date as YYYY-MM-DD.";
+    case "currency":
+      // Stored money values, or text as typed ("12,000.50", "USD 12,000", "1.234,50 €", "$12k")
+      return isMoney(s) || parseMoneyInput(s) ? "" : "Enter an amount, e.g. USD 12,000.";
+    default:
+      return "";
+  }
+}
@@ -0,0 +1,57 @@
+import { createFieldRules, validateFieldValue } from "./fieldRules";
+
+const declaredTemplates = [
+  {
+    id: "SUPPLIER",
+    required: ["client_portfolio", "engagement_number"],
+    fields: [
+      { key: "client_portfolio", label: "Client Portfolio", type: "text" },
+      { key: "project_type", label: "Type of Project", type: "select", options: ["Fixed Price", "Time and Material"] },
+      { key: "engagement_number", label: "Engagement Number", type: "text", dependsOn: { project_type: "Fixed Price" } },
+      { key: "scope_of_work", label: "Scope of Work", type: "textarea" },
+    ],
+  },
+];
+
+const sections = [
+  {
+    section: "Project",
+    fields: [
+      { key: "client_portfolio", label: "Client Portfolio", type: "text" },
+      { key: "type_of_project", label: "Type of Project", type: "text", default: "Fixed Price" },
+      { key: "engagement_number", label: "Engagement Number", type: "text" },
+      { key: "notes", label: "Notes", type: "textarea", dependsOn: { budget_holder: "Finance" } },
+      { key: "scope_of_work", label: "Scope of Work", type: "textarea" },
+    ],
+  },
+];
+
+test("dependsOn hides fields, required applies only while the condition holds, hidden values are pruned", () => {
+  const rules = createFieldRules({ sections, declaredTemplates });
+  const [portfolio, , engagement, notes] = sections[0].fields;
+
+  // The default "Fixed Price" of the labelled Type of Project field satisfies the declared condition.
+  expect(rules.isVisible(engagement, {})).toBe(true);
+  expect(rules.isRequired(engagement, {})).toBe(true);
+  expect(rules.isRequired(portfolio, {})).toBe(true);
+
+  const tm = { type_of_project: "Time & Materials", engagement_number: "E-1", client_portfolio: "Retail" };
+  expect(rules.isVisible(engagement, tm)).toBe(false);
+  expect(rules.isRequired(engagement, tm)).toBe(false);
+  expect(rules.prune(tm)).toEqual({ type_of_project: "Time & Materials", client_portfolio: "Retail" });
+
+  // A condition on a field the form does not have leaves the field visible.
+  expect(rules.isVisible(notes, {})).toBe(true);
+  expect(rules.describeCondition(rules.dependsOn(engagement))).toBe("Type of Project is Fixed Price");
+});
+
+test("validateFieldValue checks email, date and currency values", () => {
+  expect(validateFieldValue({ type: "email" }, "pm@example.com")).toBe("");
+  expect(validateFieldValue({ type: "email" }, "pm@")).toMatch(/email/);
+  expect(validateFieldValue({ type: "date" }, "2026-02-30x")).toMatch(/YYYY-MM-DD/);
+  expect(validateFieldValue({ type: "date" }, "2026-02-03")).toBe("");
+  expect(validateFieldValue({ type: "currency" }, "USD 12,000.50")).toBe("");
+  expect(validateFieldValue({ type: "currency" }, "$1,200")).toBe("");
+  expect(validateFieldValue({ type: "currency" }, "ten thousand")).toMatch(/amount/);
+  expect(validateFieldValue({ type: "currency" }, "")).toBe("");
+});
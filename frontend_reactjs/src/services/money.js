@@ -0,0 +1,189 @@
+//
+// PUBLIC_INTERFACE
+// Money values of `currency` fields: stored as { amount, currency } (amount a number, currency an ISO 4217 code),
+// parsed from what people type ("1.234,50", "$12k", "EUR 1 200") and formatted one way for form, review, preview
+// and DOCX. The per-SOW settings (sowData.commercials) hold the default currency, the number locale and the
+// tax / discount / contingency rates that roll up into the contract-value summary.
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * CURRENCIES
+ * ISO codes offered in the currency pickers.
+ */
+export const CURRENCIES = ["USD", "EUR", "GBP", "INR", "AUD", "CAD", "CHF", "JPY", "SGD", "AED", "ZAR", "NZD"];
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_COMMERCIALS
+ * Settings used when a SOW has none yet. Rates are percentages.
+ */
+export const DEFAULT_COMMERCIALS = { currency: "USD", locale: "en-US", discountRate: 0, contingencyRate: 0, taxRate: 0, baseAmount: "" };
+
+const SYMBOLS = { $: "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "₹": "INR" };
+const MULTIPLIERS = { k: 1e3, m: 1e6, mm: 1e6, bn: 1e9, b: 1e9 };
+
+/**
+ * PUBLIC_INTERFACE
+ * getCommercials
+ * The SOW's money settings with defaults filled in.
+ */
+export function getCommercials(sow) {
+  return { ...DEFAULT_COMMERCIALS, ...((sow && sow.commercials) || {}) };
+}
+
+function decimalSeparator(locale) {
+  try {
+    return new Intl.NumberFormat(locale).format(1.5).includes(",") ? "," : ".";
+  } catch {
+    return ".";
+  }
+}
+
+// "1.234,50" / "1,234.50" / "1 234,5" / "12'000" → number, using the locale only when a single separator is ambiguous.
+function parseNumber(digits, locale) {
+  const s = digits.replace(/[\s\u00a0\u202f']/g, "");
+  if (!/^\d[\d.,]*$/.test(s) && !/^[.,]\d+$/.test(s)) return null;
+  const lastDot = s.lastIndexOf(".");
+  const lastComma = s.lastIndexOf(",");
+  let decimal = null;
+  if (lastDot >= 0 && lastComma >= 0) decimal = lastDot > lastComma ? "." : ",";
+  else if (lastDot >= 0 || lastComma >= 0) {
+    const sep = lastDot >= 0 ? "." : ",";
+    const parts = s.split(sep);
+    if (parts.length > 2) decimal = null; // "1.234.567": grouping only
+    else if (parts[1].length !== 3) decimal = sep; // "1,5", "12.50"
+    else decimal = decimalSeparator(locale) === sep ? sep : null; // "1.234": ask the locale
+  }
+  // Grouped digits come in threes ("1.234.567") or as Indian lakhs, always with commas ("12,34,567"); "12.5.6" and
+  // "1.23.456" are typos, not 1256 and 123456
+  const integer = decimal ? s.slice(0, s.lastIndexOf(decimal)) : s;
+  if (/[.,]/.test(integer) && !/^\d{1,3}([.,]\d{3})+$/.test(integer) && !/^\d{1,2}(,\d{2})*,\d{3}$/.test(integer)) return null;
+  const groupSep = decimal === "." ? "," : ".";
+  let normalized = decimal ? s.split(groupSep).join("") : s.replace(/[.,]/g, "");
+  if (decimal === ",") normalized = normalized.replace(",", ".");
+  if (!/^\d*(\.\d*)?$/.test(normalized)) return null;
+  const n = Number(normalized);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseMoneyInput
+ * Parse typed money: optional sign or parentheses, currency symbol or ISO code before or after, grouped digits in
+ * either convention, and a k / m / bn suffix. Returns null when the text holds no amount, or one with fractions of a
+ * cent ("1.234" in en-US), which would otherwise be rounded away silently.
+ * @param {string|number} text
+ * @param {{currency?:string, locale?:string}} [settings] - default currency and locale for ambiguous separators
+ * @returns {{amount:number, currency:string}|null}
+ */
+export function parseMoneyInput(text, settings = {}) {
+  const fallback = (settings.currency || DEFAULT_COMMERCIALS.currency).toUpperCase();
+  if (typeof text === "number") return Number.isFinite(text) ? { amount: text, currency: fallback } : null;
+  let s = String(text ?? "").trim();
+  if (!s) return null;
+  let negative = false;
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1).trim();
+  }
+  if (s.startsWith("-")) {
+    negative = true;
+    s = s.slice(1).trim();
+  }
+  let currency = null;
+  const code = s.match(/^([A-Za-z]{3})\s*(?=[-\d.,$€£¥₹])|\s*([A-Za-z]{3})$/);
+  if (code) {
+    currency = (code[1] || code[2]).toUpperCase();
+    s = code[1] ? s.slice(code[0].length) : s.slice(0, s.length - code[0].length);
+  }
+  const symbol = s.match(/^([$€£¥₹])\s*|\s*([$€£¥₹])$/);
+  if (symbol) {
+    currency = currency || SYMBOLS[symbol[1] || symbol[2]];
+    s = symbol[1] ? s.slice(symbol[0].length) : s.slice(0, s.length - symbol[0].length);
+  }
+  if (s.startsWith("-")) {
+    negative = true;
+    s = s.slice(1);
+  }
+  let multiplier = 1;
+  const suffix = s.match(/\s*(k|mm|m|bn|b)$/i);
+  if (suffix) {
+    multiplier = MULTIPLIERS[suffix[1].toLowerCase()];
+    s = s.slice(0, s.length - suffix[0].length);
+  }
+  const n = parseNumber(s.trim(), settings.locale || DEFAULT_COMMERCIALS.locale);
+  if (n === null) return null;
+  const cents = n * multiplier * 100;
+  // Tolerance for binary fractions: 1.15 * 100 is 114.99999999999999
+  if (Math.abs(cents - Math.round(cents)) > 1e-6) return null;
+  const amount = Math.round(cents) / 100;
+  return { amount: negative ? -amount : amount, currency: currency || fallback };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isMoney
+ * True for a stored money value { amount:number, currency:string }.
+ */
+export function isMoney(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v) && typeof v.amount === "number" && typeof v.currency === "string";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * moneyAmount
+ * Number held by a money value, a number, or money text; null when there is none.
+ */
+export function moneyAmount(v, settings) {
+  if (isMoney(v)) return Number.isFinite(v.amount) ? v.amount : null;
+  if (v === "" || v === undefined || v === null) return null;
+  return parseMoneyInput(v, settings)?.amount ?? null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatMoney
+ * Display text of a money value, number (in the SOW currency) or money text, in the SOW locale:
+ * "$12,000.00", "12.000,00 €". Text that holds no amount is returned unchanged; empty values give "".
+ */
+export function formatMoney(v, settings = {}) {
+  if (v === "" || v === undefined || v === null) return "";
+  const money = isMoney(v) ? v : parseMoneyInput(v, settings);
+  if (!money) return String(v);
+  const locale = settings.locale || DEFAULT_COMMERCIALS.locale;
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency: money.currency }).format(money.amount);
+  } catch {
+    return `${money.currency} ${money.amount.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+}
+
+function rate(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+const cents = (n) => Math.round(n * 100) / 100;
+
+/**
+ * PUBLIC_INTERFACE
+ * contractValueSummary
+ * Roll a subtotal up into the contract value: discount off the subtotal, contingency on the discounted amount,
+ * then tax on both. All amounts are numbers in the SOW currency, rounded to the cent.
+ * @returns {{currency:string, subtotal:number, discount:number, contingency:number, tax:number, total:number}}
+ */
+export function contractValueSummary(subtotal, settings = {}) {
+  const base = cents(Number(subtotal) || 0);
+  const discount = cents((base * rate(settings.discountRate)) / 100);
+  const contingency = cents(((base - discount) * rate(settings.contingencyRate)) / 100);
+  const tax = cents(((base - discount + contingency) * rate(settings.taxRate)) / 100);
+  return {
+    currency: settings.currency || DEFAULT_COMMERCIALS.currency,
+    subtotal: base,
+    discount,
+    contingency,
+    tax,
+    total: cents(base - discount + contingency + tax),
+  };
+}
@@ -0,0 +1,48 @@
+import { contractValueSummary, formatMoney, parseMoneyInput } from "./money";
+
+test("parseMoneyInput reads either separator convention, symbols, ISO codes and k / m suffixes", () => {
+  expect(parseMoneyInput("1.234,50")).toEqual({ amount: 1234.5, currency: "USD" });
+  expect(parseMoneyInput("1,234.50 EUR")).toEqual({ amount: 1234.5, currency: "EUR" });
+  expect(parseMoneyInput("$12k")).toEqual({ amount: 12000, currency: "USD" });
+  expect(parseMoneyInput("€ 1 200,5")).toEqual({ amount: 1200.5, currency: "EUR" });
+  expect(parseMoneyInput("gbp 2.5m")).toEqual({ amount: 2500000, currency: "GBP" });
+  expect(parseMoneyInput("(1,000)", { currency: "INR" })).toEqual({ amount: -1000, currency: "INR" });
+  // A lone separator before three digits follows the locale
+  expect(parseMoneyInput("1.50").amount).toBe(1.5);
+  expect(parseMoneyInput("1.234", { locale: "de-DE" }).amount).toBe(1234);
+  expect(parseMoneyInput("1,234").amount).toBe(1234);
+  expect(parseMoneyInput("12,34,567.5", { currency: "INR" }).amount).toBe(1234567.5);
+  expect(parseMoneyInput("1\u00a0234,5\u202f€").amount).toBe(1234.5);
+  // Separators that do not group digits in threes are a typo, not an amount
+  expect(parseMoneyInput("12.5.6")).toBeNull();
+  expect(parseMoneyInput("1,23,4.5")).toBeNull();
+  expect(parseMoneyInput("1.23.456")).toBeNull();
+  expect(parseMoneyInput("12.34.567,5", { locale: "de-DE" })).toBeNull();
+  // Fractions of a cent are not rounded away: "1.234" in en-US is 1.234, not 1.23
+  expect(parseMoneyInput("1.234", { locale: "en-US" })).toBeNull();
+  expect(parseMoneyInput("0.005")).toBeNull();
+  expect(parseMoneyInput("1.234k").amount).toBe(1234);
+  expect(parseMoneyInput("1.15").amount).toBe(1.15);
+  expect(parseMoneyInput("ten thousand")).toBeNull();
+  expect(parseMoneyInput("")).toBeNull();
+});
+
+test("formatMoney formats money values, numbers and money text in the SOW locale", () => {
+  const nbsp = (s) => s.replace(/\s/g, " ");
+  expect(formatMoney({ amount: 12000, currency: "USD" })).toBe("$12,000.00");
+  expect(nbsp(formatMoney(1234.5, { currency: "EUR", locale: "de-DE" }))).toBe("1.234,50 €");
+  expect(formatMoney("GBP 1,234.5", { locale: "en-GB" })).toBe("£1,234.50");
+  expect(formatMoney("to be agreed")).toBe("to be agreed");
+  expect(formatMoney("")).toBe("");
+});
+
+test("contractValueSummary applies discount, then contingency, then tax", () => {
+  expect(contractValueSummary(10000, { currency: "EUR", discountRate: 10, contingencyRate: 5, taxRate: 20 })).toEqual({
+    currency: "EUR",
+    subtotal: 10000,
+    discount: 1000,
+    contingency: 450,
+    tax: 1890,
+    total: 11340,
+  });
+});
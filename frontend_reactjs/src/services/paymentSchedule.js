@@ -0,0 +1,251 @@
+//
+// PUBLIC_INTERFACE
+// Milestone payment schedule of a Fixed Price SOW: milestones with a due date, acceptance criteria and either a
+// percentage of the contract total or a fixed amount. The schedule lives in templateData.payment_schedule; the
+// charges / payment schedule text and the milestone list of the form are derived from it, the DOCX gets it as a
+// payment table and finance gets it as CSV.
+//
+import { formatMoney } from "./money";
+
+/**
+ * PUBLIC_INTERFACE
+ * PAYMENT_SCHEDULE_KEY
+ * templateData key holding the schedule:
+ * { milestones: [{ name, dueDate, acceptance, mode: "percent"|"amount", value }], generated: { <fieldKey>: value last written } }
+ */
+export const PAYMENT_SCHEDULE_KEY = "payment_schedule";
+
+// Form fields the schedule fills in (built-in FP form and the declared DT3 template).
+const TARGETS = {
+  charges: ["charges_and_payment_schedule_fp", "charges_payment_schedule"],
+  milestones: ["project_schedule_and_milestones", "schedule_milestones"],
+};
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const cents = (n) => Math.round(n * 100) / 100;
+
+function valueOf(m) {
+  const n = Number(m?.value);
+  return String(m?.value ?? "").trim() !== "" && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function isPercent(m) {
+  return m?.mode !== "amount";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * newMilestone
+ * Empty milestone paid as a percentage.
+ */
+export function newMilestone() {
+  return { name: "", dueDate: "", acceptance: "", mode: "percent", value: "" };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * hasScheduleTargets
+ * True when the form has a charges / payment schedule field, i.e. the schedule applies to this template.
+ * @param {Array<object>} fields - visible form fields
+ */
+export function hasScheduleTargets(fields) {
+  const keys = new Set((fields || []).map((f) => f?.key));
+  return TARGETS.charges.some((k) => keys.has(k));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * activeSchedule
+ * The schedule in templateData while it counts: it has milestones and its charges field is present (data pruned by
+ * the field rules drops it when the form hides it, e.g. a DT3 SOW switched to Time and Material).
+ */
+export function activeSchedule(templateData) {
+  const schedule = templateData?.[PAYMENT_SCHEDULE_KEY];
+  if (!schedule?.milestones?.length) return null;
+  return TARGETS.charges.some((k) => k in templateData) ? schedule : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * scheduleAmounts
+ * Amount and share of the contract total per milestone. When percentages alone make up 100%, the last milestone
+ * takes the rounding difference so the payments add up to the total to the cent.
+ * @param {object} schedule
+ * @param {number} total - contract total (0 when not known yet)
+ * @returns {{rows:Array<{amount:number, percent:number|null}>, amount:number, percent:number|null}}
+ */
+export function scheduleAmounts(schedule, total) {
+  const milestones = schedule?.milestones || [];
+  const rows = milestones.map((m) => {
+    const v = valueOf(m) || 0;
+    if (isPercent(m)) return { amount: total ? cents((total * v) / 100) : 0, percent: v };
+    return { amount: cents(v), percent: total ? cents((v / total) * 100) : null };
+  });
+  const percentOnly = milestones.length > 0 && milestones.every(isPercent);
+  const percentSum = cents(rows.reduce((acc, r) => acc + (r.percent || 0), 0));
+  if (total && percentOnly && Math.abs(percentSum - 100) < 0.005) {
+    const last = rows[rows.length - 1];
+    last.amount = cents(last.amount + total - rows.reduce((acc, r) => acc + r.amount, 0));
+  }
+  const amount = cents(rows.reduce((acc, r) => acc + r.amount, 0));
+  return { rows, amount, percent: percentOnly ? percentSum : total ? cents((amount / total) * 100) : null };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * validateSchedule
+ * Problems with the schedule: milestones without a name or value (errors) or due date (warning), due dates out of
+ * order (warning), percentages that do not add up to 100% and payments that do not add up to the contract total (errors).
+ * @returns {Array<{severity:'error'|'warning', message:string, index?:number}>}
+ */
+export function validateSchedule(schedule, total, settings) {
+  const milestones = schedule?.milestones || [];
+  if (!milestones.length) return [];
+  const out = [];
+  const name = (m, i) => (m.name ? `"${m.name}"` : `Milestone ${i + 1}`);
+  milestones.forEach((m, i) => {
+    if (!String(m.name || "").trim()) out.push({ severity: "error", index: i, message: `Milestone ${i + 1} has no name.` });
+    if (valueOf(m) === null) {
+      out.push({ severity: "error", index: i, message: `${name(m, i)} needs ${isPercent(m) ? "a percentage" : "an amount"} above zero.` });
+    }
+    if (!ISO_DATE_RE.test(m.dueDate || "")) out.push({ severity: "warning", index: i, message: `${name(m, i)} has no due date.` });
+    const prev = milestones[i - 1];
+    if (prev && ISO_DATE_RE.test(prev.dueDate || "") && ISO_DATE_RE.test(m.dueDate || "") && m.dueDate < prev.dueDate) {
+      out.push({ severity: "warning", index: i, message: `${name(m, i)} is due before ${name(prev, i - 1)}.` });
+    }
+  });
+
+  const sums = scheduleAmounts(schedule, total);
+  const fmt = (amount) => formatMoney({ amount, currency: settings?.currency || "USD" }, settings);
+  if (milestones.every(isPercent)) {
+    if (Math.abs(sums.percent - 100) >= 0.005) out.push({ severity: "error", message: `Percentages add up to ${sums.percent}%, not 100%.` });
+    else if (!total) out.push({ severity: "warning", message: "Enter the contract value to turn the percentages into amounts." });
+  } else if (!total) {
+    out.push({ severity: "warning", message: `Payments add up to ${fmt(sums.amount)}; there is no contract total to check them against yet.` });
+  } else if (Math.abs(sums.amount - total) >= 0.005) {
+    out.push({ severity: "error", message: `Payments add up to ${fmt(sums.amount)} but the contract total is ${fmt(total)}.` });
+  }
+  return out;
+}
+
+function shareText(m, row, fmt) {
+  if (isPercent(m)) return row.amount ? `${row.percent}% (${fmt(row.amount)})` : `${row.percent}%`;
+  return fmt(row.amount);
+}
+
+function chargesText(schedule, sums, total, fmt) {
+  const lines = (schedule.milestones || []).map((m, i) => {
+    const due = m.dueDate ? ` (due ${m.dueDate})` : "";
+    const acceptance = m.acceptance ? `, on acceptance of: ${m.acceptance}` : "";
+    return `- ${m.name || `Milestone ${i + 1}`}${due}: ${shareText(m, sums.rows[i], fmt)}${acceptance}`;
+  });
+  const head = total ? `Fixed price of ${fmt(total)}, invoiced on the milestones below.` : "Fixed price, invoiced on the milestones below.";
+  return [head, ...lines].join("\n");
+}
+
+function milestoneItems(schedule) {
+  return (schedule.milestones || [])
+    .filter((m) => m.name)
+    .map((m) => `${m.name}${m.dueDate ? ` — due ${m.dueDate}` : ""}${m.acceptance ? ` (acceptance: ${m.acceptance})` : ""}`);
+}
+
+// A field is regenerated while it is empty or still holds what the schedule wrote last.
+function untouched(current, generated) {
+  const empty = current === undefined || current === null || current === "" || (Array.isArray(current) && current.every((x) => !String(x ?? "").trim()));
+  return empty || JSON.stringify(current) === JSON.stringify(generated);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * scheduleFieldValues
+ * Values the schedule writes into the form: the charges / payment schedule text and the milestone list. Only fields
+ * the form has are written, and a field the user has edited since it was generated is left alone.
+ *
+ * @param {object} schedule
+ * @param {{fields:Array<object>, templateData:object, total:number, settings:object}} context - form fields, current
+ *        values, contract total and SOW money settings
+ * @returns {{values:object, generated:object}} values to merge into templateData; `generated` goes back into the schedule
+ */
+export function scheduleFieldValues(schedule, { fields, templateData, total, settings }) {
+  const keys = new Set((fields || []).map((f) => f?.key));
+  const values = {};
+  const generated = { ...(schedule?.generated || {}) };
+  if (!schedule?.milestones?.length) return { values, generated };
+
+  const fmt = (amount) => formatMoney({ amount, currency: settings?.currency || "USD" }, settings);
+  const texts = {
+    charges: chargesText(schedule, scheduleAmounts(schedule, total), total, fmt),
+    milestones: milestoneItems(schedule),
+  };
+  Object.entries(TARGETS).forEach(([kind, targets]) =>
+    targets
+      .filter((k) => keys.has(k) && untouched(templateData?.[k], generated[k]))
+      .forEach((k) => {
+        values[k] = texts[kind];
+        generated[k] = texts[kind];
+      })
+  );
+  return { values, generated };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * paymentTableBlock
+ * The schedule as a document table ({ kind: "table" }, see docxPlaceholderFiller): milestone, due date, acceptance
+ * criteria, share and amount, with a totals row. Null without milestones.
+ */
+export function paymentTableBlock(schedule, total, settings) {
+  const milestones = schedule?.milestones || [];
+  if (!milestones.length) return null;
+  const sums = scheduleAmounts(schedule, total);
+  const fmt = (amount) => formatMoney({ amount, currency: settings?.currency || "USD" }, settings);
+  const pct = (p) => (p === null ? "" : `${p}%`);
+  return {
+    kind: "table",
+    columns: ["Milestone", "Due date", "Acceptance criteria", "Share", "Amount"],
+    align: ["left", "left", "left", "right", "right"],
+    rows: milestones.map((m, i) => [m.name || `Milestone ${i + 1}`, m.dueDate || "", m.acceptance || "", pct(sums.rows[i].percent), fmt(sums.rows[i].amount)]),
+    footer: ["Total", "", "", pct(sums.percent), fmt(sums.amount)],
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * scheduleDocumentValues
+ * templateData overrides for preview and DOCX: the payment table takes the place of the charges / payment schedule
+ * text while that text is the generated one. Empty when there is no active schedule or the text was rewritten.
+ */
+export function scheduleDocumentValues(templateData, fields, settings, total) {
+  const schedule = activeSchedule(templateData);
+  const table = paymentTableBlock(schedule, total, settings);
+  if (!table) return {};
+  const keys = new Set((fields || []).map((f) => f?.key));
+  const target = TARGETS.charges.find((k) => keys.has(k) && untouched(templateData[k], schedule.generated?.[k]));
+  return target ? { [target]: table } : {};
+}
+
+// RFC 4180 quoting; text starting like a formula is prefixed with ' so spreadsheets do not evaluate it. Plain numbers,
+// negative ones included, are left as they are.
+function csvCell(v) {
+  let s = String(v ?? "");
+  if (/^[=+\-@]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * scheduleCsv
+ * The schedule as CSV for the finance system: one line per milestone with plain numbers (no thousands separators,
+ * two decimals) and the ISO currency code, CRLF line endings.
+ */
+export function scheduleCsv(schedule, total, settings) {
+  const sums = scheduleAmounts(schedule, total);
+  const currency = settings?.currency || "USD";
+  const lines = [["Milestone", "Due date", "Acceptance criteria", "Percent", "Amount", "Currency"]];
+  (schedule?.milestones || []).forEach((m, i) => {
+    const row = sums.rows[i];
+    lines.push([m.name, m.dueDate, m.acceptance, row.percent === null ? "" : row.percent.toFixed(2), row.amount.toFixed(2), currency]);
+  });
+  return `${lines.map((cells) => cells.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,92 @@
+import {
+  paymentTableBlock,
+  scheduleAmounts,
+  scheduleCsv,
+  scheduleDocumentValues,
+  scheduleFieldValues,
+  validateSchedule,
+} from "./paymentSchedule";
+
+const settings = { currency: "USD", locale: "en-US" };
+const fields = [
+  { key: "project_schedule_and_milestones", type: "list" },
+  { key: "charges_and_payment_schedule_fp", type: "textarea" },
+];
+const schedule = {
+  milestones: [
+    { name: "Kick-off", dueDate: "2026-01-15", acceptance: "", mode: "percent", value: 33.33 },
+    { name: "Design", dueDate: "2026-03-01", acceptance: "Design signed off", mode: "percent", value: 33.33 },
+    { name: "Go-live", dueDate: "2026-06-30", acceptance: "UAT passed, \"no\" P1 defects", mode: "percent", value: 33.34 },
+  ],
+  generated: {},
+};
+
+test("percentages become amounts that add up to the contract total to the cent", () => {
+  const sums = scheduleAmounts(schedule, 1000);
+  expect(sums.rows.map((r) => r.amount)).toEqual([333.3, 333.3, 333.4]);
+  expect(sums.amount).toBe(1000);
+  expect(sums.percent).toBe(100);
+
+  const mixed = scheduleAmounts({ milestones: [{ mode: "amount", value: 250 }, { mode: "percent", value: 50 }] }, 1000);
+  expect(mixed.rows).toEqual([{ amount: 250, percent: 25 }, { amount: 500, percent: 50 }]);
+  expect(mixed.percent).toBe(75);
+});
+
+test("checks that percentages make 100% and payments match the contract total", () => {
+  expect(validateSchedule(schedule, 1000, settings)).toEqual([]);
+
+  const short = { milestones: [{ name: "A", dueDate: "2026-02-01", mode: "percent", value: 40 }, { name: "B", dueDate: "2026-01-01", mode: "percent", value: 50 }] };
+  expect(validateSchedule(short, 1000, settings).map((x) => x.message)).toEqual([
+    '"B" is due before "A".',
+    "Percentages add up to 90%, not 100%.",
+  ]);
+
+  const fixed = { milestones: [{ name: "A", dueDate: "2026-02-01", mode: "amount", value: 600 }, { name: "", dueDate: "", mode: "amount", value: "" }] };
+  expect(validateSchedule(fixed, 1000, settings)).toEqual([
+    { severity: "error", index: 1, message: "Milestone 2 has no name." },
+    { severity: "error", index: 1, message: "Milestone 2 needs an amount above zero." },
+    { severity: "warning", index: 1, message: "Milestone 2 has no due date." },
+    { severity: "error", message: "Payments add up to $600.00 but the contract total is $1,000.00." },
+  ]);
+});
+
+test("writes the charges text and milestone list until the user rewrites them", () => {
+  const first = scheduleFieldValues(schedule, { fields, templateData: {}, total: 1000, settings });
+  expect(first.values.project_schedule_and_milestones[1]).toBe("Design — due 2026-03-01 (acceptance: Design signed off)");
+  expect(first.values.charges_and_payment_schedule_fp.split("\n").slice(0, 2)).toEqual([
+    "Fixed price of $1,000.00, invoiced on the milestones below.",
+    "- Kick-off (due 2026-01-15): 33.33% ($333.30)",
+  ]);
+
+  const templateData = { ...first.values, charges_and_payment_schedule_fp: "Paid in full on signature." };
+  const next = scheduleFieldValues({ ...schedule, generated: first.generated }, { fields, templateData, total: 2000, settings });
+  expect(next.values).not.toHaveProperty("charges_and_payment_schedule_fp");
+  expect(next.values.project_schedule_and_milestones).toEqual(first.values.project_schedule_and_milestones);
+
+  // A rewritten charges text also keeps its place in the document
+  const active = { ...templateData, payment_schedule: { ...schedule, generated: first.generated } };
+  expect(scheduleDocumentValues(active, fields, settings, 1000)).toEqual({});
+  const generated = { ...first.values, payment_schedule: { ...schedule, generated: first.generated } };
+  expect(scheduleDocumentValues(generated, fields, settings, 1000).charges_and_payment_schedule_fp.kind).toBe("table");
+});
+
+test("payment table and finance CSV", () => {
+  const table = paymentTableBlock(schedule, 1000, settings);
+  expect(table.rows[2]).toEqual(["Go-live", "2026-06-30", 'UAT passed, "no" P1 defects', "33.34%", "$333.40"]);
+  expect(table.footer).toEqual(["Total", "", "", "100%", "$1,000.00"]);
+
+  const extra = [
+    { name: "=cmd()", mode: "amount", value: 1 },
+    { name: "-1+2", acceptance: "-15", mode: "amount", value: 1 },
+  ];
+  const csv = scheduleCsv({ milestones: [...schedule.milestones, ...extra] }, 1000, settings);
+  expect(csv.split("\r\n")).toEqual([
+    "Milestone,Due date,Acceptance criteria,Percent,Amount,Currency",
+    "Kick-off,2026-01-15,,33.33,333.30,USD",
+    "Design,2026-03-01,Design signed off,33.33,333.30,USD",
+    'Go-live,2026-06-30,"UAT passed, ""no"" P1 defects",33.34,333.40,USD',
+    "'=cmd(),,,0.10,1.00,USD",
+    "'-1+2,,-15,0.10,1.00,USD",
+    "",
+  ]);
+});
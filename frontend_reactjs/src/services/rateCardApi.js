@@ -0,0 +1,44 @@
+//
+// PUBLIC_INTERFACE
+// Rate-card library client (/api/rate-cards): hourly rates by role and seniority for T&M estimates.
+// All functions resolve { ok, ... } and never throw.
+//
+import { requestJson } from "./apiClient";
+
+/**
+ * PUBLIC_INTERFACE
+ * listRateCards
+ * @returns {Promise<{ok:boolean, rateCards?:Array<{id:string, name:string, currency:string, rates:Array<{role:string, seniority:string, rate:number}>}>, error?:string}>}
+ */
+export function listRateCards() {
+  return requestJson("/api/rate-cards");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createRateCard
+ * @param {{name:string, description?:string, currency:string, rates:Array<{role:string, seniority?:string, rate:number}>}} card
+ * @returns {Promise<{ok:boolean, rateCard?:object, error?:string}>}
+ */
+export function createRateCard(card) {
+  return requestJson("/api/rate-cards", { method: "POST", body: card });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * updateRateCard
+ * Replace a card's name, description, currency and rates.
+ * @returns {Promise<{ok:boolean, rateCard?:object, error?:string, status?:number}>}
+ */
+export function updateRateCard(id, card) {
+  return requestJson(`/api/rate-cards/${encodeURIComponent(id)}`, { method: "PUT", body: card });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * deleteRateCard
+ * @returns {Promise<{ok:boolean, error?:string, status?:number}>}
+ */
+export function deleteRateCard(id) {
+  return requestJson(`/api/rate-cards/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
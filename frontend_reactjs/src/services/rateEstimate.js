@@ -0,0 +1,199 @@
+//
+// PUBLIC_INTERFACE
+// Hours-based estimate of a Time & Material SOW: roles with their hourly rate (picked from a rate card) and the hours
+// planned per phase. The estimate lives in templateData.rate_estimate; the contractor rate fields and the T&M charges
+// text of the form are derived from it, and the DOCX gets it as a rate table.
+//
+import { formatMoney } from "./money";
+
+/**
+ * PUBLIC_INTERFACE
+ * RATE_ESTIMATE_KEY
+ * templateData key holding the estimate:
+ * { rateCardId, rateCardName, currency, phases: [{ id, name }], rows: [{ role, seniority, rate, hours: { <phaseId>: n } }],
+ *   generated: { <fieldKey>: text last written by the estimate } }
+ */
+export const RATE_ESTIMATE_KEY = "rate_estimate";
+
+// Form fields the estimate fills in, by what they hold (built-in T&M form and the declared DT3 template).
+const TARGETS = {
+  roles: ["contractor_role"],
+  rate: ["contractor_rate_per_hr"],
+  rateText: ["contractor_rate"],
+  charges: ["charges_and_payment_terms_tm"],
+};
+
+const cents = (n) => Math.round(n * 100) / 100;
+
+function hoursOf(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * newEstimate
+ * Empty estimate with one phase.
+ */
+export function newEstimate(currency = "USD") {
+  return { rateCardId: "", rateCardName: "", currency, phases: [{ id: "p1", name: "Phase 1" }], rows: [], generated: {} };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * hasRateTargets
+ * True when the form has a contractor rate field, i.e. the estimation table applies to this template.
+ * @param {Array<object>} fields - visible form fields
+ */
+export function hasRateTargets(fields) {
+  const keys = new Set((fields || []).map((f) => f?.key));
+  return [...TARGETS.rate, ...TARGETS.rateText].some((k) => keys.has(k));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * activeEstimate
+ * The estimate in templateData while it counts: it has rows and one of the rate fields it fills is present. Data pruned
+ * by the field rules drops those fields when the form hides them (e.g. a DT3 SOW switched to Fixed Price), which
+ * sets the estimate aside without deleting it.
+ */
+export function activeEstimate(templateData) {
+  const estimate = templateData?.[RATE_ESTIMATE_KEY];
+  if (!estimate?.rows?.length) return null;
+  const filled = [...TARGETS.rate, ...TARGETS.rateText].some((k) => templateData[k] !== undefined && templateData[k] !== "");
+  return filled ? estimate : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * roleLabel
+ * "Developer (Senior)", or the role alone.
+ */
+export function roleLabel(row) {
+  return row?.seniority ? `${row.role} (${row.seniority})` : String(row?.role || "");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * estimateTotals
+ * Hours and amounts per row, per phase and overall; blendedRate is amount / hours (null without hours).
+ */
+export function estimateTotals(estimate) {
+  const phases = estimate?.phases || [];
+  const byPhase = Object.fromEntries(phases.map((p) => [p.id, { hours: 0, amount: 0 }]));
+  const rows = (estimate?.rows || []).map((r) => {
+    const rate = Number(r.rate) || 0;
+    let hours = 0;
+    phases.forEach((p) => {
+      const h = hoursOf(r.hours?.[p.id]);
+      hours += h;
+      byPhase[p.id].hours += h;
+      byPhase[p.id].amount += h * rate;
+    });
+    return { hours, amount: cents(hours * rate) };
+  });
+  Object.values(byPhase).forEach((p) => (p.amount = cents(p.amount)));
+  const hours = rows.reduce((acc, r) => acc + r.hours, 0);
+  const amount = cents(rows.reduce((acc, r) => acc + r.amount, 0));
+  return { rows, phases: byPhase, hours, amount, blendedRate: hours ? cents(amount / hours) : null };
+}
+
+function money(amount, estimate, settings) {
+  return formatMoney({ amount, currency: estimate.currency || settings?.currency || "USD" }, settings);
+}
+
+function chargesText(estimate, totals, settings) {
+  const phases = (estimate.phases || []).filter((p) => totals.phases[p.id]?.hours);
+  const lines = [
+    `- Resource rates: hourly, per the Contractor Rate Card${estimate.rateCardName ? ` (${estimate.rateCardName})` : ""}.`,
+    `- Estimated effort: ${totals.hours} hours${phases.length > 1 ? ` (${phases.map((p) => `${p.name} ${totals.phases[p.id].hours} h`).join(", ")})` : ""}.`,
+    `- Estimated charges: ${money(totals.amount, estimate, settings)} before tax${
+      totals.blendedRate !== null ? `, a blended rate of ${money(totals.blendedRate, estimate, settings)}/hr` : ""
+    }, invoiced on the hours actually worked.`,
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * estimateFieldValues
+ * Values the estimate writes into the form: the roles, the hourly rate (the only rate, or the blended rate of several
+ * roles), the contractor rate text and the charges text. Only fields the form has are written, and a charges text the
+ * user has edited since it was generated is left alone.
+ *
+ * @param {object} estimate
+ * @param {{fields:Array<object>, templateData:object, settings:object}} context - form fields, current values, SOW money settings
+ * @returns {{values:object, generated:object}} values to merge into templateData; `generated` goes back into the estimate
+ */
+export function estimateFieldValues(estimate, { fields, templateData, settings }) {
+  const keys = new Set((fields || []).map((f) => f?.key));
+  const rows = (estimate?.rows || []).filter((r) => r.role && Number(r.rate) > 0);
+  const totals = estimateTotals({ ...estimate, rows });
+  const values = {};
+  const generated = { ...(estimate?.generated || {}) };
+  if (!rows.length) return { values, generated };
+
+  const currency = estimate.currency || settings?.currency || "USD";
+  // Several roles have one hourly rate only once hours are planned (the blended rate).
+  const rate = rows.length === 1 ? Number(rows[0].rate) : totals.blendedRate;
+  const texts = {
+    rateText: rows.map((r) => `${roleLabel(r)}: ${money(Number(r.rate), estimate, settings)}/hr`).join("; "),
+    roles: Array.from(new Set(rows.map(roleLabel))).join("; "),
+    charges: chargesText(estimate, totals, settings),
+  };
+
+  TARGETS.roles.filter((k) => keys.has(k)).forEach((k) => (values[k] = texts.roles));
+  if (rate !== null) TARGETS.rate.filter((k) => keys.has(k)).forEach((k) => (values[k] = { amount: rate, currency }));
+  TARGETS.rateText.filter((k) => keys.has(k)).forEach((k) => (values[k] = texts.rateText));
+  TARGETS.charges
+    .filter((k) => keys.has(k))
+    .forEach((k) => {
+      const current = String(templateData?.[k] ?? "").trim();
+      if (current && current !== String(generated[k] || "").trim()) return;
+      values[k] = texts.charges;
+      generated[k] = texts.charges;
+    });
+  return { values, generated };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rateTableBlock
+ * The estimate as a document table ({ kind: "table" }, see docxPlaceholderFiller): role, seniority, rate, hours per
+ * phase, total hours and amount, with a totals row. Null when the estimate has no rows.
+ */
+export function rateTableBlock(estimate, settings) {
+  const rows = (estimate?.rows || []).filter((r) => r.role);
+  if (!rows.length) return null;
+  const phases = estimate.phases || [];
+  const totals = estimateTotals({ ...estimate, rows });
+  const num = (n) => (n ? String(n) : "");
+  return {
+    kind: "table",
+    columns: ["Role", "Seniority", "Rate/hr", ...phases.map((p) => `${p.name} (h)`), "Hours", "Amount"],
+    align: ["left", "left", "right", ...phases.map(() => "right"), "right", "right"],
+    rows: rows.map((r, i) => [
+      r.role,
+      r.seniority || "",
+      money(Number(r.rate) || 0, estimate, settings),
+      ...phases.map((p) => num(hoursOf(r.hours?.[p.id]))),
+      num(totals.rows[i].hours),
+      money(totals.rows[i].amount, estimate, settings),
+    ]),
+    footer: ["Total", "", "", ...phases.map((p) => num(totals.phases[p.id].hours)), num(totals.hours), money(totals.amount, estimate, settings)],
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * estimateDocumentValues
+ * templateData overrides for preview and DOCX: the rate table takes the place of the role placeholder
+ * (contractor_role, or contractor_rate on forms without one). Empty when there is no active estimate.
+ */
+export function estimateDocumentValues(templateData, fields, settings) {
+  const table = rateTableBlock(activeEstimate(templateData), settings);
+  if (!table) return {};
+  const keys = new Set((fields || []).map((f) => f?.key));
+  const target = [...TARGETS.roles, ...TARGETS.rateText].find((k) => keys.has(k));
+  return target ? { [target]: table } : {};
+}
@@ -0,0 +1,70 @@
+import { activeEstimate, estimateDocumentValues, estimateFieldValues, estimateTotals, rateTableBlock } from "./rateEstimate";
+
+const settings = { currency: "USD", locale: "en-US" };
+const fields = [
+  { key: "charges_and_payment_terms_tm", type: "textarea" },
+  { key: "contractor_role", type: "text" },
+  { key: "contractor_rate_per_hr", type: "currency" },
+];
+const estimate = {
+  rateCardId: "c1",
+  rateCardName: "Standard",
+  currency: "USD",
+  phases: [
+    { id: "p1", name: "Build" },
+    { id: "p2", name: "Run" },
+  ],
+  rows: [
+    { role: "Developer", seniority: "Senior", rate: 100, hours: { p1: 100, p2: 20 } },
+    { role: "Tester", seniority: "", rate: 50, hours: { p1: 40, p2: "" } },
+  ],
+  generated: {},
+};
+
+test("totals hours and amounts per row, per phase and overall with a blended rate", () => {
+  const t = estimateTotals(estimate);
+  expect(t.rows).toEqual([
+    { hours: 120, amount: 12000 },
+    { hours: 40, amount: 2000 },
+  ]);
+  expect(t.phases).toEqual({ p1: { hours: 140, amount: 12000 }, p2: { hours: 20, amount: 2000 } });
+  expect(t.hours).toBe(160);
+  expect(t.amount).toBe(14000);
+  expect(t.blendedRate).toBe(87.5);
+});
+
+test("fills the roles, the blended rate and the charges text, but keeps charges the user rewrote", () => {
+  const first = estimateFieldValues(estimate, { fields, templateData: {}, settings });
+  expect(first.values.contractor_role).toBe("Developer (Senior); Tester");
+  expect(first.values.contractor_rate_per_hr).toEqual({ amount: 87.5, currency: "USD" });
+  expect(first.values.charges_and_payment_terms_tm).toContain("Estimated effort: 160 hours (Build 140 h, Run 20 h)");
+  expect(first.values.charges_and_payment_terms_tm).toContain("$14,000.00 before tax");
+  expect(first.generated.charges_and_payment_terms_tm).toBe(first.values.charges_and_payment_terms_tm);
+
+  const regenerated = estimateFieldValues({ ...estimate, generated: first.generated }, {
+    fields,
+    templateData: { charges_and_payment_terms_tm: first.values.charges_and_payment_terms_tm },
+    settings,
+  });
+  expect(regenerated.values).toHaveProperty("charges_and_payment_terms_tm");
+
+  const edited = estimateFieldValues({ ...estimate, generated: first.generated }, {
+    fields,
+    templateData: { charges_and_payment_terms_tm: "Invoiced monthly." },
+    settings,
+  });
+  expect(edited.values).not.toHaveProperty("charges_and_payment_terms_tm");
+});
+
+test("the rate table replaces the role placeholder only while the estimate is active", () => {
+  const table = rateTableBlock(estimate, settings);
+  expect(table.columns).toEqual(["Role", "Seniority", "Rate/hr", "Build (h)", "Run (h)", "Hours", "Amount"]);
+  expect(table.rows[1]).toEqual(["Tester", "", "$50.00", "40", "", "40", "$2,000.00"]);
+  expect(table.footer).toEqual(["Total", "", "", "140", "20", "160", "$14,000.00"]);
+
+  const data = { rate_estimate: estimate, contractor_rate_per_hr: { amount: 87.5, currency: "USD" } };
+  expect(estimateDocumentValues(data, fields, settings).contractor_role.kind).toBe("table");
+  // Rate fields pruned away (hidden by the field rules): the estimate is set aside
+  expect(activeEstimate({ rate_estimate: estimate })).toBeNull();
+  expect(estimateDocumentValues({ rate_estimate: estimate }, fields, settings)).toEqual({});
+});
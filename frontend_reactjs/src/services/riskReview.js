@@ -0,0 +1,67 @@
+//
+// PUBLIC_INTERFACE
+// Helpers for the contract-risk review: the values sent for review and applying a finding's replacement clause.
+//
+import { formatMoneyFields } from "./commercials";
+import { getCommercials } from "./money";
+
+/**
+ * PUBLIC_INTERFACE
+ * reviewValues
+ * templateData with each empty field's `default` filled in (e.g. "Type of Project" on the built-in forms) and
+ * amounts formatted as in the document, so the review sees what the generated document will say.
+ * @param {object} [commercials] - the SOW's money settings (currency, locale)
+ */
+export function reviewValues(sections, templateData, commercials) {
+  const out = formatMoneyFields(sections, templateData, getCommercials({ commercials }));
+  (sections || []).forEach((s) =>
+    (s.fields || []).forEach((f) => {
+      const v = out[f.key];
+      const empty = v === undefined || v === null || (typeof v === "string" && !v.trim());
+      if (empty && f.default !== undefined) out[f.key] = f.default;
+    })
+  );
+  return out;
+}
+
+function sameText(a, b) {
+  return String(a || "").replace(/\s+/g, " ").trim().toLowerCase() === String(b || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * applyRiskFix
+ * New value of the finding's field with its replacement clause applied, or undefined when it cannot be applied:
+ * - list: the item equal to `quote` is replaced, otherwise the clause is added as a new item
+ * - table: the clause fills the acceptance-criteria cell of row `row`
+ * - text / textarea: `quote` is replaced in place, otherwise the clause is added as a new paragraph
+ *
+ * @param {object} field - form field { key, type, columns? }
+ * @param {any} value - current value of the field
+ * @param {{quote?:string, replacement:string, row?:number}} finding
+ */
+export function applyRiskFix(field, value, finding) {
+  const { quote, replacement, row } = finding || {};
+  if (!field || !String(replacement || "").trim()) return undefined;
+  switch (field.type) {
+    case "list": {
+      const items = Array.isArray(value) ? value : [];
+      const at = quote ? items.findIndex((it) => sameText(it, quote)) : -1;
+      return at >= 0 ? items.map((it, i) => (i === at ? replacement : it)) : [...items, replacement];
+    }
+    case "table": {
+      const column = (field.columns || []).find((c) => /accept/i.test(`${c.key} ${c.label || ""}`));
+      if (!column || !Array.isArray(value) || !value[row]) return undefined;
+      return value.map((r, i) => (i === row ? { ...r, [column.key]: replacement } : r));
+    }
+    case "text":
+    case "textarea": {
+      const text = String(value || "");
+      if (quote && text.includes(quote)) return text.replace(quote, replacement);
+      if (!text.trim()) return replacement;
+      return field.type === "textarea" ? `${text.trimEnd()}\n\n${replacement}` : `${text.trim()} ${replacement}`;
+    }
+    default:
+      return undefined;
+  }
+}
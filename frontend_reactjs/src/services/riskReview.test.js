@@ -0,0 +1,29 @@
+import { applyRiskFix, reviewValues } from "./riskReview";
+
+test("applyRiskFix replaces the quoted text or adds the clause, per field type", () => {
+  const list = { key: "deliverables", type: "list" };
+  expect(applyRiskFix(list, ["Support as needed", "Design"], { quote: "support  as needed", replacement: "Support, accepted in writing." })).toEqual([
+    "Support, accepted in writing.",
+    "Design",
+  ]);
+  expect(applyRiskFix(list, ["Design"], { quote: "", replacement: "New item" })).toEqual(["Design", "New item"]);
+
+  const sla = { key: "sla", type: "textarea" };
+  expect(applyRiskFix(sla, "Fixed promptly. Reported monthly.", { quote: "Fixed promptly.", replacement: "P1 within 8 hours." })).toBe(
+    "P1 within 8 hours. Reported monthly."
+  );
+  expect(applyRiskFix(sla, "Invoiced monthly.", { quote: "", replacement: "Capped at [amount]." })).toBe("Invoiced monthly.\n\nCapped at [amount].");
+  expect(applyRiskFix(sla, "", { quote: "", replacement: "Clause." })).toBe("Clause.");
+
+  const table = { key: "project_deliverables", type: "table", columns: [{ key: "deliverable" }, { key: "acceptance_criteria", label: "Acceptance criteria" }] };
+  expect(applyRiskFix(table, [{ deliverable: "Migration", acceptance_criteria: "" }], { row: 0, replacement: "Signed off." })).toEqual([
+    { deliverable: "Migration", acceptance_criteria: "Signed off." },
+  ]);
+  expect(applyRiskFix(table, [], { row: 0, replacement: "Signed off." })).toBeUndefined();
+  expect(applyRiskFix({ key: "sig", type: "signature" }, "", { replacement: "x" })).toBeUndefined();
+});
+
+test("reviewValues fills empty fields with their defaults", () => {
+  const sections = [{ section: "P", fields: [{ key: "type_of_project", default: "Time & Materials" }, { key: "rate" }] }];
+  expect(reviewValues(sections, { type_of_project: " ", rate: "90" })).toEqual({ type_of_project: "Time & Materials", rate: "90" });
+});
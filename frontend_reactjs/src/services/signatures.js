@@ -0,0 +1,120 @@
+//
+// PUBLIC_INTERFACE
+// Signatures and their seals: which fields make up the signature blocks of a form, the values signing fills in, the
+// smoothed outline of drawn strokes, and how a seal's verification result reads. The seal itself is made and checked
+// by backend_express (POST /api/sows/:id/signatures, GET /api/sows/:id/signatures/verify).
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * SIGN_METHODS
+ * How a signature image was produced.
+ */
+export const SIGN_METHODS = ["drawn", "typed", "uploaded"];
+
+// Name and date fields that belong to a signature field, e.g. supplier_signature_name / supplier_signature_date.
+const COMPANIONS = { name: "_name", date: "_date" };
+
+function topLevelFields(sections) {
+  return (sections || []).flatMap((s) => s.fields || []);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * signatureBlockKeys
+ * Keys of the signature fields of the form plus their name / date fields. These are left out of a seal's content
+ * hash, so the other parties can still sign (and date their signature) without breaking the seals before theirs.
+ * @param {Array<{section:string, fields:Array}>} sections
+ * @returns {string[]}
+ */
+export function signatureBlockKeys(sections) {
+  const fields = topLevelFields(sections);
+  const keys = new Set(fields.map((f) => f?.key));
+  return fields
+    .filter((f) => f?.type === "signature")
+    .flatMap((f) => [f.key, ...Object.values(COMPANIONS).map((suffix) => `${f.key}${suffix}`).filter((k) => keys.has(k))]);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * signerName
+ * The name already entered in the signature's name field, used to pre-fill the signer.
+ */
+export function signerName(fieldKey, templateData) {
+  const value = templateData?.[`${fieldKey}${COMPANIONS.name}`];
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * signingValues
+ * templateData values written together with a signature: the image, plus the signer in the name field and the date
+ * in the date field where the form has those and they are still empty.
+ * @param {string} fieldKey - signature field
+ * @param {string[]} blockKeys - from signatureBlockKeys
+ * @param {object} templateData
+ * @param {{image:string, signer:string, date:string}} signature - date as YYYY-MM-DD
+ */
+export function signingValues(fieldKey, blockKeys, templateData, { image, signer, date }) {
+  const values = { [fieldKey]: image };
+  const fill = { name: signer, date };
+  Object.entries(COMPANIONS).forEach(([kind, suffix]) => {
+    const key = `${fieldKey}${suffix}`;
+    const current = templateData?.[key];
+    if (blockKeys.includes(key) && fill[kind] && (current === undefined || current === null || String(current).trim() === "")) values[key] = fill[kind];
+  });
+  return values;
+}
+
+const round = (n) => Math.round(n * 10) / 10;
+
+/**
+ * PUBLIC_INTERFACE
+ * strokePath
+ * SVG path data for one pen stroke: quadratic curves through the midpoints of the captured points, so the line
+ * stays smooth when the pointer reports few points. A single point becomes a dot.
+ * @param {Array<{x:number, y:number}>} points
+ * @returns {string}
+ */
+export function strokePath(points) {
+  const pts = points || [];
+  if (!pts.length) return "";
+  const [first] = pts;
+  if (pts.length === 1) return `M ${round(first.x)} ${round(first.y)} l 0.1 0`;
+  const parts = [`M ${round(first.x)} ${round(first.y)}`];
+  for (let i = 1; i < pts.length - 1; i += 1) {
+    const mid = { x: (pts[i].x + pts[i + 1].x) / 2, y: (pts[i].y + pts[i + 1].y) / 2 };
+    parts.push(`Q ${round(pts[i].x)} ${round(pts[i].y)} ${round(mid.x)} ${round(mid.y)}`);
+  }
+  const last = pts[pts.length - 1];
+  parts.push(`L ${round(last.x)} ${round(last.y)}`);
+  return parts.join(" ");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * latestSeal
+ * The most recent seal of a signature field (seals come oldest first), or null.
+ */
+export function latestSeal(seals, fieldKey) {
+  const own = (seals || []).filter((s) => s.fieldKey === fieldKey);
+  return own.length ? own[own.length - 1] : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * sealStatus
+ * How a verified seal reads: intact, content changed after signing (naming the revision that changed it), or the
+ * signature image replaced / removed.
+ * @param {{intact:boolean, imageIntact:boolean, changedIn?:{revision:number, author?:string, createdAt?:string}|null}} seal
+ * @returns {{state:'intact'|'changed'|'image', message:string}}
+ */
+export function sealStatus(seal) {
+  if (!seal.intact) {
+    const c = seal.changedIn;
+    const where = c ? ` in revision ${c.revision}${c.author ? ` by ${c.author}` : ""}${c.createdAt ? ` (${String(c.createdAt).slice(0, 10)})` : ""}` : "";
+    return { state: "changed", message: `The document was changed after it was signed${where}.` };
+  }
+  if (!seal.imageIntact) return { state: "image", message: "The signature image was replaced or removed after signing." };
+  return { state: "intact", message: "Unchanged since it was signed." };
+}
@@ -0,0 +1,63 @@
+import { latestSeal, sealStatus, signatureBlockKeys, signerName, signingValues, strokePath } from "./signatures";
+
+const sections = [
+  { section: "Scope", fields: [{ key: "scope_of_work", type: "textarea" }] },
+  {
+    section: "Authorization",
+    fields: [
+      { key: "supplier_signature", type: "signature" },
+      { key: "supplier_signature_name", type: "text" },
+      { key: "supplier_signature_date", type: "date" },
+      { key: "client_signature", type: "signature" },
+      { key: "client_signature_name", type: "text" },
+    ],
+  },
+];
+
+test("signature blocks are the signature fields with the name and date fields the form has", () => {
+  expect(signatureBlockKeys(sections)).toEqual([
+    "supplier_signature",
+    "supplier_signature_name",
+    "supplier_signature_date",
+    "client_signature",
+    "client_signature_name",
+  ]);
+  expect(signatureBlockKeys([{ section: "Scope", fields: [{ key: "scope", type: "textarea" }] }])).toEqual([]);
+});
+
+test("signing fills the empty name and date fields of the block only", () => {
+  const keys = signatureBlockKeys(sections);
+  const signature = { image: "data:image/png;base64,AA==", signer: "Sam Lee", date: "2026-03-02" };
+  expect(signingValues("supplier_signature", keys, { supplier_signature_name: "" }, signature)).toEqual({
+    supplier_signature: signature.image,
+    supplier_signature_name: "Sam Lee",
+    supplier_signature_date: "2026-03-02",
+  });
+  expect(signingValues("supplier_signature", keys, { supplier_signature_name: "S. Lee" }, signature)).toEqual({
+    supplier_signature: signature.image,
+    supplier_signature_date: "2026-03-02",
+  });
+  // the client block has no date field
+  expect(signingValues("client_signature", keys, {}, signature)).toEqual({ client_signature: signature.image, client_signature_name: "Sam Lee" });
+  expect(signerName("supplier_signature", { supplier_signature_name: " Sam Lee " })).toBe("Sam Lee");
+});
+
+test("strokes become smoothed paths and single points become dots", () => {
+  expect(strokePath([])).toBe("");
+  expect(strokePath([{ x: 5, y: 5 }])).toBe("M 5 5 l 0.1 0");
+  expect(strokePath([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }])).toBe("M 0 0 Q 10 0 10 5 L 10 10");
+});
+
+test("seal status names the revision that changed the document", () => {
+  expect(sealStatus({ intact: true, imageIntact: true }).state).toBe("intact");
+  expect(sealStatus({ intact: true, imageIntact: false }).state).toBe("image");
+  const changed = sealStatus({ intact: false, imageIntact: true, changedIn: { revision: 4, author: "Kim", createdAt: "2026-03-05T10:00:00.000Z" } });
+  expect(changed).toEqual({ state: "changed", message: "The document was changed after it was signed in revision 4 by Kim (2026-03-05)." });
+  const seals = [
+    { id: "a", fieldKey: "supplier_signature" },
+    { id: "b", fieldKey: "client_signature" },
+    { id: "c", fieldKey: "supplier_signature" },
+  ];
+  expect(latestSeal(seals, "supplier_signature").id).toBe("c");
+  expect(latestSeal(seals, "other")).toBeNull();
+});
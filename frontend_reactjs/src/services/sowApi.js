@@ -0,0 +1,196 @@
+//
+// PUBLIC_INTERFACE
+// SOW store client: CRUD for saved SOW documents on backend_express (/api/sows).
+// All functions resolve { ok: true, ... } or { ok: false, error } and never throw.
+//
+import { requestJson } from "./apiClient";
+
+/**
+ * PUBLIC_INTERFACE
+ * listSOWs
+ * @returns {Promise<{ok:boolean, sows?:Array<{id:string,title:string,templateId:string,createdAt:string,updatedAt:string}>, error?:string}>}
+ */
+export function listSOWs() {
+  return requestJson("/api/sows");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getSOW
+ * @param {string} id
+ * @returns {Promise<{ok:boolean, sow?:object, error?:string}>}
+ */
+export function getSOW(id) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * saveSOW
+ * Create the SOW when `id` is empty, otherwise update it. Every save records a revision
+ * attributed to `author` with an optional `note`.
+ * @param {string|null} id
+ * @param {{title?:string, templateId?:string, templateSchema?:object, data:object, author?:string, note?:string}} doc
+ * @returns {Promise<{ok:boolean, sow?:object, error?:string}>}
+ */
+export function saveSOW(id, doc) {
+  if (!id) return requestJson("/api/sows", { method: "POST", body: doc });
+  return requestJson(`/api/sows/${encodeURIComponent(id)}`, { method: "PUT", body: doc });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * deleteSOW
+ * @param {string} id
+ * @returns {Promise<{ok:boolean, error?:string}>}
+ */
+export function deleteSOW(id) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * listRevisions
+ * @param {string} id - SOW id
+ * @returns {Promise<{ok:boolean, revisions?:Array<{id:string,number:number,author:string,note:string,createdAt:string}>, error?:string}>}
+ */
+export function listRevisions(id) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/revisions`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * diffRevisions
+ * Field-by-field changes between two revisions (`toRevisionId` defaults to the latest).
+ * @returns {Promise<{ok:boolean, from?:object, to?:object, changes?:Array<object>, error?:string}>}
+ */
+export function diffRevisions(id, fromRevisionId, toRevisionId) {
+  const qs = new URLSearchParams({ from: fromRevisionId });
+  if (toRevisionId) qs.set("to", toRevisionId);
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/diff?${qs.toString()}`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * restoreRevision
+ * Make an earlier revision current again; the backend records it as a new revision.
+ * @returns {Promise<{ok:boolean, sow?:object, error?:string}>}
+ */
+export function restoreRevision(id, revisionId, author) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/revisions/${encodeURIComponent(revisionId)}/restore`, {
+    method: "POST",
+    body: { author },
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * signSOW
+ * Write a signature image into templateData[fieldKey] and seal the result: the backend saves it as a new revision
+ * and records signer, time, IP and a SHA-256 hash of the content (without the signature blocks of the SOW's saved
+ * template schema; `signatureFields` may only name keys of those blocks).
+ * @param {string} id - SOW id
+ * @param {{fieldKey:string, signer:string, method:'drawn'|'typed'|'uploaded', image:string, signatureFields?:string[], data?:object}} signature
+ * @returns {Promise<{ok:boolean, seal?:object, sow?:object, error?:string}>}
+ */
+export function signSOW(id, signature) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/signatures`, { method: "POST", body: signature });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * listSignatures
+ * @returns {Promise<{ok:boolean, seals?:Array<{id:string, fieldKey:string, signer:string, method:string, signedAt:string, ip:string, revision:number, contentHash:string}>, error?:string}>}
+ */
+export function listSignatures(id) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/signatures`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * verifySignatures
+ * Check every seal against the SOW as stored now; `missing` lists the signature fields nobody has signed yet.
+ * @returns {Promise<{ok:boolean, verified?:boolean, seals?:Array<{intact:boolean, imageIntact:boolean, changedIn:object|null}>, missing?:string[], error?:string}>}
+ */
+export function verifySignatures(id) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/signatures/verify`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getWorkflow
+ * Approval status, assignees and history of a SOW, with the actions `actor` can take now.
+ * @returns {Promise<{ok:boolean, workflow?:{status:string, assignees:object, reviewed:object|null, history:Array<object>}, openComments?:number, actions?:Array<{id:string, label:string, to:string, needsComment:boolean, allowed:boolean, reason:string}>, error?:string}>}
+ */
+export function getWorkflow(id, actor) {
+  const qs = new URLSearchParams({ actor: actor || "" });
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/workflow?${qs.toString()}`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * assignReviewers
+ * Set the reviewer and approver of review stages the SOW has not reached yet.
+ * @param {{internal_review?:{reviewer?:string, approver?:string}, client_review?:{reviewer?:string, approver?:string}}} assignees
+ * @returns {Promise<{ok:boolean, sow?:object, error?:string, status?:number}>}
+ */
+export function assignReviewers(id, assignees) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/workflow/assignees`, { method: "PUT", body: { assignees } });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * transitionSOW
+ * Take a workflow action (submit, review, approve, request_changes, reopen, mark_signed) as `actor`.
+ * @returns {Promise<{ok:boolean, sow?:object, error?:string, status?:number}>}
+ */
+export function transitionSOW(id, { action, actor, comment }) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/workflow/transitions`, { method: "POST", body: { action, actor, comment } });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * listComments
+ * Review comment threads of a SOW, oldest first; `status` limits them to "open" or "resolved" ones.
+ * @returns {Promise<{ok:boolean, threads?:Array<{id:string, anchor:object, status:string, messages:Array<object>, revision:number, fieldChanged:boolean}>, error?:string}>}
+ */
+export function listComments(id, { status } = {}) {
+  const qs = status ? `?${new URLSearchParams({ status }).toString()}` : "";
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/comments${qs}`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createComment
+ * Open a thread on a field ({ kind: "field", fieldKey }) or a transcript line ({ kind: "line", line, quote }).
+ * @returns {Promise<{ok:boolean, thread?:object, error?:string}>}
+ */
+export function createComment(id, { anchor, author, body }) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/comments`, { method: "POST", body: { anchor, author, body } });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * replyToComment
+ * Add a reply to a thread.
+ * @returns {Promise<{ok:boolean, thread?:object, error?:string}>}
+ */
+export function replyToComment(id, threadId, { author, body }) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/comments/${encodeURIComponent(threadId)}/replies`, {
+    method: "POST",
+    body: { author, body },
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * setCommentStatus
+ * Resolve ("resolved") or reopen ("open") a thread as `actor`.
+ * @returns {Promise<{ok:boolean, thread?:object, error?:string}>}
+ */
+export function setCommentStatus(id, threadId, { status, actor }) {
+  return requestJson(`/api/sows/${encodeURIComponent(id)}/comments/${encodeURIComponent(threadId)}`, {
+    method: "PUT",
+    body: { status, actor },
+  });
+}
@@ -0,0 +1,321 @@
+//
+// PUBLIC_INTERFACE
+// Rule-based SOW linter: deterministic completeness and consistency checks shown on the Review screen.
+// Required / dependsOn rules come from fieldRules.js (the same rules SOWForm applies); the other checks read
+// the form's field and column types. No model is involved.
+//
+import { createFieldRules } from "./fieldRules";
+import { columnExpression, computeRow, parseAmount } from "./tableFormulas";
+import { buildContractValue } from "./commercials";
+import { getCommercials } from "./money";
+import { activeSchedule, hasScheduleTargets, validateSchedule } from "./paymentSchedule";
+import { activeTimeline, hasTimelineTargets, validateTimeline } from "./timeline";
+
+export { parseAmount };
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Preamble name fields and the other places the same party is named (signature and address blocks).
+const PARTY_NAMES = [
+  { party: "Client", preamble: ["client_company_name", "client_name"], others: ["client_company_name_signature_block"] },
+  { party: "Supplier", preamble: ["supplier_name"], others: ["address_supplier_name", "address_for_communications.supplier_name"] },
+];
+
+// Legal-form suffixes ignored when comparing party names ("Acme Inc." matches "Acme").
+const COMPANY_SUFFIXES = new Set(["inc", "ltd", "llc", "llp", "limited", "corp", "corporation", "co", "company", "gmbh", "plc", "pvt", "private"]);
+
+/**
+ * PUBLIC_INTERFACE
+ * lintSOW
+ * Check templateData against the form's fields. Rules:
+ * - required: empty fields listed in the schema's / declared template's `required` (or `required: true`)
+ * - required-when: required fields whose `dependsOn` condition holds
+ * - date-order: an end date before its start date (start_date / end_date pairs side by side)
+ * - milestone-range: milestone dates outside the project duration
+ * - cost-total: a computed currency column whose stored value differs from its expression (tableFormulas.js)
+ * - party-name: client / supplier names that differ between the preamble and the signature or address blocks
+ * - payment-schedule: problems with the FP milestone payment schedule, e.g. percentages that do not add up to 100% or
+ *   payments that differ from the contract total (paymentSchedule.js; `commercials` are the SOW's money settings)
+ * - timeline: problems with the structured timeline, e.g. tasks ending before they start or circular dependencies (timeline.js)
+ *
+ * @param {{sections:Array<{section:string, fields:Array}>, templateData:object, templateSchema?:object, declaredTemplates?:Array, commercials?:object}} input
+ * @returns {Array<{id:string, rule:string, severity:'error'|'warning', fieldKey:string, label:string, section:string, message:string}>}
+ *          errors first, each group in form order; `fieldKey` is the top-level templateData key to open in SOWForm
+ */
+export function lintSOW({ sections, templateData, templateSchema, declaredTemplates = [], commercials }) {
+  const data = templateData || {};
+  const slots = collectSlots(sections);
+  const rules = createFieldRules({ sections, templateSchema, declaredTemplates });
+  const findings = [
+    ...checkRequired(slots, data, rules),
+    ...checkDateOrder(slots, data),
+    ...checkMilestones(slots, data),
+    ...checkCostTotals(slots, data),
+    ...checkPartyNames(slots, data),
+    ...checkPaymentSchedule(sections, slots, data, commercials),
+    ...checkTimeline(slots, data),
+  ];
+  return [...findings.filter((f) => f.severity === "error"), ...findings.filter((f) => f.severity !== "error")];
+}
+
+// Every top-level field and object property of the form: [{ key, path, label, type, section, field, top }].
+function collectSlots(sections) {
+  const out = [];
+  (sections || []).forEach((sec) => {
+    (sec.fields || []).forEach((f) => {
+      if (!f?.key) return;
+      const top = { key: f.key, path: [f.key], label: f.label || f.key, type: f.type || "text", section: sec.section, field: f };
+      top.top = top;
+      out.push(top);
+      if (f.type !== "object") return;
+      (f.properties || []).forEach((p) => {
+        if (!p?.key) return;
+        out.push({
+          key: p.key,
+          path: [f.key, p.key],
+          label: `${f.label || f.key} › ${p.label || p.key}`,
+          type: p.type || "text",
+          section: sec.section,
+          field: p,
+          top,
+        });
+      });
+    });
+  });
+  return out;
+}
+
+function valueAt(data, path) {
+  return path.reduce((o, k) => (o == null ? undefined : o[k]), data);
+}
+
+function isEmpty(v) {
+  if (v === undefined || v === null) return true;
+  if (typeof v === "boolean") return false;
+  if (Array.isArray(v)) return v.every(isEmpty);
+  if (typeof v === "object") return Object.values(v).every(isEmpty);
+  return String(v).trim() === "";
+}
+
+function normalize(s) {
+  return String(s || "").toLowerCase().replace(/&/g, " and ").replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function finding(rule, severity, slot, message, suffix = "") {
+  return {
+    id: `${rule}:${slot.path.join(".")}${suffix}`,
+    rule,
+    severity,
+    fieldKey: slot.top.key,
+    label: slot.label,
+    section: slot.section,
+    message,
+  };
+}
+
+function checkRequired(slots, data, rules) {
+  const out = [];
+  slots.forEach((slot) => {
+    const parent = slot.path.length > 1 ? slot.top.field : undefined;
+    if (!rules.isRequired(slot.field, data, parent) || !isEmpty(valueAt(data, slot.path))) return;
+    const dependsOn = rules.dependsOn(parent || slot.field);
+    if (dependsOn) {
+      out.push(finding("required-when", "error", slot, `${slot.label} is required when ${rules.describeCondition(dependsOn)}.`));
+      return;
+    }
+    out.push(finding("required", "error", slot, `${slot.label} is required.`));
+  });
+  return out;
+}
+
+function validDate(v) {
+  return typeof v === "string" && ISO_DATE_RE.test(v) && !Number.isNaN(Date.parse(v));
+}
+
+// start/end date pairs that sit side by side (same object, or both top-level): [{ start, end }] slots.
+function datePairs(slots) {
+  const out = [];
+  slots.forEach((start) => {
+    if (start.type !== "date" || !start.key.includes("start")) return;
+    const endKey = start.key.replace("start", "end");
+    const end = slots.find(
+      (s) => s.type === "date" && s.key === endKey && (start.path.length === 1 ? s.path.length === 1 : s.path.length > 1 && s.top === start.top)
+    );
+    if (end) out.push({ start, end });
+  });
+  return out;
+}
+
+function checkDateOrder(slots, data) {
+  return datePairs(slots)
+    .filter(({ start, end }) => {
+      const a = valueAt(data, start.path);
+      const b = valueAt(data, end.path);
+      return validDate(a) && validDate(b) && b < a;
+    })
+    .map(({ start, end }) =>
+      finding(
+        "date-order",
+        "error",
+        end,
+        `${end.label} (${valueAt(data, end.path)}) is before ${start.label} (${valueAt(data, start.path)}).`
+      )
+    );
+}
+
+// The project duration: the first start_date / end_date (or project_start_date / project_end_date) pair.
+function projectDuration(slots, data) {
+  const pair = datePairs(slots).find(({ start }) => /^(project_)?start_date$/.test(start.key));
+  if (!pair) return null;
+  const start = valueAt(data, pair.start.path);
+  const end = valueAt(data, pair.end.path);
+  return { start: validDate(start) ? start : "", end: validDate(end) ? end : "" };
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(String(name).slice(0, 3).toLowerCase());
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * findDates
+ * ISO dates mentioned in free text: "2026-03-15", "15 March 2026", "March 15, 2026".
+ */
+export function findDates(text) {
+  const s = String(text || "");
+  const out = [];
+  const push = (y, m, d) => {
+    const iso = `${y}-${pad(m)}-${pad(d)}`;
+    if (m >= 1 && m <= 12 && d >= 1 && d <= 31 && validDate(iso)) out.push(iso);
+  };
+  for (const m of s.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) push(m[1], Number(m[2]), Number(m[3]));
+  for (const m of s.matchAll(/\b(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/g)) {
+    if (monthIndex(m[2]) >= 0) push(m[3], monthIndex(m[2]) + 1, Number(m[1]));
+  }
+  for (const m of s.matchAll(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/g)) {
+    if (monthIndex(m[1]) >= 0) push(m[3], monthIndex(m[1]) + 1, Number(m[2]));
+  }
+  return out;
+}
+
+function checkMilestones(slots, data) {
+  const duration = projectDuration(slots, data);
+  if (!duration || (!duration.start && !duration.end)) return [];
+  const out = [];
+  slots
+    .filter((s) => s.path.length === 1 && (s.type === "list" || s.type === "table") && /milestone|schedule/i.test(`${s.key} ${s.label}`))
+    .forEach((slot) => {
+      const value = valueAt(data, slot.path);
+      if (!Array.isArray(value)) return;
+      const dateCols = (slot.field.columns || []).filter((c) => c.type === "date").map((c) => c.key);
+      value.forEach((item, i) => {
+        const dates =
+          slot.type === "table"
+            ? dateCols.map((k) => item?.[k]).filter(validDate)
+            : findDates(typeof item === "string" ? item : "");
+        const outside = dates.filter((d) => (duration.start && d < duration.start) || (duration.end && d > duration.end));
+        if (!outside.length) return;
+        out.push(
+          finding(
+            "milestone-range",
+            "warning",
+            slot,
+            `${slot.label}, item ${i + 1}: ${outside.join(", ")} is outside the project duration (${duration.start || "…"} to ${duration.end || "…"}).`,
+            `[${i}]`
+          )
+        );
+      });
+    });
+  return out;
+}
+
+function formatAmount(n) {
+  return n.toLocaleString("en-US", { maximumFractionDigits: 2 });
+}
+
+// Stored totals can be stale when rows came from an import or an AI draft rather than the form, which recalculates them.
+function checkCostTotals(slots, data) {
+  const out = [];
+  slots
+    .filter((s) => s.path.length === 1 && s.type === "table")
+    .forEach((slot) => {
+      const cols = slot.field.columns || [];
+      const total = cols.find((c) => c.type === "currency" && columnExpression(slot.field, c));
+      const rows = valueAt(data, slot.path);
+      if (!total || !Array.isArray(rows)) return;
+      rows.forEach((row, i) => {
+        const stated = parseAmount(row?.[total.key]);
+        const expected = parseAmount(computeRow(slot.field, row)[total.key]);
+        if (stated === null || expected === null || Math.abs(expected - stated) < 0.005) return;
+        out.push(
+          finding(
+            "cost-total",
+            "error",
+            slot,
+            `${slot.label}, row ${i + 1}: ${total.label || total.key} is ${formatAmount(stated)} but ${describeExpression(slot.field, total)} ${formatAmount(expected)}.`,
+            `[${i}]`
+          )
+        );
+      });
+    });
+  return out;
+}
+
+// "labor + other" → "Labor + Other add up to", other expressions → "<expression> comes to".
+function describeExpression(field, col) {
+  const src = columnExpression(field, col);
+  const labels = new Map((field.columns || []).map((c) => [c.key, c.label || c.key]));
+  const text = src.replace(/[A-Za-z_][A-Za-z0-9_]*/g, (w) => labels.get(w) || w);
+  return /^[^*/()]*$/.test(src) && !/-/.test(src) ? `${text} add up to` : `${text} comes to`;
+}
+
+function companyName(v) {
+  return normalize(v)
+    .split(" ")
+    .filter((w) => w && !COMPANY_SUFFIXES.has(w) && w !== "the")
+    .join(" ");
+}
+
+function checkPartyNames(slots, data) {
+  const out = [];
+  const byPath = (p) => slots.find((s) => s.path.join(".") === p);
+  PARTY_NAMES.forEach(({ party, preamble, others }) => {
+    const source = preamble.map(byPath).find((s) => s && !isEmpty(valueAt(data, s.path)));
+    if (!source) return;
+    const name = String(valueAt(data, source.path)).trim();
+    others
+      .map(byPath)
+      .filter((s) => s && !isEmpty(valueAt(data, s.path)))
+      .forEach((slot) => {
+        const other = String(valueAt(data, slot.path)).trim();
+        if (companyName(other) === companyName(name)) return;
+        out.push(finding("party-name", "warning", slot, `${party} name “${other}” in ${slot.label} differs from the preamble (“${name}”).`));
+      });
+  });
+  return out;
+}
+
+// Reported on the charges / payment schedule field, which is where SOWForm shows the schedule.
+function checkPaymentSchedule(sections, slots, data, commercials) {
+  const schedule = activeSchedule(data);
+  const slot = slots.find((s) => s.path.length === 1 && hasScheduleTargets([s.field]));
+  if (!schedule || !slot) return [];
+  const settings = getCommercials({ commercials });
+  const { total } = buildContractValue(sections, data, settings);
+  return validateSchedule(schedule, total, settings).map((x, i) =>
+    finding("payment-schedule", x.severity, slot, `Payment schedule: ${x.message}`, `[${i}]`)
+  );
+}
+
+// Reported on the timeline / milestone list field, which is where SOWForm shows the timeline editor.
+function checkTimeline(slots, data) {
+  const timeline = activeTimeline(data);
+  const slot = slots.find((s) => s.path.length === 1 && hasTimelineTargets([s.field]));
+  if (!timeline || !slot) return [];
+  return validateTimeline(timeline).map((x, i) => finding("timeline", x.severity, slot, `Timeline: ${x.message}`, `[${i}]`));
+}
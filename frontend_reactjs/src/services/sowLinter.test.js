@@ -0,0 +1,110 @@
+import { findDates, lintSOW, parseAmount } from "./sowLinter";
+
+const declaredTemplates = [
+  {
+    id: "SUPPLIER",
+    required: ["client_portfolio", "project_type", "engagement_number", "contractor_rate"],
+    fields: [
+      { key: "client_portfolio", label: "Client Portfolio", type: "text" },
+      { key: "project_type", label: "Type of Project", type: "select", options: ["Fixed Price", "Time and Material"] },
+      { key: "engagement_number", label: "Engagement Number", type: "text", dependsOn: { project_type: "Fixed Price" } },
+      { key: "contractor_rate", label: "Contractor Rate", type: "text", dependsOn: { project_type: "Time and Material" } },
+    ],
+  },
+  { id: "OTHER", required: ["title"], fields: [{ key: "title", label: "Title", type: "text" }] },
+];
+
+// Shaped like the built-in parsed forms: "Type of Project" is a text field with its own key and a default.
+const sections = [
+  {
+    section: "Preamble",
+    fields: [
+      { key: "title", label: "Title", type: "text" },
+      { key: "client_company_name", label: "Client", type: "text" },
+      { key: "supplier_name", label: "Supplier", type: "text" },
+    ],
+  },
+  {
+    section: "Project",
+    fields: [
+      { key: "client_portfolio", label: "Client Portfolio", type: "text" },
+      { key: "type_of_project", label: "Type of Project", type: "text", default: "Time & Materials" },
+      { key: "engagement_number", label: "Engagement Number", type: "text" },
+      { key: "contractor_rate", label: "Contractor Rate", type: "text" },
+      { key: "start_date", label: "Start Date", type: "date" },
+      { key: "end_date", label: "End Date", type: "date" },
+      { key: "project_schedule_and_milestones", label: "Project Schedule and Milestones", type: "list" },
+      {
+        key: "project_costs",
+        label: "Project Costs",
+        type: "table",
+        columns: [
+          { key: "task", label: "Task", type: "text" },
+          { key: "labor", label: "Labor", type: "currency" },
+          { key: "other", label: "Other", type: "currency" },
+          { key: "total", label: "Total", type: "currency", computed: true },
+        ],
+      },
+    ],
+  },
+  {
+    section: "Authorization",
+    fields: [
+      { key: "address_block", label: "Address", type: "object", properties: [{ key: "address_supplier_name", label: "Supplier Name", type: "text" }] },
+      { key: "client_company_name_signature_block", label: "Client Company Name", type: "text" },
+    ],
+  },
+];
+
+const rules = (findings) => findings.map((f) => `${f.rule}:${f.fieldKey}`);
+
+test("flags required fields, applying dependsOn through the matching form field and its default", () => {
+  const findings = lintSOW({ sections, templateData: {}, declaredTemplates });
+  expect(rules(findings)).toEqual(["required:client_portfolio", "required-when:contractor_rate"]);
+  expect(findings[1].message).toBe("Contractor Rate is required when Type of Project is Time and Material.");
+
+  const fixedPrice = lintSOW({ sections, templateData: { type_of_project: "Fixed Price", client_portfolio: "Retail" }, declaredTemplates });
+  expect(rules(fixedPrice)).toEqual(["required-when:engagement_number"]);
+});
+
+test("checks date order, milestones, cost totals and party names", () => {
+  const templateData = {
+    client_portfolio: "Retail",
+    contractor_rate: "USD 90/h",
+    client_company_name: "Acme Inc.",
+    supplier_name: "Globex",
+    start_date: "2026-01-10",
+    end_date: "2026-06-30",
+    project_schedule_and_milestones: ["Kickoff on 2026-01-12", "Go-live 15 July 2026"],
+    project_costs: [
+      { task: "Build", labor: "USD 1,000", other: "200", total: "1,200" },
+      { task: "Test", labor: "500", other: "", total: "600" },
+    ],
+    address_block: { address_supplier_name: "Globex Ltd" },
+    client_company_name_signature_block: "Acme Holdings",
+  };
+  const findings = lintSOW({ sections, templateData, declaredTemplates });
+  expect(rules(findings)).toEqual(["cost-total:project_costs", "milestone-range:project_schedule_and_milestones", "party-name:client_company_name_signature_block"]);
+  expect(findings[0].message).toBe("Project Costs, row 2: Total is 600 but Labor + Other add up to 500.");
+
+  const reversed = lintSOW({ sections, templateData: { ...templateData, end_date: "2026-01-01" }, declaredTemplates });
+  expect(rules(reversed)).toContain("date-order:end_date");
+});
+
+test("findDates and parseAmount read free-text dates and currency strings", () => {
+  expect(findDates("Phase 1 by March 3, 2026; phase 2 on 2026-04-01 and 1st May 2026")).toEqual(["2026-04-01", "2026-05-01", "2026-03-03"]);
+  expect(parseAmount("USD 12,000.50")).toBe(12000.5);
+  expect(parseAmount("n/a")).toBeNull();
+});
+
+test("reports payment schedule problems on the charges field against the contract total", () => {
+  const fp = [{ section: "Charges", fields: [{ key: "charges_and_payment_schedule_fp", label: "Charges & Payment Schedule", type: "textarea" }] }];
+  const templateData = {
+    charges_and_payment_schedule_fp: "",
+    payment_schedule: { milestones: [{ name: "Go-live", dueDate: "2026-06-30", mode: "amount", value: 900 }] },
+  };
+  const findings = lintSOW({ sections: fp, templateData, commercials: { currency: "USD", baseAmount: "1000" } });
+
+  expect(rules(findings)).toEqual(["payment-schedule:charges_and_payment_schedule_fp"]);
+  expect(findings[0].message).toBe("Payment schedule: Payments add up to $900.00 but the contract total is $1,000.00.");
+});
@@ -0,0 +1,24 @@
+//
+// PUBLIC_INTERFACE
+// Suggestions from previously stored SOWs: backend_express keeps a local BM25 index of their
+// text fields (/api/suggest). All functions resolve { ok, ... } and never throw.
+//
+import { requestJson } from "./apiClient";
+
+/**
+ * PUBLIC_INTERFACE
+ * suggestFromPastSOWs
+ * Passages of other stored SOWs that fit one field, ranked against its label, current value and the rest of the SOW.
+ *
+ * @param {{field:{key:string,label?:string}, value?:any, context?:object, excludeSowId?:string, limit?:number}} input
+ *        - `context` holds the other templateData values; `excludeSowId` is the SOW being edited
+ * @returns {Promise<{ok:boolean, suggestions?:Array<{text:string, field:string, label:string, sowId:string, sowTitle:string, score:number}>, error?:string}>}
+ */
+export function suggestFromPastSOWs({ field, value, context, excludeSowId, limit }) {
+  const { key, label } = field || {};
+  return requestJson("/api/suggest", {
+    method: "POST",
+    body: { field: { key, label }, value: value ?? "", context: context || {}, excludeSowId: excludeSowId || undefined, limit },
+  });
+}
+
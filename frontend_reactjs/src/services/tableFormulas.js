@@ -0,0 +1,363 @@
+//
+// PUBLIC_INTERFACE
+// Computed columns and footer totals of table fields.
+// A column with `computed: true` takes its value from `expression` (e.g. "labor_costs + materials_costs + other_costs");
+// without one it is the sum of the row's other currency columns. A table's `footer` declares one totals row:
+//   "footer": { "label": "Grand total", "columns": { "total": "sum(total)" } }
+// Expressions use numbers, column keys, + - * / ( ) and the functions sum, avg, min, max, count and round.
+//
+import { moneyAmount } from "./money";
+
+const FUNCTIONS = new Set(["sum", "avg", "min", "max", "count", "round"]);
+
+/* ---------- parsing ---------- */
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/(),]))/y;
+  let pos = 0;
+  const text = String(src || "");
+  while (pos < text.length) {
+    if (!text.slice(pos).trim()) break;
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    if (!m) throw new Error(`Unexpected "${text.slice(pos).trim()[0]}" in "${text}".`);
+    if (m[1] !== undefined) tokens.push({ type: "num", value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: "id", value: m[2] });
+    else tokens.push({ type: "op", value: m[3] });
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+// expr := term (("+"|"-") term)* ; term := unary (("*"|"/") unary)* ; unary := "-" unary | primary
+// primary := number | name | name "(" [expr ("," expr)*] ")" | "(" expr ")"
+function parse(src) {
+  const tokens = tokenize(src);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (v) => peek()?.type === "op" && peek().value === v;
+  const expect = (v) => {
+    if (!isOp(v)) throw new Error(`Expected "${v}" in "${src}".`);
+    i++;
+  };
+
+  function expr() {
+    let node = term();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[i++].value;
+      node = { type: "bin", op, left: node, right: term() };
+    }
+    return node;
+  }
+  function term() {
+    let node = unary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[i++].value;
+      node = { type: "bin", op, left: node, right: unary() };
+    }
+    return node;
+  }
+  function unary() {
+    if (isOp("-")) {
+      i++;
+      return { type: "neg", arg: unary() };
+    }
+    if (isOp("+")) {
+      i++;
+      return unary();
+    }
+    return primary();
+  }
+  function primary() {
+    const t = peek();
+    if (!t) throw new Error(`Unexpected end of "${src}".`);
+    if (t.type === "num") {
+      i++;
+      return { type: "num", value: t.value };
+    }
+    if (t.type === "id") {
+      i++;
+      if (!isOp("(")) return { type: "col", key: t.value };
+      const name = t.value.toLowerCase();
+      if (!FUNCTIONS.has(name)) throw new Error(`Unknown function "${t.value}".`);
+      i++;
+      const args = [];
+      if (!isOp(")")) {
+        args.push(expr());
+        while (isOp(",")) {
+          i++;
+          args.push(expr());
+        }
+      }
+      expect(")");
+      return { type: "call", name, args };
+    }
+    if (isOp("(")) {
+      i++;
+      const node = expr();
+      expect(")");
+      return node;
+    }
+    throw new Error(`Unexpected "${t.value}" in "${src}".`);
+  }
+
+  if (!tokens.length) throw new Error("The expression is empty.");
+  const node = expr();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].value}" in "${src}".`);
+  return node;
+}
+
+const parsedCache = new Map();
+
+function compile(src) {
+  if (!parsedCache.has(src)) {
+    try {
+      parsedCache.set(src, { ast: parse(src) });
+    } catch (e) {
+      parsedCache.set(src, { error: e.message });
+    }
+  }
+  return parsedCache.get(src);
+}
+
+function columnRefs(node, out = []) {
+  if (node.type === "col") out.push(node.key);
+  if (node.type === "bin") {
+    columnRefs(node.left, out);
+    columnRefs(node.right, out);
+  }
+  if (node.type === "neg") columnRefs(node.arg, out);
+  if (node.type === "call") node.args.forEach((a) => columnRefs(a, out));
+  return out;
+}
+
+/* ---------- evaluation ---------- */
+
+// Empty cells are null: they count as 0 in arithmetic and are skipped by the functions.
+// In a footer a column name stands for the list of that column's values, which only the functions accept.
+function evaluate(node, lookup) {
+  switch (node.type) {
+    case "num":
+      return node.value;
+    case "col":
+      return lookup(node.key);
+    case "neg": {
+      const v = scalar(evaluate(node.arg, lookup), node.arg);
+      return v === null ? null : -v;
+    }
+    case "bin": {
+      const a = scalar(evaluate(node.left, lookup), node.left);
+      const b = scalar(evaluate(node.right, lookup), node.right);
+      if (a === null && b === null) return null;
+      const x = a ?? 0;
+      const y = b ?? 0;
+      if (node.op === "+") return x + y;
+      if (node.op === "-") return x - y;
+      if (node.op === "*") return x * y;
+      return y === 0 ? null : x / y;
+    }
+    case "call": {
+      if (node.name === "round") {
+        if (!node.args.length) throw new Error("round needs a value.");
+        const v = scalar(evaluate(node.args[0], lookup), node.args[0]);
+        const digits = node.args[1] ? scalar(evaluate(node.args[1], lookup), node.args[1]) ?? 0 : 0;
+        return v === null ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+      }
+      const values = node.args.flatMap((a) => [].concat(evaluate(a, lookup))).filter((v) => v !== null);
+      if (node.name === "count") return values.length;
+      if (!values.length) return null;
+      if (node.name === "sum") return values.reduce((acc, v) => acc + v, 0);
+      if (node.name === "avg") return values.reduce((acc, v) => acc + v, 0) / values.length;
+      if (node.name === "min") return Math.min(...values);
+      return Math.max(...values);
+    }
+    default:
+      return null;
+  }
+}
+
+function scalar(v, node) {
+  if (Array.isArray(v)) throw new Error(`Use sum(${node.key || "…"}) or another function for a whole column.`);
+  return v;
+}
+
+function toNumber(v) {
+  return v === "" || v === undefined || v === null ? null : parseAmount(v);
+}
+
+function roundFor(col, n) {
+  if (n === null || !Number.isFinite(n)) return "";
+  // Currency to the cent; anything else only loses floating-point noise (0.1 + 0.2).
+  return col?.type === "currency" ? Math.round(n * 100) / 100 : Number(n.toPrecision(12));
+}
+
+/* ---------- public ---------- */
+
+/**
+ * PUBLIC_INTERFACE
+ * parseAmount
+ * Number in a currency value: a stored money value, money text ("USD 12,000.50" → 12000.5, "1.234,50 €", "$12k"),
+ * or failing that the digits of free text ("approx. 9,000" → 9000). Null when it holds no number.
+ */
+export function parseAmount(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const money = moneyAmount(v);
+  if (money !== null) return money;
+  if (v && typeof v === "object") return null;
+  const s = String(v ?? "").replace(/[^0-9.-]/g, "");
+  if (!/\d/.test(s)) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * columnExpression
+ * Expression of a computed column: its `expression`, or the sum of the table's other currency columns.
+ * Returns "" for a column that is not computed.
+ */
+export function columnExpression(field, col) {
+  if (!col?.computed && !col?.expression) return "";
+  if (col.expression) return String(col.expression);
+  const parts = (field?.columns || []).filter((c) => c !== col && c.type === "currency" && !c.computed);
+  return parts.map((c) => c.key).join(" + ");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isComputedColumn
+ * True when the column's value comes from an expression (read-only in the form).
+ */
+export function isComputedColumn(field, col) {
+  return columnExpression(field, col) !== "";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getFormulaErrors
+ * Problems with a table field's computed-column and footer expressions (syntax, unknown columns), for the form
+ * to show instead of silently leaving cells blank.
+ * @returns {string[]}
+ */
+export function getFormulaErrors(field) {
+  const cols = field?.columns || [];
+  const keys = new Set(cols.map((c) => c.key));
+  const errors = [];
+  const check = (label, src) => {
+    const { ast, error } = compile(src);
+    if (error) return errors.push(`${label}: ${error}`);
+    const unknown = columnRefs(ast).filter((k) => !keys.has(k));
+    if (unknown.length) errors.push(`${label}: unknown column ${unknown.map((k) => `"${k}"`).join(", ")}.`);
+  };
+  cols.forEach((c) => {
+    const src = columnExpression(field, c);
+    if (src) check(c.label || c.key, src);
+  });
+  Object.entries(field?.footer?.columns || {}).forEach(([key, src]) => {
+    if (!keys.has(key)) errors.push(`${field.footer.label || "Footer"}: unknown column "${key}".`);
+    else check(`${field.footer.label || "Footer"} (${cols.find((c) => c.key === key).label || key})`, String(src));
+  });
+  return errors;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * computeRow
+ * The row with every computed column recalculated, in column order (a computed column may use an earlier one).
+ * Results are numbers; a result is "" while none of its inputs is filled in, or when the expression is invalid.
+ */
+export function computeRow(field, row) {
+  const cols = field?.columns || [];
+  const next = { ...(row || {}) };
+  const lookup = (key) => toNumber(next[key]);
+  cols.forEach((c) => {
+    const src = columnExpression(field, c);
+    if (!src) return;
+    const { ast } = compile(src);
+    if (!ast) {
+      next[c.key] = "";
+      return;
+    }
+    try {
+      const refs = columnRefs(ast);
+      const anyInput = !refs.length || refs.some((k) => lookup(k) !== null);
+      next[c.key] = anyInput ? roundFor(c, evaluate(ast, lookup)) : "";
+    } catch {
+      next[c.key] = "";
+    }
+  });
+  return next;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * computeTable
+ * Rows of a table field with their computed columns recalculated. Tables without computed columns are returned as is.
+ */
+export function computeTable(field, rows) {
+  if (!Array.isArray(rows)) return rows;
+  if (!(field?.columns || []).some((c) => isComputedColumn(field, c))) return rows;
+  return rows.map((r) => computeRow(field, r));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * computeFooter
+ * The footer totals of a table field over its (computed) rows, or null when the table declares no footer.
+ * @returns {{label:string, values:Object<string, number|"">}|null}
+ */
+export function computeFooter(field, rows) {
+  const footer = field?.footer;
+  if (!footer?.columns) return null;
+  const cols = field.columns || [];
+  const list = computeTable(field, Array.isArray(rows) ? rows : []);
+  const lookup = (key) => list.map((r) => toNumber(r?.[key]));
+  const values = {};
+  Object.entries(footer.columns).forEach(([key, src]) => {
+    const { ast } = compile(String(src));
+    let v = null;
+    try {
+      v = ast ? evaluate(ast, lookup) : null;
+    } catch {
+      v = null;
+    }
+    values[key] = roundFor(cols.find((c) => c.key === key), Array.isArray(v) ? null : v);
+  });
+  return { label: footer.label || "Total", values };
+}
+
+function tableFields(sections, data) {
+  return (sections || []).flatMap((s) => s.fields || []).filter((f) => f?.type === "table" && Array.isArray(data[f.key]));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * computeTables
+ * templateData with the computed columns of every table field of the form recalculated.
+ */
+export function computeTables(sections, templateData) {
+  const out = { ...(templateData || {}) };
+  tableFields(sections, out).forEach((f) => (out[f.key] = computeTable(f, out[f.key])));
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * withTableTotals
+ * templateData as written into the document: tables recalculated, and the footer of each table that declares one
+ * appended as a last row ({ <first non-total column>: footer label, <column>: total }) so preview and DOCX show it.
+ */
+export function withTableTotals(sections, templateData) {
+  const out = computeTables(sections, templateData);
+  tableFields(sections, out).forEach((f) => {
+    const footer = out[f.key].length ? computeFooter(f, out[f.key]) : null;
+    if (!footer) return;
+    const totals = {};
+    (f.columns || []).forEach((c) => (totals[c.key] = c.key in footer.values ? footer.values[c.key] : ""));
+    const labelKey = (f.columns || []).find((c) => !(c.key in footer.values))?.key;
+    if (labelKey) totals[labelKey] = footer.label;
+    out[f.key] = [...out[f.key], totals];
+  });
+  return out;
+}
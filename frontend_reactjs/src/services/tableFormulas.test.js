@@ -0,0 +1,61 @@
+import { computeFooter, computeRow, getFormulaErrors, withTableTotals } from "./tableFormulas";
+
+const costs = {
+  key: "project_costs",
+  type: "table",
+  columns: [
+    { key: "task", label: "Task", type: "text" },
+    { key: "labor", label: "Labor", type: "currency" },
+    { key: "other", label: "Other", type: "currency" },
+    { key: "total", label: "Total", type: "currency", computed: true, expression: "labor + other" },
+    { key: "with_vat", label: "With VAT", type: "currency", computed: true, expression: "round(total * 1.2, 1)" },
+  ],
+  footer: { label: "Grand total", columns: { labor: "sum(labor)", total: "sum(total)", with_vat: "max(with_vat) - min(with_vat)" } },
+};
+
+test("computed columns evaluate in column order, as numbers, and stay empty without inputs", () => {
+  expect(computeRow(costs, { task: "Build", labor: "USD 1,000.10", other: "0.2" })).toEqual({
+    task: "Build",
+    labor: "USD 1,000.10",
+    other: "0.2",
+    total: 1000.3,
+    with_vat: 1200.4,
+  });
+  expect(computeRow(costs, { task: "Plan", labor: "", other: "" })).toMatchObject({ total: "", with_vat: "" });
+  // Without an expression a computed column adds up the other currency columns.
+  const legacy = { columns: [{ key: "a", type: "currency" }, { key: "b", type: "currency" }, { key: "t", type: "currency", computed: true }] };
+  expect(computeRow(legacy, { a: "10", b: "-2.5" }).t).toBe(7.5);
+});
+
+test("footers total the recalculated rows, and the document gets them as a last row", () => {
+  const rows = [
+    { task: "Build", labor: "1000", other: "200", total: "999" },
+    { task: "Run", labor: "500", other: "", total: "" },
+  ];
+  expect(computeFooter(costs, rows)).toEqual({ label: "Grand total", values: { labor: 1500, total: 1700, with_vat: 840 } });
+
+  const data = withTableTotals([{ section: "Costs", fields: [costs] }], { project_costs: rows, title: "SOW" });
+  expect(data.title).toBe("SOW");
+  expect(data.project_costs).toHaveLength(3);
+  expect(data.project_costs[0].total).toBe(1200);
+  expect(data.project_costs[2]).toEqual({ task: "Grand total", labor: 1500, other: "", total: 1700, with_vat: 840 });
+});
+
+test("getFormulaErrors reports syntax errors, unknown columns and functions", () => {
+  expect(getFormulaErrors(costs)).toEqual([]);
+  const broken = {
+    columns: [
+      { key: "a", label: "A", type: "currency" },
+      { key: "b", label: "B", computed: true, expression: "a + (c" },
+      { key: "c", label: "C", computed: true, expression: "a + labour" },
+      { key: "d", label: "D", computed: true, expression: "median(a)" },
+    ],
+    footer: { label: "Totals", columns: { a: "sum(a" } },
+  };
+  const errors = getFormulaErrors(broken);
+  expect(errors).toHaveLength(4);
+  expect(errors[0]).toMatch(/^B: Expected "\)"/);
+  expect(errors[1]).toBe('C: unknown column "labour".');
+  expect(errors[2]).toBe('D: Unknown function "median".');
+  expect(errors[3]).toMatch(/^Totals \(A\)/);
+});
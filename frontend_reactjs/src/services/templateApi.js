@@ -0,0 +1,167 @@
+//
+// PUBLIC_INTERFACE
+// Template registry client (/api/templates on backend_express).
+// Uploads are read and parsed here (docxReader + transcript schema builder) so the registry stores
+// the .docx together with the transcript and schema the form renders.
+// All functions resolve { ok: true, ... } or { ok: false, error } and never throw.
+//
+import { apiUrl, requestJson } from "./apiClient";
+import { readDocxTemplate, fetchTemplateTranscript } from "./docxReader";
+import { buildDynamicTemplateSchemaFromTranscript } from "./docxTemplateService";
+
+/**
+ * PUBLIC_INTERFACE
+ * listTemplates
+ * @param {{status?:'active'|'retired'}} [filter]
+ * @returns {Promise<{ok:boolean, templates?:Array<{id:string,title:string,description:string,status:string,builtin:boolean,version:number,fileName:string,updatedAt:string}>, error?:string}>}
+ */
+export function listTemplates({ status } = {}) {
+  return requestJson(`/api/templates${status ? `?status=${encodeURIComponent(status)}` : ""}`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getTemplate
+ * Full registry entry including the current transcript, schema and (built-ins) sourceUrls.
+ * @returns {Promise<{ok:boolean, template?:object, error?:string}>}
+ */
+export function getTemplate(id) {
+  return requestJson(`/api/templates/${encodeURIComponent(id)}`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * uploadTemplate
+ * Register a new template from a .docx file.
+ * @param {File} file
+ * @param {{title?:string, description?:string, author?:string, note?:string}} [info]
+ * @returns {Promise<{ok:boolean, template?:object, error?:string}>}
+ */
+export async function uploadTemplate(file, info = {}) {
+  const body = await readUpload(file, info.title);
+  if (!body.ok) return body;
+  return requestJson("/api/templates", { method: "POST", body: { ...body.upload, ...info } });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * uploadTemplateVersion
+ * Upload a new .docx version of an existing template; it becomes the current version.
+ * @returns {Promise<{ok:boolean, template?:object, error?:string}>}
+ */
+export async function uploadTemplateVersion(id, file, { title, author, note } = {}) {
+  const body = await readUpload(file, title);
+  if (!body.ok) return body;
+  return requestJson(`/api/templates/${encodeURIComponent(id)}/versions`, {
+    method: "POST",
+    body: { ...body.upload, author, note },
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * updateTemplate
+ * @param {string} id
+ * @param {{title?:string, description?:string, status?:'active'|'retired'}} patch
+ * @returns {Promise<{ok:boolean, template?:object, error?:string}>}
+ */
+export function updateTemplate(id, patch) {
+  return requestJson(`/api/templates/${encodeURIComponent(id)}`, { method: "PUT", body: patch });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * deleteTemplate
+ * Built-in templates cannot be deleted (the backend answers 409); retire them instead.
+ * @returns {Promise<{ok:boolean, error?:string}>}
+ */
+export function deleteTemplate(id) {
+  return requestJson(`/api/templates/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * listTemplateVersions
+ * @returns {Promise<{ok:boolean, versions?:Array<{id:string,number:number,fileName:string,author:string,note:string,createdAt:string}>, error?:string}>}
+ */
+export function listTemplateVersions(id) {
+  return requestJson(`/api/templates/${encodeURIComponent(id)}/versions`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * templateVersionFileUrl
+ * Download URL of one uploaded version's .docx.
+ */
+export function templateVersionFileUrl(id, versionId) {
+  return apiUrl(`/api/templates/${encodeURIComponent(id)}/versions/${encodeURIComponent(versionId)}/file`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * fetchTemplateDocx
+ * The original .docx of a registry template's current version, for filling its placeholders.
+ * @param {string} id - Registry template id
+ * @returns {Promise<{ok:boolean, fileName?:string, buffer?:ArrayBuffer|null, error?:string}>} buffer is null when no
+ *   Word file was uploaded (the built-in templates start with a transcript only)
+ */
+export async function fetchTemplateDocx(id) {
+  const res = await getTemplate(id);
+  if (!res.ok) return res;
+  const { latestVersionId, fileName } = res.template;
+  if (!latestVersionId) return { ok: true, fileName: "", buffer: null };
+  try {
+    const resp = await fetch(templateVersionFileUrl(id, latestVersionId));
+    if (!resp.ok) return { ok: false, status: resp.status, error: `Could not download the template's Word file (${resp.status}).` };
+    return { ok: true, fileName: fileName || `${id}.docx`, buffer: await resp.arrayBuffer() };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadTemplateContent
+ * Resolve the transcript and runtime schema of a registry template: the stored ones for uploads,
+ * otherwise read from the built-in sourceUrls.
+ * @param {string} id - Registry template id
+ * @returns {Promise<{ok:boolean, template?:object, transcript?:string, schema?:object, error?:string}>}
+ */
+export async function loadTemplateContent(id) {
+  const res = await getTemplate(id);
+  if (!res.ok) return res;
+  const template = res.template;
+  if (template.transcript && template.schema) {
+    return { ok: true, template, transcript: template.transcript, schema: template.schema };
+  }
+  try {
+    const transcript = await fetchTemplateTranscript(template.sourceUrls);
+    const schema = buildDynamicTemplateSchemaFromTranscript(transcript, template.id, template.title);
+    return { ok: true, template, transcript, schema };
+  } catch (e) {
+    return { ok: false, error: `Could not load template "${template.title}": ${e?.message || e}` };
+  }
+}
+
+async function readUpload(file, title) {
+  if (!file || !/\.docx$/i.test(file.name || "")) return { ok: false, error: "Choose a Word (.docx) file." };
+  try {
+    const buffer = await file.arrayBuffer();
+    const { transcript } = await readDocxTemplate(buffer);
+    if (!transcript.trim()) return { ok: false, error: "The document has no text to build a template from." };
+    const schemaTitle = title || file.name.replace(/\.docx$/i, "");
+    const schema = buildDynamicTemplateSchemaFromTranscript(transcript, "", schemaTitle);
+    return { ok: true, upload: { fileName: file.name, fileBase64: toBase64(buffer), transcript, schema } };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,364 @@
+//
+// PUBLIC_INTERFACE
+// Question plan for the AI chat wizard, built from the active template's form sections.
+// Answers are parsed per field type and written into templateData, the same object SOWForm edits.
+//
+import { formatMoney, isMoney, parseMoneyInput } from "./money";
+import { computeRow, isComputedColumn } from "./tableFormulas";
+
+// Types answered with an image upload instead of typed text.
+const UPLOAD_TYPES = new Set(["signature", "upload-list"]);
+
+/**
+ * PUBLIC_INTERFACE
+ * buildWizardQuestions
+ * Flatten form sections into one question per field, in form order. Object fields become one
+ * question per property (path [key, prop]).
+ *
+ * @param {Array<{section:string, fields:Array}>} sections - from getTemplateFormSections
+ * @param {string[]} [requiredKeys] - schema-level `required` list; fields may also set `required: true`
+ * @returns {Array<{id:string, path:string[], label:string, type:string, section:string, field:object, required:boolean, dependsOn?:object}>}
+ */
+export function buildWizardQuestions(sections, requiredKeys = []) {
+  const required = new Set(requiredKeys || []);
+  const out = [];
+  (sections || []).forEach((sec) => {
+    (sec.fields || []).forEach((f) => {
+      if (!f?.key) return;
+      const isRequired = required.has(f.key) || f.required === true;
+      if (f.type === "object" && (f.properties || []).length) {
+        f.properties.forEach((p) => {
+          out.push({
+            id: `${f.key}.${p.key}`,
+            path: [f.key, p.key],
+            label: `${f.label || f.key} › ${p.label || p.key}`,
+            type: p.type || "text",
+            section: sec.section,
+            field: p,
+            required: isRequired || p.required === true,
+            dependsOn: f.dependsOn,
+          });
+        });
+        return;
+      }
+      out.push({
+        id: f.key,
+        path: [f.key],
+        label: f.label || f.key,
+        type: f.type || "text",
+        section: sec.section,
+        field: f,
+        required: isRequired,
+        dependsOn: f.dependsOn,
+      });
+    });
+  });
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getAnswer
+ * Current templateData value for a question's path.
+ */
+export function getAnswer(templateData, question) {
+  return question.path.reduce((o, k) => (o == null ? undefined : o[k]), templateData || {});
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * setAnswer
+ * Return a copy of templateData with the question's path set to value.
+ */
+export function setAnswer(templateData, question, value) {
+  const next = { ...(templateData || {}) };
+  const [key, prop] = question.path;
+  if (prop === undefined) next[key] = value;
+  else next[key] = { ...(next[key] || {}), [prop]: value };
+  return next;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isApplicable
+ * True when every `dependsOn` condition holds: { fieldKey: expected | [expected, ...] }.
+ */
+export function isApplicable(question, templateData) {
+  return Object.entries(question.dependsOn || {}).every(([key, expected]) => {
+    const actual = (templateData || {})[key];
+    return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isAnswered
+ * True when the question's value is non-empty (checkboxes count as answered once set).
+ */
+export function isAnswered(question, templateData) {
+  const v = getAnswer(templateData, question);
+  if (question.type === "checkbox") return typeof v === "boolean";
+  if (Array.isArray(v)) return v.length > 0;
+  return v !== undefined && v !== null && String(v).trim() !== "";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * nextQuestionIndex
+ * Index of the first question after `from` that applies to templateData and is still unanswered, or -1.
+ */
+export function nextQuestionIndex(questions, templateData, from = -1) {
+  for (let i = from + 1; i < questions.length; i++) {
+    if (isApplicable(questions[i], templateData) && !isAnswered(questions[i], templateData)) return i;
+  }
+  return -1;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isUploadQuestion
+ * True for questions answered with an image upload (signatures, upload lists).
+ */
+export function isUploadQuestion(question) {
+  return UPLOAD_TYPES.has(question.type);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isMultiAnswerQuestion
+ * True for lists and tables: answered one item / row per message until "done".
+ */
+export function isMultiAnswerQuestion(question) {
+  return question.type === "list" || question.type === "table";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * describeQuestion
+ * Chat prompt for a question: label, what to type, and whether it can be skipped.
+ */
+export function describeQuestion(question) {
+  const { field, type } = question;
+  const lines = [`${question.section ? `${question.section} — ` : ""}${question.label}`];
+  if (type === "select") {
+    lines.push(`Choose one: ${(field.options || []).map((o, i) => `${i + 1}) ${o}`).join("  ")}`);
+  } else if (type === "date") {
+    lines.push("Enter a date as YYYY-MM-DD.");
+  } else if (type === "checkbox") {
+    lines.push("Answer yes or no.");
+  } else if (type === "list") {
+    lines.push(`Add one ${field.itemLabel ? field.itemLabel.toLowerCase() : "item"} per message; type “done” when finished.`);
+  } else if (type === "table") {
+    const cols = inputColumns(field).map((c) => c.label || c.key).join(" | ");
+    lines.push(`Add one row per message as: ${cols}. Type “done” when finished.`);
+  } else if (isUploadQuestion(question)) {
+    lines.push("Upload an image below.");
+  }
+  if (field.hint) lines.push(String(field.hint));
+  lines.push(question.required ? "(required)" : "(optional — type “skip” to leave it empty)");
+  return lines.join("\n");
+}
+
+const DONE = /^(done|finish(ed)?|that'?s all|no more)$/i;
+const SKIP = /^(skip|n\/a|none|-)$/i;
+
+function isValidDate(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const [y, m, d] = s.split("-").map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d;
+}
+
+function parseScalar(type, field, text) {
+  switch (type) {
+    case "email":
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? { value: text } : { error: "That doesn't look like an email address." };
+    case "date":
+      return isValidDate(text) ? { value: text } : { error: "Please enter a valid date as YYYY-MM-DD." };
+    // Kept as typed: the SOW form stores it in the SOW currency once edited, and output formats it either way
+    case "currency":
+      return parseMoneyInput(text) ? { value: text } : { error: "Please enter an amount, e.g. USD 12,000 or 1.234,50 €." };
+    case "checkbox":
+      if (/^(y|yes|true|1)$/i.test(text)) return { value: true };
+      if (/^(n|no|false|0)$/i.test(text)) return { value: false };
+      return { error: "Please answer yes or no." };
+    case "select": {
+      const options = (field.options || []).map(String);
+      const n = Number(text);
+      if (Number.isInteger(n) && n >= 1 && n <= options.length) return { value: options[n - 1] };
+      const match = options.find((o) => o.toLowerCase() === text.toLowerCase());
+      return match ? { value: match } : { error: `Please pick one of: ${options.join(", ")}.` };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+// Computed columns are filled in from the others, so a typed row leaves them out.
+function inputColumns(field) {
+  return (field.columns || []).filter((c) => !isComputedColumn(field, c));
+}
+
+function parseRow(field, text) {
+  const cols = inputColumns(field);
+  const cells = text.split("|").map((c) => c.trim());
+  if (cells.length > cols.length) return { error: `Too many cells: expected ${cols.length} (${cols.map((c) => c.label || c.key).join(" | ")}).` };
+  const row = {};
+  for (let i = 0; i < cols.length; i++) {
+    const cell = cells[i] || "";
+    if (cols[i].type === "date" && cell && !isValidDate(cell)) {
+      return { error: `${cols[i].label || cols[i].key} must be a date as YYYY-MM-DD.` };
+    }
+    row[cols[i].key] = cell;
+  }
+  return { value: computeRow(field, row) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * applyAnswer
+ * Apply one typed chat answer to templateData.
+ *
+ * Single-value questions: the parsed value replaces the current one and the wizard moves on.
+ * Lists and tables: each message appends one item / row; "done" moves on (a required list needs one entry).
+ * Optional questions, and questions that already have an answer, accept "skip".
+ *
+ * @returns {{templateData?:object, advance:boolean, error?:string, added?:boolean}}
+ */
+export function applyAnswer(templateData, question, text) {
+  const input = String(text || "").trim();
+  const multi = isMultiAnswerQuestion(question);
+
+  if (multi && DONE.test(input)) {
+    if (question.required && !isAnswered(question, templateData)) {
+      return { advance: false, error: "This one is required: add at least one entry first." };
+    }
+    return { templateData, advance: true };
+  }
+  if (!input || SKIP.test(input)) {
+    // Skipping keeps the current answer, so a required question that already has one can be skipped.
+    if (question.required && !isAnswered(question, templateData)) return { advance: false, error: "This one is required." };
+    return { templateData, advance: true };
+  }
+  if (isUploadQuestion(question)) return { advance: false, error: "Please use the upload button for this one." };
+
+  if (multi) {
+    const parsed = question.type === "table" ? parseRow(question.field, input) : { value: input };
+    if (parsed.error) return { advance: false, error: parsed.error };
+    const current = getAnswer(templateData, question);
+    const list = Array.isArray(current) ? current : [];
+    return { templateData: setAnswer(templateData, question, [...list, parsed.value]), advance: false, added: true };
+  }
+
+  const parsed = parseScalar(question.type, question.field, input);
+  if (parsed.error) return { advance: false, error: parsed.error };
+  return { templateData: setAnswer(templateData, question, parsed.value), advance: true };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * applyUpload
+ * Store uploaded image data URLs: signatures keep one image, upload lists append.
+ */
+export function applyUpload(templateData, question, dataUrls) {
+  if (question.type === "upload-list") {
+    const current = getAnswer(templateData, question);
+    return setAnswer(templateData, question, [...(Array.isArray(current) ? current : []), ...dataUrls]);
+  }
+  return setAnswer(templateData, question, dataUrls[0] || "");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * WIZARD_COMMANDS
+ * Slash commands understood by the chat wizard, with their help text.
+ */
+export const WIZARD_COMMANDS = [
+  { name: "back", usage: "/back", help: "go back to the previous question" },
+  { name: "skip", usage: "/skip", help: "leave the current question as it is and move on" },
+  { name: "edit", usage: "/edit <field>", help: "jump to a field by name or key to change its answer" },
+  { name: "clear", usage: "/clear", help: "empty the current question's answer (e.g. to re-enter a list)" },
+  { name: "summary", usage: "/summary", help: "show every answer so far" },
+  { name: "help", usage: "/help", help: "list these commands" },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * parseCommand
+ * Parse "/name arg..." into { name, arg }; null for ordinary answers. Unknown names are returned
+ * as { name, arg, unknown: true } so the wizard can say so instead of storing them as an answer.
+ */
+export function parseCommand(text) {
+  const m = String(text || "").trim().match(/^\/([a-z]+)\s*(.*)$/i);
+  if (!m) return null;
+  const name = m[1].toLowerCase();
+  const known = WIZARD_COMMANDS.some((c) => c.name === name);
+  return { name, arg: m[2].trim(), ...(known ? {} : { unknown: true }) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * findQuestion
+ * Index of the question matching a field key, id or label (exact first, then partial), or -1.
+ */
+export function findQuestion(questions, query) {
+  const q = String(query || "").trim().toLowerCase();
+  if (!q) return -1;
+  const exact = questions.findIndex(
+    (x) => x.id.toLowerCase() === q || x.path[0].toLowerCase() === q || x.label.toLowerCase() === q
+  );
+  if (exact >= 0) return exact;
+  return questions.findIndex((x) => x.label.toLowerCase().includes(q) || x.id.toLowerCase().includes(q));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatAnswer
+ * Short, chat-friendly rendering of a stored value.
+ */
+export function formatAnswer(question, value) {
+  if (value === undefined || value === null || value === "") return "(empty)";
+  if (typeof value === "boolean") return value ? "yes" : "no";
+  if (isMoney(value)) return formatMoney(value);
+  if (isUploadQuestion(question)) {
+    const count = Array.isArray(value) ? value.length : 1;
+    return count === 1 ? "(1 image)" : `(${count} images)`;
+  }
+  if (question.type === "table") {
+    const cols = question.field.columns || [];
+    return (value || []).map((row) => cols.map((c) => (isMoney(row?.[c.key]) ? formatMoney(row[c.key]) : String(row?.[c.key] ?? "")) || "—").join(" | ")).join("; ") || "(empty)";
+  }
+  if (Array.isArray(value)) return value.length ? value.join("; ") : "(empty)";
+  const text = String(value);
+  return text.length > 160 ? `${text.slice(0, 157)}…` : text;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * summarizeAnswers
+ * One line per question that applies to templateData: "✓ Label: value" or "• Label: (empty)".
+ */
+export function summarizeAnswers(questions, templateData) {
+  return questions
+    .filter((q) => isApplicable(q, templateData))
+    .map((q) => `${isAnswered(q, templateData) ? "✓" : "•"} ${q.label}: ${formatAnswer(q, getAnswer(templateData, q))}`)
+    .join("\n");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * describeBranch
+ * After answering `question`, explain which dependent questions now apply, e.g.
+ * "Type of Project = Fixed Price: 3 follow-up questions apply, 1 is skipped." Null when nothing depends on it.
+ */
+export function describeBranch(questions, question, templateData) {
+  const key = question.path[0];
+  const dependents = questions.filter((q) => q.dependsOn && Object.prototype.hasOwnProperty.call(q.dependsOn, key));
+  if (!dependents.length) return null;
+  const applies = dependents.filter((q) => isApplicable(q, templateData)).length;
+  const skipped = dependents.length - applies;
+  const value = formatAnswer(question, getAnswer(templateData, question));
+  const parts = [`${applies} follow-up question${applies === 1 ? "" : "s"} appl${applies === 1 ? "ies" : "y"}`];
+  if (skipped) parts.push(`${skipped} ${skipped === 1 ? "is" : "are"} skipped`);
+  return `${question.label} = ${value}: ${parts.join(", ")}.`;
+}
@@ -0,0 +1,101 @@
+import {
+  applyAnswer,
+  buildWizardQuestions,
+  describeBranch,
+  findQuestion,
+  nextQuestionIndex,
+  parseCommand,
+  summarizeAnswers,
+} from "./templateWizard";
+
+const sections = [
+  {
+    section: "Project",
+    fields: [
+      { key: "project_type", label: "Type of Project", type: "select", options: ["Fixed Price", "Time and Material"] },
+      { key: "engagement_number", label: "Engagement Number", type: "text", dependsOn: { project_type: "Fixed Price" } },
+      { key: "contractor_rate", label: "Contractor Rate", type: "text", dependsOn: { project_type: "Time and Material" } },
+      { key: "assumptions", label: "Assumptions", type: "list" },
+      { key: "milestones", label: "Milestones", type: "table", columns: [{ key: "name", label: "Name" }, { key: "due", label: "Due", type: "date" }] },
+      {
+        key: "duration",
+        label: "Project Duration",
+        type: "object",
+        properties: [
+          { key: "start_date", label: "Start Date", type: "date" },
+          { key: "end_date", label: "End Date", type: "date" },
+        ],
+      },
+    ],
+  },
+];
+
+test("walks the template fields, honouring dependsOn and required", () => {
+  const questions = buildWizardQuestions(sections, ["project_type", "assumptions"]);
+  expect(questions.map((q) => q.id)).toEqual([
+    "project_type",
+    "engagement_number",
+    "contractor_rate",
+    "assumptions",
+    "milestones",
+    "duration.start_date",
+    "duration.end_date",
+  ]);
+
+  let data = {};
+  let i = nextQuestionIndex(questions, data);
+  expect(questions[i].id).toBe("project_type");
+  expect(applyAnswer(data, questions[i], "skip").error).toBe("This one is required.");
+  expect(applyAnswer(data, questions[i], "3").error).toMatch(/pick one of/);
+
+  ({ templateData: data } = applyAnswer(data, questions[i], "2"));
+  expect(data.project_type).toBe("Time and Material");
+  i = nextQuestionIndex(questions, data, i);
+  expect(questions[i].id).toBe("contractor_rate");
+
+  ({ templateData: data } = applyAnswer(data, questions[i], "skip"));
+  i = nextQuestionIndex(questions, data, i);
+  expect(questions[i].id).toBe("assumptions");
+  expect(applyAnswer(data, questions[i], "done").error).toMatch(/at least one/);
+  const added = applyAnswer(data, questions[i], "Client provides VPN access");
+  expect(added).toMatchObject({ advance: false, added: true });
+  data = added.templateData;
+  expect(applyAnswer(data, questions[i], "done").advance).toBe(true);
+
+  i = nextQuestionIndex(questions, data, i);
+  expect(applyAnswer(data, questions[i], "Kickoff | 2025-13-01").error).toMatch(/Due must be a date/);
+  ({ templateData: data } = applyAnswer(data, questions[i], "Kickoff | 2025-03-03"));
+  expect(data.milestones).toEqual([{ name: "Kickoff", due: "2025-03-03" }]);
+
+  i = nextQuestionIndex(questions, data, i);
+  expect(questions[i].id).toBe("duration.start_date");
+  ({ templateData: data } = applyAnswer(data, questions[i], "2025-03-01"));
+  expect(data.duration).toEqual({ start_date: "2025-03-01" });
+});
+
+test("parses slash commands and finds fields for /edit", () => {
+  const questions = buildWizardQuestions(sections, ["project_type"]);
+  expect(parseCommand("/edit  Contractor rate")).toEqual({ name: "edit", arg: "Contractor rate" });
+  expect(parseCommand("/undo")).toMatchObject({ name: "undo", unknown: true });
+  expect(parseCommand("done")).toBeNull();
+
+  expect(questions[findQuestion(questions, "project_type")].id).toBe("project_type");
+  expect(questions[findQuestion(questions, "end date")].id).toBe("duration.end_date");
+  expect(findQuestion(questions, "budget")).toBe(-1);
+});
+
+test("summarizes answers and describes dependsOn branches", () => {
+  const questions = buildWizardQuestions(sections, ["project_type"]);
+  const data = { project_type: "Fixed Price", assumptions: ["A", "B"] };
+  const summary = summarizeAnswers(questions, data).split("\n");
+  expect(summary[0]).toBe("✓ Type of Project: Fixed Price");
+  expect(summary).toContain("• Engagement Number: (empty)");
+  expect(summary).toContain("✓ Assumptions: A; B");
+  expect(summary.some((line) => line.includes("Contractor Rate"))).toBe(false);
+
+  expect(describeBranch(questions, questions[0], data)).toBe("Type of Project = Fixed Price: 1 follow-up question applies, 1 is skipped.");
+  expect(describeBranch(questions, questions[3], data)).toBeNull();
+
+  // A required question that already has an answer can be skipped to keep it.
+  expect(applyAnswer(data, questions[0], "skip")).toMatchObject({ advance: true, templateData: data });
+});
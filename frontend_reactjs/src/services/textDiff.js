@@ -0,0 +1,63 @@
+//
+// PUBLIC_INTERFACE
+// Small word/line diff (longest common subsequence) for showing AI suggestions inline.
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * diffTokens
+ * Diff two token arrays.
+ * @param {string[]} a - before
+ * @param {string[]} b - after
+ * @returns {Array<{type:'same'|'added'|'removed', text:string}>} Consecutive tokens of one type are merged.
+ */
+export function diffTokens(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  const push = (type, text) => {
+    const last = out[out.length - 1];
+    if (last && last.type === type) last.text += text;
+    else out.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      push("same", a[i++]);
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) push("removed", a[i++]);
+    else push("added", b[j++]);
+  }
+  while (i < n) push("removed", a[i++]);
+  while (j < m) push("added", b[j++]);
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * diffWords
+ * Word-level diff of two strings; whitespace is kept with the preceding word so the parts re-join exactly.
+ */
+export function diffWords(before, after) {
+  const tokenize = (s) => String(s || "").match(/\S+\s*|\s+/g) || [];
+  return diffTokens(tokenize(before), tokenize(after));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * diffLines
+ * Line-level diff of two string arrays (list items); each part's text ends with "\n".
+ */
+export function diffLines(before, after) {
+  const lines = (arr) => (arr || []).map((l) => `${l}\n`);
+  return diffTokens(lines(before), lines(after));
+}
@@ -0,0 +1,364 @@
+//
+// PUBLIC_INTERFACE
+// Project timeline: phases of tasks (start and end date) and milestones (one date), with finish-to-start dependencies.
+// The timeline lives in templateData.timeline; the timeline / milestone lists and the project duration of the form are
+// derived from it, the DOCX gets it as a table with a bar column, and the milestones export as an iCalendar file.
+// Dates are ISO "YYYY-MM-DD" strings and all arithmetic is in whole UTC days.
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * TIMELINE_KEY
+ * templateData key holding the timeline:
+ * { items: [{ id, name, phase, kind: "task"|"milestone", start, end, dependsOn: [id] }], generated: { <fieldKey>: value last written } }
+ * A milestone's end equals its start.
+ */
+export const TIMELINE_KEY = "timeline";
+
+// Form fields the timeline fills in (PM template, built-in FP / T&M forms, the declared DT3 template).
+const TARGETS = {
+  timeline: ["project_timeline"],
+  milestones: ["project_milestones", "project_schedule_and_milestones", "schedule_milestones"],
+  duration: ["project_duration"], // object with start_date / end_date
+  start: ["start_date", "project_start_date"],
+  end: ["end_date", "project_end_date"],
+};
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 86400000;
+
+/**
+ * PUBLIC_INTERFACE
+ * isIsoDate
+ * True for a real calendar date written as YYYY-MM-DD.
+ */
+export function isIsoDate(v) {
+  return typeof v === "string" && ISO_DATE_RE.test(v) && toDay(v) !== null;
+}
+
+function toDay(iso) {
+  const [y, m, d] = String(iso).split("-").map(Number);
+  const t = Date.UTC(y, m - 1, d);
+  const back = new Date(t);
+  return back.getUTCFullYear() === y && back.getUTCMonth() === m - 1 && back.getUTCDate() === d ? t / DAY_MS : null;
+}
+
+function fromDay(n) {
+  return new Date(n * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * addDays
+ * ISO date moved by a number of days.
+ */
+export function addDays(iso, days) {
+  return fromDay(toDay(iso) + days);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * daysBetween
+ * Whole days from a to b (negative when b is earlier).
+ */
+export function daysBetween(a, b) {
+  return toDay(b) - toDay(a);
+}
+
+function endOf(item) {
+  return item.kind === "milestone" ? item.start : item.end;
+}
+
+function dated(item) {
+  return isIsoDate(item.start) && isIsoDate(endOf(item));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * newTimelineItem
+ * Empty task or milestone with an id not used in the timeline.
+ */
+export function newTimelineItem(timeline, kind = "task") {
+  const n = (timeline?.items || []).reduce((max, it) => Math.max(max, Number(String(it.id).slice(1)) || 0), 0) + 1;
+  return { id: `t${n}`, name: "", phase: "", kind, start: "", end: "", dependsOn: [] };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * hasTimelineTargets
+ * True when the form has a timeline or milestone list field, i.e. the timeline editor applies to this template.
+ * @param {Array<object>} fields - visible form fields
+ */
+export function hasTimelineTargets(fields) {
+  const keys = new Set((fields || []).map((f) => f?.key));
+  return [...TARGETS.timeline, ...TARGETS.milestones].some((k) => keys.has(k));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * activeTimeline
+ * The timeline in templateData while it has items and one of its list fields is present (data pruned by the field
+ * rules drops hidden fields).
+ */
+export function activeTimeline(templateData) {
+  const timeline = templateData?.[TIMELINE_KEY];
+  if (!timeline?.items?.length) return null;
+  return [...TARGETS.timeline, ...TARGETS.milestones].some((k) => k in templateData) ? timeline : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * timelineRange
+ * First and last date of the dated items, or null.
+ */
+export function timelineRange(timeline) {
+  const items = (timeline?.items || []).filter(dated);
+  if (!items.length) return null;
+  const start = items.map((it) => it.start).sort()[0];
+  const end = items.map(endOf).sort().pop();
+  return { start, end, days: daysBetween(start, end) + 1 };
+}
+
+// Items in dependency order (predecessors first); null when the dependencies form a cycle.
+function dependencyOrder(items) {
+  const byId = new Map(items.map((it) => [it.id, it]));
+  const state = new Map(); // id -> "visiting" | "done"
+  const out = [];
+  const visit = (it) => {
+    if (state.get(it.id) === "done") return true;
+    if (state.get(it.id) === "visiting") return false;
+    state.set(it.id, "visiting");
+    const ok = (it.dependsOn || []).every((id) => !byId.has(id) || visit(byId.get(id)));
+    state.set(it.id, "done");
+    out.push(it);
+    return ok;
+  };
+  return items.every(visit) ? out : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * validateTimeline
+ * Problems with the timeline: items without a name or dates, tasks ending before they start (errors), dependencies
+ * on removed items or in a cycle (errors) and items starting before an item they depend on ends (warning).
+ * @returns {Array<{severity:'error'|'warning', message:string, id?:string}>}
+ */
+export function validateTimeline(timeline) {
+  const items = timeline?.items || [];
+  const byId = new Map(items.map((it) => [it.id, it]));
+  const label = (it) => (it.name ? `"${it.name}"` : `Item ${items.indexOf(it) + 1}`);
+  const out = [];
+  items.forEach((it) => {
+    if (!String(it.name || "").trim()) out.push({ severity: "error", id: it.id, message: `Item ${items.indexOf(it) + 1} has no name.` });
+    if (!dated(it)) {
+      out.push({ severity: "error", id: it.id, message: `${label(it)} needs ${it.kind === "milestone" ? "a date" : "a start and end date"}.` });
+    } else if (it.kind !== "milestone" && it.end < it.start) {
+      out.push({ severity: "error", id: it.id, message: `${label(it)} ends (${it.end}) before it starts (${it.start}).` });
+    }
+    (it.dependsOn || []).forEach((id) => {
+      const dep = byId.get(id);
+      if (!dep) out.push({ severity: "error", id: it.id, message: `${label(it)} depends on an item that was removed.` });
+      else if (dated(it) && dated(dep) && it.start < endOf(dep)) {
+        out.push({ severity: "warning", id: it.id, message: `${label(it)} starts ${it.start}, before ${label(dep)} ends (${endOf(dep)}).` });
+      }
+    });
+  });
+  if (items.length && !dependencyOrder(items)) out.push({ severity: "error", message: "Dependencies go round in a circle." });
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * moveItem
+ * Move an item by a number of days (its length is kept) and push the items that depend on it, directly or through
+ * others, later so none starts before what it depends on ends. Items are never pulled earlier.
+ * @returns {object} new timeline
+ */
+export function moveItem(timeline, id, days) {
+  const items = (timeline?.items || []).map((it) => ({ ...it }));
+  const byId = new Map(items.map((it) => [it.id, it]));
+  const moved = byId.get(id);
+  if (!moved || !dated(moved) || !days) return timeline;
+  const shift = (it, by) => {
+    it.start = addDays(it.start, by);
+    it.end = it.kind === "milestone" ? it.start : addDays(it.end, by);
+  };
+  shift(moved, days);
+  const affected = new Set([moved.id]);
+  (dependencyOrder(items) || []).forEach((it) => {
+    if (it === moved || !dated(it) || !(it.dependsOn || []).some((d) => affected.has(d))) return;
+    affected.add(it.id);
+    const deps = (it.dependsOn || []).map((d) => byId.get(d)).filter((d) => d && dated(d));
+    const latest = deps.map(endOf).sort().pop();
+    if (latest && it.start < latest) shift(it, daysBetween(it.start, latest));
+  });
+  return { ...timeline, items };
+}
+
+function itemText(it) {
+  const when = it.kind === "milestone" ? it.start : `${it.start} to ${it.end}`;
+  return `${it.phase ? `${it.phase}: ` : ""}${it.name}${dated(it) ? ` — ${when}` : ""}`;
+}
+
+// A field is regenerated while it is empty or still holds what the timeline wrote last.
+function untouched(current, generated) {
+  const empty = current === undefined || current === null || current === "" || (Array.isArray(current) && current.every((x) => !String(x ?? "").trim()));
+  return empty || JSON.stringify(current) === JSON.stringify(generated);
+}
+
+function sorted(items) {
+  return items.slice().sort((a, b) => (a.start || "9999").localeCompare(b.start || "9999"));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * timelineFieldValues
+ * Values the timeline writes into the form: the timeline list (tasks, or every item when there is no milestone
+ * field), the milestone list, and the project start / end dates (the duration object, or top-level date fields).
+ * Only fields the form has are written, and a field the user has edited since it was generated is left alone.
+ *
+ * @param {object} timeline
+ * @param {{fields:Array<object>, templateData:object}} context - visible form fields and current values
+ * @returns {{values:object, generated:object}} values to merge into templateData; `generated` goes back into the timeline
+ */
+export function timelineFieldValues(timeline, { fields, templateData }) {
+  const keys = new Set((fields || []).map((f) => f?.key));
+  const values = {};
+  const generated = { ...(timeline?.generated || {}) };
+  const items = sorted((timeline?.items || []).filter((it) => it.name));
+  if (!items.length) return { values, generated };
+
+  const hasMilestoneField = TARGETS.milestones.some((k) => keys.has(k));
+  const range = timelineRange({ items });
+  const write = (k, v) => {
+    if (!keys.has(k) || !untouched(templateData?.[k], generated[k])) return;
+    values[k] = v;
+    generated[k] = v;
+  };
+  TARGETS.timeline.forEach((k) => write(k, items.filter((it) => !hasMilestoneField || it.kind !== "milestone").map(itemText)));
+  TARGETS.milestones.forEach((k) => write(k, items.filter((it) => it.kind === "milestone").map(itemText)));
+  if (range) {
+    TARGETS.start.forEach((k) => write(k, range.start));
+    TARGETS.end.forEach((k) => write(k, range.end));
+    TARGETS.duration
+      .filter((k) => keys.has(k))
+      .forEach((k) => {
+        const current = templateData?.[k] || {};
+        const last = generated[k] || {};
+        const next = { ...current };
+        if (!current.start_date || current.start_date === last.start_date) next.start_date = range.start;
+        if (!current.end_date || current.end_date === last.end_date) next.end_date = range.end;
+        if (next.start_date === current.start_date && next.end_date === current.end_date) return;
+        values[k] = next;
+        generated[k] = { start_date: next.start_date, end_date: next.end_date };
+      });
+  }
+  return { values, generated };
+}
+
+// "░░███░░░" over `slots` equal slices of the whole timeline; a milestone is a single ◆.
+function barText(it, range, slots) {
+  const at = (iso) => Math.min(slots - 1, Math.floor((daysBetween(range.start, iso) / range.days) * slots));
+  const from = at(it.start);
+  const to = at(endOf(it));
+  return Array.from({ length: slots }, (_, i) => {
+    if (it.kind === "milestone") return i === from ? "◆" : "░";
+    return i >= from && i <= to ? "█" : "░";
+  }).join("");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * timelineTableBlock
+ * The timeline as a document table ({ kind: "table" }, see docxPlaceholderFiller): phase, item, start, end, days,
+ * dependencies and a bar column that draws the schedule as a text Gantt chart. Null without dated items.
+ */
+export function timelineTableBlock(timeline, slots = 20) {
+  const items = sorted((timeline?.items || []).filter((it) => it.name && dated(it)));
+  const range = timelineRange({ items });
+  if (!range) return null;
+  const names = new Map((timeline.items || []).map((it) => [it.id, it.name]));
+  return {
+    kind: "table",
+    columns: ["Phase", "Task / milestone", "Start", "End", "Days", "Depends on", `${range.start} → ${range.end}`],
+    align: ["left", "left", "left", "left", "right", "left", "left"],
+    rows: items.map((it) => [
+      it.phase || "",
+      it.kind === "milestone" ? `◆ ${it.name}` : it.name,
+      it.start,
+      it.kind === "milestone" ? "" : it.end,
+      it.kind === "milestone" ? "" : String(daysBetween(it.start, it.end) + 1),
+      (it.dependsOn || []).map((id) => names.get(id)).filter(Boolean).join(", "),
+      barText(it, range, slots),
+    ]),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * timelineDocumentValues
+ * templateData overrides for preview and DOCX: the timeline table takes the place of the timeline list (or, without
+ * one, the milestone list) while that list is the generated one. Empty when there is no active timeline.
+ */
+export function timelineDocumentValues(templateData, fields) {
+  const timeline = activeTimeline(templateData);
+  const table = timelineTableBlock(timeline);
+  if (!table) return {};
+  const keys = new Set((fields || []).map((f) => f?.key));
+  const target = [...TARGETS.timeline, ...TARGETS.milestones].find((k) => keys.has(k) && untouched(templateData[k], timeline.generated?.[k]));
+  return target ? { [target]: table } : {};
+}
+
+function icsText(s) {
+  return String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function utf8Length(ch) {
+  const cp = ch.codePointAt(0);
+  return cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1).
+function fold(line) {
+  if (Array.from(line).reduce((acc, ch) => acc + utf8Length(ch), 0) <= 75) return line;
+  const out = [];
+  let chunk = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = utf8Length(ch);
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(chunk);
+      chunk = "";
+      size = 0;
+    }
+    chunk += ch;
+    size += n;
+  }
+  out.push(chunk);
+  return out.join("\r\n ");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * timelineIcs
+ * The dated milestones as an iCalendar file (all-day events), e.g. for Outlook or Google Calendar.
+ * @param {object} timeline
+ * @param {{title?:string, now?:Date}} options - SOW title used in the summaries; `now` stamps the events (tests)
+ */
+export function timelineIcs(timeline, { title = "", now = new Date() } = {}) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const compact = (iso) => iso.replace(/-/g, "");
+  const events = sorted((timeline?.items || []).filter((it) => it.kind === "milestone" && it.name && dated(it))).flatMap((it) => [
+    "BEGIN:VEVENT",
+    `UID:${it.id}-${compact(it.start)}@sow-generator`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${compact(it.start)}`,
+    `DTEND;VALUE=DATE:${compact(addDays(it.start, 1))}`,
+    `SUMMARY:${icsText(title ? `${title}: ${it.name}` : it.name)}`,
+    ...(it.phase ? [`CATEGORIES:${icsText(it.phase)}`] : []),
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ]);
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//SOW Generator//Timeline//EN", "CALSCALE:GREGORIAN", ...events, "END:VCALENDAR"];
+  return `${lines.map(fold).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,98 @@
+import {
+  moveItem,
+  timelineDocumentValues,
+  timelineFieldValues,
+  timelineIcs,
+  timelineRange,
+  timelineTableBlock,
+  validateTimeline,
+} from "./timeline";
+
+const timeline = {
+  items: [
+    { id: "t1", name: "Design", phase: "Discovery", kind: "task", start: "2026-01-05", end: "2026-01-16", dependsOn: [] },
+    { id: "t2", name: "Build", phase: "Delivery", kind: "task", start: "2026-01-19", end: "2026-02-27", dependsOn: ["t1"] },
+    { id: "t3", name: "Go-live", phase: "Delivery", kind: "milestone", start: "2026-02-27", end: "2026-02-27", dependsOn: ["t2"] },
+    { id: "t4", name: "Training", phase: "Delivery", kind: "task", start: "2026-01-05", end: "2026-01-09", dependsOn: [] },
+  ],
+  generated: {},
+};
+
+test("range and validation of dates and dependencies", () => {
+  expect(timelineRange(timeline)).toEqual({ start: "2026-01-05", end: "2026-02-27", days: 54 });
+  expect(validateTimeline(timeline)).toEqual([]);
+
+  const broken = {
+    items: [
+      { id: "a", name: "A", kind: "task", start: "2026-03-10", end: "2026-03-01", dependsOn: ["b"] },
+      { id: "b", name: "B", kind: "task", start: "2026-03-01", end: "2026-03-20", dependsOn: ["a", "gone"] },
+      { id: "c", name: "", kind: "milestone", start: "", dependsOn: [] },
+    ],
+  };
+  expect(validateTimeline(broken).map((x) => x.message)).toEqual([
+    '"A" ends (2026-03-01) before it starts (2026-03-10).',
+    '"A" starts 2026-03-10, before "B" ends (2026-03-20).',
+    '"B" depends on an item that was removed.',
+    "Item 3 has no name.",
+    "Item 3 needs a date.",
+    "Dependencies go round in a circle.",
+  ]);
+});
+
+test("moving a task pushes what depends on it, never pulls anything earlier", () => {
+  const later = moveItem(timeline, "t1", 7);
+  expect(later.items.map((it) => [it.start, it.end])).toEqual([
+    ["2026-01-12", "2026-01-23"],
+    ["2026-01-23", "2026-03-03"],
+    ["2026-03-03", "2026-03-03"],
+    ["2026-01-05", "2026-01-09"],
+  ]);
+  const earlier = moveItem(timeline, "t1", -3);
+  expect(earlier.items.slice(1).map((it) => it.start)).toEqual(["2026-01-19", "2026-02-27", "2026-01-05"]);
+});
+
+test("writes the lists and the project duration until the user rewrites them", () => {
+  const fields = [{ key: "project_timeline" }, { key: "project_milestones" }, { key: "project_duration" }];
+  const first = timelineFieldValues(timeline, { fields, templateData: { project_duration: { start_date: "", end_date: "2026-06-30" } } });
+  expect(first.values.project_timeline).toEqual([
+    "Discovery: Design — 2026-01-05 to 2026-01-16",
+    "Delivery: Training — 2026-01-05 to 2026-01-09",
+    "Delivery: Build — 2026-01-19 to 2026-02-27",
+  ]);
+  expect(first.values.project_milestones).toEqual(["Delivery: Go-live — 2026-02-27"]);
+  // The end date was entered by hand, so only the empty start date is filled in
+  expect(first.values.project_duration).toEqual({ start_date: "2026-01-05", end_date: "2026-06-30" });
+
+  const edited = { ...first.values, project_milestones: ["Go-live in spring"] };
+  const next = timelineFieldValues({ ...timeline, generated: first.generated }, { fields, templateData: edited });
+  expect(next.values).not.toHaveProperty("project_milestones");
+
+  const doc = timelineDocumentValues({ ...edited, timeline: { ...timeline, generated: first.generated } }, fields);
+  expect(doc.project_timeline.kind).toBe("table");
+});
+
+test("timeline table with text bars and milestones as iCalendar events", () => {
+  const table = timelineTableBlock(timeline, 10);
+  expect(table.columns[6]).toBe("2026-01-05 → 2026-02-27");
+  expect(table.rows[0]).toEqual(["Discovery", "Design", "2026-01-05", "2026-01-16", "12", "", "███░░░░░░░"]);
+  expect(table.rows[3]).toEqual(["Delivery", "◆ Go-live", "2026-02-27", "", "", "Build", "░░░░░░░░░◆"]);
+
+  const ics = timelineIcs(timeline, { title: "Portal, phase 2", now: new Date("2026-01-01T09:30:00.000Z") });
+  expect(ics.split("\r\n")).toEqual([
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//SOW Generator//Timeline//EN",
+    "CALSCALE:GREGORIAN",
+    "BEGIN:VEVENT",
+    "UID:t3-20260227@sow-generator",
+    "DTSTAMP:20260101T093000Z",
+    "DTSTART;VALUE=DATE:20260227",
+    "DTEND;VALUE=DATE:20260228",
+    "SUMMARY:Portal\\, phase 2: Go-live",
+    "CATEGORIES:Delivery",
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+    "END:VCALENDAR",
+    "",
+  ]);
+});
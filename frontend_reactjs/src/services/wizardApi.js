@@ -0,0 +1,38 @@
+//
+// PUBLIC_INTERFACE
+// Chat wizard session client (/api/wizard-sessions): the conversation is stored on backend_express
+// so it can be resumed with the SOW it belongs to. All functions resolve { ok, ... } and never throw.
+//
+import { requestJson } from "./apiClient";
+
+/**
+ * PUBLIC_INTERFACE
+ * getWizardSession
+ * @param {string} id
+ * @returns {Promise<{ok:boolean, session?:{id:string, templateId:string, state:object}, error?:string, status?:number}>}
+ */
+export function getWizardSession(id) {
+  return requestJson(`/api/wizard-sessions/${encodeURIComponent(id)}`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createWizardSession
+ * @param {{templateId:string, state:object}} session
+ * @returns {Promise<{ok:boolean, session?:object, error?:string}>}
+ */
+export function createWizardSession({ templateId, state }) {
+  return requestJson("/api/wizard-sessions", { method: "POST", body: { templateId, state } });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * saveWizardSession
+ * Replace the stored state of a session.
+ * @param {string} id
+ * @param {{templateId:string, state:object}} session
+ * @returns {Promise<{ok:boolean, session?:object, error?:string, status?:number}>}
+ */
+export function saveWizardSession(id, { templateId, state }) {
+  return requestJson(`/api/wizard-sessions/${encodeURIComponent(id)}`, { method: "PUT", body: { templateId, state } });
+}
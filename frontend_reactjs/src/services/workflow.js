@@ -0,0 +1,78 @@
+//
+// PUBLIC_INTERFACE
+// Approval workflow of a saved SOW as the UI shows it: status labels, the steps of the lifecycle and how history entries
+// read. The state machine itself (permitted transitions, role checks, the edit lock) lives in backend_express
+// (services/workflow.js) and is reached through sowApi (getWorkflow, assignReviewers, transitionSOW).
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * WORKFLOW_STATUSES
+ * The lifecycle in order.
+ */
+export const WORKFLOW_STATUSES = [
+  { id: "draft", label: "Draft" },
+  { id: "internal_review", label: "Internal Review" },
+  { id: "client_review", label: "Client Review" },
+  { id: "approved", label: "Approved" },
+  { id: "signed", label: "Signed" },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * REVIEW_STAGES
+ * Statuses with an assigned reviewer and approver.
+ */
+export const REVIEW_STAGES = ["internal_review", "client_review"];
+
+const LOCKED = new Set(["approved", "signed"]);
+
+const VERBS = {
+  submit: "submitted it for internal review",
+  review: "marked it reviewed",
+  approve: "approved it",
+  request_changes: "requested changes",
+  reopen: "reopened it for editing",
+  mark_signed: "marked it signed",
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * statusLabel
+ * Display label of a status; a SOW without one is a draft.
+ */
+export function statusLabel(status) {
+  return (WORKFLOW_STATUSES.find((s) => s.id === status) || WORKFLOW_STATUSES[0]).label;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isLockedStatus
+ * True when a SOW in this status can no longer be edited (approved or signed); only its signatures can still be added.
+ */
+export function isLockedStatus(status) {
+  return LOCKED.has(status);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * workflowSteps
+ * The lifecycle with each step marked done, current or upcoming for the given status.
+ * @returns {Array<{id:string, label:string, state:'done'|'current'|'upcoming'}>}
+ */
+export function workflowSteps(status) {
+  const at = Math.max(0, WORKFLOW_STATUSES.findIndex((s) => s.id === status));
+  return WORKFLOW_STATUSES.map((s, i) => ({ ...s, state: i < at ? "done" : i === at ? "current" : "upcoming" }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * historyLine
+ * One history entry as a sentence, e.g. "Alan approved it (Internal Review → Client Review)".
+ * @param {{action:string, from:string, to:string, actor:string}} entry
+ */
+export function historyLine(entry) {
+  const verb = VERBS[entry.action] || entry.action;
+  const move = entry.from !== entry.to ? ` (${statusLabel(entry.from)} → ${statusLabel(entry.to)})` : "";
+  return `${entry.actor || "Someone"} ${verb}${move}`;
+}
@@ -0,0 +1,21 @@
+import { historyLine, isLockedStatus, statusLabel, workflowSteps } from "./workflow";
+
+test("statuses read as labels and lock from approval on", () => {
+  expect(statusLabel("client_review")).toBe("Client Review");
+  expect(statusLabel(undefined)).toBe("Draft");
+  expect(isLockedStatus("client_review")).toBe(false);
+  expect(isLockedStatus("approved")).toBe(true);
+  expect(isLockedStatus("signed")).toBe(true);
+});
+
+test("steps before the status are done and the rest upcoming", () => {
+  expect(workflowSteps("client_review").map((s) => s.state)).toEqual(["done", "done", "current", "upcoming", "upcoming"]);
+  expect(workflowSteps(null)[0].state).toBe("current");
+});
+
+test("history entries read as sentences", () => {
+  expect(historyLine({ action: "approve", from: "internal_review", to: "client_review", actor: "Alan" })).toBe(
+    "Alan approved it (Internal Review → Client Review)"
+  );
+  expect(historyLine({ action: "review", from: "client_review", to: "client_review", actor: "Cora" })).toBe("Cora marked it reviewed");
+});
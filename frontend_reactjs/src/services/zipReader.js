@@ -0,0 +1,82 @@
+//
+// PUBLIC_INTERFACE
+// Minimal ZIP reader for .docx packages, without extra dependencies.
+// Supports stored (0) and deflated (8) entries; deflate is handled by the browser's
+// DecompressionStream("deflate-raw"). ZIP64 archives are not supported (.docx files never need it).
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * unzip
+ * Read every file entry of a ZIP archive.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw archive bytes (e.g. from File.arrayBuffer()).
+ * @returns {Promise<Object.<string, Uint8Array>>} Map of entry path → bytes (directories are skipped).
+ */
+export async function unzip(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = findEndOfCentralDirectory(view);
+  if (eocd < 0) throw new Error("Not a ZIP archive (end of central directory not found).");
+
+  const count = view.getUint16(eocd + 10, true);
+  let ptr = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const out = {};
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(ptr, true) !== 0x02014b50) throw new Error("Corrupt ZIP central directory.");
+    const method = view.getUint16(ptr + 10, true);
+    const compressedSize = view.getUint32(ptr + 20, true);
+    const nameLen = view.getUint16(ptr + 28, true);
+    const extraLen = view.getUint16(ptr + 30, true);
+    const commentLen = view.getUint16(ptr + 32, true);
+    const localOffset = view.getUint32(ptr + 42, true);
+    const name = decoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLen));
+    ptr += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/")) continue;
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+      throw new Error("ZIP64 archives are not supported.");
+    }
+
+    // Local header has its own name/extra lengths; data follows them.
+    const localNameLen = view.getUint16(localOffset + 26, true);
+    const localExtraLen = view.getUint16(localOffset + 28, true);
+    const start = localOffset + 30 + localNameLen + localExtraLen;
+    const data = bytes.subarray(start, start + compressedSize);
+
+    if (method === 0) out[name] = data.slice();
+    else if (method === 8) out[name] = await inflateRaw(data);
+    else throw new Error(`Unsupported ZIP compression method ${method} for ${name}.`);
+  }
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * readZipText
+ * Decode a UTF-8 entry from an unzipped file map; returns "" when missing.
+ */
+export function readZipText(files, path) {
+  const entry = files?.[path];
+  if (!entry) return "";
+  return typeof entry === "string" ? entry : new TextDecoder().decode(entry);
+}
+
+function findEndOfCentralDirectory(view) {
+  // EOCD record is 22 bytes plus an optional comment of up to 65535 bytes.
+  const min = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= min; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) return i;
+  }
+  return -1;
+}
+
+async function inflateRaw(data) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser cannot read compressed .docx files (DecompressionStream unavailable).");
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
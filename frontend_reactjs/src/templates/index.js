@@ -3,6 +3,9 @@
 // getAvailableSOWTemplates and getSOWTemplateSchema — return JSON schema for dynamic field rendering.
 //
 import schemas from "./sowTemplateSchemas.json";
+import tmParsed from "./parsed/tm_template_parsed.json";
+import fpParsed from "./parsed/fixed_price_template_parsed.json";
+import { createFieldRules } from "../services/fieldRules";
 
 /**
  * PUBLIC_INTERFACE
@@ -22,28 +25,90 @@ export function getSOWTemplateSchema(templateId) {
   return (schemas?.templates || []).find((t) => t.id === templateId) || null;
 }
 
+/**
+ * PUBLIC_INTERFACE
+ * getDeclaredTemplates
+ * The declared templates of sowTemplateSchemas.json with their `required` lists and field rules (`dependsOn`, ...).
+ */
+export function getDeclaredTemplates() {
+  return schemas?.templates || [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getTemplateFormSections
+ * Sections rendered by SOWForm: the schema's own sections when it is in grouped form,
+ * otherwise the parsed JSON for the chosen built-in template ("TM" | "FP"), otherwise
+ * (uploaded registry templates) one section holding the runtime schema's fields.
+ * @returns {Array<{section:string, fields:Array}>}
+ */
+export function getTemplateFormSections(templateSchema, selectedTemplate) {
+  if (templateSchema?.sections) return templateSchema.sections;
+  if (selectedTemplate === "TM") return tmParsed?.parsed?.sections || [];
+  if (selectedTemplate === "FP") return fpParsed?.parsed?.sections || [];
+  if (templateSchema?.fields?.length) return [{ section: templateSchema.title || "Template Fields", fields: templateSchema.fields }];
+  return [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getTemplateFieldRules
+ * dependsOn / required rules for the form of this template (see services/fieldRules.js), including the
+ * rules of the declared template in sowTemplateSchemas.json that shares its field keys.
+ */
+export function getTemplateFieldRules(templateSchema, selectedTemplate) {
+  return createFieldRules({
+    sections: getTemplateFormSections(templateSchema, selectedTemplate),
+    templateSchema,
+    declaredTemplates: getDeclaredTemplates(),
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getTemplateFormFields
+ * Flat list of every field the form may have written for this template:
+ * form section fields first, then the runtime schema's own fields.
+ */
+export function getTemplateFormFields(templateSchema, selectedTemplate) {
+  const fromSections = getTemplateFormSections(templateSchema, selectedTemplate).flatMap((s) => s.fields || []);
+  return [...fromSections, ...(templateSchema?.fields || [])];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getTemplateFieldLabel
+ * Look up the label of a templateData path ("templateData.<key>[.<prop>]" or "<key>[.<prop>]")
+ * in the declared templates of sowTemplateSchemas.json. Returns null when no template declares it.
+ */
+export function getTemplateFieldLabel(path) {
+  const parts = String(path || "").split(".");
+  if (parts[0] === "templateData") parts.shift();
+  const [key, prop] = parts;
+  for (const t of schemas?.templates || []) {
+    const field = (t.fields || []).find((f) => f.key === key);
+    if (!field) continue;
+    if (!prop) return field.label || null;
+    const p = (field.properties || []).find((x) => x.key === prop);
+    if (p) return `${field.label} › ${p.label}`;
+  }
+  return null;
+}
+
 /**
  * PUBLIC_INTERFACE
  * getDynamicSchemaFromAttachment
- * Build schema on the fly from provided attachment-based transcripts for specific known template ids:
- * - SOW_TM_SUPPLIER -> attachments T&M
- * - SOW_FIXED_PRICE_SUPPLIER -> attachments Fixed Price
+ * Build schema on the fly from a template-registry entry (built-ins "FP" / "TM" or any uploaded template):
+ * its stored transcript, or the built-in .docx/.txt attachment it points to.
  */
 export async function getDynamicSchemaFromAttachment(templateId) {
-  const map = {
-    SOW_TM_SUPPLIER: { url: '/attachments/20250930_035345_T&M_Supplier_SoW_Template(docx).txt', title: 'Supplier SOW (T&M)' },
-    SOW_FIXED_PRICE_SUPPLIER: { url: '/attachments/20250930_035346_Fixed price_Supplier_SoW_Template(docx).txt', title: 'Supplier SOW (Fixed Price)' },
-  };
-  const arg = map[templateId];
-  if (!arg) return null;
-
-  const resp = await fetch(arg.url);
-  if (!resp.ok) return null;
-  const text = await resp.text();
+  const { loadTemplateContent } = await import('../services/templateApi.js');
+  const content = await loadTemplateContent(templateId);
+  if (!content.ok) return null;
 
   const { parseSOWTranscriptToSections, buildDynamicSchemaFromSections } = await import('../services/sowTemplateParser.js');
-  const parsed = parseSOWTranscriptToSections(text);
-  const schema = buildDynamicSchemaFromSections(parsed, templateId, arg.title);
+  const parsed = parseSOWTranscriptToSections(content.transcript);
+  const schema = buildDynamicSchemaFromSections(parsed, templateId, content.template.title);
   return { parsed, schema };
 }
 